@@ -9,10 +9,11 @@ import express from 'express';
 import cors from 'cors';
 import Anthropic from '@anthropic-ai/sdk';
 import { exec, spawn } from 'child_process';
-import { writeFile, unlink, mkdir, readFile } from 'fs/promises';
-import { existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { tmpdir } from 'os';
+import { writeFile, appendFile, unlink, mkdir, readFile, readdir, copyFile, rename, open, stat } from 'fs/promises';
+import { existsSync, createReadStream } from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import { join, dirname, basename, resolve as resolvePath, relative, isAbsolute } from 'path';
+import { tmpdir, homedir } from 'os';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
 import multer from 'multer';
@@ -27,22 +28,31 @@ const __dirname = dirname(__filename);
 // Data folder path
 const DATA_FOLDER = join(__dirname, 'data');
 
-// Workspace paths
+// Workspace paths - every conversation has its own R workspace, identified by a workspace ID
 const TEMP_DIR = join(tmpdir(), '3panel-r-execution');
-const TEMP_WORKSPACE = join(TEMP_DIR, 'workspace.RData');
-const PERSISTENT_WORKSPACE = join(__dirname, '.r-workspace.RData'); // Permanent storage
+const TEMP_WORKSPACES_DIR = join(TEMP_DIR, 'workspaces');               // Live session checkpoints
+const PERSISTENT_WORKSPACES_DIR = join(__dirname, '.r-workspaces');     // Permanent storage, one .RData per workspace
+const LEGACY_PERSISTENT_WORKSPACE = join(__dirname, '.r-workspace.RData'); // Single shared workspace from older versions
+const DEFAULT_WORKSPACE_ID = 'default';
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, DATA_FOLDER);
-  },
-  filename: function (req, file, cb) {
-    cb(null, file.originalname);
+/**
+ * Resolve the checkpoint file for a workspace ID
+ * @param {string} [workspaceId] - Conversation's workspace ID (requests without one share 'default')
+ * @returns {string|null} Path to the workspace's .RData file, or null if the ID is invalid
+ */
+function getWorkspacePath(workspaceId) {
+  const id = workspaceId || DEFAULT_WORKSPACE_ID;
+  // IDs become file names, so only allow a safe character set
+  if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+    return null;
   }
-});
+  return join(TEMP_WORKSPACES_DIR, `${id}.RData`);
+}
 
-const upload = multer({ storage: storage });
+// Configure multer for file uploads - they land under a temporary name and are
+// stored as a version of the data file once hashed (see DATA FILE VERSIONS)
+const UPLOAD_TEMP_DIR = join(tmpdir(), '3panel-uploads');
+const upload = multer({ dest: UPLOAD_TEMP_DIR });
 
 // Middleware
 app.use(cors());
@@ -75,24 +85,6 @@ function checkQuartoAvailable() {
   });
 }
 
-/**
- * Execute R code to save or load workspace
- * @param {string} rCode - R code to execute
- * @returns {Promise<void>}
- */
-function executeRWorkspaceOperation(rCode) {
-  return new Promise((resolve, reject) => {
-    exec(`Rscript -e "${rCode}"`, (error, stdout, stderr) => {
-      if (error) {
-        console.error('R workspace operation error:', stderr || error.message);
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
-}
-
 /**
  * Check if LaTeX (pdflatex) is available on the system
  * @returns {Promise<boolean>} True if pdflatex is available, false otherwise
@@ -173,1433 +165,4193 @@ async function convertSvgToPdf(svgContent, outputPath) {
   }
 }
 
+// ==================== LLM PROVIDERS ====================
+
 /**
- * POST /api/chat
- * Proxy endpoint for Claude API requests
+ * Every model call goes through a provider built by createLlmProvider(). Each
+ * provider takes and returns messages in Anthropic's format (content blocks,
+ * tool_use / tool_result, stop_reason, usage), so routes don't care which
+ * backend answers:
  *
- * Body:
- * - apiKey: Anthropic API key
- * - messages: Array of conversation messages
+ *   const provider = createLlmProvider(resolveLlmSettings('chat', req.body.llm, apiKey), conversationId);
+ *   const message = await provider.createMessage({ system, messages, tools });
+ *   const message = await provider.streamMessage({ system, messages, tools }, { onText, signal });
+ *
+ * `system` is a string or, for prompt caching, an array of text blocks; blocks and
+ * message content may carry Anthropic's cache_control, which other providers ignore.
+ *
+ * Which provider, model, max_tokens and temperature to use is chosen per
+ * purpose in the app's Model Settings and sent as `llm` in the request body.
  */
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { apiKey, messages, suggestionsEnabled, recentPlots, columnMetadata, activeDatasetName } = req.body;
+const LLM_PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-opus-4-5-20251101'
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o',
+    defaultBaseUrl: 'https://api.openai.com/v1'
+  },
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1'  // llama.cpp's server: http://localhost:8080/v1
+  },
+  scripted: {
+    label: 'Scripted (offline demo)',
+    defaultModel: 'scripted'
+  }
+};
 
-    console.log('[/api/chat] Request received');
-    console.log('[/api/chat] suggestionsEnabled:', suggestionsEnabled);
-    console.log('[/api/chat] activeDatasetName:', activeDatasetName || 'none');
-    console.log('[/api/chat] columnMetadata present:', !!columnMetadata);
-    if (columnMetadata && columnMetadata.length > 0) {
-      console.log('[/api/chat] columnMetadata preview:', columnMetadata.slice(0, 5).map(c => `${c.name}(${c.type})`).join(', '), `... (${columnMetadata.length} total)`);
-      const hasYearColumn = columnMetadata.some(c => c.name === 'year');
-      console.log('[/api/chat] Has "year" column:', hasYearColumn);
-    }
-    console.log('[/api/chat] messages count:', messages?.length);
+// What each purpose uses when the request doesn't say otherwise
+const DEFAULT_LLM_SETTINGS = {
+  chat: { provider: 'anthropic', model: 'claude-opus-4-5-20251101', maxTokens: 4096, temperature: null },
+  report: { provider: 'anthropic', model: 'claude-opus-4-5-20251101', maxTokens: 2048, temperature: null },
+  rewrite: { provider: 'anthropic', model: 'claude-opus-4-5-20251101', maxTokens: 4096, temperature: null },
+  descriptions: { provider: 'anthropic', model: 'claude-opus-4-5-20251101', maxTokens: 4096, temperature: null }
+};
 
-    if (!apiKey) {
-      return res.status(400).json({
-        error: 'API key is required'
-      });
-    }
+// Replies for the scripted provider (see createScriptedProvider)
+const LLM_SCRIPT_PATH = join(__dirname, 'llm-script.json');
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({
-        error: 'Messages array is required'
-      });
-    }
+/**
+ * Merge the settings a request asked for over the purpose's defaults
+ * @param {string} purpose - chat, report, rewrite or descriptions
+ * @param {Object} requested - Request's llm settings ({ provider, model, maxTokens, temperature, baseUrl, apiKey })
+ * @param {string} anthropicApiKey - The user's Anthropic key (used by the anthropic provider)
+ * @returns {Object} Complete settings for createLlmProvider
+ */
+function resolveLlmSettings(purpose, requested = {}, anthropicApiKey = null) {
+  const defaults = DEFAULT_LLM_SETTINGS[purpose] || DEFAULT_LLM_SETTINGS.chat;
+  const settings = requested && typeof requested === 'object' ? requested : {};
+  const provider = LLM_PROVIDERS[settings.provider] ? settings.provider : defaults.provider;
+  const maxTokens = parseInt(settings.maxTokens, 10);
+  const temperature = parseFloat(settings.temperature);
+
+  return {
+    purpose: DEFAULT_LLM_SETTINGS[purpose] ? purpose : 'chat',
+    provider,
+    model: settings.model || (provider === defaults.provider ? defaults.model : LLM_PROVIDERS[provider].defaultModel),
+    maxTokens: maxTokens > 0 ? maxTokens : defaults.maxTokens,
+    temperature: Number.isFinite(temperature) ? temperature : defaults.temperature,
+    baseUrl: settings.baseUrl || LLM_PROVIDERS[provider].defaultBaseUrl || null,
+    apiKey: provider === 'anthropic' ? anthropicApiKey : (settings.apiKey || null)
+  };
+}
 
-    // Initialize Anthropic client with user's API key
-    const anthropic = new Anthropic({
-      apiKey: apiKey,
-    });
+/**
+ * Build the provider for resolved settings. Its calls are checked against the
+ * usage budget and their token usage is recorded (see USAGE ACCOUNTING).
+ * @param {Object} settings - From resolveLlmSettings
+ * @param {string} conversationId - Conversation the calls are counted against (its workspace ID), if any
+ * @returns {Object} { settings, createMessage(params), streamMessage(params, { onText, signal }) }
+ */
+function createLlmProvider(settings, conversationId = null) {
+  let provider;
+  switch (settings.provider) {
+    case 'openai':
+    case 'local':
+      provider = createOpenAICompatibleProvider(settings);
+      break;
+    case 'scripted':
+      provider = createScriptedProvider(settings);
+      break;
+    default:
+      provider = createAnthropicProvider(settings);
+  }
+  return withUsageAccounting(provider, conversationId);
+}
 
-    // Build column schema info if available
-    let schemaInfo = '';
-    if (columnMetadata && columnMetadata.length > 0) {
-      const numericColumns = columnMetadata.filter(c => c.type === 'numeric').map(c => c.name);
-      const categoricalColumnsWithValues = columnMetadata
-        .filter(c => c.type === 'categorical' && c.values && c.values.length > 0)
-        .map(c => `${c.name}: [${c.values.join(', ')}]`);
+/**
+ * Anthropic Messages API through the SDK
+ * Streams are assembled from the raw events because this SDK version's
+ * MessageStream doesn't put together the input of tool_use blocks.
+ */
+function createAnthropicProvider(settings) {
+  const anthropic = new Anthropic({ apiKey: settings.apiKey });
+  const request = ({ system, messages, tools }) => ({
+    model: settings.model,
+    max_tokens: settings.maxTokens,
+    ...(settings.temperature !== null && { temperature: settings.temperature }),
+    ...(system && { system }),
+    ...(tools && tools.length > 0 && { tools }),
+    messages
+  });
 
-      const datasetNameInfo = activeDatasetName ? `\n🎯 ACTIVE DATASET: ${activeDatasetName}` : '';
+  return {
+    settings,
 
-      schemaInfo = `\n\nCURRENT DATASET SCHEMA:${datasetNameInfo}
-Numeric columns: ${numericColumns.join(', ') || 'none'}
-Categorical columns with values:
-${categoricalColumnsWithValues.map(c => `  - ${c}`).join('\n') || 'none'}
+    createMessage: (params) => anthropic.messages.create(request(params)),
 
-🚨 CRITICAL DATASET VARIABLE NAME REQUIREMENT:
-${activeDatasetName
-  ? `When writing R code, you MUST use the exact variable name: ${activeDatasetName}
-   DO NOT use generic names like "data", "df", or "dataset" - use "${activeDatasetName}" exactly!`
-  : `A dataset exists but no active dataset name was provided. You MUST check the conversation history to find the exact variable name.
-   NEVER use generic names like "data", "df", or "dataset" - find and use the EXACT variable name from when the dataset was loaded!`}
-
-⚠️  CRITICAL: When writing R code that references column names, you MUST use the EXACT column names shown above.
-DO NOT infer, guess, or fabricate column names. For example, if you see "TARGET: [Iris-setosa, ...]", the column name is TARGET, NOT "SPECIES" or any other name you might infer from the values.`;
-    }
-
-    // System prompt for data analysis assistant
-    let systemPrompt = `You are a precise data analysis assistant. Answer ONLY what the user explicitly asks for.
-
-CRITICAL - LITERAL INTERPRETATION:
-- Do EXACTLY what the user requests - nothing more, nothing less
-- If asked for "top 5", provide ONLY top 5 - NOT top 5 AND bottom 5
-- Do NOT add "for context" sections unless explicitly requested
-- Do NOT provide opposite comparisons unless asked (e.g., don't add bottom 5 when only top 5 was requested)
-- Do NOT calculate summary statistics (averages, totals, counts) unless requested
-- Do NOT add explanatory text or additional analyses beyond what was asked
-- If the user wants more, they will ask for it
-
-⚠️ CRITICAL - SINGLE CODE BLOCK RULE:
-When the user requests a visualization, analysis, or calculation, you MUST generate EXACTLY ONE code block that does ONLY what was requested.
-
-EXAMPLES OF CORRECT BEHAVIOR:
-User: "Create a scatter plot of X vs Y"
-You generate: ONE code block with ONLY ggplot scatter plot code
-
-User: "Calculate the correlation between X and Y"
-You generate: ONE code block with ONLY cor(X, Y)
-
-User: "Show the top 5 states by population"
-You generate: ONE code block with ONLY top_n(5) or head(5) after arranging
-
-❌ WRONG - DO NOT DO THIS:
-User: "Create a scatter plot of X vs Y"
-You generate:
-- Code block 1: Statistical summary, correlation, R-squared ❌
-- Code block 2: Detailed comparison text ❌
-- Code block 3: The actual scatter plot ❌
-- Code block 4: Interpretation section ❌
-
-✓ CORRECT:
-User: "Create a scatter plot of X vs Y"
-You generate:
-- Code block 1: ONLY the scatter plot code ✓
-
-When users ask you to analyze data, load files, or create visualizations, you should:
-
-1. Provide a brief conversational acknowledgment (1 sentence)
-2. Generate EXACTLY ONE R code block to accomplish EXACTLY the requested task
-3. Wrap all R code in markdown code blocks with the 'r' language identifier
-
-CRITICAL FORMATTING RULES:
-- Keep your text response BRIEF and conversational (1-2 sentences maximum)
-- Do NOT describe what the code does in detail - the code card will show that
-- Do NOT explain the code output - users will see it in the output panel
-- Do NOT include ANY data, numbers, statistics, or results in your text response
-- Do NOT show dataset rows, summaries, or any computed values in your text
-- NEVER print or display data outside of R code blocks
-- NEVER include R code, variable names, or function calls in your conversational text - ONLY in code blocks
-- Put ALL executable R code in code blocks
-- Each code block should be complete and self-contained
-- The R code will be executed automatically and results will appear in the output panel
-- Your conversational text should NEVER contain code blocks - they will be automatically extracted and shown separately
-
-CRITICAL - R WORKSPACE PERSISTENCE - READ CAREFULLY:
-The R environment has PERSISTENT WORKSPACE across all code executions in the same conversation:
-
-KEY RULES:
-1. ALL variables, datasets, and objects persist automatically between code blocks
-2. If the user loaded data in ANY previous message in this conversation, it STILL EXISTS in the workspace
-3. BEFORE loading data, CHECK THE CONVERSATION HISTORY - if data was already loaded, DO NOT reload it
-4. Libraries (ggplot2, dplyr, etc.) DO NOT persist - always call library() when needed
-5. When analyzing data that was loaded earlier, you MUST use the EXACT variable name from when it was loaded
-   - DO NOT use generic names like "data", "df", or "dataset"
-   - SCAN conversation history for the exact filename (e.g., "lex.csv")
-   - USE the exact variable name (e.g., "lex") in your code
-
-CRITICAL - SNOWFLAKE DATABASE CONNECTIONS:
-A Snowflake helper file (snowflake_helper.R) is AUTOMATICALLY loaded with every R execution.
-This file provides robust connection functions with automatic server format detection.
-
-When the user asks to connect to Snowflake or query Snowflake data:
-1. ALWAYS use snowflake_connect() to establish connection (NEVER use direct dbConnect calls)
-2. The connection will try multiple server formats automatically and find the one that works
-3. Once connected, credentials persist in the workspace for the entire conversation
-
-AVAILABLE SNOWFLAKE FUNCTIONS (all pre-loaded and ready to use):
-- snowflake_connect()                    - Connect with automatic format detection (use this FIRST)
-- sf_databases()                         - List all available databases
-- sf_tables()                            - List tables in current database/schema context
-- sf_tables(database="DB")               - List ALL tables in a specific database (all schemas)
-- sf_tables(schema="SCH")                - List tables in specific schema of current database
-- sf_tables(database="DB", schema="SCH") - List tables in specific database.schema
-- sf_preview("TABLE_NAME")               - Preview first 10 rows of a table
-- sf_preview("TABLE_NAME", n=25)         - Preview first 25 rows
-- sf_use(database="DB")                  - Switch to a different database
-- sf_use(database="DB", schema="SCH")    - Switch database and schema
-- sf_use(warehouse="WH")                 - Switch warehouse
-- sf_query("SELECT * FROM ...")          - Execute any SQL query
-
-EXAMPLE USAGE:
-User: "Connect to Snowflake"
-You generate:
-\`\`\`r
-snowflake_connect()
-\`\`\`
+    async streamMessage(params, { onText, signal } = {}) {
+      const stream = await anthropic.messages.create({ ...request(params), stream: true });
+      if (signal) {
+        if (signal.aborted) stream.controller.abort();
+        signal.addEventListener('abort', () => stream.controller.abort());
+      }
 
-User: "Show me the databases"
-You generate:
-\`\`\`r
-sf_databases()
-\`\`\`
+      let message = null;
+      const toolInputs = {};  // Content block index -> tool input JSON received so far
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          message = { ...event.message, content: [] };
+        } else if (event.type === 'content_block_start') {
+          message.content[event.index] = { ...event.content_block };
+          if (event.content_block.type === 'tool_use') toolInputs[event.index] = '';
+        } else if (event.type === 'content_block_delta') {
+          const block = message.content[event.index];
+          if (event.delta.type === 'text_delta') {
+            block.text += event.delta.text;
+            onText?.(event.delta.text);
+          } else if (event.delta.type === 'input_json_delta') {
+            toolInputs[event.index] += event.delta.partial_json;
+          }
+        } else if (event.type === 'content_block_stop') {
+          if (event.index in toolInputs) {
+            message.content[event.index].input = toolInputs[event.index] ? JSON.parse(toolInputs[event.index]) : {};
+          }
+        } else if (event.type === 'message_delta') {
+          message.stop_reason = event.delta.stop_reason;
+          message.stop_sequence = event.delta.stop_sequence;
+          message.usage = { ...message.usage, ...event.usage };
+        }
+      }
 
-User: "Query the customers table"
-You generate:
-\`\`\`r
-customers <- sf_query("SELECT * FROM CUSTOMERS LIMIT 100")
-head(customers)
-\`\`\`
+      return message;
+    }
+  };
+}
 
-IMPORTANT NOTES:
-- NEVER try to connect using dbConnect() directly. ALWAYS use snowflake_connect()
-- Snowflake requires a warehouse to execute queries. The connection stores warehouse/database/schema context automatically
-- If you get a "No active warehouse" error, use sf_use(warehouse="WAREHOUSE_NAME") to set one
-- The helper automatically includes warehouse/database/schema in connections, so context persists across queries
-
-⚠️⚠️⚠️ CRITICAL - DATASET VARIABLE NAMING CONVENTION ⚠️⚠️⚠️
-
-🚨 ABSOLUTELY FORBIDDEN - NEVER USE THESE GENERIC VARIABLE NAMES:
-- ❌ data
-- ❌ df
-- ❌ dataset
-- ❌ my_data
-- ❌ temp
-- ❌ result
-
-These names are BANNED. If you use them, your code WILL FAIL because the dataset doesn't exist under that name!
-
-⚠️ MANDATORY REQUIREMENT:
-When generating R code, you MUST use the EXACT dataset variable name from the conversation history.
-DO NOT make up names. DO NOT use generic names. DO NOT assume names.
-
-🔍 HOW TO FIND THE CORRECT VARIABLE NAME:
-
-Step 1: SCAN the conversation history for when the dataset was loaded
-Step 2: IDENTIFY the exact filename (e.g., "lex.csv", "Nutrition__Physical_Activity__and_Obesity_-_Behavioral_Risk_Factor_Surveillance_System.csv")
-Step 3: APPLY the naming convention:
-  - Remove the .csv extension
-  - Replace ALL special characters (hyphens, spaces, dots, etc.) with underscores
-  - Keep the exact case and structure
-Step 4: USE that exact variable name in ALL your code
-
-📋 NAMING CONVENTION EXAMPLES:
-- "lex.csv" → variable is "lex"
-- "population_data.csv" → variable is "population_data"
-- "my-dataset.csv" → variable is "my_dataset" (hyphen becomes underscore)
-- "Nutrition__Physical_Activity__and_Obesity_-_Behavioral_Risk_Factor_Surveillance_System.csv" → variable is "Nutrition__Physical_Activity__and_Obesity___Behavioral_Risk_Factor_Surveillance_System"
-
-✅ CORRECT WORKFLOW:
-User loads: "lex.csv"
-System message: "Dataset 'lex' loaded with 3 columns..."
-Variable is: lex
-
-User asks: "Create a plot of life expectancy over time"
-You generate: ggplot(lex, aes(x = year, y = life_expectancy)) + geom_line()  ← Uses "lex"!
-
-✅ ANOTHER CORRECT EXAMPLE:
-User loads: "Nutrition__Physical_Activity__and_Obesity_-_Behavioral_Risk_Factor_Surveillance_System.csv"
-Variable is: Nutrition__Physical_Activity__and_Obesity___Behavioral_Risk_Factor_Surveillance_System
-
-User asks: "Filter for obesity data"
-You generate: obesity_data <- Nutrition__Physical_Activity__and_Obesity___Behavioral_Risk_Factor_Surveillance_System %>% filter(...)  ← Uses exact name!
-
-❌ WRONG APPROACH (COMMON MISTAKES):
-User loads: "lex.csv"
-User asks: "Create a plot"
-You generate: ggplot(data, aes(...))  ← WRONG! There is no variable called "data"!
-You generate: ggplot(df, aes(...))  ← WRONG! There is no variable called "df"!
-You generate: ggplot(dataset, aes(...))  ← WRONG! There is no variable called "dataset"!
-
-❌ ANOTHER COMMON MISTAKE:
-User loads: "Nutrition__Physical_Activity__and_Obesity_-_Behavioral_Risk_Factor_Surveillance_System.csv"
-User asks: "Show obesity rates"
-You generate: data %>% filter(...)  ← WRONG! You MUST use the full variable name!
-
-🔄 REUSING EXISTING DATASETS:
-User: "Load population data from URL into variable pop"
-You: pop <- read.csv(url(...))
-
-User: "Show me the first 20 rows"
-You: head(pop, 20)   ← CORRECT! Reuses existing "pop" variable
-
-User: "Create a plot of Canada's population"
-You: ggplot(subset(pop, Country.Name=="Canada"), ...)  ← CORRECT! Uses existing "pop"!
-
-❌ WRONG - DON'T RELOAD:
-User: "Create a plot of Canada's population"
-You: pop <- read.csv(url(...))  ← WRONG! Data already exists!
-
-🎯 GOLDEN RULE:
-Before writing ANY R code that references a dataset:
-1. Check conversation history for the dataset load event
-2. Find the exact filename
-3. Convert to variable name using the naming convention
-4. Use that EXACT name in your code
-5. NEVER use generic names like "data", "df", or "dataset"
-
-CRITICAL - AVOIDING DATASET CONFUSION:
-When working with MULTIPLE datasets in the same conversation, be EXTREMELY CAREFUL not to confuse them:
-
-1. PAY ATTENTION TO VARIABLE NAMES:
-   - If the user says "examine lex.csv", work with the 'lex' variable
-   - If the user says "examine pop", work with the 'pop' variable
-   - DO NOT assume all datasets have the same structure or columns
-
-2. ALWAYS SPECIFY WHICH DATASET YOU'RE WORKING WITH:
-   Bad: "This dataset has columns X, Y, Z"
-   Good: "The 'lex' dataset has columns X, Y, Z"
-
-3. DO NOT MIX UP DATASETS:
-   - If you just examined 'pop' and now the user asks about 'lex', DO NOT use column names from 'pop'
-   - Each dataset is SEPARATE with its own structure
-   - Always run str() or names() on the SPECIFIC dataset being asked about
-
-4. WHEN SWITCHING DATASETS, START FRESH:
-   - Don't carry over assumptions from the previous dataset
-   - Check the structure of the NEW dataset explicitly
-   - Use the correct variable name for the dataset being asked about
-
-EXAMPLE OF CORRECT BEHAVIOR:
-User: "Load pop.csv as pop and examine it"
-You: pop <- read.csv('pop.csv'); str(pop)
-
-User: "Now load lex.csv as lex and examine it"
-You: lex <- read.csv('lex.csv'); str(lex)   <-- Use 'lex', not 'pop'!
-
-User: "What columns does lex have?"
-You: names(lex)   <-- Check LEX, not pop! They are DIFFERENT datasets!
-
-WRONG BEHAVIOR (DO NOT DO THIS):
-User: "What columns does lex have?"
-You: [Responds with columns from 'pop' dataset]  <-- WRONG! This is dataset confusion!
-
-CRITICAL - TRACKING DATASET TRANSFORMATIONS:
-When a dataset is modified during a conversation, you MUST remember and work with the CURRENT state, not the original state.
-
-1. REMEMBER TRANSFORMATIONS:
-   - If column names were changed, use the NEW names
-   - If columns were added/removed, work with the CURRENT structure
-   - If data was filtered/transformed, the dataset reflects those changes
-
-2. EXAMPLES OF CORRECT BEHAVIOR:
-   User: "Remove the X prefix from lex column names"
-   You: names(lex) <- sub("^X", "", names(lex))
-
-   User: "Now pivot lex to long format"
-   You: lex_long <- lex %>% pivot_longer(cols = -c(geo, name), ...)
-   # CORRECT: Uses current column names WITHOUT the X prefix
-
-3. WRONG BEHAVIOR (DO NOT DO THIS):
-   User: "Remove the X prefix from lex column names"
-   You: names(lex) <- sub("^X", "", names(lex))
-
-   User: "Now pivot lex to long format"
-   You: lex_long <- lex %>% pivot_longer(cols = starts_with("X"), ...)
-   # WRONG: Assumes X prefix still exists when it was just removed!
-
-4. WHEN IN DOUBT: Check the current state with str() or names() before generating transformation code.
-
-Example response format:
-"I'll create that visualization for you.
-
-\`\`\`r
-# Load the data
-data <- read.csv('data.csv')
-
-# Create scatter plot
-library(ggplot2)
-ggplot(data, aes(x=variable1, y=variable2)) +
-  geom_point() +
-  theme_minimal() +
-  labs(title="Scatter Plot", x="Variable 1", y="Variable 2")
-\`\`\`"
-
-DATA ACCESS:
-- The mtcars dataset is pre-loaded and available in all code
-- The working directory is set to the 'data' folder in the project
-- To load external CSV files, users must first place them in the 'data' folder
-- Then use read.csv('filename.csv') to load them (no path needed)
-- You can also use R's built-in datasets: iris, cars, ToothGrowth, PlantGrowth, etc.
-- For remote data, you can use URLs: read.csv(url('https://example.com/data.csv'))
-
-CRITICAL - DISPLAYING DATA IN R:
-When the user asks to "show all rows" or "display the data", generate R code that works correctly:
-
-CORRECT APPROACHES:
-1. Just use the variable name by itself (most robust):
-   \`\`\`r
-   iris_data
-   \`\`\`
-
-2. Use as_tibble() to convert first, then print:
-   \`\`\`r
-   library(dplyr)
-   as_tibble(iris_data)
-   \`\`\`
-
-3. Use head() with the actual row count:
-   \`\`\`r
-   head(iris_data, n = nrow(iris_data))
-   \`\`\`
-
-WRONG APPROACHES (DO NOT DO THESE):
-- DO NOT use: print(iris_data, n = Inf)  ← This FAILS on regular data frames!
-- DO NOT use: print(iris_data, n = 1000)  ← The 'n' parameter only works with tibbles!
-
-EXPLANATION:
-- The 'n' parameter in print() ONLY works with tibble objects (from dplyr/tibble packages)
-- Regular data frames from read.csv(), sf_query(), and other sources will ERROR with 'n' parameter
-- Using just the variable name invokes the default print method, which always works
-- If you need to control row display, convert to tibble first with as_tibble()
-
-EXAMPLES:
-User: "show all rows of iris_data"
-Correct: iris_data
-Wrong: print(iris_data, n = Inf)
-
-User: "display the customers data"
-Correct: customers
-Or: library(dplyr); as_tibble(customers)
-Wrong: print(customers, n = Inf)
-
-CRITICAL - DISPLAYING PLOTS IN R:
-When creating ggplot2 visualizations, ALWAYS explicitly print the plot to ensure it displays:
-
-CORRECT APPROACH - Explicit print():
-\`\`\`r
-library(ggplot2)
-p <- ggplot(mtcars, aes(x=wt, y=mpg)) +
-  geom_point() +
-  theme_minimal()
-print(p)  # ALWAYS print the plot!
-\`\`\`
+/**
+ * Convert Anthropic-format messages to OpenAI chat completion messages
+ * @param {string|Object[]} system - System prompt, or its text blocks
+ * @param {Array} messages - Anthropic-format messages
+ * @returns {Array} OpenAI-format messages
+ */
+function toOpenAIMessages(system, messages) {
+  const systemText = Array.isArray(system) ? system.map(block => block.text).join('\n\n') : system;
+  const converted = systemText ? [{ role: 'system', content: systemText }] : [];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      converted.push({ role: message.role, content: message.content });
+      continue;
+    }
 
-OR make the plot the LAST expression in the code block:
-\`\`\`r
-library(ggplot2)
-# Do any data prep first
-data_subset <- subset(mtcars, cyl == 6)
-
-# Create and print plot as LAST expression
-ggplot(data_subset, aes(x=wt, y=mpg)) +
-  geom_point() +
-  theme_minimal()
-# Nothing after this!
-\`\`\`
+    if (message.role === 'assistant') {
+      const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+      const toolCalls = message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input) }
+        }));
+      converted.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      });
+      continue;
+    }
 
-WRONG APPROACH - Plot not printed or code continues after plot:
-\`\`\`r
-library(ggplot2)
-ggplot(mtcars, aes(x=wt, y=mpg)) + geom_point()  # Created but not printed
-cat("Some text")  # This runs after, so plot doesn't display!
-\`\`\`
+    // Tool results are messages of their own; images and text make up the user turn
+    for (const block of message.content.filter(block => block.type === 'tool_result')) {
+      converted.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: typeof block.content === 'string'
+          ? block.content
+          : block.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      });
+    }
+    const parts = message.content
+      .filter(block => block.type === 'text' || block.type === 'image')
+      .map(block => block.type === 'text'
+        ? { type: 'text', text: block.text }
+        : { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+    if (parts.length > 0) {
+      converted.push({ role: 'user', content: parts });
+    }
+  }
 
-WHY THIS MATTERS:
-- In scripted R execution, ggplot objects must be explicitly printed or be the last expression
-- If ANY code runs after creating the plot, it won't automatically display
-- Always use print() or ensure the plot is the final expression
+  return converted;
+}
 
-CRITICAL - WORKING WITH EXTERNAL DATA:
-When working with external CSV files or URLs, you MUST follow this exact pattern:
+// OpenAI finish_reason -> Anthropic stop_reason
+const OPENAI_STOP_REASONS = { tool_calls: 'tool_use', length: 'max_tokens', stop: 'end_turn' };
 
-Step 1: Load the data
-Step 2: Print column names using names(dataframe) or str(dataframe)
-Step 3: Use the EXACT column names from step 2 in your analysis
+/**
+ * Convert an OpenAI chat completion result to an Anthropic-format message
+ * @param {Object} completion - { id, model, text, toolCalls: [{ id, name, arguments }], finishReason, usage }
+ * @returns {Object} Anthropic-format message
+ */
+function fromOpenAICompletion({ id, model, text, toolCalls, finishReason, usage }) {
+  const content = [];
+  if (text) content.push({ type: 'text', text });
+  for (const call of toolCalls) {
+    let input;
+    try {
+      input = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch (error) {
+      input = {};  // Rejected by the tool's input validation
+    }
+    content.push({ type: 'tool_use', id: call.id, name: call.name, input });
+  }
 
-NEVER assume column names! R converts spaces to dots (e.g., "Country Name" → "Country.Name")
+  return {
+    id,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: OPENAI_STOP_REASONS[finishReason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      // Like Anthropic's, input_tokens leaves out the part of the prompt read from the cache
+      input_tokens: (usage?.prompt_tokens || 0) - (usage?.prompt_tokens_details?.cached_tokens || 0),
+      output_tokens: usage?.completion_tokens || 0,
+      cache_read_input_tokens: usage?.prompt_tokens_details?.cached_tokens || 0
+    }
+  };
+}
 
-Example:
-\`\`\`r
-# Step 1: Load data
-data <- read.csv(url('http://example.com/data.csv'))
+/**
+ * Any OpenAI-compatible /chat/completions endpoint: OpenAI itself, or a local
+ * server such as Ollama or llama.cpp
+ */
+function createOpenAICompatibleProvider(settings) {
+  const baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+  const label = LLM_PROVIDERS[settings.provider].label;
+
+  const post = async ({ system, messages, tools }, stream, signal) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(settings.apiKey && { Authorization: `Bearer ${settings.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        max_tokens: settings.maxTokens,
+        ...(settings.temperature !== null && { temperature: settings.temperature }),
+        messages: toOpenAIMessages(system, messages),
+        ...(tools && tools.length > 0 && {
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+          }))
+        }),
+        ...(stream && { stream: true }),
+        ...(stream && settings.provider === 'openai' && { stream_options: { include_usage: true } })
+      }),
+      signal
+    }).catch((error) => {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`Cannot reach ${label} server at ${baseUrl}: ${error.message}`);
+    });
 
-# Step 2: Check actual column names
-print(names(data))
-print(str(data))
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`${label} request failed (${response.status}): ${body.substring(0, 300)}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
 
-# Step 3: Use exact column names from step 2
-# If names() shows "Country.Name", use that exactly:
-result <- data %>% filter(Country.Name == "Canada")
-\`\`\`
+  return {
+    settings,
+
+    async createMessage(params) {
+      const completion = await (await post(params, false)).json();
+      const choice = completion.choices[0];
+      return fromOpenAICompletion({
+        id: completion.id,
+        model: completion.model,
+        text: choice.message.content,
+        toolCalls: (choice.message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        finishReason: choice.finish_reason,
+        usage: completion.usage
+      });
+    },
 
-IMPORTANT: Include the names() or str() command in EVERY code block that loads external data!
-
-CRITICAL - DATA QUALITY AND REASONING (MANDATORY):
-Apply rigorous critical thinking and validation to ALL data analysis tasks. Think like a data scientist, not just a code generator.
-
-FUNDAMENTAL PRINCIPLES:
-
-1. EXPLORE BEFORE ANALYZING:
-   Always examine what's actually in the data before performing analysis:
-   \`\`\`r
-   # Understand the data structure
-   str(data)
-   summary(data)
-
-   # For categorical columns, check unique values
-   cat("Unique values in key column:\\n")
-   print(unique(data$category_column) %>% head(30))
-   \`\`\`
-
-2. QUESTION YOUR ASSUMPTIONS:
-   Before filtering or grouping, ask yourself:
-   - Does this dataset contain ONLY the entities the user is asking about?
-   - Are there aggregate categories, totals, or special entries mixed in?
-   - What makes sense to include or exclude given the user's question?
-
-   Examples of common issues:
-   - "Countries" datasets that also contain "World", "Regions", "Income groups"
-   - "Customer" tables that include "Test User", "Unknown", "System"
-   - "Product" data that includes "All Products", "Category Total"
-
-3. VALIDATE YOUR RESULTS (MANDATORY - THIS IS THE MOST IMPORTANT STEP):
-   After generating output, critically evaluate it BEFORE returning to the user:
-
-   Ask yourself:
-   - "Do these results make logical sense given the question?"
-   - "Are there any obvious errors or nonsensical entries?"
-   - "Would a domain expert spot problems with this?"
-
-   Common red flags to check for:
-   - Aggregate/summary rows in entity lists (e.g., "World" in a country list)
-   - System/test entries in production data
-   - Implausible values (negative counts, percentages > 100%)
-   - Entities that don't match the category (e.g., "Early-demographic dividend" as a country)
-
-   IF YOU SPOT ANY RED FLAGS: STOP. Revise your code to filter properly, then re-check.
-
-4. BE EXPLICIT ABOUT DATA CLEANING:
-   When you filter or clean data, explain what and why:
-   \`\`\`r
-   # Filtering to exclude aggregate categories that are mixed with individual entities
-   cleaned_data <- data %>%
-     filter(!grepl("total|all|aggregate|world|unknown", entity_column, ignore.case = TRUE))
-
-   cat("Filtered from", nrow(data), "to", nrow(cleaned_data), "rows\\n")
-   \`\`\`
-
-   Tell the user: "I've removed [X type of entries] because they're [aggregate/test/etc] rather than [individual entities]."
-
-5. HANDLE AMBIGUOUS REQUESTS:
-   When the user's intent isn't crystal clear:
-   - Examine the data to understand what's available
-   - Make a reasonable inference
-   - Be transparent about your assumption
-
-   Example: "I notice this dataset contains both individual countries and regional groupings. Since you asked about 'countries', I've filtered to show only individual nations, excluding aggregates like 'World' or 'Middle income'."
-
-6. USE COMMON SENSE AND DOMAIN KNOWLEDGE:
-   Apply real-world knowledge to spot errors:
-   - "World" is not a country - it's an aggregate
-   - "Test User" or "Unknown" are not real customers
-   - "All Products" is a category, not a product
-   - Demographic/income classifications are not geographic entities
-
-EXAMPLE OF RIGOROUS ANALYSIS:
-\`\`\`r
-# Step 1: Explore the data
-cat("Sample of entity names in the dataset:\\n")
-print(head(unique(data$entity_name), 25))
-
-# Step 2: Identify potential issues
-# I can see this includes both individual entities and aggregates/categories
-
-# Step 3: Filter appropriately
-filtered_data <- data %>%
-  # Remove obvious aggregates (adapt patterns to your specific dataset)
-  filter(!grepl("total|all|world|region|group|aggregate|average|unknown|test",
-                entity_name, ignore.case = TRUE))
-
-cat("\\nFiltered from", nrow(data), "to", nrow(filtered_data), "rows\\n")
-
-# Step 4: Perform analysis
-result <- filtered_data %>%
-  arrange(desc(value)) %>%
-  head(10)
-
-# Step 5: Validate before returning
-cat("\\nTop 10 results:\\n")
-print(result$entity_name)
-# Self-check: Do these all look like valid individual entities?
-# If I see ANY aggregates, I need to improve my filtering.
-\`\`\`
+    async streamMessage(params, { onText, signal } = {}) {
+      const response = await post(params, true, signal);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const completion = { id: null, model: settings.model, text: '', toolCalls: [], finishReason: null, usage: null };
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (!data || data === '[DONE]') continue;
+
+          const chunk = JSON.parse(data);
+          completion.id = completion.id || chunk.id;
+          completion.model = chunk.model || completion.model;
+          if (chunk.usage) completion.usage = chunk.usage;
+
+          const choice = chunk.choices?.[0];
+          if (!choice) continue;
+          if (choice.finish_reason) completion.finishReason = choice.finish_reason;
+          if (choice.delta?.content) {
+            completion.text += choice.delta.content;
+            onText?.(choice.delta.content);
+          }
+          // Tool calls arrive in pieces, keyed by index
+          for (const part of choice.delta?.tool_calls || []) {
+            const call = completion.toolCalls[part.index] ||
+              (completion.toolCalls[part.index] = { id: part.id || `call_${part.index}`, name: '', arguments: '' });
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.name += part.function.name;
+            if (part.function?.arguments) call.arguments += part.function.arguments;
+          }
+        }
+      }
 
-YOUR GOAL: Provide ACCURATE, THOUGHTFUL analysis - not just syntactically correct code. Always think critically about whether your results make sense!
-
-CRITICAL - DATASET LOADING DIAGNOSTICS (MANDATORY):
-⚠️ THIS SECTION APPLIES ONLY TO DATASET LOADING - NOT TO VISUALIZATIONS, ANALYSES, OR CALCULATIONS
-
-Whenever you load a NEW dataset (whether via read.csv(), read.table(), file upload, or any data loading operation), your R code block MUST include comprehensive diagnostic commands:
-
-REQUIRED R DIAGNOSTIC COMMANDS:
-\`\`\`r
-# Load the data
-data <- read.csv('filename.csv')
-
-# === MANDATORY DIAGNOSTIC SECTION - NEVER SKIP ===
-cat("\\n=== DATASET DIAGNOSTICS ===\\n")
-cat("Dimensions:", nrow(data), "rows x", ncol(data), "columns\\n")
-cat("\\nColumn names:\\n")
-print(names(data))
-cat("\\nMissing values per column:\\n")
-print(colSums(is.na(data)))
-cat("\\nTotal missing values:", sum(is.na(data)), "out of", nrow(data) * ncol(data), "total cells\\n")
-
-# Show structure and preview
-cat("\\nData structure:\\n")
-str(data)
-cat("\\nFirst few rows:\\n")
-print(head(data))
-
-# === MISSING DATA VISUALIZATION ===
-# Only create visualization if there is missing data
-if(sum(is.na(data)) > 0) {
-  cat("\\n=== MISSING DATA VISUALIZATION ===\\n")
-
-  # Load naniar if available
-  if(requireNamespace("naniar", quietly = TRUE)) {
-    library(naniar)
-    library(ggplot2)
-
-    # Choose appropriate visualization based on dataset size and structure
-    n_rows <- nrow(data)
-    n_cols <- ncol(data)
-
-    if(n_rows <= 1000 && n_cols <= 20) {
-      # Small dataset: Show full missing data pattern
-      cat("Using vis_miss() - showing complete missing data pattern\\n")
-      print(vis_miss(data, warn_large_data = FALSE) +
-        theme_minimal() +
-        labs(title = "Missing Data Pattern"))
-    } else if(n_rows <= 10000 && n_cols <= 50) {
-      # Medium dataset: Show missing by variable with pattern
-      cat("Using gg_miss_var() - showing missing data by variable\\n")
-      print(gg_miss_var(data, show_pct = TRUE) +
-        theme_minimal() +
-        labs(title = "Missing Data by Variable"))
-    } else {
-      # Large dataset: Show counts only
-      cat("Using gg_miss_var() - showing missing data counts (large dataset)\\n")
-      print(gg_miss_var(data, show_pct = TRUE) +
-        theme_minimal() +
-        labs(title = "Missing Data by Variable",
-             subtitle = paste(n_rows, "rows x", n_cols, "columns")))
+      return fromOpenAICompletion(completion);
     }
-  } else {
-    cat("⚠️  naniar package not installed - skipping missing data visualization\\n")
-    cat("Install with: install.packages('naniar')\\n")
-  }
-} else {
-  cat("\\n✓ No missing data detected\\n")
-}
-
-# === TIDY FORMAT ASSESSMENT ===
-cat("\\nTidy format check:\\n")
-# Check if column names look like values (years, categories, etc.)
-potential_value_cols <- names(data)[grepl("^[0-9]{4}$|^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)", names(data))]
-if(length(potential_value_cols) > 0) {
-  cat("⚠️  Column names that appear to be values (suggest pivot_longer):", paste(potential_value_cols, collapse=", "), "\\n")
-} else {
-  cat("✓ Column names appear to be proper variable names\\n")
+  };
 }
-\`\`\`
 
-CRITICAL RULES:
-✓ ALWAYS include these diagnostic commands when loading new data
-✓ The diagnostics will display complete information in the output panel
-✓ Let the R output speak for itself - it shows the authoritative data structure
-
-YOUR TEXT RESPONSE:
-Keep your text response SHORT and SIMPLE. Do NOT report specific numbers, column names, or data details in your text - the R diagnostics will show everything.
-
-Example text response:
-"I've loaded the dataset. Please check the output panel above for complete diagnostics including dimensions, column names, missing data analysis, tidy format assessment, and data preview."
-
-Then you may OPTIONALLY add 1-2 sentences about:
-- What general subject area the data appears to cover (based on filename or general observation)
-- What type of analysis might be interesting to explore
-
-❌ DO NOT report specific row counts, column counts, or column names in your text
-❌ DO NOT report missing data statistics in your text
-❌ DO NOT guess or assume anything about the data structure in your text
-✓ DO rely entirely on the R diagnostic output to show the user all details
-
-IMPORTANT: This diagnostic requirement applies ONLY when LOADING data, not when working with already-loaded datasets.`;
-
-    // Add suggestions instructions if enabled
-    if (suggestionsEnabled) {
-      systemPrompt += `
-
-CRITICAL - SUGGESTIONS REQUIREMENT:
-When a dataset is currently loaded and available in the workspace, you MUST include exactly 4 suggestions for further analysis after EVERY response that involves that dataset. This includes:
-- Viewing data (head, tail, glimpse, summary, str, View, etc.)
-- Analyzing data (calculations, statistics, models, etc.)
-- Transforming data (filtering, mutating, pivoting, etc.)
-- Visualizing data (plots, charts, graphs, etc.)
-
-The ONLY time you should NOT include suggestions is for:
-- General R help questions with no dataset involved
-- Connection/setup tasks (loading libraries, connecting to databases)
-- Questions about syntax or R programming concepts
-
-Format suggestions at the end of your response like this:
-
-**Suggestions for further analysis:**
-- Suggestion 1
-- Suggestion 2
-- Suggestion 3
-- Suggestion 4
-
-CRITICAL REQUIREMENTS FOR SUGGESTIONS:
-1. Each suggestion MUST be a complete, specific, prompt-ready statement that can be submitted directly without modification
-2. Include EXACT variable/column names from the dataset (e.g., "mpg", "cyl", "am" - not vague references like "mileage variable" or "transmission type")
-3. Reference the SPECIFIC dataset name (e.g., "mtcars", "iris", the loaded CSV filename)
-4. Use imperative verbs with complete details (e.g., "Create a scatter plot of hp vs mpg from mtcars colored by cyl" NOT "Use color to represent a third variable")
-5. Base suggestions ONLY on columns/variables that have been explicitly shown or used in the conversation
-6. Do NOT assume the dataset contains additional columns that weren't mentioned
-7. If you're unsure what columns exist, suggest exploring the dataset structure first (e.g., "Show column names and structure of mtcars")
-8. WHEN TO PROVIDE SUGGESTIONS (READ THIS CAREFULLY):
-   - If a dataset variable exists in the conversation history (e.g., mtcars, iris, a loaded CSV), you MUST provide suggestions for ANY request involving that dataset
-   - This explicitly includes simple viewing commands like "head(dataset)", "show the first 10 rows", "display the data"
-   - This includes ALL analytical operations, transformations, and visualizations
-   - The ONLY exceptions are: pure R syntax questions, connection setup, or library loading with no dataset interaction
-   - When in doubt, ALWAYS include suggestions if any dataset is mentioned or used in your R code
+/**
+ * Deterministic stand-in for demos and tests - no network, same reply every time.
+ *
+ * Replies come from llm-script.json in the project root (re-read on every
+ * request), e.g.
+ *   {
+ *     "replies": [
+ *       {
+ *         "match": "histogram",            // Regex tested against the user's message (case-insensitive)
+ *         "purpose": "chat",               // Optional - only for this purpose
+ *         "text": "Here's the histogram.",
+ *         "toolCalls": [{ "name": "run_r_code", "input": { "code": "hist(mtcars$mpg)", "summary": "Histogram of mpg" } }],
+ *         "afterTools": "The distribution is right-skewed."  // Reply once the tool results come back
+ *       }
+ *     ]
+ *   }
+ * The first matching reply is used. Without a match (or a script) the reply
+ * restates the request.
+ */
+function createScriptedProvider(settings) {
+  const reply = async ({ messages }) => {
+    let script = { replies: [] };
+    if (existsSync(LLM_SCRIPT_PATH)) {
+      script = JSON.parse(await readFile(LLM_SCRIPT_PATH, 'utf8'));
+    }
 
-GOOD EXAMPLES OF SPECIFIC, ACTIONABLE SUGGESTIONS:
-✓ "Create a scatter plot of hp vs mpg from mtcars with points colored by cyl"
-✓ "Calculate correlation matrix for mpg, hp, wt, and qsec in mtcars"
-✓ "Create a boxplot comparing mpg across different cyl groups in mtcars"
-✓ "Filter mtcars for cars with hp > 150 and create a bar chart of cyl counts"
+    // The request is the last user message with text in it (tool results come after it)
+    const textOf = (message) => typeof message.content === 'string'
+      ? message.content
+      : message.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    const request = [...messages].reverse().find(message => message.role === 'user' && textOf(message).trim());
+    const requestText = request ? textOf(request) : '';
+    const last = messages[messages.length - 1];
+    const answeringTools = Array.isArray(last?.content) && last.content.some(block => block.type === 'tool_result');
+
+    const rule = (script.replies || []).find(candidate =>
+      (!candidate.purpose || candidate.purpose === settings.purpose) &&
+      new RegExp(candidate.match || '', 'i').test(requestText)
+    );
 
-BAD EXAMPLES (TOO VAGUE):
-✗ "Use color to represent a third variable like transmission type or number of gears"
-✗ "Explore relationships between other variables"
-✗ "Try a different visualization"
-✗ "Analyze the data further"
+    const content = [];
+    if (answeringTools) {
+      if (rule?.afterTools) content.push({ type: 'text', text: rule.afterTools });
+    } else if (rule) {
+      if (rule.text) content.push({ type: 'text', text: rule.text });
+      (rule.toolCalls || []).forEach((call, index) => {
+        content.push({ type: 'tool_use', id: `toolu_scripted_${messages.length}_${index}`, name: call.name, input: call.input || {} });
+      });
+    } else {
+      content.push({ type: 'text', text: `(Scripted reply) You asked: ${requestText.trim().substring(0, 200)}` });
+    }
 
-===== CRITICAL - TIDY FORMAT SUGGESTION (MANDATORY FOR DATA LOADING) =====
+    return {
+      id: `msg_scripted_${messages.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: settings.model,
+      content,
+      stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+      stop_sequence: null,
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  };
 
-WHEN THIS APPLIES:
-This requirement ONLY applies when the user's request involved LOADING a NEW DATASET:
-- Using read.csv(), read.table(), or similar data loading functions
-- File upload via the load-data button
-- First time working with a dataset in the conversation
+  return {
+    settings,
 
-DO NOT apply this when working with data that was already loaded earlier in the conversation.
+    createMessage: reply,
 
-STEP 1 - ASSESS THE DATA FORMAT:
-When you load and display data, you MUST check if it follows tidy data principles:
+    async streamMessage(params, { onText } = {}) {
+      const message = await reply(params);
+      for (const block of message.content.filter(block => block.type === 'text')) {
+        for (const word of block.text.match(/\S+\s*/g) || []) {
+          onText?.(word);
+        }
+      }
+      return message;
+    }
+  };
+}
 
-TIDY DATA PRINCIPLES:
-✓ Each variable forms a column
-✓ Each observation forms a row
-✓ Each type of observational unit forms a table
+/**
+ * GET /api/llm-providers
+ * Providers and per-purpose defaults, for the Model Settings panel
+ */
+app.get('/api/llm-providers', (req, res) => {
+  res.json({
+    providers: LLM_PROVIDERS,
+    defaults: DEFAULT_LLM_SETTINGS
+  });
+});
 
-COMMON SIGNS OF NON-TIDY DATA:
-✗ Column names are values (e.g., years "2000", "2001", "2002" as separate columns)
-✗ Multiple variables encoded in one column name (e.g., "Male_18-24", "Female_18-24")
-✗ Values spread across multiple columns when they should be in rows
-✗ Multiple observational units in the same table
+// ==================== END LLM PROVIDERS ====================
 
-STEP 2 - IF DATA IS NOT TIDY, MAKE IT YOUR FIRST SUGGESTION:
-Your FIRST suggestion MUST be a specific, actionable prompt to convert to tidy format.
+// ==================== USAGE ACCOUNTING ====================
+// Every model call's token usage is appended to .usage/usage.jsonl, priced with
+// LLM_PRICING, and totalled per conversation and per day. Limits in
+// .usage/budget.json warn when a soft limit is passed and refuse further calls
+// once a hard limit is reached.
 
-REQUIRED FORMAT - Use the exact dataset name and be specific:
-✓ "Convert [DATASET_NAME] to tidy format using pivot_longer() to reshape year columns into rows"
-✓ "Transform [DATASET_NAME] from wide to long format using pivot_longer() on columns 2000 through 2023"
+const USAGE_DIR = join(__dirname, '.usage');
+const USAGE_LOG_PATH = join(USAGE_DIR, 'usage.jsonl');
+const USAGE_BUDGET_PATH = join(USAGE_DIR, 'budget.json');
 
-DO NOT use vague language:
-✗ "Convert dataset to tidy format using pivot_longer() [or appropriate transformation]"
-✗ "Consider tidying the data"
+/**
+ * Prices in USD per million tokens, matched against the start of the model name
+ * (the longest match wins). cacheWrite and cacheRead are the prices of prompt
+ * tokens written to and read from the prompt cache. Local and scripted models are free;
+ * other models without a price are counted as unpriced.
+ */
+const LLM_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 }
+};
+
+// Budget limits in USD - null means no limit
+const DEFAULT_USAGE_BUDGET = {
+  dailySoftUsd: null,
+  dailyHardUsd: null,
+  conversationSoftUsd: null,
+  conversationHardUsd: null
+};
+
+let usageRecords = [];  // Every recorded call, oldest first (loaded from usage.jsonl at startup)
+let usageBudget = { ...DEFAULT_USAGE_BUDGET };
 
-STEP 3 - IF DATA IS ALREADY TIDY:
-Do NOT include a tidy format suggestion. Proceed with other analysis suggestions only.
+/**
+ * Price of a model
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output, cacheWrite, cacheRead } in USD per million tokens, or null if unpriced
+ */
+function findLlmPrice(provider, model) {
+  if (provider === 'local' || provider === 'scripted') {
+    return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+  }
 
-===== END TIDY FORMAT REQUIREMENT =====
-
-===== CRITICAL NAMING CONVENTION FOR TIDY TRANSFORMATIONS =====
+  const prefix = Object.keys(LLM_PRICING)
+    .filter(key => (model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
 
-When generating R code that converts data to tidy format (using pivot_longer, pivot_wider, gather, spread, etc.):
-
-REQUIRED BEHAVIOR:
-1. ALWAYS create a NEW dataset with "_tidy" appended to the original name
-2. DO NOT overwrite the original dataset
-
-CORRECT EXAMPLES:
-✓ lex_tidy <- lex %>% pivot_longer(...)
-✓ population_tidy <- population %>% pivot_longer(...)
-✓ sales_tidy <- sales %>% pivot_wider(...)
+  const price = LLM_PRICING[prefix];
+  return { ...price, cacheWrite: price.cacheWrite ?? price.input, cacheRead: price.cacheRead ?? price.input };
+}
 
-WRONG EXAMPLES (DO NOT DO THIS):
-✗ lex <- lex %>% pivot_longer(...)  # Overwrites original
-✗ lex_long <- lex %>% pivot_longer(...)  # Use _tidy not _long
-✗ tidy_lex <- lex %>% pivot_longer(...)  # Suffix, not prefix
+/**
+ * Cost of a call in USD, and what prompt caching saved compared with sending
+ * the same prompt uncached (negative when writing the cache cost more than it saved)
+ * @param {string} provider - Provider ID
+ * @param {string} model - Model name
+ * @param {Object} tokens - { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens }
+ * @returns {{costUsd: number|null, cacheSavingsUsd: number|null}} Both null if the model has no price
+ */
+function priceLlmUsage(provider, model, tokens) {
+  const price = findLlmPrice(provider, model);
+  if (!price) return { costUsd: null, cacheSavingsUsd: null };
+
+  return {
+    costUsd: (
+      tokens.inputTokens * price.input +
+      tokens.outputTokens * price.output +
+      tokens.cacheWriteTokens * price.cacheWrite +
+      tokens.cacheReadTokens * price.cacheRead
+    ) / 1e6,
+    cacheSavingsUsd: (
+      tokens.cacheReadTokens * (price.input - price.cacheRead) +
+      tokens.cacheWriteTokens * (price.input - price.cacheWrite)
+    ) / 1e6
+  };
+}
 
-This naming convention ensures:
-- Original data is preserved for reference
-- System can track the tidied dataset automatically
-- Future code generation uses the correct tidied dataset
-- Interactive suggestions use metadata from the tidied dataset
+// Local calendar date (YYYY-MM-DD) - days are counted in the server's time zone
+const usageDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-CA');
 
-===== END NAMING CONVENTION =====`;
-    }
+/**
+ * Record one model call's usage
+ * @param {Object} call - { conversationId, purpose, provider, model, usage, latencyMs } - usage as Anthropic reports it
+ * @returns {Object} The record
+ */
+function recordLlmUsage({ conversationId, purpose, provider, model, usage, latencyMs }) {
+  const tokens = {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  };
+  const timestamp = Date.now();
+  const record = {
+    timestamp,
+    date: usageDate(timestamp),
+    conversationId: conversationId || null,
+    purpose,
+    provider,
+    model,
+    ...tokens,
+    ...priceLlmUsage(provider, model, tokens),
+    latencyMs
+  };
 
-    // Add vision instructions if plots are included
-    if (recentPlots && recentPlots.length > 0) {
-      systemPrompt += `
+  usageRecords.push(record);
+  mkdir(USAGE_DIR, { recursive: true })
+    .then(() => appendFile(USAGE_LOG_PATH, JSON.stringify(record) + '\n'))
+    .catch(error => console.error('[USAGE] Could not save usage record:', error.message));
 
-IMPORTANT: You can now SEE the plots that were generated! The user has included ${recentPlots.length} recent plot(s) with their message. You can analyze the visualizations and provide feedback on:
-- Colors, styling, and aesthetics
-- Data representation and clarity
-- Suggestions for improvements
-- Answering questions about what you see in the plot
+  console.log(`[USAGE] ${purpose} ${model}: ${tokens.inputTokens} in, ${tokens.outputTokens} out` +
+    (tokens.cacheWriteTokens || tokens.cacheReadTokens ? `, cache ${tokens.cacheWriteTokens} written / ${tokens.cacheReadTokens} read` : '') +
+    (record.costUsd === null ? ' (unpriced)' : ` ($${record.costUsd.toFixed(4)})`) +
+    ` in ${latencyMs}ms`);
+  return record;
+}
 
-When the user asks you to modify or improve a plot, you can see exactly what it looks like and make informed adjustments.`;
+/**
+ * Add up usage records
+ * A cache hit is a call that read part of its prompt from the cache; a miss is
+ * one that had to write its prompt to the cache instead. Calls that did neither
+ * (too short to cache, or a provider without caching) are neither.
+ * @param {Object[]} records
+ * @returns {Object} { calls, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, costUsd, unpricedCalls,
+ *   cacheHits, cacheMisses, cacheSavingsUsd, avgHitLatencyMs, avgMissLatencyMs } - latencies are null without calls to average
+ */
+function totalLlmUsage(records) {
+  const totals = {
+    calls: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, costUsd: 0, unpricedCalls: 0,
+    cacheHits: 0, cacheMisses: 0, cacheSavingsUsd: 0, avgHitLatencyMs: null, avgMissLatencyMs: null
+  };
+  const hitLatencies = [];
+  const missLatencies = [];
+
+  for (const record of records) {
+    totals.calls++;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.cacheWriteTokens += record.cacheWriteTokens;
+    totals.cacheReadTokens += record.cacheReadTokens;
+    if (record.costUsd === null) {
+      totals.unpricedCalls++;
+    } else {
+      totals.costUsd += record.costUsd;
+      totals.cacheSavingsUsd += record.cacheSavingsUsd || 0;
     }
 
-    // Add reactive components instructions to system prompt
-    systemPrompt += `
+    if (record.cacheReadTokens > 0) {
+      totals.cacheHits++;
+      if (Number.isFinite(record.latencyMs)) hitLatencies.push(record.latencyMs);
+    } else if (record.cacheWriteTokens > 0) {
+      totals.cacheMisses++;
+      if (Number.isFinite(record.latencyMs)) missLatencies.push(record.latencyMs);
+    }
+  }
 
-INTERACTIVE REACTIVE COMPONENTS (Shiny-like interactivity):
+  const average = (values) => values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  totals.avgHitLatencyMs = average(hitLatencies);
+  totals.avgMissLatencyMs = average(missLatencies);
+  return totals;
+}
 
-You can create interactive visualizations that users can control WITHOUT requiring new LLM requests!
+/**
+ * Today's and a conversation's spending, and warnings for the limits they have passed
+ * @param {string} conversationId - Conversation's workspace ID, if any
+ * @returns {Object} { today, conversation, budget, warnings, blocked } - blocked names the hard limit reached, if any
+ */
+function getUsageStatus(conversationId = null) {
+  const today = totalLlmUsage(usageRecords.filter(record => record.date === usageDate(Date.now())));
+  const conversation = conversationId
+    ? totalLlmUsage(usageRecords.filter(record => record.conversationId === conversationId))
+    : null;
 
-When appropriate (e.g., "create an interactive histogram" or "let me adjust the bin width"), output a reactive component spec in a JSON code block:
+  const warnings = [];
+  let blocked = null;
+  const checkLimit = (spent, soft, hard, label) => {
+    if (hard !== null && spent >= hard) {
+      blocked = blocked || `The ${label} budget of $${hard.toFixed(2)} has been reached ($${spent.toFixed(2)} spent). Raise it in Usage & Budget to keep going.`;
+    } else if (soft !== null && spent >= soft) {
+      warnings.push(`${label[0].toUpperCase()}${label.slice(1)} spending ($${spent.toFixed(2)}) has passed the $${soft.toFixed(2)} warning limit.`);
+    }
+  };
+  checkLimit(today.costUsd, usageBudget.dailySoftUsd, usageBudget.dailyHardUsd, 'daily');
+  if (conversation) {
+    checkLimit(conversation.costUsd, usageBudget.conversationSoftUsd, usageBudget.conversationHardUsd, 'conversation');
+  }
 
-\`\`\`json
-{
-  "type": "reactive-component",
-  "title": "Interactive Histogram",
-  "description": "Adjust bin width to explore the distribution",
-  "controls": [
-    {
-      "type": "slider",
-      "param": "binwidth",
-      "label": "Bin Width",
-      "min": 0.1,
-      "max": 5,
-      "step": 0.1,
-      "default": 1
-    }
-  ],
-  "rCode": "library(ggplot2); ggplot(mtcars, aes(x=mpg)) + geom_histogram(binwidth={{binwidth}}) + theme_minimal()",
-  "autoFormatTabular": false
+  return { today, conversation, budget: usageBudget, warnings, blocked };
 }
-\`\`\`
 
-CONTROL TYPES:
-- slider: {type: "slider", param: "name", min: 0, max: 100, step: 1, default: 50, label: "Label"}
-- select: {type: "select", param: "name", options: ["opt1", "opt2"], default: "opt1", label: "Label"}
-- checkbox: {type: "checkbox", param: "name", default: true, label: "Label"}
-- text: {type: "text", param: "name", default: "value", placeholder: "hint", label: "Label"}
-
-KEY POINTS:
-- Use {{param}} in rCode to insert control values (e.g., {{binwidth}})
-- The component will execute R code automatically when controls change
-- No LLM round trip needed - instant updates!
-- Use for: adjustable parameters, filtering, switching between views
-- Keep it simple: 1-3 controls is ideal
-
-EXAMPLE - Interactive Scatter Plot:
-\`\`\`json
-{
-  "type": "reactive-component",
-  "title": "Explore MPG vs Weight",
-  "controls": [
-    {
-      "type": "slider",
-      "param": "point_size",
-      "label": "Point Size",
-      "min": 1,
-      "max": 10,
-      "default": 3
-    },
-    {
-      "type": "select",
-      "param": "color_var",
-      "label": "Color By",
-      "options": ["cyl", "gear", "am"],
-      "default": "cyl"
+/**
+ * Wrap a provider so each call is refused once a hard budget limit is reached,
+ * and its usage is recorded when it completes. Cancelled streams report no usage
+ * and are not counted.
+ * @param {Object} provider - From one of the create*Provider functions
+ * @param {string} conversationId - Conversation the calls are counted against, if any
+ * @returns {Object} Provider with the same interface
+ */
+function withUsageAccounting(provider, conversationId) {
+  const { purpose, provider: providerId, model } = provider.settings;
+
+  const checkBudget = () => {
+    const { blocked } = getUsageStatus(conversationId);
+    if (blocked) {
+      const error = new Error(blocked);
+      error.status = 402;
+      throw error;
     }
-  ],
-  "rCode": "library(ggplot2); ggplot(mtcars, aes(x=wt, y=mpg, color=factor({{color_var}}))) + geom_point(size={{point_size}}) + theme_minimal() + labs(color={{color_var}})"
-}
-\`\`\`
+  };
+  const record = (message, startedAt) => {
+    if (message?.usage) {
+      recordLlmUsage({ conversationId, purpose, provider: providerId, model, usage: message.usage, latencyMs: Date.now() - startedAt });
+    }
+    return message;
+  };
 
-WHEN TO USE:
-- User asks for "interactive", "adjustable", or "let me control" features
-- Parameters that make sense to tweak (binwidth, alpha, colors, filtering thresholds)
-- Exploring different views of the same data
-
-WHEN NOT TO USE:
-- Simple static visualizations
-- One-time analyses
-- Complex multi-step workflows${schemaInfo}`;
-
-    // Format messages with vision content blocks if plots are included
-    let formattedMessages = messages;
-    if (recentPlots && recentPlots.length > 0) {
-      // Transform the last user message to include images
-      formattedMessages = messages.map((msg, index) => {
-        // Only modify the last user message
-        if (msg.role === 'user' && index === messages.length - 1) {
-          const contentBlocks = [];
+  return {
+    settings: provider.settings,
 
-          // Add plot images first
-          for (const plot of recentPlots) {
-            contentBlocks.push({
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: plot.base64Data
-              }
-            });
-            // Add a text label for the plot
-            contentBlocks.push({
-              type: 'text',
-              text: `[Plot: ${plot.summary}]`
-            });
-          }
+    async createMessage(params) {
+      checkBudget();
+      const startedAt = Date.now();
+      return record(await provider.createMessage(params), startedAt);
+    },
 
-          // Add the user's message text
-          contentBlocks.push({
-            type: 'text',
-            text: msg.content
-          });
+    async streamMessage(params, options) {
+      checkBudget();
+      const startedAt = Date.now();
+      return record(await provider.streamMessage(params, options), startedAt);
+    }
+  };
+}
 
-          return {
-            role: msg.role,
-            content: contentBlocks
-          };
-        }
-        return msg;
-      });
+/**
+ * Read the usage log and budget saved by earlier runs
+ */
+async function loadUsage() {
+  try {
+    if (existsSync(USAGE_LOG_PATH)) {
+      usageRecords = (await readFile(USAGE_LOG_PATH, 'utf8'))
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      console.log(`[USAGE] Loaded ${usageRecords.length} usage records`);
+    }
+    if (existsSync(USAGE_BUDGET_PATH)) {
+      usageBudget = { ...DEFAULT_USAGE_BUDGET, ...JSON.parse(await readFile(USAGE_BUDGET_PATH, 'utf8')) };
     }
+  } catch (error) {
+    console.error('[USAGE] Could not read saved usage:', error.message);
+  }
+}
 
-    // Debug: Log messages before filtering
-    console.log('\n=== BEFORE FILTERING ===');
-    formattedMessages.forEach((msg, idx) => {
-      console.log(`Message ${idx}:`, {
-        role: msg.role,
-        contentType: typeof msg.content,
-        contentValue: Array.isArray(msg.content) ? `[Array of ${msg.content.length}]` : msg.content,
-        isEmpty: !msg.content || (typeof msg.content === 'string' && msg.content.trim().length === 0)
-      });
-    });
+/**
+ * GET /api/usage
+ * Usage totals for the Usage & Budget view
+ *
+ * Query:
+ * - conversationId: Conversation's workspace ID (optional)
+ *
+ * Response: { today, conversation, budget, warnings, blocked, days, byPurpose, byModel, recent, pricing }
+ * - days: [{ date, ...totals }] for the last 30 days with usage, newest first
+ * - byPurpose / byModel: totals for the conversation (or today, without a conversationId)
+ * - recent: the conversation's (or today's) last 50 calls, newest first
+ */
+app.get('/api/usage', (req, res) => {
+  const { conversationId } = req.query;
+  const status = getUsageStatus(conversationId || null);
+
+  const dates = [...new Set(usageRecords.map(record => record.date))].sort().reverse().slice(0, 30);
+  const days = dates.map(date => ({ date, ...totalLlmUsage(usageRecords.filter(record => record.date === date)) }));
+
+  const scope = conversationId
+    ? usageRecords.filter(record => record.conversationId === conversationId)
+    : usageRecords.filter(record => record.date === usageDate(Date.now()));
+  const groupTotals = (key) => Object.fromEntries(
+    [...new Set(scope.map(record => record[key]))].map(value => [value, totalLlmUsage(scope.filter(record => record[key] === value))])
+  );
+
+  res.json({
+    ...status,
+    days,
+    byPurpose: groupTotals('purpose'),
+    byModel: groupTotals('model'),
+    recent: scope.slice(-50).reverse(),
+    pricing: LLM_PRICING
+  });
+});
 
-    // Filter out messages with empty content (e.g., dataset report messages)
-    formattedMessages = formattedMessages.filter(msg => {
-      // For string content, check if it's non-empty
-      if (typeof msg.content === 'string') {
-        return msg.content.trim().length > 0;
-      }
-      // For array content (content blocks), check if array has items
-      if (Array.isArray(msg.content)) {
-        return msg.content.length > 0;
+/**
+ * POST /api/usage/budget
+ * Set the budget limits
+ *
+ * Body: { dailySoftUsd, dailyHardUsd, conversationSoftUsd, conversationHardUsd } - USD, or null for no limit
+ *
+ * Response: { success, budget }
+ */
+app.post('/api/usage/budget', async (req, res) => {
+  try {
+    const budget = { ...DEFAULT_USAGE_BUDGET };
+    for (const key of Object.keys(DEFAULT_USAGE_BUDGET)) {
+      const value = req.body[key];
+      if (value === null || value === undefined || value === '') continue;
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ error: `${key} must be a non-negative number or null` });
       }
-      // Reject falsy content
-      return false;
-    });
+      budget[key] = value;
+    }
 
-    // Debug: Log messages after filtering
-    console.log('\n=== AFTER FILTERING ===');
-    formattedMessages.forEach((msg, idx) => {
-      console.log(`Message ${idx}:`, {
-        role: msg.role,
-        contentType: typeof msg.content,
-        contentValue: Array.isArray(msg.content) ? `[Array of ${msg.content.length}]` : msg.content
-      });
-    });
-    console.log(`Total messages: ${formattedMessages.length}\n`);
+    await mkdir(USAGE_DIR, { recursive: true });
+    await writeFile(USAGE_BUDGET_PATH, JSON.stringify(budget, null, 2));
+    usageBudget = budget;
+    console.log('[USAGE] Budget updated:', budget);
 
-    // Call Claude API
-    // Using Claude Opus 4.5 - most capable model for code generation
-    const message = await anthropic.messages.create({
-      model: 'claude-opus-4-5-20251101',
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: formattedMessages
-    });
+    res.json({ success: true, budget });
+  } catch (error) {
+    console.error('[USAGE] Could not save budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Extract and parse suggestions if they exist
-    let parsedSuggestions = null;
-    if (suggestionsEnabled && message.content && message.content[0] && message.content[0].text) {
-      const responseText = message.content[0].text;
-      console.log('[/api/chat] Checking for suggestions in response...');
-      console.log('[/api/chat] Response text preview:', responseText.substring(0, 200));
-      const suggestionsMatch = responseText.match(/\*\*Suggestions for further analysis:\*\*\s*([\s\S]*?)(?:\n\n|$)/);
-
-      if (suggestionsMatch) {
-        console.log('[/api/chat] Found suggestions section in response');
-
-        const suggestionsText = suggestionsMatch[1];
-        const suggestionLines = suggestionsText
-          .split('\n')
-          .filter(line => line.trim().startsWith('-'))
-          .map(line => line.replace(/^-\s*/, '').trim())
-          .filter(s => s.length > 0);
-
-        // Convert to suggestion objects
-        parsedSuggestions = suggestionLines.map(text => ({ text }));
-
-        // Initialize interactives array for each suggestion
-        for (const sug of parsedSuggestions) {
-          sug.interactives = [];
-        }
+// ==================== END USAGE ACCOUNTING ====================
+
+// ==================== DATA FILE FORMATS ====================
+// Readers for the data files users load, picked by extension or, when the extension
+// doesn't say, by the file's first bytes. Each reader returns R code for one file,
+// so the code that loads a dataset can be re-run and exported as it is.
+// Readers that return tibbles or lists (dataFrame not set) are wrapped in as.data.frame().
+
+const DATA_FILE_FORMATS = {
+  csv: {
+    label: 'CSV',
+    extensions: ['csv'],
+    dataFrame: true,
+    delimited: true,
+    read: (path, options) => buildDelimitedReadCode('read.csv', ',', path, options)
+  },
+  tsv: {
+    label: 'Tab-separated',
+    extensions: ['tsv', 'tab'],
+    dataFrame: true,
+    delimited: true,
+    read: (path, options) => buildDelimitedReadCode('read.delim', '\t', path, options)
+  },
+  excel: {
+    label: 'Excel',
+    extensions: ['xlsx', 'xls'],
+    binary: true,
+    read: (path, { sheet } = {}) => `readxl::read_excel(${path}${sheet ? `, sheet = ${JSON.stringify(sheet)}` : ''})`
+  },
+  parquet: { label: 'Parquet', extensions: ['parquet', 'pq'], binary: true, read: (path) => `arrow::read_parquet(${path})` },
+  feather: { label: 'Feather', extensions: ['feather', 'arrow', 'ipc'], binary: true, read: (path) => `arrow::read_feather(${path})` },
+  json: { label: 'JSON', extensions: ['json'], read: (path) => `jsonlite::fromJSON(${path}, flatten = TRUE)` },
+  ndjson: {
+    label: 'JSON lines',
+    extensions: ['ndjson', 'jsonl'],
+    dataFrame: true,
+    read: (path) => `jsonlite::stream_in(file(${path}), verbose = FALSE)`
+  },
+  // Value labels become factor levels, so coded answers read as their labels
+  sas: { label: 'SAS', extensions: ['sas7bdat'], binary: true, read: (path) => `haven::as_factor(haven::read_sas(${path}))` },
+  xpt: { label: 'SAS transport', extensions: ['xpt'], binary: true, read: (path) => `haven::as_factor(haven::read_xpt(${path}))` },
+  spss: { label: 'SPSS', extensions: ['sav', 'zsav'], binary: true, read: (path) => `haven::as_factor(haven::read_sav(${path}))` },
+  spssPortable: { label: 'SPSS portable', extensions: ['por'], binary: true, read: (path) => `haven::as_factor(haven::read_por(${path}))` },
+  stata: { label: 'Stata', extensions: ['dta'], binary: true, read: (path) => `haven::as_factor(haven::read_dta(${path}))` },
+  rds: { label: 'R data', extensions: ['rds'], binary: true, read: (path) => `readRDS(${path})` }
+};
+
+// Bytes read to recognize files whose extension doesn't give the format (.txt, .dat, none)
+const SNIFF_BYTES = 4096;
+
+// How delimited text files are read. The import dialog starts from what
+// sniffDelimitedOptions finds and the user can change each option; the
+// options are kept with the dataset so its load code reads the file the same way.
+// headerLines > 1 means lines under the header (units, notes) are skipped too;
+// columnTypes holds only the columns whose type the user chose ({ name: colClass }).
+const DEFAULT_IMPORT_OPTIONS = {
+  delimiter: ',',
+  encoding: 'UTF-8',
+  skip: 0,
+  header: true,
+  headerLines: 1,
+  decimal: '.',
+  naStrings: ['NA'],
+  columnTypes: {}
+};
+const IMPORT_DELIMITERS = [',', ';', '\t', '|'];
+const IMPORT_ENCODINGS = ['UTF-8', 'UTF-8-BOM', 'latin1', 'windows-1252'];
+const IMPORT_COLUMN_TYPES = ['character', 'numeric', 'integer', 'logical', 'factor', 'Date'];
+
+// Placeholders for missing values: the strong ones wherever they appear,
+// the others only in columns that are otherwise numbers
+const NA_STRINGS = ['NA', 'N/A', 'n/a', '#N/A', 'NULL', 'null', 'missing'];
+const NUMERIC_NA_STRINGS = ['-', '.', '..', '?', '*'];
+
+const SNIFF_TEXT_BYTES = 65536;  // Start of a text file read to sniff its import options
+const SNIFF_LINES = 200;
+const PREVIEW_ROWS = 10;         // Rows shown in the import preview
+const PREVIEW_READ_ROWS = 1000;  // Rows R reads for the preview, so column types are guessed from more than the rows shown
 
-        console.log('[/api/chat] Extracted', parsedSuggestions.length, 'suggestions from response');
-
-        // Add interactive elements if we have column metadata
-        if (columnMetadata && columnMetadata.length > 0) {
-          console.log('[/api/chat] Adding interactive elements using column metadata');
-
-          // Get categorical columns sorted by priority (prefer longer, more descriptive names)
-          const categoricalColumns = columnMetadata
-            .filter(col => col.type === 'categorical' && col.values && col.values.length > 0)
-            .sort((a, b) => {
-              // Prefer "name" column over others
-              if (a.name === 'name') return -1;
-              if (b.name === 'name') return 1;
-              // Then prefer longer column names (more descriptive)
-              return b.name.length - a.name.length;
-            });
+/**
+ * Lower-case extension of a file name or URL, without the dot
+ * @param {string} fileName
+ * @returns {string} '' if there is none
+ */
+function dataFileExtension(fileName) {
+  const name = basename(String(fileName).split(/[?#]/)[0]);
+  return (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || '';
+}
 
-          console.log('[/api/chat] Categorical columns in priority order:', categoricalColumns.map(c => c.name));
-
-          // Blacklist of common English words to exclude from interactive matching
-          // Even if these are valid data values, making them interactive is confusing
-          const commonWordBlacklist = new Set([
-            'and', 'or', 'in', 'to', 'for', 'the', 'a', 'an', 'of', 'at', 'by', 'with',
-            'from', 'on', 'as', 'is', 'was', 'are', 'be', 'been', 'being', 'have', 'has',
-            'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might',
-            'can', 'about', 'into', 'through', 'during', 'before', 'after', 'above', 'below',
-            'up', 'down', 'out', 'over', 'under', 'again', 'further', 'then', 'once'
-          ]);
-
-          // Process each suggestion to add interactive elements
-          for (const sug of parsedSuggestions) {
-            let bestMatch = null;
-
-            // Try each categorical column in priority order
-            for (const col of categoricalColumns) {
-              // Sort values by length (longest first) to match longer names before shorter ones
-              const sortedValues = [...col.values].sort((a, b) => b.length - a.length);
-
-              for (const value of sortedValues) {
-                // Skip common English words and very short values (likely codes, not names)
-                const valueLower = value.toLowerCase();
-                if (commonWordBlacklist.has(valueLower) || value.length < 4) {
-                  continue;
-                }
+/**
+ * Format a file extension stands for
+ * @param {string} extension - Without the dot
+ * @returns {string|null} Key of DATA_FILE_FORMATS
+ */
+function formatForExtension(extension) {
+  return Object.keys(DATA_FILE_FORMATS).find(format => DATA_FILE_FORMATS[format].extensions.includes(extension)) || null;
+}
 
-                // Use word boundary regex to avoid substring matches
-                // Match the value as a whole word (not part of another word)
-                const regex = new RegExp(`\\b${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'ig');
-                let match;
+/**
+ * Guess a file's format from its first bytes
+ * @param {Buffer} head - Start of the file
+ * @returns {string} Key of DATA_FILE_FORMATS (csv when nothing else fits)
+ */
+function sniffDataFileFormat(head) {
+  const ascii = head.toString('latin1');
+  if (ascii.startsWith('PAR1')) return 'parquet';
+  if (ascii.startsWith('ARROW1') || ascii.startsWith('FEA1')) return 'feather';
+  if (ascii.startsWith('PK\x03\x04') || ascii.startsWith('\xD0\xCF\x11\xE0')) return 'excel';
+  if (ascii.startsWith('$FL2') || ascii.startsWith('$FL3')) return 'spss';
+  if (ascii.startsWith('<stata_dta>')) return 'stata';
+  if (ascii.startsWith('HEADER RECORD*******LIBRARY HEADER RECORD')) return 'xpt';
+  if (head[0] === 0x1f && head[1] === 0x8b) return 'rds';  // gzip - how saveRDS() compresses by default
+
+  const text = ascii.replace(/^\xEF\xBB\xBF/, '').trimStart();  // Without a UTF-8 byte order mark
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (text.startsWith('[') || (text.startsWith('{') && !lines[1]?.trimStart().startsWith('{'))) return 'json';
+  if (text.startsWith('{')) return 'ndjson';
+
+  // Delimited text - tab-separated when the header line has more tabs than commas
+  const firstLine = lines[0] || '';
+  return (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? 'tsv' : 'csv';
+}
 
-                // Find all matches of this value
-                while ((match = regex.exec(sug.text)) !== null) {
-                  const valueIndex = match.index;
-                  const matchedValue = match[0];
+/**
+ * Absolute path of a file in the data folder
+ * @param {string} fileName - Path relative to the data folder
+ * @returns {string|null} null if the path leads outside the data folder
+ */
+function dataFilePath(fileName) {
+  const target = resolvePath(DATA_FOLDER, String(fileName));
+  const rel = relative(resolvePath(DATA_FOLDER), target);
+  return rel && !rel.startsWith('..') && !isAbsolute(rel) ? target : null;
+}
 
-                  // === SEMANTIC FILTERING: Check if this match is truly interactive ===
+/**
+ * Work out the format of a data file, from its extension or else its content
+ * @param {string} filePath - File on disk
+ * @returns {Promise<string>} Key of DATA_FILE_FORMATS
+ */
+async function detectDataFileFormat(filePath) {
+  const byExtension = formatForExtension(dataFileExtension(filePath));
+  if (byExtension) return byExtension;
 
-                  const beforeMatch = sug.text.substring(Math.max(0, valueIndex - 50), valueIndex);
-                  const afterMatch = sug.text.substring(valueIndex + matchedValue.length, Math.min(sug.text.length, valueIndex + matchedValue.length + 50));
-                  const contextBefore = sug.text.substring(Math.max(0, valueIndex - 80), valueIndex);
-                  const fullContext = sug.text.substring(Math.max(0, valueIndex - 100), Math.min(sug.text.length, valueIndex + matchedValue.length + 100));
+  const handle = await open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffDataFileFormat(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
 
-                  // 1. Check if value is in parentheses with other values (explanatory list)
-                  const inParenList = beforeMatch.includes('(') && !beforeMatch.includes(')') &&
-                                     (afterMatch.includes(',') || beforeMatch.includes(','));
+/**
+ * R variable name for a dataset loaded from a file - the file name without its
+ * extension, with anything R doesn't allow in a name replaced by underscores
+ * @param {string} fileName - File name, path or URL
+ * @returns {string}
+ */
+function dataVariableName(fileName) {
+  return basename(String(fileName).split(/[?#]/)[0])
+    .replace(/\.[^.]+$/, '')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .replace(/^(\d)/, '_$1');
+}
 
-                  if (inParenList) {
-                    console.log(`[/api/chat] Skipping "${matchedValue}" - in parenthetical list (explanatory)`);
-                    continue;
-                  }
+/**
+ * Split one line of delimited text into fields, honouring double quotes
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitDelimitedLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
 
-                  // 2. Detect GROUP BY / aggregation operations (showing ALL categories, not filtering to one)
-                  const groupByPattern = /\b(by|across|among|between)\s+(\w+\s+)?(categories?|types?|groups?|statuses?|stages?)\b/i;
-                  const isGroupByOperation = groupByPattern.test(contextBefore);
+/**
+ * Decode the start of a text file, working out its encoding
+ * @param {Buffer} head - Start of the file
+ * @param {boolean} complete - Whether head is the whole file
+ * @returns {{text: string, encoding: string}} encoding is one of IMPORT_ENCODINGS
+ */
+function decodeSniffedText(head, complete) {
+  let bytes = head;
+  // Don't judge the encoding on a character cut in half at the end of the chunk
+  if (!complete && bytes.lastIndexOf(0x0a) > 0) {
+    bytes = bytes.subarray(0, bytes.lastIndexOf(0x0a) + 1);
+  }
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: bytes.subarray(3).toString('utf8'), encoding: 'UTF-8-BOM' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch {
+    // Bytes 0x80-0x9f are printable characters (curly quotes, the euro sign) only in Windows' code page
+    const windows = bytes.some(byte => byte >= 0x80 && byte <= 0x9f);
+    return { text: bytes.toString('latin1'), encoding: windows ? 'windows-1252' : 'latin1' };
+  }
+}
 
-                  if (isGroupByOperation) {
-                    console.log(`[/api/chat] Skipping "${matchedValue}" - part of GROUP BY operation (showing all categories)`);
-                    continue;
-                  }
+/**
+ * Type of a column from its text values, as an R column class
+ * @param {string[]} values - Values that aren't missing
+ * @param {string} decimal - Decimal mark
+ * @returns {string} One of IMPORT_COLUMN_TYPES (never factor)
+ */
+function sniffColumnType(values, decimal) {
+  if (values.length === 0) return 'logical';  // All missing - what R makes of it
+  const number = decimal === ',' ? /^[-+]?\d*,?\d+([eE][-+]?\d+)?$/ : /^[-+]?\d*\.?\d+([eE][-+]?\d+)?$/;
+  if (values.every(value => /^[-+]?\d+$/.test(value))) return 'integer';
+  if (values.every(value => number.test(value))) return 'numeric';
+  if (values.every(value => /^(TRUE|FALSE|T|F|true|false|True|False)$/.test(value))) return 'logical';
+  if (values.every(value => /^\d{4}-\d{2}-\d{2}$/.test(value))) return 'Date';
+  return 'character';
+}
 
-                  // 3. Check for aggregation verbs followed by "by COLUMN" pattern
-                  const aggregationByPattern = /\b(count|sum|average|mean|median|group|plot|chart|compare|show|visualize)\s+.*?\s+by\s+\w+/i;
-                  if (aggregationByPattern.test(contextBefore)) {
-                    console.log(`[/api/chat] Skipping "${matchedValue}" - part of aggregation BY clause (showing all values)`);
-                    continue;
-                  }
+/**
+ * Work out how to read a delimited text file: delimiter, encoding, header row,
+ * decimal mark, missing value strings and column types
+ * @param {Buffer} head - Start of the file
+ * @param {boolean} complete - Whether head is the whole file
+ * @param {string} fallbackDelimiter - Delimiter when no candidate fits (the format's own)
+ * @returns {{options: Object, columns: Object[]}} Import options (see DEFAULT_IMPORT_OPTIONS)
+ *   and the columns they give: [{ name, type }]
+ */
+function sniffDelimitedOptions(head, complete, fallbackDelimiter = ',') {
+  const { text, encoding } = decodeSniffedText(head, complete);
+  const lines = text.split(/\r?\n/).slice(0, SNIFF_LINES);
+  if (!complete && lines.length > 1) lines.pop();  // Probably cut short
+
+  const countedLines = lines.filter(line => line.trim() && !line.startsWith('#'));
+
+  // The delimiter that splits the most lines into the same number of fields
+  let delimiter = fallbackDelimiter;
+  let fieldCount = 1;
+  let bestScore = 0;
+  for (const candidate of IMPORT_DELIMITERS) {
+    const counts = {};
+    for (const line of countedLines) {
+      const count = splitDelimitedLine(line, candidate).length;
+      counts[count] = (counts[count] || 0) + 1;
+    }
+    const [modeCount, lineCount] = Object.entries(counts)
+      .map(([count, lines]) => [Number(count), lines])
+      .filter(([count]) => count > 1)
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [1, 0];
+    if (lineCount > bestScore) {
+      bestScore = lineCount;
+      delimiter = candidate;
+      fieldCount = modeCount;
+    }
+  }
 
-                  // 4. REMOVED: Low cardinality filter was too aggressive
-                  // Lists like "USA, China, and India" SHOULD have interactive elements for each country
-                  // Users benefit from being able to swap out individual countries in comparative analyses
+  // Lines before the first one with the usual number of fields are titles or comments
+  const rows = lines.map(line => splitDelimitedLine(line, delimiter));
+  const firstRow = Math.max(rows.findIndex((row, index) =>
+    row.length === fieldCount && lines[index].trim() && !lines[index].startsWith('#')
+  ), 0);
+  const tableRows = rows.slice(firstRow).filter((row, index) => lines[firstRow + index].trim());
+
+  // Decimal comma when numbers with a comma outnumber those with a point
+  const fields = tableRows.slice(1).flat();
+  const commaNumbers = fields.filter(field => /^[-+]?\d+,\d+$/.test(field)).length;
+  const pointNumbers = fields.filter(field => /^[-+]?\d*\.\d+$/.test(field)).length;
+  const decimal = delimiter !== ',' && commaNumbers > pointNumbers ? ',' : '.';
+  const isNumber = (value) => ['integer', 'numeric'].includes(sniffColumnType([value], decimal));
+
+  // Numeric columns, judged on the rows below the first one (mostly numbers - a second header line may be among them)
+  const columnValues = (rowList, index) => rowList.map(row => row[index] ?? '').filter(value =>
+    value !== '' && !NA_STRINGS.includes(value) && !NUMERIC_NA_STRINGS.includes(value)
+  );
+  const dataRows = tableRows.slice(1);
+  const numericColumns = Array.from({ length: fieldCount }, (_, index) => {
+    const values = columnValues(dataRows, index);
+    return values.length > 0 && values.filter(isNumber).length / values.length > 0.5;
+  });
 
-                  // 5. Check if multiple values from same column appear together in a list
-                  // Allow individual interactive elements for each value in a comparative list
-                  // Only skip if this is clearly a "showing all values" scenario (e.g., "group by country")
-                  // Lists like "Japan, USA, and UK" should have each country be interactive
+  // A first row with text above numbers is a header; more such rows under it are part of it
+  const looksLikeHeader = (row) => numericColumns.some((numeric, index) =>
+    numeric && row[index] !== undefined && row[index] !== '' && !isNumber(row[index])
+  );
+  const header = numericColumns.some(Boolean) ? looksLikeHeader(tableRows[0] || []) : true;
+  let headerLines = header ? 1 : 0;
+  while (header && headerLines < 4 && tableRows[headerLines] && looksLikeHeader(tableRows[headerLines])) {
+    headerLines++;
+  }
+  const valueRows = tableRows.slice(headerLines);
+
+  // Missing value placeholders found in the values
+  const naStrings = ['NA'];
+  for (let index = 0; index < fieldCount; index++) {
+    for (const value of new Set(valueRows.map(row => row[index]))) {
+      const placeholder = NA_STRINGS.includes(value) || (numericColumns[index] && NUMERIC_NA_STRINGS.includes(value));
+      if (placeholder && !naStrings.includes(value)) naStrings.push(value);
+    }
+  }
 
-                  // Skip this check - we want each value to be interactive even in lists
-                  // This allows users to swap out individual items from comparative analyses
+  const names = header ? tableRows[0] : Array.from({ length: fieldCount }, (_, index) => `V${index + 1}`);
+  const columns = Array.from({ length: fieldCount }, (_, index) => ({
+    name: names[index] || `V${index + 1}`,
+    type: sniffColumnType(
+      valueRows.map(row => row[index] ?? '').filter(value => value !== '' && !naStrings.includes(value)),
+      decimal
+    )
+  }));
+
+  return {
+    options: {
+      ...DEFAULT_IMPORT_OPTIONS,
+      delimiter,
+      encoding,
+      skip: firstRow,
+      header,
+      headerLines: Math.max(headerLines, 1),
+      decimal,
+      naStrings
+    },
+    columns
+  };
+}
 
-                  // 6. Look for FILTERING prepositions that indicate a choice (for, where, with specific)
-                  // These indicate we're selecting ONE subset, not showing all
-                  const filteringPattern = /\b(for|where|focusing on|limited to|only|specific|particular)\s+[\w\s]{0,20}$/i;
-                  const hasFilteringContext = filteringPattern.test(contextBefore);
+/**
+ * Read the start of a delimited text file and sniff its import options
+ * @param {string} filePath - File on disk
+ * @param {string} format - csv or tsv
+ * @returns {Promise<{options: Object, columns: Object[]}>} See sniffDelimitedOptions
+ */
+async function sniffDataFileOptions(filePath, format) {
+  const handle = await open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_TEXT_BYTES), 0, SNIFF_TEXT_BYTES, 0);
+    return sniffDelimitedOptions(buffer.subarray(0, bytesRead), bytesRead < SNIFF_TEXT_BYTES, format === 'tsv' ? '\t' : ',');
+  } finally {
+    await handle.close();
+  }
+}
 
-                  // 7. Check for strong aggregation/grouping language that shows ALL values
-                  // But allow interactive elements for comparative lists (e.g., "plot Japan, USA, UK")
-                  const strongAggregationPattern = /\b(group\s+by|across\s+all|for\s+each|distribution\s+by)\b/i;
-                  const isStrongAggregation = strongAggregationPattern.test(contextBefore);
+/**
+ * Check import options from a request, filling in defaults
+ * @param {Object} options - Import options from the client
+ * @returns {{options: Object|null, error: string|null}}
+ */
+function normalizeImportOptions(options) {
+  if (options === undefined || options === null) return { options: null, error: null };
+  if (typeof options !== 'object') return { options: null, error: 'importOptions must be an object' };
+
+  const merged = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+  const { delimiter, encoding, skip, header, headerLines, decimal, naStrings, columnTypes } = merged;
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\n\r]/.test(delimiter)) {
+    return { options: null, error: 'delimiter must be a single character' };
+  }
+  if (!IMPORT_ENCODINGS.includes(encoding)) {
+    return { options: null, error: `encoding must be one of ${IMPORT_ENCODINGS.join(', ')}` };
+  }
+  if (!Number.isInteger(skip) || skip < 0 || skip > 10000) return { options: null, error: 'skip must be a whole number of lines' };
+  if (typeof header !== 'boolean') return { options: null, error: 'header must be true or false' };
+  if (!Number.isInteger(headerLines) || headerLines < 1 || headerLines > 10) {
+    return { options: null, error: 'headerLines must be between 1 and 10' };
+  }
+  if (decimal !== '.' && decimal !== ',') return { options: null, error: 'decimal must be . or ,' };
+  if (decimal === delimiter) return { options: null, error: 'decimal mark and delimiter must differ' };
+  if (!Array.isArray(naStrings) || naStrings.length > 20 || !naStrings.every(value => typeof value === 'string' && value.length <= 20)) {
+    return { options: null, error: 'naStrings must be a list of up to 20 short strings' };
+  }
+  if (typeof columnTypes !== 'object' || Array.isArray(columnTypes) ||
+      !Object.values(columnTypes).every(type => IMPORT_COLUMN_TYPES.includes(type))) {
+    return { options: null, error: `column types must be one of ${IMPORT_COLUMN_TYPES.join(', ')}` };
+  }
 
-                  if (isStrongAggregation && !hasFilteringContext) {
-                    console.log(`[/api/chat] Skipping "${matchedValue}" - has strong aggregation language (showing all values)`);
-                    continue;
-                  }
+  return {
+    options: { delimiter, encoding, skip, header, headerLines, decimal, naStrings: [...new Set(naStrings)], columnTypes },
+    error: null
+  };
+}
 
-                  // This match passed all semantic filters - it's truly interactive
-                  // Keep track of the best match (prefer earlier matches, then from priority columns)
-                  if (!bestMatch || valueIndex < bestMatch.index) {
-                    bestMatch = {
-                      value: matchedValue,  // Use actual matched text (preserves case)
-                      column: col,
-                      index: valueIndex
-                    };
-                  }
-                }
-              }
+/**
+ * R call that reads a delimited text file with import options, giving only the
+ * arguments that differ from the reader's defaults
+ * @param {string} reader - read.csv or read.delim
+ * @param {string} defaultDelimiter - The reader's sep
+ * @param {string} path - R expression for the file
+ * @param {Object} options
+ * @param {Object} options.importOptions - See DEFAULT_IMPORT_OPTIONS (defaults if not given)
+ * @param {number} options.nrows - Read at most this many rows
+ * @returns {string}
+ */
+function buildDelimitedReadCode(reader, defaultDelimiter, path, { importOptions, nrows } = {}) {
+  const options = { ...DEFAULT_IMPORT_OPTIONS, delimiter: defaultDelimiter, ...importOptions };
+  const quote = (value) => JSON.stringify(value);
+
+  // Arguments the header read (for multi-line headers) shares with the main one
+  const fileArgs = [];
+  if (options.delimiter !== defaultDelimiter) fileArgs.push(`sep = ${quote(options.delimiter)}`);
+  if (options.encoding !== 'UTF-8') fileArgs.push(`fileEncoding = ${quote(options.encoding)}`);
+
+  const args = [path, ...fileArgs];
+  if (options.header && options.headerLines > 1) {
+    // Names from the first header line; the lines under it are skipped with it
+    const nameArgs = [path, ...fileArgs, ...(options.skip > 0 ? [`skip = ${options.skip}`] : []), 'nrows = 1'];
+    args.push(`skip = ${options.skip + options.headerLines}`, 'header = FALSE', `col.names = names(${reader}(${nameArgs.join(', ')}))`);
+  } else {
+    if (options.skip > 0) args.push(`skip = ${options.skip}`);
+    if (!options.header) args.push('header = FALSE');
+  }
+  if (options.decimal !== '.') args.push(`dec = ${quote(options.decimal)}`);
+  if (options.naStrings.length !== 1 || options.naStrings[0] !== 'NA') {
+    args.push(`na.strings = c(${options.naStrings.map(quote).join(', ')})`);
+  }
+  const typed = Object.entries(options.columnTypes || {});
+  if (typed.length > 0) {
+    args.push(`colClasses = c(${typed.map(([name, type]) => `${quote(name)} = ${quote(type)}`).join(', ')})`);
+  }
+  if (nrows) args.push(`nrows = ${nrows}`);
 
-              // If we found a match in this priority column, use it
-              if (bestMatch) break;
-            }
+  const call = `${reader}(${args.join(', ')})`;
+  return call.length > 80 ? `${reader}(\n  ${args.join(',\n  ')}\n)` : call;
+}
 
-            // Apply the best match if found
-            if (bestMatch) {
-              sug.interactives.push({
-                value: bestMatch.value,
-                context: `Select ${bestMatch.column.name}`,
-                options: [...bestMatch.column.values].sort(),
-                start: bestMatch.index,
-                end: bestMatch.index + bestMatch.value.length
-              });
+/**
+ * R expression that reads a data file as a data frame
+ * @param {string} source - File path (relative to the data folder) or URL
+ * @param {Object} options
+ * @param {string} options.format - Key of DATA_FILE_FORMATS (defaults to the extension's format, else csv)
+ * @param {string} options.sheet - Excel sheet to read (the first if not given)
+ * @param {Object} options.importOptions - How to read delimited text (see DEFAULT_IMPORT_OPTIONS)
+ * @param {number} options.nrows - Read at most this many rows (for previews)
+ * @returns {string}
+ */
+function buildReadDataCode(source, { format, sheet, importOptions, nrows } = {}) {
+  const formatKey = DATA_FILE_FORMATS[format] ? format : (formatForExtension(dataFileExtension(source)) || 'csv');
+  const { read, binary, dataFrame, extensions } = DATA_FILE_FORMATS[formatKey];
+  const path = JSON.stringify(source);
+  const asDataFrame = (code) => dataFrame ? code : `as.data.frame(${code})`;
+
+  if (/^https?:/i.test(source)) {
+    if (formatKey === 'rds') return asDataFrame(`readRDS(url(${path}))`);
+    if (binary) {
+      // These readers need a local file - download it first
+      const extension = dataFileExtension(source) || extensions[0];
+      return `local({\n  .file <- tempfile(fileext = ".${extension}")\n  download.file(${path}, .file, mode = "wb", quiet = TRUE)\n  ${asDataFrame(read('.file', { sheet }))}\n})`;
+    }
+  }
+  return asDataFrame(read(path, { sheet, importOptions, nrows }));
+}
 
-              console.log(`[/api/chat] Made suggestion interactive with value "${bestMatch.value}" from column ${bestMatch.column.name}`);
+// ==================== END DATA FILE FORMATS ====================
 
-              // Only keep first 2 interactive elements
-              if (sug.interactives.length >= 2) break;
-            }
-          }
-        }
+// ==================== DATA FILE VERSIONS ====================
 
-        // Add numeric sliders for suggestions that don't already have interactive elements
-        console.log('[/api/chat] Checking for numeric values to make interactive...');
-        for (const sug of parsedSuggestions) {
-          // Check if Claude provided explicit numeric range with column specification
-          if (sug.interactive && sug.interactive.type === 'numeric-range') {
-            // Claude explicitly specified the column - use it!
-            const { column, minValue, maxValue } = sug.interactive;
-
-            // Validate column exists in metadata
-            const matchedColumn = columnMetadata.find(col =>
-              col.type === 'numeric' && col.name === column
-            );
+// Uploads are stored by the SHA-256 of their content, so uploading a corrected file under
+// the same name adds a version instead of replacing the old one (or being skipped).
+// data/<name> is the working copy; data/.versions holds the content of every version
+// (<hash>.<ext>, shared by files with the same content) and index.json lists each file's versions.
+const DATA_VERSIONS_FOLDER = join(DATA_FOLDER, '.versions');
+const DATA_VERSIONS_INDEX_PATH = join(DATA_VERSIONS_FOLDER, 'index.json');
 
-            if (matchedColumn) {
-              // Find the range text in the suggestion to calculate positions
-              const rangePatterns = [
-                new RegExp(`\\b(?:from\\s+)?${minValue}\\s+(?:to|through)\\s+${maxValue}\\b`, 'i'),
-                new RegExp(`\\bbetween\\s+${minValue}\\s+and\\s+${maxValue}\\b`, 'i'),
-                new RegExp(`\\b${minValue}\\s*-\\s*${maxValue}\\b`)
-              ];
-
-              let rangeMatch = null;
-              for (const pattern of rangePatterns) {
-                const match = sug.text.match(pattern);
-                if (match) {
-                  rangeMatch = match;
-                  break;
-                }
-              }
+let dataVersionIndex = {};  // { [filename]: [{ hash, size, uploadedAt }] }, oldest first
 
-              if (rangeMatch) {
-                const columnName = matchedColumn.name.charAt(0).toUpperCase() + matchedColumn.name.slice(1);
-
-                sug.interactive = {
-                  type: 'year-range',  // Use year-range type for dual-thumb slider
-                  context: `${columnName} Range`,
-                  minValue: minValue,
-                  maxValue: maxValue,
-                  min: Math.floor(matchedColumn.min),
-                  max: Math.ceil(matchedColumn.max),
-                  step: Number.isInteger(matchedColumn.min) && Number.isInteger(matchedColumn.max) ? 1 : 0.1,
-                  start: rangeMatch.index,
-                  end: rangeMatch.index + rangeMatch[0].length
-                };
+/**
+ * SHA-256 of a file's content
+ * @param {string} filePath - File on disk
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
 
-                console.log(`[/api/chat] ✓ Made numeric range slider from Claude's specification: column="${column}", range=${minValue}-${maxValue}`);
-                continue; // Move to next suggestion
-              } else {
-                console.log(`[/api/chat] ✗ Claude specified numeric range but couldn't find range text in suggestion`);
-              }
-            } else {
-              console.log(`[/api/chat] ✗ Claude specified column "${column}" but it doesn't exist in metadata or isn't numeric`);
-            }
-          }
+/**
+ * Where the content of a version is stored
+ * @param {string} fileName - File name in the data folder
+ * @param {string} hash - SHA-256 of the content
+ * @returns {string|null} null if hash is not a SHA-256 digest
+ */
+function dataVersionPath(fileName, hash) {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) return null;
+  const extension = dataFileExtension(fileName);
+  return join(DATA_VERSIONS_FOLDER, extension ? `${hash}.${extension}` : hash);
+}
 
-          // Skip if already has 2 interactive elements
-          if (sug.interactives.length >= 2) continue;
-
-          // FALLBACK: Try to guess numeric range from text (old behavior)
-          // Patterns like "25 to 65", "1950-1990", "from 10 to 100", "between 0 and 50"
-          // Works with ANY numeric range, not just years
-          const numericRangePatterns = [
-            /\b(?:from\s+)?(\d+(?:\.\d+)?)\s+(?:to|through)\s+(\d+(?:\.\d+)?)\b/i,
-            /\bbetween\s+(\d+(?:\.\d+)?)\s+and\s+(\d+(?:\.\d+)?)\b/i,
-            /\b(\d{3,})\s*-\s*(\d{3,})\b/  // Hyphen for larger numbers (avoid matching "2-3" as range)
-          ];
-
-          let rangeMatch = null;
-
-          for (const pattern of numericRangePatterns) {
-            const match = sug.text.match(pattern);
-            if (match) {
-              rangeMatch = match;
-              break;
-            }
-          }
+/**
+ * The same path relative to the data folder (R's working directory), for reading a version in R
+ * @param {string} fileName - File name in the data folder
+ * @param {string} hash - SHA-256 of the content
+ * @returns {string|null}
+ */
+function dataVersionSource(fileName, hash) {
+  const versionPath = dataVersionPath(fileName, hash);
+  return versionPath && relative(DATA_FOLDER, versionPath).split('\\').join('/');
+}
 
-          if (rangeMatch && columnMetadata && columnMetadata.length > 0) {
-            const value1 = parseFloat(rangeMatch[1]);
-            const value2 = parseFloat(rangeMatch[2]);
-            const rangeIndex = rangeMatch.index;
-            const rangeText = rangeMatch[0];
+/**
+ * Name an uploaded file is stored under - its base name, as long as that is a
+ * plain file name (not hidden, which would clash with .versions)
+ * @param {string} originalName - Name the browser sent
+ * @returns {string|null}
+ */
+function dataUploadName(originalName) {
+  const name = basename(String(originalName || '').split('\\').join('/'));
+  return name && !name.startsWith('.') && dataFilePath(name) ? name : null;
+}
 
-            // Get context around the range to find column name
-            const contextStart = Math.max(0, rangeIndex - 50);
-            const contextEnd = Math.min(sug.text.length, rangeIndex + rangeText.length + 20);
-            const context = sug.text.substring(contextStart, contextEnd).toLowerCase();
+async function loadDataVersions() {
+  try {
+    if (existsSync(DATA_VERSIONS_INDEX_PATH)) {
+      dataVersionIndex = JSON.parse(await readFile(DATA_VERSIONS_INDEX_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[DATA] Could not read data file versions:', error.message);
+  }
+}
 
-            // Try to find which numeric column this range belongs to
-            const numericColumns = columnMetadata.filter(col =>
-              col.type === 'numeric' && col.min !== undefined && col.max !== undefined
-            );
+async function saveDataVersions() {
+  await mkdir(DATA_VERSIONS_FOLDER, { recursive: true });
+  await writeFile(DATA_VERSIONS_INDEX_PATH, JSON.stringify(dataVersionIndex, null, 2));
+}
 
-            let matchedColumn = null;
+/**
+ * Store a file's content as a version of a data file, unless that content is already stored
+ * @param {string} fileName - File name in the data folder
+ * @param {string} sourcePath - File with the content
+ * @param {string} hash - SHA-256 of the content
+ * @param {Object} [options]
+ * @param {boolean} [options.move] - Move sourcePath into the store instead of copying it
+ * @param {number} [options.uploadedAt] - When the version was added (now if not given)
+ * @returns {Promise<boolean>} true if this was a new version of the file
+ */
+async function storeDataVersion(fileName, sourcePath, hash, { move = false, uploadedAt = Date.now() } = {}) {
+  const versionPath = dataVersionPath(fileName, hash);
+  await mkdir(DATA_VERSIONS_FOLDER, { recursive: true });
+  if (existsSync(versionPath)) {
+    if (move) await unlink(sourcePath);
+  } else if (move) {
+    // The upload folder may be on another device, where rename fails
+    await rename(sourcePath, versionPath).catch(() => copyFile(sourcePath, versionPath).then(() => unlink(sourcePath)));
+  } else {
+    await copyFile(sourcePath, versionPath);
+  }
 
-            // Strategy 1: Look for explicit column name mention
-            for (const col of numericColumns) {
-              if (context.includes(col.name.toLowerCase())) {
-                matchedColumn = col;
-                console.log(`[/api/chat] Matched range to column "${col.name}" via name mention`);
-                break;
-              }
-            }
+  const versions = dataVersionIndex[fileName] || [];
+  if (versions.some(version => version.hash === hash)) return false;
 
-            // Strategy 2: Check if range values fall within any column's bounds
-            if (!matchedColumn) {
-              for (const col of numericColumns) {
-                const minVal = Math.min(value1, value2);
-                const maxVal = Math.max(value1, value2);
-                if (minVal >= col.min && maxVal <= col.max) {
-                  matchedColumn = col;
-                  console.log(`[/api/chat] Matched range "${rangeText}" to column "${col.name}" via value range`);
-                  break;
-                }
-              }
-            }
+  const { size } = await stat(versionPath);
+  dataVersionIndex[fileName] = [...versions, { hash, size, uploadedAt }];
+  await saveDataVersions();
+  return true;
+}
 
-            if (matchedColumn) {
-              const columnName = matchedColumn.name.charAt(0).toUpperCase() + matchedColumn.name.slice(1);
-
-              sug.interactives.push({
-                type: 'year-range',  // Keeping same type for dual-thumb slider
-                context: `${columnName} Range`,
-                minValue: Math.min(value1, value2),
-                maxValue: Math.max(value1, value2),
-                min: Math.floor(matchedColumn.min),
-                max: Math.ceil(matchedColumn.max),
-                step: Number.isInteger(matchedColumn.min) && Number.isInteger(matchedColumn.max) ? 1 : 0.1,
-                start: rangeIndex,
-                end: rangeIndex + rangeText.length
-              });
-
-              console.log(`[/api/chat] Made numeric range slider for "${rangeText}" on column "${matchedColumn.name}" (${matchedColumn.min}-${matchedColumn.max})`);
-              continue; // Move to next suggestion
-            }
-          }
+/**
+ * Whether a version of a data file is in the store
+ * @param {string} fileName - File name in the data folder
+ * @param {string} hash - SHA-256 of the content
+ * @returns {boolean}
+ */
+function isStoredDataVersion(fileName, hash) {
+  const versionPath = dataVersionPath(fileName, hash);
+  return Boolean(versionPath) && existsSync(versionPath) &&
+    (dataVersionIndex[fileName] || []).some(version => version.hash === hash);
+}
 
-          // Look for SINGLE NUMERIC values that reference dataset columns
-          // Only make them interactive if we can confidently match to a column
-          if (columnMetadata && columnMetadata.length > 0) {
-            const numericColumns = columnMetadata.filter(col =>
-              col.type === 'numeric' && col.min !== undefined && col.max !== undefined
-            );
+/**
+ * Store the working copy of a data file as a version if it isn't one yet (put in
+ * the data folder by hand, or from before uploads were versioned). Only uploading,
+ * loading and deleting do this - listing versions never writes.
+ * @param {string} fileName - File name in the data folder
+ * @returns {Promise<string|null>} The working copy's hash, or null if there is no working copy
+ */
+async function storeDataWorkingCopy(fileName) {
+  const filePath = dataFilePath(fileName);
+  if (!filePath || !existsSync(filePath)) return null;
+
+  const hash = await hashFile(filePath);
+  const { mtimeMs } = await stat(filePath);
+  await storeDataVersion(fileName, filePath, hash, { uploadedAt: Math.round(mtimeMs) });
+  return hash;
+}
 
-            if (numericColumns.length > 0) {
-              // Look for single numeric values - try both integers and decimals
-              const numericPatterns = [
-                /\b(\d{3,}(?:\.\d+)?)\b/,  // 3+ digit numbers (years, IDs, prices)
-                /\b(\d{1,2}(?:\.\d+)?)\b/   // 1-2 digit numbers (ages, scores, small values)
-              ];
-
-              for (const pattern of numericPatterns) {
-                const numMatch = sug.text.match(pattern);
-                if (!numMatch) continue;
-
-                const numericValue = numMatch[1];
-                const numValue = parseFloat(numericValue);
-                const valueIndex = numMatch.index;
-
-                // Get context around the value to find column name
-                const contextStart = Math.max(0, valueIndex - 40);
-                const contextEnd = Math.min(sug.text.length, valueIndex + numericValue.length + 40);
-                const context = sug.text.substring(contextStart, contextEnd).toLowerCase();
-
-                let matchedColumn = null;
-
-                // Strategy 1: Look for explicit column name mention near the value
-                for (const col of numericColumns) {
-                  const colNameLower = col.name.toLowerCase();
-                  if (context.includes(colNameLower)) {
-                    // Value should be within column's range
-                    if (numValue >= col.min && numValue <= col.max) {
-                      matchedColumn = col;
-                      console.log(`[/api/chat] Matched value "${numericValue}" to column "${col.name}" via name mention`);
-                      break;
-                    }
-                  }
-                }
+/**
+ * The versions of a data file, and which one the working copy holds. A working copy
+ * that isn't stored yet is listed last (stored: false) - see storeDataWorkingCopy
+ * @param {string} fileName - File name in the data folder
+ * @returns {Promise<{current: string|null, versions: Object[]}>} current is the working copy's hash;
+ *   versions are { hash, size, uploadedAt, stored, number, current }, oldest first
+ */
+async function listDataFileVersions(fileName) {
+  const filePath = dataFilePath(fileName);
+  const current = filePath && existsSync(filePath) ? await hashFile(filePath) : null;
+
+  const versions = (dataVersionIndex[fileName] || [])
+    .filter(version => existsSync(dataVersionPath(fileName, version.hash)))
+    .map(version => ({ ...version, stored: true }));
+  if (current && !versions.some(version => version.hash === current)) {
+    const { size, mtimeMs } = await stat(filePath);
+    versions.push({ hash: current, size, uploadedAt: Math.round(mtimeMs), stored: false });
+  }
 
-                // Strategy 2: For 4-digit numbers, try year-like columns
-                if (!matchedColumn && /^\d{4}$/.test(numericValue)) {
-                  matchedColumn = numericColumns.find(col =>
-                    /year|yr|date|time/i.test(col.name) &&
-                    numValue >= col.min && numValue <= col.max
-                  );
-                  if (matchedColumn) {
-                    console.log(`[/api/chat] Matched 4-digit value "${numericValue}" to column "${matchedColumn.name}"`);
-                  }
-                }
+  return {
+    current,
+    versions: versions.map((version, index) => ({ ...version, number: index + 1, current: version.hash === current }))
+  };
+}
 
-                // Create interactive element if we found a confident match
-                if (matchedColumn) {
-                  const columnName = matchedColumn.name.charAt(0).toUpperCase() + matchedColumn.name.slice(1);
-
-                  sug.interactives.push({
-                    type: 'slider',
-                    context: columnName,
-                    min: Math.floor(matchedColumn.min),
-                    max: Math.ceil(matchedColumn.max),
-                    step: Number.isInteger(matchedColumn.min) && Number.isInteger(matchedColumn.max) ? 1 : 0.1,
-                    start: valueIndex,
-                    end: valueIndex + numericValue.length
-                  });
+/**
+ * Where to read a version of a data file: its stored copy, or the working copy
+ * while that holds the version without it being stored
+ * @param {string} fileName - File name in the data folder
+ * @param {string} hash - SHA-256 of the version
+ * @returns {Promise<{path: string, source: string}|null>} path on disk, and source relative
+ *   to the data folder for reading it in R; null if there is no such version
+ */
+async function locateDataFileVersion(fileName, hash) {
+  if (isStoredDataVersion(fileName, hash)) {
+    return { path: dataVersionPath(fileName, hash), source: dataVersionSource(fileName, hash) };
+  }
+  const filePath = dataFilePath(fileName);
+  if (dataVersionPath(fileName, hash) && filePath && existsSync(filePath) && await hashFile(filePath) === hash) {
+    return { path: filePath, source: fileName };
+  }
+  return null;
+}
+
+/**
+ * Add an uploaded file as a version of the data file with its name. The working copy is
+ * only created for a file's first upload - other versions are read from the version store
+ * @param {string} fileName - File name in the data folder
+ * @param {string} uploadPath - Uploaded file (moved into the version store)
+ * @returns {Promise<{hash: string, status: string, message: string, versions: Object[]}>}
+ *   status: 'new' (first upload), 'same' (same content as the working copy),
+ *   'new-version', or 'previous-version' (same content as an older version)
+ */
+async function addDataFileUpload(fileName, uploadPath) {
+  const hash = await hashFile(uploadPath);
+  const current = await storeDataWorkingCopy(fileName);
+  const isNewVersion = await storeDataVersion(fileName, uploadPath, hash, { move: true });
+  if (!current) {
+    await copyFile(dataVersionPath(fileName, hash), dataFilePath(fileName));
+  }
+
+  const { versions } = await listDataFileVersions(fileName);
+  const number = versions.find(version => version.hash === hash).number;
+  let status, message;
+  if (!current) {
+    status = 'new';
+    message = `Uploaded ${fileName}`;
+  } else if (hash === current) {
+    status = 'same';
+    message = `Same content as the current ${fileName} - nothing new was stored`;
+  } else if (isNewVersion) {
+    status = 'new-version';
+    message = `New version of ${fileName} (version ${number} of ${versions.length})`;
+  } else {
+    status = 'previous-version';
+    message = `Same content as version ${number} of ${fileName}`;
+  }
+  return { hash, status, message, versions };
+}
+
+/**
+ * Move a data file's versions to a new name. Version content is stored by extension,
+ * so a new extension gets its own copy. The old copy stays, as conversations that
+ * loaded the file under its old name reload it from there
+ * @param {string} fileName - Current file name
+ * @param {string} newName - New file name
+ * @returns {Promise<void>}
+ */
+async function renameDataFileVersions(fileName, newName) {
+  const versions = dataVersionIndex[fileName] || [];
+  for (const { hash } of versions) {
+    const newPath = dataVersionPath(newName, hash);
+    if (!existsSync(newPath) && existsSync(dataVersionPath(fileName, hash))) {
+      await copyFile(dataVersionPath(fileName, hash), newPath);
+    }
+  }
+  // A deleted file's versions under the new name come first (see DELETE /api/data-files/:filename)
+  const kept = (dataVersionIndex[newName] || []).filter(version => !versions.some(({ hash }) => hash === version.hash));
+  delete dataVersionIndex[fileName];
+  dataVersionIndex[newName] = [...kept, ...versions];
+  await saveDataVersions();
+}
+
+// ==================== END DATA FILE VERSIONS ====================
+
+// ==================== CHAT TOOLS ====================
+
+// Kinds of editable span a suggestion can declare (see buildSuggestionSpans)
+const SUGGESTION_SPAN_TYPES = ['category', 'categories', 'numeric', 'number', 'range', 'date', 'date-range', 'column'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const isIsoDate = (value) => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
 
-                  console.log(`[/api/chat] Made numeric slider for "${numericValue}" (${matchedColumn.name}: ${matchedColumn.min}-${matchedColumn.max})`);
-                  // Removed break - allow up to 2 interactive elements
+/**
+ * Tools Claude can call from /api/chat. R code and dataset loads run in the
+ * conversation's R session and their output goes back to Claude as the tool
+ * result, so it can check its work (and fix failing code) within one turn.
+ */
+const CHAT_TOOLS = [
+  {
+    name: 'run_r_code',
+    description: 'Run R code in the conversation\'s persistent R session. The code is shown to the user as a code card and its output in the output panel. Returns the console output, warnings and any error.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Complete, self-contained R code' },
+        summary: { type: 'string', description: 'Short title for the code card, e.g. "Scatter plot of mpg vs wt"' },
+        description: { type: 'string', description: 'One sentence on what the code does' },
+        revises: { type: 'string', description: 'When this fixes code that failed earlier in this turn, the id of that run_r_code call' }
+      },
+      required: ['code', 'summary']
+    }
+  },
+  {
+    name: 'load_dataset',
+    description: 'Load a data file into the R session as a data frame and show its structure. The source is a file name in the data folder or an http(s) URL to a CSV, TSV, Excel, Parquet, Feather, JSON, SAS, SPSS, Stata or RDS file.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', description: 'File name (e.g. "lex.csv") or URL' },
+        name: { type: 'string', description: 'R variable name for the dataset. Defaults to the file name without its extension.' },
+        sheet: { type: 'string', description: 'Excel only: the sheet to read. Defaults to the first sheet.' }
+      },
+      required: ['source']
+    }
+  },
+  {
+    name: 'create_reactive_component',
+    description: 'Create an interactive component: R code with {{param}} placeholders that re-runs whenever the user changes one of its controls, without another request to you.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        controls: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['slider', 'select', 'checkbox', 'text'] },
+              param: { type: 'string', description: 'Placeholder name used as {{param}} in rCode' },
+              label: { type: 'string' },
+              min: { type: 'number' },
+              max: { type: 'number' },
+              step: { type: 'number' },
+              options: { type: 'array', items: { type: 'string' } },
+              placeholder: { type: 'string' },
+              default: { description: 'Initial value' }
+            },
+            required: ['type', 'param', 'label']
+          }
+        },
+        rCode: { type: 'string', description: 'R code using {{param}} for each control value' },
+        autoFormatTabular: { type: 'boolean' }
+      },
+      required: ['title', 'controls', 'rCode']
+    }
+  },
+  {
+    name: 'propose_suggestions',
+    description: 'Show the user follow-up analysis suggestions they can submit with one click. Call it once, after any R code has run.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        suggestions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              text: { type: 'string', description: 'Complete, prompt-ready request' },
+              spans: {
+                type: 'array',
+                description: 'Parts of the text the user can change before submitting - each one a value of a dataset column',
+                items: {
+                  type: 'object',
+                  properties: {
+                    text: { type: 'string', description: 'The exact words in the suggestion text, e.g. "Iris-setosa", "from 1990 to 2010", "2005-06-30"' },
+                    column: { type: 'string', description: 'Dataset column the value belongs to, exactly as named in the schema (optional for number)' },
+                    type: { type: 'string', enum: SUGGESTION_SPAN_TYPES },
+                    value: { description: 'category: one of the column\'s values; numeric or number: a number; date: YYYY-MM-DD' },
+                    values: { type: 'array', items: { type: 'string' }, description: 'categories only: the column values named in the text' },
+                    minValue: { description: 'range: lower number; date-range: first date (YYYY-MM-DD)' },
+                    maxValue: { description: 'range: upper number; date-range: last date (YYYY-MM-DD)' }
+                  },
+                  required: ['text', 'type']
                 }
               }
-            }
+            },
+            required: ['text']
           }
         }
-      } else {
-        console.log('[/api/chat] No suggestions section found in response');
-      }
-    } else {
-      console.log('[/api/chat] Skipping suggestion extraction (suggestionsEnabled:', suggestionsEnabled, ')');
+      },
+      required: ['suggestions']
     }
+  }
+];
 
-    // Add backwards compatibility - maintain old .interactive field for single elements
-    if (parsedSuggestions && parsedSuggestions.length > 0) {
-      for (const sug of parsedSuggestions) {
-        // Limit to 2 elements max (safety check)
-        if (sug.interactives && sug.interactives.length > 2) {
-          sug.interactives = sug.interactives.slice(0, 2);
+// Rounds of tool calls Claude gets per message before its answer is cut off
+const MAX_CHAT_TOOL_ROUNDS = 6;
+
+// Console output longer than this is truncated in tool results
+const MAX_TOOL_OUTPUT_CHARS = 8000;
+
+const R_IDENTIFIER = /^[A-Za-z.][A-Za-z0-9._]*$/;
+
+/**
+ * Check a tool call's input against what its tool needs
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input from Claude
+ * @returns {string|null} What's wrong with the input, or null if it's usable
+ */
+function validateChatToolInput(name, input) {
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+  switch (name) {
+    case 'run_r_code':
+      if (!isText(input.code)) return 'code must be non-empty R code';
+      if (!isText(input.summary)) return 'summary is required';
+      return null;
+
+    case 'load_dataset':
+      if (!isText(input.source)) return 'source must be a file name or URL';
+      if (input.name !== undefined && !R_IDENTIFIER.test(input.name)) {
+        return `"${input.name}" is not a valid R variable name`;
+      }
+      if (input.sheet !== undefined && !isText(input.sheet)) return 'sheet must be a sheet name';
+      return null;
+
+    case 'create_reactive_component': {
+      if (!isText(input.title)) return 'title is required';
+      if (!isText(input.rCode)) return 'rCode is required';
+      if (!Array.isArray(input.controls) || input.controls.length === 0) return 'at least one control is required';
+      for (const control of input.controls) {
+        if (!['slider', 'select', 'checkbox', 'text'].includes(control.type)) {
+          return `control type "${control.type}" is not one of slider, select, checkbox, text`;
+        }
+        if (!isText(control.param) || !/^\w+$/.test(control.param)) return 'each control needs a param made of letters, digits and _';
+        if (!input.rCode.includes(`{{${control.param}}}`)) return `rCode does not use {{${control.param}}}`;
+        if (control.type === 'slider' && (typeof control.min !== 'number' || typeof control.max !== 'number' || control.min >= control.max)) {
+          return `slider "${control.param}" needs numeric min < max`;
+        }
+        if (control.type === 'select' && (!Array.isArray(control.options) || control.options.length === 0)) {
+          return `select "${control.param}" needs options`;
         }
+      }
+      return null;
+    }
 
-        // Keep old format for single element (backwards compatibility)
-        if (sug.interactives && sug.interactives.length === 1) {
-          sug.interactive = sug.interactives[0];
+    case 'propose_suggestions':
+      if (!Array.isArray(input.suggestions) || input.suggestions.length === 0) return 'suggestions must be a non-empty array';
+      for (const sug of input.suggestions) {
+        if (!sug || !isText(sug.text)) return 'every suggestion needs text';
+        if (sug.spans === undefined) continue;
+        if (!Array.isArray(sug.spans)) return 'spans must be an array';
+        for (const span of sug.spans) {
+          if (!span || !isText(span.text)) return 'every span needs text';
+          if (!SUGGESTION_SPAN_TYPES.includes(span.type)) return `span type must be one of ${SUGGESTION_SPAN_TYPES.join(', ')}`;
+          if (span.type !== 'number' && !isText(span.column)) return `${span.type} span "${span.text}" needs a column`;
+          if (!sug.text.includes(span.text)) return `span "${span.text}" does not appear in the suggestion text`;
+          if (span.type === 'range' && (typeof span.minValue !== 'number' || typeof span.maxValue !== 'number')) {
+            return `range span "${span.text}" needs numeric minValue and maxValue`;
+          }
+          if (span.type === 'date-range' && (!isIsoDate(span.minValue) || !isIsoDate(span.maxValue))) {
+            return `date-range span "${span.text}" needs minValue and maxValue as YYYY-MM-DD dates`;
+          }
+          if (span.type === 'categories' && (!Array.isArray(span.values) || span.values.length === 0)) {
+            return `categories span "${span.text}" needs its values`;
+          }
         }
-        // For 2 elements, only use new format (no .interactive field)
       }
+      return null;
+
+    default:
+      return `unknown tool "${name}"`;
+  }
+}
+
+/**
+ * Check the spans Claude declared in a suggestion against the active dataset's
+ * columns and turn them into the editable elements InteractiveSuggestion shows.
+ * A span whose column or value doesn't fit the schema is dropped (the text stays).
+ * @param {Object} suggestion - propose_suggestions item ({ text, spans })
+ * @param {Object[]} columnMetadata - [{ name, type, values, min, max }] of the active dataset
+ * @returns {Object[]} [{ type, column, context, start, end, ... }] ordered by position:
+ *   category: { value, options }; categories: { values, options };
+ *   numeric: { value, min, max, step }; number: { value };
+ *   range: { minValue, maxValue, min, max, step }; date: { value, min, max };
+ *   date-range: { minValue, maxValue, min, max }; column: { value, options }
+ */
+function buildSuggestionSpans({ text, spans }, columnMetadata) {
+  const interactives = [];
+  const columns = columnMetadata || [];
+
+  for (const span of spans || []) {
+    const skip = (reason) => console.log(`[/api/chat] Dropping span "${span.text}" (${span.column || 'no column'}): ${reason}`);
+    const column = columns.find(col => col.name === span.column);
+    if (!column && span.type !== 'number') {
+      skip('no such column');
+      continue;
     }
 
-    // Return the response with parsed suggestions
-    const response = {
-      success: true,
-      data: message
-    };
+    // First whole-word occurrence not already taken by another span ("wt" is not the one in "weight")
+    const isWordChar = (char) => /\w/.test(char || '');
+    let start = text.indexOf(span.text);
+    while (start !== -1 && (
+      (isWordChar(span.text[0]) && isWordChar(text[start - 1])) ||
+      (isWordChar(span.text[span.text.length - 1]) && isWordChar(text[start + span.text.length])) ||
+      interactives.some(other => start < other.end && other.start < start + span.text.length)
+    )) {
+      start = text.indexOf(span.text, start + 1);
+    }
+    const end = start + span.text.length;
+    if (start === -1) {
+      skip('not in the suggestion text as a separate word, or taken by another span');
+      continue;
+    }
+
+    const base = { start, end, ...(column && { column: column.name }) };
+    const isNumeric = column?.type === 'numeric';
+    const hasRange = column?.min !== undefined && column?.max !== undefined;
+    const step = Number.isInteger(column?.min) && Number.isInteger(column?.max) ? 1 : 0.1;
+    const inBounds = (value) => !hasRange || (value >= column.min && value <= column.max);
+    // Column values as they are in the data, matched without regard to case
+    const findValue = (candidate) => (column.values || []).find(value => value.toLowerCase() === String(candidate).toLowerCase());
+
+    if (span.type === 'category') {
+      // The span is swapped for other values of the column, so it must be one of them
+      const value = findValue(span.text);
+      if (!value) {
+        skip('not a value of a categorical column');
+        continue;
+      }
+      interactives.push({ ...base, type: 'category', context: `Select ${column.name}`, value, options: [...column.values].sort() });
+    } else if (span.type === 'categories') {
+      const values = span.values.map(findValue);
+      if (values.some(value => !value)) {
+        skip('not all values of a categorical column');
+        continue;
+      }
+      if (!values.every(value => span.text.toLowerCase().includes(value.toLowerCase()))) {
+        skip('values not all named in the text');
+        continue;
+      }
+      interactives.push({ ...base, type: 'categories', context: `Select ${column.name}`, values, options: [...column.values].sort() });
+    } else if (span.type === 'numeric' || span.type === 'number') {
+      const value = Number(span.value ?? span.text);
+      if (!Number.isFinite(value) || String(value) !== span.text.trim()) {
+        skip('not a number written as in the text');
+        continue;
+      }
+      if (column && !isNumeric) {
+        skip('not a numeric column');
+        continue;
+      }
+      if (!inBounds(value)) {
+        skip(`outside ${column.min} to ${column.max}`);
+        continue;
+      }
+      // A slider needs the column's range; without one the number is typed in
+      interactives.push(span.type === 'numeric' && hasRange
+        ? { ...base, type: 'numeric', context: column.name, value, min: Math.floor(column.min), max: Math.ceil(column.max), step }
+        : { ...base, type: 'number', context: column?.name || 'Value', value });
+    } else if (span.type === 'range') {
+      const minValue = Math.min(span.minValue, span.maxValue);
+      const maxValue = Math.max(span.minValue, span.maxValue);
+      if (!isNumeric || !hasRange) {
+        skip('not a numeric column with a known range');
+        continue;
+      }
+      if (!inBounds(minValue) || !inBounds(maxValue)) {
+        skip(`outside ${column.min} to ${column.max}`);
+        continue;
+      }
+      interactives.push({
+        ...base,
+        type: 'range',
+        context: `${column.name} range`,
+        minValue,
+        maxValue,
+        min: Math.floor(column.min),
+        max: Math.ceil(column.max),
+        step
+      });
+    } else if (span.type === 'date' || span.type === 'date-range') {
+      // YYYY-MM-DD strings compare in date order
+      const dates = span.type === 'date' ? [String(span.value ?? span.text)] : [span.minValue, span.maxValue].sort();
+      if (!dates.every(isIsoDate)) {
+        skip('not a YYYY-MM-DD date');
+        continue;
+      }
+      if (!dates.every(date => span.text.includes(date))) {
+        skip('dates not written as in the text');
+        continue;
+      }
+      if (isNumeric) {
+        skip('numeric column');
+        continue;
+      }
+      if (!dates.every(inBounds)) {
+        skip(`outside ${column.min} to ${column.max}`);
+        continue;
+      }
+      const bounds = hasRange ? { min: column.min, max: column.max } : {};
+      interactives.push(span.type === 'date'
+        ? { ...base, type: 'date', context: column.name, value: dates[0], ...bounds }
+        : { ...base, type: 'date-range', context: `${column.name} range`, minValue: dates[0], maxValue: dates[1], ...bounds });
+    } else if (span.type === 'column') {
+      // Swapped for another column of the same kind (numeric for numeric, and so on)
+      if (span.text !== column.name) {
+        skip('text is not the column name');
+        continue;
+      }
+      const options = columns.filter(col => col.type === column.type).map(col => col.name);
+      interactives.push({ ...base, type: 'column', context: 'Swap column', value: column.name, options });
+    }
+  }
+
+  return interactives.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the R code load_dataset runs, picking the reader from the file extension
+ * (or, for files in the data folder, from their content when the extension doesn't say)
+ * @param {Object} input - load_dataset input ({ source, name, sheet })
+ * @returns {Promise<string>} R code that loads the dataset and prints its structure
+ */
+async function buildLoadDatasetCode({ source, name, sheet }) {
+  const variable = name || dataVariableName(source);
+  const filePath = /^https?:/i.test(source) ? null : dataFilePath(source);
+  const format = filePath && existsSync(filePath) ? await detectDataFileFormat(filePath) : undefined;
+
+  return `${variable} <- ${buildReadDataCode(source, { format, sheet })}
+cat("Rows:", nrow(${variable}), " Columns:", ncol(${variable}), "\\n\\n")
+str(${variable})`;
+}
+
+/**
+ * Summarize an R execution result as the text of a tool result for Claude
+ * @param {Object} result - Result from executeRRequest
+ * @returns {string} Console output, warnings, error and what was displayed
+ */
+function describeRResultForClaude(result) {
+  const parts = [];
+
+  if (result.policyViolation?.type === 'confirmation_required') {
+    return `The code was not run: ${result.policyViolation.message} The user can run it from its code card after confirming.`;
+  }
+  if (result.error) {
+    const line = result.errorDetails?.line ? ` (line ${result.errorDetails.line})` : '';
+    parts.push(`Error${line}: ${result.error}`);
+  }
+  if (result.output && result.output.trim()) {
+    const output = result.output.trim();
+    parts.push(`Output:\n${output.length > MAX_TOOL_OUTPUT_CHARS
+      ? `${output.slice(0, MAX_TOOL_OUTPUT_CHARS)}\n... (${output.length - MAX_TOOL_OUTPUT_CHARS} more characters)`
+      : output}`);
+  }
+  if (result.warnings?.length > 0) {
+    parts.push(`Warnings:\n${result.warnings.map(warning => `- ${warning.message}`).join('\n')}`);
+  }
+
+  const images = result.plots.filter(plot => plot.type === 'image').length;
+  const widgets = result.plots.length - images;
+  if (images > 0) parts.push(`${images} plot${images === 1 ? '' : 's'} shown to the user.`);
+  if (widgets > 0) parts.push(`${widgets} HTML table/widget${widgets === 1 ? '' : 's'} shown to the user.`);
+
+  return parts.length > 0 ? parts.join('\n\n') : 'The code ran without printing anything.';
+}
+
+/**
+ * Carry out one tool call from Claude
+ * @param {Object} toolUse - tool_use content block
+ * @param {Object} context - Per-request state: workspaceId, autoFormatTabular, activeDataset,
+ *   the cards, reactiveComponents and suggestions collected so far, and whether a code
+ *   step in the current round has failed (stepFailed)
+ * @param {Function} onCard - Called with each code card when it starts and when it finishes
+ * @returns {Promise<Object>} { content, isError, followUp, transcript } - followUp is true when
+ *   the result tells Claude something it should see before finishing
+ */
+async function runChatTool(toolUse, context, onCard) {
+  const { name, input } = toolUse;
+
+  const problem = validateChatToolInput(name, input || {});
+  if (problem) {
+    console.log(`[/api/chat] Rejected ${name} call: ${problem}`);
+    return { content: `Invalid ${name} input: ${problem}`, isError: true, followUp: true };
+  }
+
+  if (name === 'create_reactive_component') {
+    context.reactiveComponents.push({ type: 'reactive-component', ...input });
+    return { content: 'The interactive component is shown to the user.', transcript: `[Interactive component: ${input.title}]` };
+  }
+
+  if (name === 'propose_suggestions') {
+    context.suggestions = input.suggestions;
+    return { content: 'The suggestions are shown to the user.' };
+  }
+
+  // run_r_code and load_dataset both become code cards
+  const code = name === 'load_dataset' ? await buildLoadDatasetCode(input) : input.code;
+  let card = context.cards.find(existing => existing.id === input.revises);
+  if (card) {
+    // A fix for code that failed earlier in this turn replaces it, keeping the failed version
+    // (a step that was skipped never ran, so there is nothing to keep)
+    if (!card.skipped) {
+      card.revisions = [...(card.revisions || []), {
+        code: card.code,
+        error: card.result?.error || null,
+        fixExplanation: input.description || input.summary,
+        timestamp: Date.now()
+      }];
+    }
+    card.code = code;
+    card.result = null;
+    card.skipped = false;
+  } else {
+    card = {
+      id: toolUse.id,
+      tool: name,
+      code,
+      summary: name === 'load_dataset' ? `Load ${input.source}` : input.summary,
+      description: name === 'load_dataset' ? 'Load the dataset and show its structure' : (input.description || ''),
+      result: null
+    };
+    context.cards.push(card);
+  }
+  const transcript = `\`\`\`r\n${code}\n\`\`\``;
+
+  // Requests that aren't part of a conversation (e.g. auto-fix) have no R session to run in
+  if (!context.workspaceId) {
+    return { content: 'Code card created. It was not run.', transcript };
+  }
+
+  // Steps are run in order; once one fails, the rest of the round would run against the wrong state
+  if (context.stepFailed) {
+    card.skipped = true;
+    onCard(card);
+    console.log(`[/api/chat] ${name} skipped after an earlier failure: ${card.summary}`);
+    return {
+      content: `Not run because an earlier step in this response failed. Once that step is fixed, run this one again with "revises" set to "${card.id}".`,
+      followUp: true,
+      transcript
+    };
+  }
+
+  onCard(card);
+  context.executionId = `chat-${toolUse.id}`;
+  const result = await executeRRequest({
+    code,
+    workspaceId: context.workspaceId,
+    autoFormatTabular: context.autoFormatTabular,
+    refreshMetadata: true,
+    activeDataset: context.activeDataset || 'data',
+    executionId: context.executionId
+  });
+  context.executionId = null;
+  card.result = result;
+  if (result.error) context.stepFailed = true;
+  onCard(card);
+
+  console.log(`[/api/chat] ${name} ${result.error ? 'failed' : 'ran'}: ${card.summary}`);
+  return {
+    content: describeRResultForClaude(result),
+    isError: !!result.error,
+    followUp: !result.cancelled,
+    transcript
+  };
+}
+
+// ==================== END CHAT TOOLS ====================
+
+// ==================== CONTEXT MANAGER ====================
+// Keeps what each chat request sends to the model within a token budget.
+// The latest turns are sent word for word; older ones are folded into a running
+// "analysis so far" memory. The client keeps the memory and sends it back with
+// the next message, as { summary, summarizedCount } - summarizedCount is how many
+// messages at the start of the history the summary replaces.
+
+const CHAT_CONTEXT_BUDGET_TOKENS = 60000;  // System prompt, memory, history and plots sent with each message
+const MIN_VERBATIM_MESSAGES = 4;           // The last two exchanges are always sent word for word
+const MAX_SUMMARIZED_MESSAGE_CHARS = 6000; // Long messages (reports, pasted data) are cut before summarizing
+const MAX_SCHEMA_VALUES = 40;              // Categorical values listed per column in the schema
+const MAX_ATTACHMENTS = 5;                 // Code card outputs shared with one message
+const MAX_ATTACHMENT_OUTPUT_CHARS = 4000;  // Console text kept per shared output (head and tail)
+const MAX_ATTACHMENT_TABLE_CHARS = 4000;   // Table or coefficients CSV kept per shared output
+const MAX_ATTACHMENT_TOTAL_CHARS = 16000;  // All shared outputs of one message together
+
+// No tokenizer for every provider - about 4 characters per token for English and code,
+// and a fixed cost per image (a plot scaled to fit the model's limits is up to ~1600 tokens)
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1600;
+
+const CONTEXT_SUMMARY_PROMPT = `You keep the memory of a data analysis conversation between a user and an assistant that runs R code in a persistent R session.
+Update the memory with the new messages. The memory replaces those messages, so keep everything later requests may depend on:
+- Datasets: each R variable name, where it was loaded from, and how it was changed (filters, renamed or derived columns, reshaping)
+- Objects: other R objects that were created (models, summaries, subsets), with their variable names
+- Variables: column names that were discussed, with their meaning when known
+- Findings: key results, numbers and conclusions the user may refer back to
+- In progress: what the user is working towards and any open questions
+Write terse bullet points under those headings and stay under 400 words. Reply with the memory only.`;
+
+/**
+ * Estimate the tokens in message content, a message or a list of either
+ * @param {string|Object|Object[]} content
+ * @returns {number}
+ */
+function estimateTokens(content) {
+  if (!content) return 0;
+  if (typeof content === 'string') return Math.ceil(content.length / CHARS_PER_TOKEN);
+  if (Array.isArray(content)) return content.reduce((total, item) => total + estimateTokens(item), 0);
+  if (content.role) return estimateTokens(content.content) + 4;  // Role and message framing
+  if (content.type === 'image') return IMAGE_TOKENS;
+  if (content.type === 'text') return estimateTokens(content.text);
+  if (content.type === 'tool_result') return estimateTokens(content.content);
+  return estimateTokens(JSON.stringify(content));
+}
+
+/**
+ * Plain-text transcript of messages for the summarizer, with long messages cut short
+ * @param {Object[]} messages
+ * @returns {string}
+ */
+function formatMessagesForSummary(messages) {
+  return messages.map(message => {
+    const text = typeof message.content === 'string'
+      ? message.content
+      : (Array.isArray(message.content) ? message.content : [])
+          .map(block => block.type === 'text' ? block.text : (block.type === 'image' ? '[plot image]' : ''))
+          .join('\n');
+    const trimmed = text.length > MAX_SUMMARIZED_MESSAGE_CHARS
+      ? `${text.slice(0, MAX_SUMMARIZED_MESSAGE_CHARS)}\n[... ${text.length - MAX_SUMMARIZED_MESSAGE_CHARS} more characters]`
+      : text;
+    return `${message.role.toUpperCase()}:\n${trimmed.trim()}`;
+  }).filter(entry => !entry.endsWith(':\n')).join('\n\n');
+}
+
+/**
+ * Fold messages into the running memory with the model
+ * @param {Object} provider - From createLlmProvider
+ * @param {string} summary - Memory so far ('' if none)
+ * @param {Object[]} messages - Messages to add to it
+ * @returns {Promise<string>} The updated memory
+ */
+async function summarizeConversation(provider, summary, messages) {
+  const message = await provider.createMessage({
+    system: CONTEXT_SUMMARY_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `CURRENT MEMORY:\n${summary || '(empty - this is the start of the conversation)'}\n\nNEW MESSAGES:\n${formatMessagesForSummary(messages)}`
+    }]
+  });
+  const updated = message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+  if (!updated) {
+    throw new Error('The model returned an empty summary');
+  }
+  return updated;
+}
+
+/**
+ * Fit the conversation history into the context budget. When the messages not yet
+ * summarized no longer fit, the older ones are folded into the memory, leaving about
+ * half the room for history so the next few turns don't need summarizing again.
+ * If summarizing fails the history is sent as it is.
+ * @param {Object} provider - From createLlmProvider (the chat provider summarizes too)
+ * @param {Object[]} messages - The whole conversation, oldest first
+ * @param {Object} memory - { summary, summarizedCount } from the previous response, if any
+ * @param {number} fixedTokens - Tokens sent with every request regardless of history (system prompt, tools, plots)
+ * @returns {Promise<{messages: Object[], memory: Object, usage: Object}>} The messages to send word for word,
+ *   the updated memory and usage: { usedTokens, budgetTokens, summarizedMessages, verbatimMessages }
+ */
+async function fitConversationToBudget(provider, messages, memory, fixedTokens) {
+  let summary = typeof memory?.summary === 'string' ? memory.summary : '';
+  let summarizedCount = Number.isInteger(memory?.summarizedCount) ? memory.summarizedCount : 0;
+
+  // Memory from a different (or since cleared) conversation
+  if (summarizedCount < 0 || summarizedCount >= messages.length) {
+    summary = '';
+    summarizedCount = 0;
+  }
+
+  const historyBudget = Math.max(CHAT_CONTEXT_BUDGET_TOKENS - fixedTokens, 0);
+  const fits = () => estimateTokens(summary) + estimateTokens(messages.slice(summarizedCount)) <= historyBudget;
+
+  if (!fits()) {
+    // Keep the newest messages that fit in half the history budget, starting on a user message
+    let cut = messages.length;
+    let keptTokens = 0;
+    while (cut > summarizedCount) {
+      const tokens = estimateTokens(messages[cut - 1]);
+      if (messages.length - cut >= MIN_VERBATIM_MESSAGES && keptTokens + tokens > historyBudget / 2) break;
+      keptTokens += tokens;
+      cut--;
+    }
+    while (cut > summarizedCount && messages[cut]?.role !== 'user') cut--;
+
+    if (cut > summarizedCount) {
+      console.log(`[CONTEXT] Summarizing messages ${summarizedCount + 1}-${cut} of ${messages.length}`);
+      try {
+        summary = await summarizeConversation(provider, summary, messages.slice(summarizedCount, cut));
+        summarizedCount = cut;
+      } catch (error) {
+        console.error('[CONTEXT] Could not summarize the conversation, sending it in full:', error.message);
+      }
+    }
+  }
+
+  const recentMessages = messages.slice(summarizedCount);
+  const usedTokens = fixedTokens + estimateTokens(summary) + estimateTokens(recentMessages);
+  console.log(`[CONTEXT] ~${usedTokens} of ${CHAT_CONTEXT_BUDGET_TOKENS} tokens (${summarizedCount} messages summarized, ${recentMessages.length} verbatim)`);
+
+  return {
+    messages: recentMessages,
+    memory: { summary, summarizedCount },
+    usage: {
+      usedTokens,
+      budgetTokens: CHAT_CONTEXT_BUDGET_TOKENS,
+      summarizedMessages: summarizedCount,
+      verbatimMessages: recentMessages.length
+    }
+  };
+}
+
+/**
+ * Keep the start and end of long console output - errors and final results are usually at the end
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {{text: string, truncated: boolean}}
+ */
+function truncateMiddle(text, maxChars) {
+  if (text.length <= maxChars) return { text, truncated: false };
+  const head = Math.floor(maxChars * 0.4);
+  const tail = maxChars - head;
+  return {
+    text: `${text.slice(0, head)}\n[... ${text.length - maxChars} characters omitted ...]\n${text.slice(-tail)}`,
+    truncated: true
+  };
+}
+
+/**
+ * Text blocks for the code card outputs the user shared with a message, cut to the
+ * size limits. Cards over the total limit (in the order given) are left out.
+ * @param {Object[]} attachments - [{ cardId, summary, code, output, error, valueData }] - valueData is the
+ *   { kind, csv, rows, columns } copy of the card's last value (see readRValueData)
+ * @returns {{blocks: Object[], shared: Object[]}} Content blocks for the user message, and what was
+ *   shared: [{ cardId, summary, parts, truncated }] - parts lists 'output', 'error', 'table' or 'coefficients'
+ */
+function formatContextAttachments(attachments) {
+  const blocks = [];
+  const shared = [];
+  let totalChars = 0;
+
+  for (const attachment of (Array.isArray(attachments) ? attachments : []).slice(0, MAX_ATTACHMENTS)) {
+    if (!attachment || typeof attachment !== 'object') continue;
+    const summary = String(attachment.summary || 'Code output').slice(0, 200);
+    const sections = [];
+    const parts = [];
+    let truncated = false;
+
+    const addSection = (part, label, content, maxChars) => {
+      if (typeof content !== 'string' || !content.trim()) return;
+      const cut = truncateMiddle(content.trim(), maxChars);
+      sections.push(`${label}:\n${cut.text}`);
+      parts.push(part);
+      truncated = truncated || cut.truncated;
+    };
+
+    addSection('output', 'Console output', attachment.output, MAX_ATTACHMENT_OUTPUT_CHARS);
+    addSection('error', 'Error', attachment.error, MAX_ATTACHMENT_OUTPUT_CHARS);
+
+    const valueData = attachment.valueData;
+    if (valueData && (valueData.kind === 'table' || valueData.kind === 'coefficients')) {
+      const label = valueData.kind === 'table'
+        ? `Returned data frame, ${valueData.rows} rows x ${valueData.columns} columns${valueData.rows > VALUE_DATA_ROWS ? ` (first ${VALUE_DATA_ROWS} rows)` : ''}, as CSV`
+        : 'Model coefficients, as CSV';
+      addSection(valueData.kind, label, valueData.csv, MAX_ATTACHMENT_TABLE_CHARS);
+    }
+
+    if (sections.length === 0) continue;
+
+    const text = `[Output of code card "${summary}"]\n${sections.join('\n\n')}`;
+    if (totalChars + text.length > MAX_ATTACHMENT_TOTAL_CHARS) {
+      console.log(`[CONTEXT] Shared output "${summary}" left out - over the ${MAX_ATTACHMENT_TOTAL_CHARS} character limit`);
+      continue;
+    }
+    totalChars += text.length;
+    blocks.push({ type: 'text', text });
+    shared.push({ cardId: attachment.cardId ?? null, summary, parts, truncated });
+  }
+
+  return { blocks, shared };
+}
+
+/**
+ * Copy of the messages with a prompt cache breakpoint on the last content block, so
+ * the next request - another round of tool calls, or the next turn - reads the
+ * conversation up to here from the cache instead of processing it again
+ * @param {Object[]} messages - Anthropic-format messages
+ * @returns {Object[]}
+ */
+function withCacheBreakpoint(messages) {
+  const last = messages[messages.length - 1];
+  if (!last) return messages;
+
+  const content = typeof last.content === 'string' ? [{ type: 'text', text: last.content }] : last.content;
+  if (content.length === 0) return messages;
+
+  return [
+    ...messages.slice(0, -1),
+    {
+      ...last,
+      content: [...content.slice(0, -1), { ...content[content.length - 1], cache_control: { type: 'ephemeral' } }]
+    }
+  ];
+}
+
+// ==================== END CONTEXT MANAGER ====================
+
+// ==================== PROMPT TEMPLATES ====================
+
+// The chat system prompt is assembled from the template files in prompts/chat,
+// in this order. Sections with `when` are only included when that variable is set;
+// perRequest sections change from message to message, so they come after the
+// prompt cache breakpoint.
+const PROMPTS_DIR = join(__dirname, 'prompts');
+const CHAT_PROMPTS_DIR = join(PROMPTS_DIR, 'chat');
+const CUSTOM_INSTRUCTIONS_PATH = join(PROMPTS_DIR, 'custom-instructions.md');
+
+const CHAT_PROMPT_SECTIONS = [
+  { name: 'role-and-rules', label: 'Role, literal interpretation and tools' },
+  { name: 'r-workspace', label: 'R workspace and Snowflake' },
+  { name: 'dataset-naming', label: 'Dataset variable names' },
+  { name: 'r-output', label: 'Showing data and plots' },
+  { name: 'data-quality', label: 'Data quality and loading diagnostics' },
+  { name: 'suggestions', label: 'Suggestions and tidy data', when: 'suggestionsEnabled' },
+  { name: 'reactive-components', label: 'Reactive components' },
+  { name: 'project-instructions', label: 'Custom instructions heading', when: 'customInstructions' },
+  { name: 'vision', label: 'Plots sent with the message', when: 'plotCount', perRequest: true },
+  { name: 'schema', label: 'Active dataset schema', when: 'hasSchema', perRequest: true },
+  { name: 'memory', label: 'Conversation memory', when: 'summary', perRequest: true }
+];
+
+// Variables available to the templates as {{name}}, and in {{#if name}}...{{else}}...{{/if}}
+const CHAT_PROMPT_VARIABLES = {
+  suggestionsEnabled: 'Whether suggestions are turned on',
+  customInstructions: 'The project custom instructions (prompts/custom-instructions.md)',
+  plotCount: 'Number of recent plots sent with the message',
+  hasSchema: 'Whether column information for the active dataset was sent',
+  activeDatasetName: 'R variable name of the active dataset',
+  numericColumns: 'Comma-separated numeric column names, or "none"',
+  dateColumns: 'Comma-separated date columns with their first and last dates',
+  categoricalColumns: 'Categorical columns with their values, one per line, or "none"',
+  summary: 'Memory of the summarized earlier part of the conversation'
+};
+
+/**
+ * Fill in a prompt template. Only known variables are replaced - anything else
+ * in braces, like the {{binwidth}} placeholders in the reactive component
+ * examples, is left as written. Conditionals cannot be nested.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string}
+ */
+function renderPromptTemplate(template, variables) {
+  return template
+    .replace(
+      /\{\{#if (\w+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+      (match, name, ifSet, ifUnset = '') => (variables[name] ? ifSet : ifUnset)
+    )
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (Object.hasOwn(variables, name) ? String(variables[name]) : match));
+}
+
+/**
+ * Read the chat templates and the project custom instructions from disk.
+ * Read on every request, so edits take effect on the next message.
+ * @returns {Promise<{templates: Object, customInstructions: string}>} Template text by section name
+ */
+async function loadChatPromptTemplates() {
+  const templates = {};
+  await Promise.all(CHAT_PROMPT_SECTIONS.map(async ({ name }) => {
+    try {
+      templates[name] = (await readFile(join(CHAT_PROMPTS_DIR, `${name}.md`), 'utf8')).trim();
+    } catch (error) {
+      console.warn(`[PROMPTS] Template ${name}.md could not be read, leaving it out:`, error.message);
+      templates[name] = '';
+    }
+  }));
+
+  const customInstructions = existsSync(CUSTOM_INSTRUCTIONS_PATH)
+    ? (await readFile(CUSTOM_INSTRUCTIONS_PATH, 'utf8')).trim()
+    : '';
+
+  return { templates, customInstructions };
+}
+
+/**
+ * Template variables for a chat request's state
+ * @param {Object} state
+ * @param {boolean} state.suggestionsEnabled
+ * @param {number} state.plotCount - Recent plots sent with the message
+ * @param {Object[]} state.columnMetadata - [{ name, type, values }] of the active dataset
+ * @param {string} state.activeDatasetName
+ * @param {string} state.summary - Conversation memory
+ * @returns {Object}
+ */
+function chatPromptVariables({ suggestionsEnabled, plotCount, columnMetadata, activeDatasetName, summary }) {
+  const columns = columnMetadata || [];
+  const numericColumns = columns.filter(c => c.type === 'numeric').map(c => c.name);
+  const dateColumns = columns
+    .filter(c => c.type === 'date')
+    .map(c => (c.min ? `${c.name} (${c.min} to ${c.max})` : c.name));
+  const categoricalColumns = columns
+    .filter(c => c.type === 'categorical' && c.values && c.values.length > 0)
+    .map(c => {
+      // Long value lists are cut short - they add up fast on wide datasets
+      const more = c.values.length - MAX_SCHEMA_VALUES;
+      return `  - ${c.name}: [${c.values.slice(0, MAX_SCHEMA_VALUES).join(', ')}${more > 0 ? `, ... (${more} more)` : ''}]`;
+    });
+
+  return {
+    suggestionsEnabled: Boolean(suggestionsEnabled),
+    plotCount: plotCount || 0,
+    hasSchema: columns.length > 0,
+    activeDatasetName: activeDatasetName || '',
+    numericColumns: numericColumns.join(', ') || 'none',
+    dateColumns: dateColumns.join(', '),
+    categoricalColumns: categoricalColumns.join('\n') || 'none',
+    summary: summary || ''
+  };
+}
+
+/**
+ * Assemble the chat system prompt from the templates
+ * @param {Object} variables - From chatPromptVariables
+ * @returns {Promise<{staticPrompt: string, dynamicPrompt: string, sections: Object[]}>}
+ *   staticPrompt is the same from turn to turn (cached by the provider); dynamicPrompt
+ *   changes with the request. sections lists what was included, in order.
+ */
+async function buildChatSystemPrompt(variables) {
+  const { templates, customInstructions } = await loadChatPromptTemplates();
+  const allVariables = { ...variables, customInstructions };
+
+  const sections = CHAT_PROMPT_SECTIONS
+    .filter(section => !section.when || allVariables[section.when])
+    .map(section => ({ ...section, text: renderPromptTemplate(templates[section.name], allVariables) }))
+    .filter(section => section.text);
+
+  const joinSections = (perRequest) => sections
+    .filter(section => Boolean(section.perRequest) === perRequest)
+    .map(section => section.text)
+    .join('\n\n');
+
+  return { staticPrompt: joinSections(false), dynamicPrompt: joinSections(true), sections };
+}
+
+/**
+ * GET /api/prompt-templates
+ * The chat prompt templates and project custom instructions, for editing
+ *
+ * Response: { sections, customInstructions, variables }
+ * - sections: [{ name, label, when, perRequest, content }] in prompt order
+ * - variables: { name: description } available to the templates
+ */
+app.get('/api/prompt-templates', async (req, res) => {
+  try {
+    const { templates, customInstructions } = await loadChatPromptTemplates();
+    res.json({
+      sections: CHAT_PROMPT_SECTIONS.map(section => ({ ...section, content: templates[section.name] })),
+      customInstructions,
+      variables: CHAT_PROMPT_VARIABLES
+    });
+  } catch (error) {
+    console.error('[PROMPTS] Could not load templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/prompt-templates
+ * Save a chat prompt template, or the project custom instructions
+ *
+ * Body:
+ * - name: Section name from CHAT_PROMPT_SECTIONS, or 'custom-instructions'
+ * - content: New text
+ *
+ * Response: { success }
+ */
+app.post('/api/prompt-templates', async (req, res) => {
+  try {
+    const { name, content } = req.body;
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string' });
+    }
+
+    let filePath;
+    if (name === 'custom-instructions') {
+      filePath = CUSTOM_INSTRUCTIONS_PATH;
+    } else if (CHAT_PROMPT_SECTIONS.some(section => section.name === name)) {
+      filePath = join(CHAT_PROMPTS_DIR, `${name}.md`);
+    } else {
+      return res.status(400).json({ error: `Unknown prompt template: ${name}` });
+    }
+
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content.trim() ? `${content.trim()}\n` : '');
+    console.log(`[PROMPTS] Saved ${relative(__dirname, filePath)}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[PROMPTS] Could not save template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/preview
+ * The chat system prompt as it would be sent for the given state
+ *
+ * Body: { suggestionsEnabled, plotCount, columnMetadata, activeDatasetName, contextMemory }
+ *
+ * Response: { staticPrompt, dynamicPrompt, sections, tokens }
+ * - sections: [{ name, label, perRequest, tokens }] that were included, in order
+ * - tokens: { static, dynamic } estimated sizes
+ */
+app.post('/api/prompt-templates/preview', async (req, res) => {
+  try {
+    const { suggestionsEnabled, plotCount, columnMetadata, activeDatasetName, contextMemory } = req.body;
+    const { staticPrompt, dynamicPrompt, sections } = await buildChatSystemPrompt(chatPromptVariables({
+      suggestionsEnabled,
+      plotCount,
+      columnMetadata,
+      activeDatasetName,
+      summary: contextMemory?.summary
+    }));
+
+    res.json({
+      staticPrompt,
+      dynamicPrompt,
+      sections: sections.map(({ name, label, perRequest, text }) => ({ name, label, perRequest: Boolean(perRequest), tokens: estimateTokens(text) })),
+      tokens: { static: estimateTokens(staticPrompt), dynamic: estimateTokens(dynamicPrompt) }
+    });
+  } catch (error) {
+    console.error('[PROMPTS] Could not build preview:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== END PROMPT TEMPLATES ====================
+
+/**
+ * Stream a model response to the client as server-sent events, forwarding
+ * each piece of text as `event: delta  data: { text }`. The caller sends the
+ * closing event. If the client disconnects, the request to the model is aborted.
+ * Called once per round of tool calls; only the first call writes the headers.
+ * @param {Object} provider - From createLlmProvider
+ * @param {Object} params - { system, messages, tools }
+ * @param {Object} res - Express response
+ * @param {string} separator - Sent before this response's first text, to set it apart from earlier rounds
+ * @returns {Promise<Object|null>} The final message, or null if the client went away
+ */
+async function streamChatResponse(provider, params, res, separator = '') {
+  if (!res.headersSent) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+  }
+
+  const controller = new AbortController();
+  let ended = false;
+  let clientGone = false;
+
+  const handleClose = () => {
+    if (!ended) {
+      clientGone = true;
+      controller.abort();
+    }
+  };
+  res.on('close', handleClose);
+
+  try {
+    const message = await provider.streamMessage(params, {
+      signal: controller.signal,
+      onText: (text) => {
+        res.write(`event: delta\ndata: ${JSON.stringify({ text: separator + text })}\n\n`);
+        separator = '';
+      }
+    });
+    ended = true;
+    return message;
+  } catch (error) {
+    if (clientGone) {
+      console.log('[/api/chat] Client cancelled the stream');
+      return null;
+    }
+    throw error;
+  } finally {
+    res.off('close', handleClose);
+  }
+}
+
+/**
+ * POST /api/chat
+ * Proxy endpoint for model requests (Claude unless Model Settings choose another provider)
+ *
+ * POST /api/chat/stream
+ * Same request, but the response is a text/event-stream of:
+ * - event: delta  data: { text } - response text as it is generated
+ * - event: card   data: { card } - a code card from a tool call, once when it starts running and once with its result
+ * - event: done   data: the same JSON /api/chat returns
+ * - event: error  data: { error, status } - if the model fails after streaming started
+ * Closing the connection cancels the request to the model and any R code it is running.
+ *
+ * Claude answers with the CHAT_TOOLS; R code it runs goes back to it as tool
+ * results until it stops calling tools (or MAX_CHAT_TOOL_ROUNDS is reached).
+ *
+ * Body:
+ * - apiKey: Anthropic API key (required when the purpose uses the anthropic provider)
+ * - messages: Array of conversation messages
+ * - purpose: chat (default), rewrite or descriptions - picks the default model settings
+ * - llm: Model Settings for this purpose ({ provider, model, maxTokens, temperature, baseUrl, apiKey })
+ * - workspaceId: Conversation's workspace - tool calls run R code in its session (without it, code is returned unrun)
+ * - autoFormatTabular: Whether data frames from tool calls are shown as gt tables
+ * - contextMemory: { summary, summarizedCount } from the previous response - the memory that replaces older messages
+ * - contextAttachments: Code card outputs the user shared with this message - [{ cardId, summary, output, error, valueData }],
+ *   added to the last user message as text (see formatContextAttachments)
+ * - conversationId: Conversation the call's usage is counted against (defaults to workspaceId)
+ *
+ * Response: { success, data, text, transcript, codeCards, reactiveComponents, suggestions, context, attachments, usage }
+ * - text: Claude's text across all rounds
+ * - transcript: text with the code it ran as r blocks, for the conversation history
+ * - codeCards: [{ id, tool, code, summary, description, result, revisions, skipped }] - result is the /api/execute-r
+ *   result; code steps run in order and the ones after a failure in the same round are skipped (result null)
+ * - context: { memory, usage } - the memory to send with the next message, and how much of the context budget
+ *   this request used ({ usedTokens, budgetTokens, summarizedMessages, verbatimMessages })
+ * - attachments: [{ cardId, summary, parts, truncated }] - the shared outputs that were sent, after the size limits
+ * - usage: Spending today and in this conversation, with budget warnings (see getUsageStatus)
+ * - suggestions: [{ text, interactives }] - interactives are the editable spans Claude declared that fit
+ *   columnMetadata (see buildSuggestionSpans)
+ *
+ * Once a hard budget limit is reached, requests fail with status 402.
+ */
+app.post(['/api/chat', '/api/chat/stream'], async (req, res) => {
+  const streaming = req.path === '/api/chat/stream';
+  const llmSettings = resolveLlmSettings(req.body.purpose, req.body.llm, req.body.apiKey);
+
+  try {
+    const { apiKey, messages, suggestionsEnabled, recentPlots, columnMetadata, activeDatasetName, workspaceId, autoFormatTabular = true, contextMemory, contextAttachments } = req.body;
+    const conversationId = req.body.conversationId || workspaceId || null;
+
+    console.log('[/api/chat] Request received');
+    console.log(`[/api/chat] ${llmSettings.purpose}: ${llmSettings.provider} / ${llmSettings.model}`);
+    console.log('[/api/chat] suggestionsEnabled:', suggestionsEnabled);
+    console.log('[/api/chat] activeDatasetName:', activeDatasetName || 'none');
+    console.log('[/api/chat] columnMetadata present:', !!columnMetadata);
+    if (columnMetadata && columnMetadata.length > 0) {
+      console.log('[/api/chat] columnMetadata preview:', columnMetadata.slice(0, 5).map(c => `${c.name}(${c.type})`).join(', '), `... (${columnMetadata.length} total)`);
+      const hasYearColumn = columnMetadata.some(c => c.name === 'year');
+      console.log('[/api/chat] Has "year" column:', hasYearColumn);
+    }
+    console.log('[/api/chat] messages count:', messages?.length);
+
+    if (!apiKey && llmSettings.provider === 'anthropic') {
+      return res.status(400).json({
+        error: 'API key is required'
+      });
+    }
+
+    if (!messages || !Array.isArray(messages)) {
+      return res.status(400).json({
+        error: 'Messages array is required'
+      });
+    }
+
+    if (workspaceId && !getWorkspacePath(workspaceId)) {
+      return res.status(400).json({
+        error: 'Invalid workspaceId'
+      });
+    }
+
+    // Model provider for this purpose (Anthropic with the user's API key by default)
+    const provider = createLlmProvider(llmSettings, conversationId);
+
+    // System prompt for data analysis assistant, from the templates in prompts/chat
+    const promptVariables = chatPromptVariables({
+      suggestionsEnabled,
+      plotCount: (recentPlots || []).length,
+      columnMetadata,
+      activeDatasetName
+    });
+    let prompt = await buildChatSystemPrompt(promptVariables);
+
+    // Fit the history into the context budget - older turns are replaced by the memory
+    const tools = suggestionsEnabled ? CHAT_TOOLS : CHAT_TOOLS.filter(tool => tool.name !== 'propose_suggestions');
+    const plotTokens = (recentPlots || []).length * IMAGE_TOKENS;
+    const attachments = formatContextAttachments(contextAttachments);
+    if (attachments.shared.length > 0) {
+      console.log('[/api/chat] Shared outputs:', attachments.shared.map(item => `${item.summary} (${item.parts.join(', ')})`).join('; '));
+    }
+    const chatContext = await fitConversationToBudget(
+      provider,
+      messages,
+      contextMemory,
+      estimateTokens(prompt.staticPrompt) + estimateTokens(prompt.dynamicPrompt) + estimateTokens(tools) +
+        plotTokens + estimateTokens(attachments.blocks)
+    );
+    if (chatContext.memory.summary) {
+      prompt = await buildChatSystemPrompt({ ...promptVariables, summary: chatContext.memory.summary });
+    }
+
+    // Everything in staticPrompt is the same from turn to turn and is cached by the provider;
+    // dynamicPrompt changes with the request (plots, schema, memory) and comes after it.
+    // Cache breakpoint after the fixed instructions (the tools come before them, so are cached too)
+    const system = [
+      { type: 'text', text: prompt.staticPrompt, cache_control: { type: 'ephemeral' } },
+      ...(prompt.dynamicPrompt ? [{ type: 'text', text: prompt.dynamicPrompt }] : [])
+    ];
+
+    // Format messages with vision content blocks if plots are included,
+    // and the code outputs the user shared as text blocks
+    let formattedMessages = chatContext.messages;
+    if ((recentPlots && recentPlots.length > 0) || attachments.blocks.length > 0) {
+      // Transform the last user message to include images and outputs
+      formattedMessages = chatContext.messages.map((msg, index) => {
+        // Only modify the last user message
+        if (msg.role === 'user' && index === chatContext.messages.length - 1) {
+          const contentBlocks = [];
+
+          // Add plot images first
+          for (const plot of recentPlots || []) {
+            contentBlocks.push({
+              type: 'image',
+              source: {
+                type: 'base64',
+                media_type: 'image/png',
+                data: plot.base64Data
+              }
+            });
+            // Add a text label for the plot
+            contentBlocks.push({
+              type: 'text',
+              text: `[Plot: ${plot.summary}]`
+            });
+          }
+
+          // Then the shared outputs and the user's message text
+          contentBlocks.push(...attachments.blocks);
+          contentBlocks.push({
+            type: 'text',
+            text: msg.content
+          });
+
+          return {
+            role: msg.role,
+            content: contentBlocks
+          };
+        }
+        return msg;
+      });
+    }
+
+    // Debug: Log messages before filtering
+    console.log('\n=== BEFORE FILTERING ===');
+    formattedMessages.forEach((msg, idx) => {
+      console.log(`Message ${idx}:`, {
+        role: msg.role,
+        contentType: typeof msg.content,
+        contentValue: Array.isArray(msg.content) ? `[Array of ${msg.content.length}]` : msg.content,
+        isEmpty: !msg.content || (typeof msg.content === 'string' && msg.content.trim().length === 0)
+      });
+    });
+
+    // Filter out messages with empty content (e.g., dataset report messages)
+    formattedMessages = formattedMessages.filter(msg => {
+      // For string content, check if it's non-empty
+      if (typeof msg.content === 'string') {
+        return msg.content.trim().length > 0;
+      }
+      // For array content (content blocks), check if array has items
+      if (Array.isArray(msg.content)) {
+        return msg.content.length > 0;
+      }
+      // Reject falsy content
+      return false;
+    });
+
+    // Debug: Log messages after filtering
+    console.log('\n=== AFTER FILTERING ===');
+    formattedMessages.forEach((msg, idx) => {
+      console.log(`Message ${idx}:`, {
+        role: msg.role,
+        contentType: typeof msg.content,
+        contentValue: Array.isArray(msg.content) ? `[Array of ${msg.content.length}]` : msg.content
+      });
+    });
+    console.log(`Total messages: ${formattedMessages.length}\n`);
+
+    // Call the model with tools, running its tool calls and sending back the
+    // results until it answers without needing them
+    const toolContext = {
+      workspaceId,
+      autoFormatTabular,
+      activeDataset: activeDatasetName,
+      cards: [],
+      reactiveComponents: [],
+      suggestions: null,
+      executionId: null,  // R code running for a tool call right now
+      stepFailed: false   // A code step in this round failed - later ones are skipped
+    };
+    const sendCard = (card) => {
+      if (streaming) {
+        res.write(`event: card\ndata: ${JSON.stringify({ card })}\n\n`);
+      }
+    };
+
+    // Leaving mid-turn also stops R code Claude is running
+    let clientGone = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientGone = true;
+        if (toolContext.executionId) cancelRExecution(toolContext.executionId);
+      }
+    });
+
+    const conversation = [...formattedMessages];
+    const textParts = [];
+    const transcriptParts = [];
+    let message;
+
+    for (let round = 1; ; round++) {
+      const params = {
+        system,
+        tools,
+        messages: withCacheBreakpoint(conversation)
+      };
+      message = streaming
+        ? await streamChatResponse(provider, params, res, textParts.length > 0 ? '\n\n' : '')
+        : await provider.createMessage(params);
+
+      // Streaming client cancelled - nothing left to send
+      if (!message || clientGone) return;
+
+      const toolResults = [];
+      let followUp = false;
+      toolContext.stepFailed = false;
+      for (const block of message.content) {
+        if (block.type === 'text' && block.text.trim()) {
+          textParts.push(block.text.trim());
+          transcriptParts.push(block.text.trim());
+        } else if (block.type === 'tool_use') {
+          const outcome = await runChatTool(block, toolContext, sendCard);
+          if (clientGone) return;
+          if (outcome.transcript) transcriptParts.push(outcome.transcript);
+          followUp = followUp || !!outcome.followUp;
+          toolResults.push({
+            type: 'tool_result',
+            tool_use_id: block.id,
+            content: outcome.content,
+            ...(outcome.isError && { is_error: true })
+          });
+        }
+      }
+
+      // Only go back to Claude when a result is something it needs to see (R output, a rejected call)
+      if (message.stop_reason !== 'tool_use' || !followUp) break;
+      if (round >= MAX_CHAT_TOOL_ROUNDS) {
+        console.log(`[/api/chat] Stopping after ${round} rounds of tool calls`);
+        break;
+      }
+      conversation.push(
+        { role: 'assistant', content: message.content },
+        { role: 'user', content: toolResults }
+      );
+    }
+
+    // Check the editable spans Claude declared in its suggestions against the dataset
+    let parsedSuggestions = null;
+    if (suggestionsEnabled && toolContext.suggestions) {
+      console.log('[/api/chat] Claude proposed', toolContext.suggestions.length, 'suggestions');
+      parsedSuggestions = toolContext.suggestions.map(sug => ({
+        text: sug.text,
+        interactives: buildSuggestionSpans(sug, columnMetadata)
+      }));
+    } else {
+      console.log('[/api/chat] No suggestions proposed (suggestionsEnabled:', suggestionsEnabled, ')');
+    }
+
+    // Return the final message with everything the tool calls produced
+    const response = {
+      success: true,
+      data: message,
+      text: textParts.join('\n\n'),
+      transcript: transcriptParts.join('\n\n'),
+      codeCards: toolContext.cards,
+      reactiveComponents: toolContext.reactiveComponents,
+      context: { memory: chatContext.memory, usage: chatContext.usage },
+      attachments: attachments.shared,
+      usage: getUsageStatus(conversationId)
+    };
+
+    if (parsedSuggestions && parsedSuggestions.length > 0) {
+      response.suggestions = parsedSuggestions;
+    }
+
+    if (streaming) {
+      res.write(`event: done\ndata: ${JSON.stringify(response)}\n\n`);
+      return res.end();
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error calling Claude API:', error);
+
+    // Handle specific error types
+    let status = 500;
+    let errorMessage = error.message || 'An error occurred while processing your request';
+
+    if (error.status === 401) {
+      status = 401;
+      errorMessage = llmSettings.provider === 'anthropic'
+        ? 'Invalid API key. Please check your Anthropic API key.'
+        : `Invalid API key for ${LLM_PROVIDERS[llmSettings.provider].label}. Please check Model Settings.`;
+    } else if (error.status === 402) {
+      status = 402;  // Hard budget limit reached - the message says which
+    } else if (error.status === 429) {
+      status = 429;
+      errorMessage = 'Rate limit exceeded. Please try again later.';
+    } else if (error.status === 529) {
+      status = 529;
+      errorMessage = 'Claude API is currently overloaded. Please wait a moment and try again.';
+    }
+
+    // Once a stream has started the status line is gone - report the error in the stream
+    if (res.headersSent) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: errorMessage, status })}\n\n`);
+      return res.end();
+    }
+
+    res.status(status).json({
+      error: errorMessage
+    });
+  }
+});
+
+// ==================== R EXECUTION POLICY ====================
+
+/**
+ * Limits and checks applied to code sent to /api/execute-r.
+ * Any of these can be overridden in r-policy.json in the project root, e.g.
+ *   { "memoryLimitMb": 8192, "confirmFunctions": ["system", "system2"] }
+ *
+ * The function and path checks run twice. checkRPolicy looks at the code before
+ * it runs, so the user can be asked to confirm what it says literally
+ * (system("..."), write.csv(x, "/etc/x.csv")). While it runs, wrappers in the R
+ * session (see R_SESSION_RUNNER) check the paths and calls it really makes, so
+ * ones built up at run time are stopped too. Neither is a sandbox: package code,
+ * and code that names base:: or utils:: at run time, reach the originals.
+ */
+const DEFAULT_R_POLICY = {
+  memoryLimitMb: 4096,              // R vector heap per session (R_MAX_VSIZE)
+  cpuLimitSeconds: 300,             // CPU time per execution
+  maxTimeoutMs: 30 * 60 * 1000,     // Upper bound for a request's timeoutMs
+  writableFolders: [],              // Folders code may write to besides data/ and the temp folder
+  confirmFunctions: [               // Calls that only run after the user confirms them
+    'system', 'system2', 'shell', 'shell.exec', 'pipe',
+    'unlink', 'file.remove', 'file.rename',
+    'install.packages', 'remove.packages', 'update.packages',
+    'download.file', 'url', 'readBin',
+    'curl', 'curl_download', 'curl_fetch_memory', 'curl_fetch_disk', 'curl_fetch_stream',
+    'Sys.setenv', 'setwd', 'q', 'quit'
+  ]
+};
+
+const R_POLICY_PATH = join(__dirname, 'r-policy.json');
+
+// Effective policy (defaults merged with r-policy.json, see loadRPolicy)
+let rPolicy = { ...DEFAULT_R_POLICY };
+
+/**
+ * Functions that write to a file, with the argument that holds the path:
+ * its name, and its position when passed unnamed (null = only checked when named)
+ */
+const R_WRITE_FUNCTIONS = {
+  'write.csv': ['file', 2], 'write.csv2': ['file', 2], 'write.table': ['file', 2],
+  'write_csv': ['file', 2], 'write_tsv': ['file', 2], 'write_delim': ['file', 2], 'write_rds': ['file', 2],
+  'fwrite': ['file', 2], 'write_xlsx': ['path', 2], 'write.xlsx': ['file', 2],
+  'saveRDS': ['file', 2], 'save': ['file', null], 'save.image': ['file', 1],
+  'writeLines': ['con', 2], 'writeBin': ['con', 2], 'cat': ['file', null], 'sink': ['file', 1],
+  'file.create': ['...', 1], 'dir.create': ['path', 1], 'file.copy': ['to', 2], 'file.append': ['file1', 1],
+  'ggsave': ['filename', 1], 'saveWidget': ['file', 2], 'gtsave': ['filename', 2],
+  'png': ['filename', 1], 'jpeg': ['filename', 1], 'pdf': ['file', 1], 'svg': ['filename', 1]
+};
+
+/**
+ * Read r-policy.json (if present) over the defaults
+ */
+async function loadRPolicy() {
+  if (!existsSync(R_POLICY_PATH)) {
+    console.log('[R POLICY] Using default execution policy');
+    return;
+  }
+
+  try {
+    const overrides = JSON.parse(await readFile(R_POLICY_PATH, 'utf8'));
+    const policy = { ...DEFAULT_R_POLICY };
+
+    for (const key of ['memoryLimitMb', 'cpuLimitSeconds', 'maxTimeoutMs']) {
+      if (key in overrides) {
+        if (!Number.isFinite(overrides[key]) || overrides[key] <= 0) {
+          throw new Error(`${key} must be a positive number`);
+        }
+        policy[key] = overrides[key];
+      }
+    }
+    for (const key of ['writableFolders', 'confirmFunctions']) {
+      if (key in overrides) {
+        if (!Array.isArray(overrides[key]) || !overrides[key].every((item) => typeof item === 'string')) {
+          throw new Error(`${key} must be an array of strings`);
+        }
+        policy[key] = overrides[key];
+      }
+    }
+
+    rPolicy = policy;
+    console.log('[R POLICY] Loaded execution policy from r-policy.json');
+  } catch (error) {
+    console.error('[R POLICY] Ignoring invalid r-policy.json:', error.message);
+  }
+}
+
+/**
+ * Replace string literals and comments in R code so calls can be matched
+ * without tripping over text. Each literal becomes a `__STR<n>__` token.
+ * @param {string} code - R code
+ * @returns {{ code: string, strings: string[] }} Masked code and the literal values
+ */
+function maskRStrings(code) {
+  const strings = [];
+  let masked = '';
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (char === '#') {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      let value = '';
+      i++;
+      while (i < code.length && code[i] !== char) {
+        if (code[i] === '\\' && i + 1 < code.length) {
+          value += code[i + 1];
+          i += 2;
+        } else {
+          value += code[i++];
+        }
+      }
+      i++;
+      // Backticks quote names (`system`(...)), not strings
+      if (char === '`') {
+        masked += value;
+      } else {
+        masked += `__STR${strings.length}__`;
+        strings.push(value);
+      }
+      continue;
+    }
+
+    masked += char;
+    i++;
+  }
+
+  return { code: masked, strings };
+}
+
+/**
+ * Split the arguments of a call into top-level pieces
+ * @param {string} code - Masked code
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {string[]} Argument source, trimmed
+ */
+function splitRCallArguments(code, start) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = start; i < code.length; i++) {
+    const char = code[i];
+    if (char === '(' || char === '[' || char === '{') depth++;
+    if (char === ')' || char === ']' || char === '}') {
+      if (depth === 0) break;
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) args.push(current.trim());
+  return args;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for calls to a function, bare or namespaced (pkg::fn), but not
+ * methods or list elements (obj$fn)
+ */
+function rCallPattern(name) {
+  return new RegExp(`(?<![\\w.$@])(?:[A-Za-z.][\\w.]*:::?)?${escapeRegExp(name)}\\s*\\(`, 'g');
+}
+
+/**
+ * Folders code may write to: the data folder, the temp folder and the policy's writableFolders
+ */
+function rWritableRoots() {
+  return [DATA_FOLDER, tmpdir(), ...rPolicy.writableFolders].map((folder) => resolvePath(folder));
+}
+
+/**
+ * Whether a path (relative to the data folder, where R runs) is somewhere code may write
+ */
+function isWritableRPath(path) {
+  const expanded = path.startsWith('~') ? join(homedir(), path.slice(1)) : path;
+  const target = resolvePath(DATA_FOLDER, expanded);
+
+  return rWritableRoots().some((root) => {
+    const rel = relative(root, target);
+    return !rel.startsWith('..') && !isAbsolute(rel);
+  });
+}
+
+/**
+ * Check R code against the execution policy before it runs
+ * @param {string} code - R code from the request
+ * @param {string[]} confirmedFunctions - Functions the user has agreed to run
+ * @returns {Object|null} Structured violation, or null if the code may run
+ */
+function checkRPolicy(code, confirmedFunctions = []) {
+  const { code: masked, strings } = maskRStrings(code);
+  const literal = (arg) => {
+    const match = arg.match(/^__STR(\d+)__$/);
+    return match ? strings[parseInt(match[1], 10)] : null;
+  };
+
+  // Writes to literal paths outside the allowed folders can't be confirmed away
+  const blockedPaths = [];
+  for (const [name, [argName, position]] of Object.entries(R_WRITE_FUNCTIONS)) {
+    const pattern = rCallPattern(name);
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+      const args = splitRCallArguments(masked, match.index + match[0].length);
+      const named = args.find((arg) => new RegExp(`^${escapeRegExp(argName)}\\s*=`).test(arg));
+      const positional = args.filter((arg) => !/^[\w.]+\s*=[^=]/.test(arg));
+      const pathArgs = argName === '...'
+        ? positional
+        : [named ? named.replace(/^[\w.]+\s*=\s*/, '') : (position ? positional[position - 1] : null)];
+
+      for (const arg of pathArgs) {
+        const path = arg && literal(arg);
+        if (path && !isWritableRPath(path) && !blockedPaths.includes(path)) {
+          blockedPaths.push(path);
+        }
+      }
+    }
+  }
+
+  if (blockedPaths.length > 0) {
+    return {
+      type: 'write_outside_allowed',
+      message: `Writing outside the data and temp folders is not allowed: ${blockedPaths.join(', ')}`,
+      paths: blockedPaths
+    };
+  }
+
+  // Calls that need the user's go-ahead, including indirect do.call()/match.fun() forms
+  const found = rPolicy.confirmFunctions.filter((name) => {
+    if (rCallPattern(name).test(masked)) return true;
+    return [...masked.matchAll(/(?<![\w.$@])(?:do\.call|match\.fun|get)\s*\(\s*([\w.]+)/g)]
+      .some(([, arg]) => arg === name || literal(arg) === name);
+  });
+  const unconfirmed = found.filter((name) => !confirmedFunctions.includes(name));
+
+  if (unconfirmed.length > 0) {
+    return {
+      type: 'confirmation_required',
+      message: `This code calls ${unconfirmed.join(', ')}, which must be confirmed before it runs`,
+      functions: unconfirmed
+    };
+  }
+
+  return null;
+}
+
+/**
+ * R value for .threepanel_run's policy argument, which turns on the run-time checks
+ * @param {string[]} confirmedFunctions - Functions the user has agreed to run
+ * @returns {string} R code
+ */
+function buildRRuntimePolicy(confirmedFunctions) {
+  const vector = (items) => items.length > 0 ? `c(${items.map((item) => JSON.stringify(item)).join(', ')})` : 'character()';
+  const roots = rWritableRoots().map((root) => root.replace(/\\/g, '/'));
+  const confirmed = confirmedFunctions.filter((name) => typeof name === 'string');
+  return `list(roots = ${vector(roots)}, confirm = ${vector(rPolicy.confirmFunctions)}, confirmed = ${vector(confirmed)})`;
+}
+
+/**
+ * Recognise a resource limit in a failed run's error output
+ * @param {string} stderr - R error output
+ * @returns {Object|null} Structured violation, or null if the error is something else
+ */
+function detectRLimitViolation(stderr) {
+  if (/reached (CPU|elapsed) time limit/.test(stderr)) {
+    return {
+      type: 'cpu_limit',
+      message: `Execution exceeded the CPU time limit of ${rPolicy.cpuLimitSeconds}s`,
+      limitSeconds: rPolicy.cpuLimitSeconds
+    };
+  }
+  if (/vector memory (limit|exhausted)|cannot allocate vector of size/.test(stderr)) {
+    return {
+      type: 'memory_limit',
+      message: `Execution exceeded the memory limit of ${rPolicy.memoryLimitMb} MB`,
+      limitMb: rPolicy.memoryLimitMb
+    };
+  }
+  return null;
+}
+
+// ==================== END R EXECUTION POLICY ====================
+
+// ==================== R SESSION POOL ====================
+
+// How often live sessions write their workspace back to disk (only when changed)
+const R_CHECKPOINT_INTERVAL_MS = 60 * 1000;
+
+// Sessions unused for this long are checkpointed and shut down (one R process per conversation adds up)
+const R_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Wall-clock limit for a single execution unless the request asks for another one
+const R_DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long an interrupted execution gets to unwind before its process tree is killed
+const R_INTERRUPT_GRACE_MS = 3000;
+
+// How long shutdown waits for each session's final checkpoint
+const R_SHUTDOWN_CHECKPOINT_MS = 30 * 1000;
+
+// R_WRITE_FUNCTIONS as an R list, for the runner's wrappers
+const R_WRITE_FUNCTIONS_R = `list(\n${Object.entries(R_WRITE_FUNCTIONS)
+  .map(([name, [arg, position]]) => `    list(name = "${name}", arg = "${arg}", position = ${position ?? 'NA'})`)
+  .join(',\n')}\n  )`;
+
+// Live R sessions keyed by the workspace file that backs them
+const rSessions = new Map();
+let rSessionCounter = 0;
+
+// Executions that can be cancelled, keyed by the client-supplied execution ID
+const rExecutions = new Map();
+
+/**
+ * Runner installed into every R session before anything else.
+ * It lives in its own attached environment so it is never saved into,
+ * listed in, or removed from the user's workspace. Each script is sourced
+ * into the global environment with auto-printing (like Rscript), and a
+ * completion marker is written to both streams so we know when all output
+ * for that script has arrived.
+ *
+ * The same environment holds the run-time half of the execution policy:
+ * wrappers that mask the write functions (R_WRITE_FUNCTIONS) and the confirm
+ * list. They only check anything while a script runs with a policy (see
+ * buildRRuntimePolicy) - the server's own code runs without one.
+ */
+const R_SESSION_RUNNER = `
+local({
+  tools_env <- attach(NULL, name = "tools:3panel")
+  policy_state <- new.env()  # $policy while a script runs with the execution policy
+
+  # Absolute path with symlinks and .. resolved as far as it exists
+  # (NA when .. follows a folder that doesn't exist)
+  real_path <- function(path) {
+    path <- path.expand(path)
+    if (!grepl("^(/|[A-Za-z]:)", path)) path <- file.path(getwd(), path)
+    rest <- character()
+    while (!file.exists(path) && dirname(path) != path) {
+      rest <- c(basename(path), rest)
+      path <- dirname(path)
+    }
+    if (".." %in% rest) return(NA_character_)
+    paste(c(normalizePath(path, winslash = "/"), rest), collapse = "/")
+  }
+
+  check_confirmed <- function(name) {
+    policy <- policy_state$policy
+    if (!is.null(policy) && name %in% policy$confirm && !(name %in% policy$confirmed)) {
+      stop("Execution policy: ", name, "() must be confirmed before it runs", call. = FALSE)
+    }
+  }
+
+  check_writable <- function(name, paths) {
+    policy <- policy_state$policy
+    for (path in paths[!is.na(paths) & nzchar(paths)]) {
+      real <- real_path(path)
+      if (is.na(real) || !any(real == policy$roots | startsWith(real, paste0(policy$roots, "/")))) {
+        stop("Execution policy: ", name, "() may not write to ", path, " (outside the data and temp folders)", call. = FALSE)
+      }
+    }
+  }
+
+  # Wrappers call the original through its namespace, the way the caller called the wrapper
+  call_original <- function(expr, package, name, envir) {
+    expr[[1]] <- call("::", as.name(package), as.name(name))
+    eval(expr, envir)
+  }
+
+  # Which of a call's arguments hold the path: matched to the original's formals the way
+  # R would (by name, partial name or position), else by position among the unnamed ones
+  path_arguments <- function(original, arg_names, arg, position) {
+    if (arg == "...") return(which(arg_names == ""))
+    indices <- as.list(seq_along(arg_names))
+    names(indices) <- arg_names
+    matched <- tryCatch(as.list(match.call(original, as.call(c(quote(f), indices)))), error = function(e) list())
+    if (!is.null(matched[[arg]])) return(matched[[arg]])
+    unnamed <- which(arg_names == "")
+    if (is.na(position) || position > length(unnamed)) integer() else unnamed[position]
+  }
+
+  # Write functions: the path is worked out once (forcing just that argument),
+  # checked, and passed on as a value unless the caller forwarded its own ...
+  guard_write <- function(name, package, arg, position) {
+    original <- getExportedValue(package, name)
+    function(...) {
+      call <- sys.call()
+      if (!is.null(policy_state$policy)) {
+        check_confirmed(name)
+        arg_names <- names(substitute(list(...)))[-1]
+        if (is.null(arg_names)) arg_names <- rep("", ...length())
+        forwards_dots <- length(call) - 1 != ...length() ||
+          any(vapply(as.list(call)[-1], identical, logical(1), quote(...)))
+        for (i in path_arguments(original, arg_names, arg, position)) {
+          path <- ...elt(i)
+          if (is.character(path)) {
+            check_writable(name, path)
+            if (!forwards_dots) call[[i + 1]] <- path
+          }
+        }
+      }
+      call_original(call, package, name, parent.frame())
+    }
+  }
+
+  guard_confirm <- function(name, package) {
+    function(...) {
+      check_confirmed(name)
+      call_original(sys.call(), package, name, parent.frame())
+    }
+  }
+
+  # library() and require() put the wrappers back in front of the package they attached
+  guard_attach <- function(name) {
+    function(...) {
+      result <- withVisible(call_original(sys.call(), "base", name, parent.frame()))
+      if (!is.null(policy_state$policy)) install_guards()
+      if (result$visible) result$value else invisible(result$value)
+    }
+  }
+
+  # Package whose exported function the search path finds behind tools:3panel
+  original_package <- function(name) {
+    original <- get0(name, envir = parent.env(tools_env), mode = "function")
+    if (is.null(original) || is.null(environment(original)) || !isNamespace(environment(original))) return(NULL)
+    package <- unname(getNamespaceName(environment(original)))
+    if (name %in% getNamespaceExports(package)) package else NULL
+  }
+
+  write_functions <- ${R_WRITE_FUNCTIONS_R}
+  confirm_names <- character()  # The policy's confirm list, from the last script run with one
+  runner_names <- c(".threepanel_run", ".threepanel_eval", "library", "require")
+
+  # (Re)mask the write and confirm functions where the search path finds them now.
+  # tools:3panel is moved back in front first, so functions from packages attached
+  # since (by the session setup or a card) are covered too
+  install_guards <- function() {
+    if (!identical(search()[2], "tools:3panel")) {
+      runner <- mget(runner_names, envir = tools_env)
+      detach("tools:3panel", character.only = TRUE)
+      tools_env <<- attach(NULL, name = "tools:3panel", warn.conflicts = FALSE)
+      list2env(runner, envir = tools_env)
+    }
+    rm(list = setdiff(ls(tools_env, all.names = TRUE), runner_names), envir = tools_env)
+    for (write_function in write_functions) {
+      package <- original_package(write_function$name)
+      if (!is.null(package)) {
+        assign(write_function$name, guard_write(write_function$name, package, write_function$arg, write_function$position), envir = tools_env)
+      }
+    }
+    for (name in setdiff(confirm_names, ls(tools_env, all.names = TRUE))) {
+      package <- original_package(name)
+      if (!is.null(package)) assign(name, guard_confirm(name, package), envir = tools_env)
+    }
+  }
+  assign("library", guard_attach("library"), envir = tools_env)
+  assign("require", guard_attach("require"), envir = tools_env)
+
+  assign(".threepanel_run", function(script, marker, home, cpu = Inf, policy = NULL) {
+    base::setwd(home)
+    if (!is.null(policy)) {
+      confirm_names <<- policy$confirm
+      install_guards()
+      policy$roots <- unique(normalizePath(c(policy$roots, tempdir()), winslash = "/", mustWork = FALSE))
+    }
+    policy_state$policy <- policy
+    status <- tryCatch({
+      # CPU limit for this script only (execution policy)
+      setTimeLimit(cpu = cpu, transient = TRUE)
+      source(script, local = globalenv(), print.eval = TRUE, echo = FALSE, encoding = "UTF-8")
+      0L
+    }, error = function(e) {
+      setTimeLimit()
+      call <- conditionCall(e)
+      prefix <- if (is.null(call)) "Error: " else paste0("Error in ", deparse(call)[1], " : ")
+      cat(prefix, conditionMessage(e), "\\n", sep = "", file = stderr())
+      1L
+    }, interrupt = function(i) {
+      # Cancelled or timed out from the server (SIGINT)
+      2L
+    })
+    setTimeLimit()
+    policy_state$policy <- NULL
+    # Close devices left open by the script so the next one starts clean
+    try(graphics.off(), silent = TRUE)
+    cat("\\n", marker, ":", status, "\\n", sep = "", file = stderr())
+    cat("\\n", marker, ":", status, "\\n", sep = "")
+    flush(stderr())
+    flush(stdout())
+    invisible(NULL)
+  }, envir = tools_env)
+
+  # Evaluate a user's code file expression by expression in the global
+  # environment, collecting messages, warnings and the error (with its call,
+  # traceback and line) instead of letting them go to stderr. display() gets
+  # the last value and runs under the same handlers, so printing-time warnings
+  # (e.g. ggplot's "Removed rows") are collected too. The conditions are
+  # written as JSON to conditions_file.
+  assign(".threepanel_eval", function(code_file, conditions_file, display) {
+    conditions <- list(messages = list(), warnings = list(), error = NULL)
+    current_line <- NA_integer_
+
+    # Innermost call made from the user's code, else the top-level expression running
+    user_line <- function(call) {
+      ref <- attr(call, "srcref")
+      if (!is.null(ref) && identical(attr(ref, "srcfile")$filename, code_file)) ref[[1]] else NA_integer_
+    }
+    condition_line <- function(calls) {
+      for (call in rev(calls)) {
+        line <- user_line(call)
+        if (!is.na(line)) return(line)
+      }
+      current_line
+    }
+    describe_call <- function(call) if (is.null(call)) NA_character_ else deparse(call)[1]
+
+    exprs <- tryCatch(parse(code_file, keep.source = TRUE, encoding = "UTF-8"), error = function(e) e)
+    if (inherits(exprs, "error")) {
+      # "<file>:LINE:COL: unexpected ..."
+      message <- sub(paste0("^", code_file, ":"), "", conditionMessage(exprs))
+      position <- regmatches(message, regexec("^([0-9]+):[0-9]+:", message))[[1]]
+      conditions$error <- list(
+        message = message,
+        call = NA_character_,
+        line = if (length(position) > 1) as.integer(position[2]) else NA_integer_,
+        traceback = list()
+      )
+    } else {
+      srcrefs <- attr(exprs, "srcref")
+      tryCatch(withCallingHandlers({
+        result <- list(value = NULL, visible = FALSE)
+        for (i in seq_along(exprs)) {
+          current_line <- srcrefs[[i]][[1]]
+          result <- withVisible(eval(exprs[[i]], globalenv()))
+        }
+        current_line <- NA_integer_
+        display(result$value, result$visible)
+      }, message = function(m) {
+        conditions$messages[[length(conditions$messages) + 1]] <<- list(
+          message = sub("\\n$", "", conditionMessage(m)),
+          line = condition_line(sys.calls())
+        )
+        invokeRestart("muffleMessage")
+      }, warning = function(w) {
+        # Same cap R itself uses for stored warnings
+        if (length(conditions$warnings) < 50) {
+          conditions$warnings[[length(conditions$warnings) + 1]] <<- list(
+            message = conditionMessage(w),
+            call = describe_call(conditionCall(w)),
+            line = condition_line(sys.calls())
+          )
+        }
+        invokeRestart("muffleWarning")
+      }, error = function(e) {
+        # Frames between our eval() and this handler, innermost first (like traceback())
+        calls <- sys.calls()
+        start <- Position(function(call) deparse(call)[1] == "eval(exprs[[i]], globalenv())", calls, nomatch = 0)
+        calls <- calls[seq_len(length(calls) - 1)]
+        if (start > 0) calls <- calls[-seq_len(start)]
+        calls <- Filter(function(call) !grepl("^(\\.handleSimpleError|h\\(simpleError)", deparse(call)[1]), calls)
+        conditions$error <<- list(
+          message = conditionMessage(e),
+          call = describe_call(conditionCall(e)),
+          line = condition_line(calls),
+          traceback = rev(lapply(calls, function(call) list(call = describe_call(call), line = user_line(call))))
+        )
+      }), error = function(e) {
+        # Lift the CPU limit in case that's what stopped the code, so the conditions still get written
+        setTimeLimit()
+      })
+    }
+
+    try(jsonlite::write_json(conditions, conditions_file, auto_unbox = TRUE, null = "null", na = "null"), silent = TRUE)
+    invisible(NULL)
+  }, envir = tools_env)
+})
+`;
+
+/**
+ * Build the one-time setup script for a new session: restore the last
+ * checkpoint and attach the packages every card expects.
+ * @param {string} workspacePath - .RData file backing the session
+ * @returns {string} R code
+ */
+function buildRSessionBootstrap(workspacePath) {
+  return `
+# Set CRAN mirror for package installation; print warnings as they happen
+options(repos = c(CRAN = "https://cloud.r-project.org"), warn = 1)
+
+# Restore the last checkpoint if it exists
+if (file.exists("${workspacePath.replace(/\\/g, '/')}")) {
+  load("${workspacePath.replace(/\\/g, '/')}", envir = globalenv())
+}
+
+# Load mtcars dataset
+data(mtcars)
+
+# Source Snowflake helper if it exists
+if (file.exists("snowflake_helper.R")) {
+  suppressMessages(source("snowflake_helper.R"))
+}
+
+# Auto-load commonly used packages
+suppressPackageStartupMessages({
+  library(dplyr)
+  library(ggplot2)
+  library(tidyr)
+  library(tibble)
+  library(scales)
+  if (requireNamespace("maps", quietly = TRUE)) library(maps)
+  if (requireNamespace("gt", quietly = TRUE)) library(gt)
+  if (requireNamespace("plotly", quietly = TRUE)) library(plotly)
+  if (requireNamespace("gganimate", quietly = TRUE)) library(gganimate)
+  if (requireNamespace("leaflet", quietly = TRUE)) library(leaflet)
+  if (requireNamespace("naniar", quietly = TRUE)) library(naniar)
+})
+`;
+}
+
+/**
+ * Start a long-lived R process for a workspace and queue its bootstrap
+ * @param {string} workspacePath - .RData file backing the session
+ * @returns {Object} Session handle
+ */
+function startRSession(workspacePath) {
+  const id = ++rSessionCounter;
+  console.log(`[R SESSION ${id}] Starting for workspace: ${workspacePath}`);
+
+  // Own process group so cancelling can signal R and anything it spawned
+  const rProcess = spawn('R', ['--vanilla', '--slave', '--no-readline'], {
+    cwd: DATA_FOLDER,
+    detached: process.platform !== 'win32',
+    // Memory limit from the execution policy - allocations beyond it fail with an R error
+    env: { ...process.env, R_MAX_VSIZE: `${rPolicy.memoryLimitMb}M` }
+  });
+
+  const session = {
+    id,
+    workspacePath,
+    process: rProcess,
+    queue: [],         // Executions waiting for the session, in arrival order
+    busy: false,       // An execution has been taken off the queue and not finished yet
+    current: null,     // Job currently running in the session
+    jobCounter: 0,
+    dirty: false,      // Workspace changed since the last checkpoint
+    lastUsed: Date.now(),
+    alive: true,
+    ready: false,      // Bootstrap finished - a later crash can hand the queue to a new session
+    stopping: false    // Set when we shut the session down on purpose
+  };
+
+  rProcess.stdout.on('data', (data) => handleRSessionOutput(session, 'stdout', data.toString()));
+  rProcess.stderr.on('data', (data) => handleRSessionOutput(session, 'stderr', data.toString()));
+  rProcess.stdin.on('error', (err) => {
+    console.error(`[R SESSION ${id}] stdin error:`, err.message);
+  });
+
+  rProcess.on('error', (err) => {
+    console.error(`[R SESSION ${id}] Failed to start R:`, err.message);
+    handleRSessionExit(session, `R session could not be started: ${err.message}`);
+  });
+
+  rProcess.on('exit', (code, signal) => {
+    if (session.stopping) {
+      console.log(`[R SESSION ${id}] Stopped`);
+    } else {
+      console.error(`[R SESSION ${id}] Exited unexpectedly (code: ${code}, signal: ${signal})`);
+    }
+    handleRSessionExit(session, `R session terminated unexpectedly (${signal || `exit code ${code}`}). The workspace will be restored from the last checkpoint on the next run.`);
+  });
+
+  rProcess.stdin.write(R_SESSION_RUNNER);
+  rSessions.set(workspacePath, session);
+
+  execInRSession(session, buildRSessionBootstrap(workspacePath)).then(({ error, stderr }) => {
+    session.ready = true;
+    if (error) {
+      console.error(`[R SESSION ${id}] Bootstrap failed:`, stderr || error.message);
+    } else {
+      console.log(`[R SESSION ${id}] Ready`);
+    }
+  });
+
+  return session;
+}
+
+/**
+ * Get the live session for a workspace, starting one if needed
+ * (including after a crash - the new session resumes from the last checkpoint)
+ * @param {string} workspacePath - .RData file backing the session
+ * @returns {Object} Session handle
+ */
+function getRSession(workspacePath = getWorkspacePath(DEFAULT_WORKSPACE_ID)) {
+  const existing = rSessions.get(workspacePath);
+  if (existing && existing.alive) {
+    return existing;
+  }
+  return startRSession(workspacePath);
+}
+
+/**
+ * Collect output for the running job and finish it once its completion
+ * marker has arrived on both stdout and stderr
+ */
+function handleRSessionOutput(session, stream, text) {
+  const job = session.current;
+  if (!job) {
+    if (text.trim()) {
+      console.log(`[R SESSION ${session.id}] ${stream}:`, text.trim());
+    }
+    return;
+  }
+
+  job[stream] += text;
+  if (job.onOutput) {
+    forwardRJobOutput(job, stream, text);
+  }
+
+  const markerPattern = new RegExp(`\\n?${job.marker}:(\\d+)\\n`);
+  const stdoutMatch = job.stdout.match(markerPattern);
+  const stderrMatch = job.stderr.match(markerPattern);
+  if (!stdoutMatch || !stderrMatch) {
+    return;
+  }
+
+  const status = parseInt(stdoutMatch[1], 10);
+  let error = null;
+  if (status !== 0) {
+    error = new Error(job.stopReason ? describeRJobStop(job) : 'R execution error');
+    error.code = status;
+  }
+
+  finishRJob(session, {
+    error,
+    stdout: job.stdout.replace(markerPattern, ''),
+    stderr: job.stderr.replace(markerPattern, ''),
+    cancelled: status !== 0 && job.stopReason === 'cancelled',
+    timedOut: status !== 0 && job.stopReason === 'timeout'
+  });
+}
+
+/**
+ * Mark a session as dead, drop it from the pool and fail the running job.
+ * Executions still waiting move to a fresh session in the same order, unless
+ * the session was stopped on purpose or never got through its bootstrap.
+ */
+function handleRSessionExit(session, message) {
+  if (!session.alive) return;
+  session.alive = false;
+
+  if (rSessions.get(session.workspacePath) === session) {
+    rSessions.delete(session.workspacePath);
+  }
+
+  const job = session.current;
+  if (job) {
+    const error = new Error(job.stopReason ? describeRJobStop(job) : message);
+    error.code = 1;
+    finishRJob(session, {
+      error,
+      stdout: job.stdout,
+      stderr: job.stderr,
+      cancelled: job.stopReason === 'cancelled',
+      timedOut: job.stopReason === 'timeout'
+    });
+  }
+
+  const waiting = session.queue.splice(0);
+  if (waiting.length === 0) return;
+
+  if (session.stopping || !session.ready) {
+    for (const execution of waiting) {
+      if (execution.executionId) rExecutions.delete(execution.executionId);
+      const error = new Error(session.stopping ? 'R session was stopped' : message);
+      error.code = 1;
+      execution.resolve({ error, stdout: '', stderr: '' });
+    }
+    return;
+  }
+
+  const next = getRSession(session.workspacePath);
+  console.log(`[R SESSION ${session.id}] Moving ${waiting.length} queued execution(s) to session ${next.id}`);
+  for (const execution of waiting) {
+    execution.session = next;
+    next.queue.push(execution);
+  }
+  drainRSessionQueue(next);
+  reportRQueuePositions(next);
+}
+
+/**
+ * Pass console output on to the job's listener as it arrives, holding back
+ * only what could be the start of the completion marker
+ */
+function forwardRJobOutput(job, stream, text) {
+  let pending = job.pending[stream] + text;
+  let forward = '';
+  let newline;
+
+  while ((newline = pending.indexOf('\n')) !== -1) {
+    const line = pending.slice(0, newline + 1);
+    pending = pending.slice(newline + 1);
+    if (!line.startsWith(job.marker)) {
+      forward += line;
+    }
+  }
+
+  // Partial lines (e.g. progress bars redrawn with \r) go out straight away
+  const couldBeMarker = job.marker.startsWith(pending) || pending.startsWith(job.marker);
+  if (pending && !couldBeMarker) {
+    forward += pending;
+    pending = '';
+  }
+
+  job.pending[stream] = pending;
+  if (forward) {
+    try {
+      job.onOutput(stream, forward);
+    } catch (err) {
+      console.error('[R SESSION] Output listener failed:', err.message);
+    }
+  }
+}
+
+function finishRJob(session, result) {
+  const job = session.current;
+  clearTimeout(job.timer);
+  clearTimeout(job.killTimer);
+  session.current = null;
+  job.resolve(result);
+}
+
+function describeRJobStop(job) {
+  return job.stopReason === 'timeout'
+    ? `Execution timed out after ${Math.round(job.timeout / 1000)}s`
+    : 'Execution cancelled';
+}
+
+/**
+ * Send a signal to the session's whole process group (R plus any children it started)
+ */
+function signalRSession(session, signal) {
+  try {
+    process.kill(-session.process.pid, signal);
+  } catch {
+    // No process group (Windows) or already gone - signal R directly
+    session.process.kill(signal);
+  }
+}
+
+/**
+ * Stop the running job: interrupt R first so the session survives, then kill
+ * the process tree if it hasn't unwound within the grace period
+ * @param {Object} session - Session handle
+ * @param {Object} job - The session's current job
+ * @param {string} reason - 'cancelled' or 'timeout'
+ */
+function stopRJob(session, job, reason) {
+  if (job.stopReason) return;
+  job.stopReason = reason;
+
+  console.log(`[R SESSION ${session.id}] Stopping job (${reason}), sending SIGINT`);
+  signalRSession(session, 'SIGINT');
+
+  job.killTimer = setTimeout(() => {
+    if (session.current !== job) return;
+    console.error(`[R SESSION ${session.id}] Job did not respond to interrupt, killing R process tree`);
+    signalRSession(session, 'SIGKILL');
+  }, R_INTERRUPT_GRACE_MS);
+}
+
+/**
+ * Cancel an execution by ID, whether it is running or still waiting in the queue
+ * @param {string} executionId - ID supplied with the execution request
+ * @returns {string|null} 'running', 'queued', or null if no such execution
+ */
+function cancelRExecution(executionId) {
+  const execution = rExecutions.get(executionId);
+  if (!execution) return null;
+
+  execution.cancelled = true;
+  if (execution.job) {
+    stopRJob(execution.session, execution.job, 'cancelled');
+    return 'running';
+  }
+
+  // Still waiting - answer straight away instead of when its turn comes
+  const { session } = execution;
+  const index = session.queue.indexOf(execution);
+  if (index !== -1) {
+    session.queue.splice(index, 1);
+    rExecutions.delete(executionId);
+    const error = new Error('Execution cancelled');
+    error.code = 2;
+    execution.resolve({ error, stdout: '', stderr: '', cancelled: true });
+    reportRQueuePositions(session);
+  }
+  return 'queued';
+}
+
+/**
+ * Tell each waiting execution its place in line (1 = runs next), and 0 to
+ * one that has just left the queue after waiting. Listeners only hear about
+ * changes, so executions that start straight away never hear anything.
+ * @param {Object} session - Session handle
+ * @param {Object} [started] - Execution just taken off the queue
+ */
+function reportRQueuePositions(session, started = null) {
+  const updates = session.queue.map((execution, index) => [execution, index + 1]);
+  if (started) updates.unshift([started, 0]);
+
+  for (const [execution, position] of updates) {
+    if (!execution.onQueue || execution.position === position) continue;
+    execution.position = position;
+    try {
+      execution.onQueue(position);
+    } catch (err) {
+      console.error('[R SESSION] Queue listener failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Run the next waiting execution if the session is free, then keep going
+ * until the queue is empty. Executions run strictly in arrival order.
+ * @param {Object} session - Session handle
+ */
+async function drainRSessionQueue(session) {
+  if (session.busy || session.queue.length === 0) return;
+
+  session.busy = true;
+  const execution = session.queue.shift();
+  reportRQueuePositions(session, execution);
+
+  let result;
+  try {
+    result = await runRJob(session, execution);
+  } catch (err) {
+    err.code = 1;
+    result = { error: err, stdout: '', stderr: '' };
+  }
+
+  if (execution.executionId) rExecutions.delete(execution.executionId);
+  session.busy = false;
+  execution.resolve(result);
+  drainRSessionQueue(session);
+}
+
+/**
+ * Queue R code on a specific session. Resolves (never rejects) with an
+ * exec-style { error, stdout, stderr } so callers can treat it like Rscript,
+ * plus cancelled/timedOut flags when the run was stopped, or superseded when
+ * a newer execution with the same coalesce key replaced it before it started.
+ * @param {Object} session - Session handle
+ * @param {string} code - R code to run
+ * @param {Object} options
+ * @param {number} [options.timeout] - Stop the code if it runs longer (ms)
+ * @param {number} [options.cpuLimit] - CPU seconds the code may use before R stops it with an error
+ * @param {string} [options.executionId] - ID that /api/cancel-execution can use to stop this run
+ * @param {Function} [options.onOutput] - Called with (stream, text) as console output arrives
+ * @param {Function} [options.onQueue] - Called with the queue position while waiting behind other executions
+ * @param {string} [options.coalesceKey] - Executions sharing a key replace each other while queued (only the latest runs)
+ * @param {string[]} [options.confirmedFunctions] - Enforce the execution policy while the code runs, allowing these
+ *   functions from its confirm list (the server's own code leaves this out)
+ * @returns {Promise<{error: Error|null, stdout: string, stderr: string, cancelled?: boolean, timedOut?: boolean, superseded?: boolean}>}
+ */
+function execInRSession(session, code, { timeout, cpuLimit, executionId, onOutput, onQueue, coalesceKey, confirmedFunctions } = {}) {
+  return new Promise((resolve) => {
+    const execution = {
+      session,
+      code,
+      timeout,
+      cpuLimit,
+      confirmedFunctions,
+      executionId,
+      onOutput,
+      onQueue,
+      coalesceKey,
+      position: 0,
+      job: null,
+      cancelled: false,
+      resolve
+    };
+    if (executionId) rExecutions.set(executionId, execution);
+
+    if (coalesceKey) {
+      for (const waiting of session.queue.filter((queued) => queued.coalesceKey === coalesceKey)) {
+        console.log(`[R SESSION ${session.id}] Dropping superseded execution (${coalesceKey})`);
+        session.queue.splice(session.queue.indexOf(waiting), 1);
+        if (waiting.executionId) rExecutions.delete(waiting.executionId);
+        waiting.resolve({ error: null, stdout: '', stderr: '', superseded: true });
+      }
+    }
+
+    session.queue.push(execution);
+    drainRSessionQueue(session);
+    reportRQueuePositions(session);
+  });
+}
+
+/**
+ * Run one execution taken off the session's queue
+ * @param {Object} session - Session handle
+ * @param {Object} execution - Queue entry created by execInRSession
+ * @returns {Promise<{error: Error|null, stdout: string, stderr: string, cancelled?: boolean, timedOut?: boolean}>}
+ */
+async function runRJob(session, execution) {
+  const { code, timeout, cpuLimit, confirmedFunctions, executionId, onOutput } = execution;
+
+  if (execution.cancelled) {
+    const error = new Error('Execution cancelled');
+    error.code = 2;
+    return { error, stdout: '', stderr: '', cancelled: true };
+  }
+
+  if (!session.alive) {
+    const error = new Error('R session is not running');
+    error.code = 1;
+    return { error, stdout: '', stderr: '' };
+  }
+
+  const jobId = ++session.jobCounter;
+  const scriptPath = join(TEMP_DIR, `session_${session.id}_${jobId}.R`);
+  await mkdir(TEMP_DIR, { recursive: true });
+  await writeFile(scriptPath, code, 'utf8');
+
+  const result = await new Promise((resolve) => {
+    const job = {
+      marker: `__3PANEL_DONE_${session.id}_${jobId}__`,
+      executionId,
+      stdout: '',
+      stderr: '',
+      onOutput,
+      pending: { stdout: '', stderr: '' },  // Output held back while it might be the marker
+      timeout,
+      stopReason: null,  // 'cancelled' or 'timeout' once we start stopping it
+      timer: null,
+      killTimer: null,
+      resolve
+    };
+    session.current = job;
+    execution.job = job;
+
+    if (timeout) {
+      job.timer = setTimeout(() => {
+        console.error(`[R SESSION ${session.id}] Job ${jobId} exceeded ${timeout}ms`);
+        stopRJob(session, job, 'timeout');
+      }, timeout);
+    }
+
+    // Cancelled while the script was being written
+    if (execution.cancelled) {
+      stopRJob(session, job, 'cancelled');
+    }
+
+    const home = DATA_FOLDER.replace(/\\/g, '/');
+    const policy = confirmedFunctions ? buildRRuntimePolicy(confirmedFunctions) : 'NULL';
+    session.process.stdin.write(
+      `.threepanel_run("${scriptPath.replace(/\\/g, '/')}", "${job.marker}", "${home}", ${cpuLimit || 'Inf'}, ${policy})\n`
+    );
+  });
+
+  await unlink(scriptPath).catch(() => {});
+  return result;
+}
+
+/**
+ * Run R code in the live session for a workspace
+ * @param {string} code - R code to run
+ * @param {Object} options
+ * @param {string} [options.workspacePath] - Workspace to run in (see getWorkspacePath)
+ * @param {number} [options.timeout] - Stop the code if it runs longer (ms)
+ * @param {number} [options.cpuLimit] - CPU seconds the code may use before R stops it with an error
+ * @param {string} [options.executionId] - ID that /api/cancel-execution can use to stop this run
+ * @param {Function} [options.onOutput] - Called with (stream, text) as console output arrives
+ * @param {Function} [options.onQueue] - Called with the queue position while waiting behind other executions
+ * @param {string} [options.coalesceKey] - Executions sharing a key replace each other while queued (only the latest runs)
+ * @param {boolean} [options.readOnly] - The code only inspects the workspace, so it doesn't need a new checkpoint
+ * @param {string[]} [options.confirmedFunctions] - Enforce the execution policy while the code runs (see execInRSession)
+ * @returns {Promise<{error: Error|null, stdout: string, stderr: string, cancelled?: boolean, timedOut?: boolean, superseded?: boolean}>}
+ */
+async function runRCode(code, { workspacePath = getWorkspacePath(DEFAULT_WORKSPACE_ID), timeout, cpuLimit, executionId, onOutput, onQueue, coalesceKey, readOnly = false, confirmedFunctions } = {}) {
+  const session = getRSession(workspacePath);
+  session.lastUsed = Date.now();
+  const result = await execInRSession(session, code, { timeout, cpuLimit, executionId, onOutput, onQueue, coalesceKey, confirmedFunctions });
+  if (!result.superseded && !readOnly) session.dirty = true;
+  return result;
+}
+
+/**
+ * Save a session's workspace to its .RData file if it changed since the last checkpoint
+ * @param {Object} session - Session handle
+ */
+async function checkpointRSession(session) {
+  if (!session.alive || !session.dirty) return;
+  session.dirty = false;
+
+  await mkdir(dirname(session.workspacePath), { recursive: true });
+  const { error, stderr } = await execInRSession(session,
+    `save.image("${session.workspacePath.replace(/\\/g, '/')}")`);
+
+  if (error) {
+    session.dirty = true;
+    console.error(`[R SESSION ${session.id}] Checkpoint failed:`, stderr || error.message);
+  } else {
+    console.log(`[R SESSION ${session.id}] Checkpoint saved`);
+  }
+}
+
+/**
+ * Checkpoint every live session
+ */
+async function checkpointAllRSessions() {
+  await Promise.all([...rSessions.values()].map(checkpointRSession));
+}
+
+/**
+ * Checkpoint every live session before the server exits. Running executions
+ * are cancelled and waiting ones dropped first so the checkpoint doesn't queue
+ * behind them; a session that still hasn't saved within R_SHUTDOWN_CHECKPOINT_MS
+ * keeps its last periodic checkpoint.
+ */
+async function checkpointRSessionsForShutdown() {
+  await Promise.all([...rSessions.values()].map(async (session) => {
+    // A session killed while cancelling must not be replaced by a new one
+    session.stopping = true;
+
+    for (const execution of session.queue.splice(0)) {
+      if (execution.executionId) rExecutions.delete(execution.executionId);
+      const error = new Error('Server is shutting down');
+      error.code = 2;
+      execution.resolve({ error, stdout: '', stderr: '', cancelled: true });
+    }
+    if (session.current) {
+      stopRJob(session, session.current, 'cancelled');
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), R_SHUTDOWN_CHECKPOINT_MS);
+    });
+    if (await Promise.race([checkpointRSession(session).then(() => false), timedOut])) {
+      console.error(`[R SESSION ${session.id}] Checkpoint did not finish in time, keeping the previous one`);
+    }
+    clearTimeout(timer);
+  }));
+}
+
+/**
+ * Stop the session for a workspace without checkpointing it
+ * @param {string} workspacePath - .RData file backing the session
+ * @returns {Promise<void>} Resolves once the R process has exited
+ */
+function stopRSession(workspacePath) {
+  const session = rSessions.get(workspacePath);
+  if (!session) return Promise.resolve();
+
+  rSessions.delete(workspacePath);
+  session.stopping = true;
+
+  return new Promise((resolve) => {
+    if (!session.alive) return resolve();
+    session.process.once('exit', () => resolve());
+    signalRSession(session, 'SIGKILL');
+  });
+}
+
+/**
+ * Checkpoint and shut down sessions nobody has used for R_SESSION_IDLE_MS.
+ * The next request for that workspace starts a new session from the checkpoint.
+ */
+async function evictIdleRSessions() {
+  const now = Date.now();
+  for (const session of [...rSessions.values()]) {
+    if (session.busy || session.queue.length > 0 || now - session.lastUsed <= R_SESSION_IDLE_MS) continue;
+
+    console.log(`[R SESSION ${session.id}] Idle for ${Math.round((now - session.lastUsed) / 60000)} min, shutting down`);
+    await checkpointRSession(session);
 
-    if (parsedSuggestions && parsedSuggestions.length > 0) {
-      response.suggestions = parsedSuggestions;
+    // Skip if someone started using it while the checkpoint ran
+    if (!session.busy && session.queue.length === 0 && Date.now() - session.lastUsed > R_SESSION_IDLE_MS) {
+      await stopRSession(session.workspacePath);
     }
+  }
+}
 
-    res.json(response);
+// Periodic checkpointing replaces the save.image() that used to follow every call
+setInterval(() => {
+  checkpointAllRSessions()
+    .then(evictIdleRSessions)
+    .catch((err) => {
+      console.error('[R SESSION] Checkpoint error:', err.message);
+    });
+}, R_CHECKPOINT_INTERVAL_MS).unref();
 
-  } catch (error) {
-    console.error('Error calling Claude API:', error);
+// ==================== END R SESSION POOL ====================
 
-    // Handle specific error types
-    if (error.status === 401) {
-      return res.status(401).json({
-        error: 'Invalid API key. Please check your Anthropic API key.'
-      });
-    }
+/**
+ * Read (and delete) the conditions file .threepanel_eval wrote for one execution
+ * @param {string} path - JSON file written by the R session
+ * @returns {Promise<{messages: Object[], warnings: Object[], error: Object|null}>}
+ *   Empty when the run was stopped before the file was written
+ */
+async function readRConditions(path) {
+  const conditions = { messages: [], warnings: [], error: null };
+  try {
+    const parsed = JSON.parse(await readFile(path, 'utf8'));
+    conditions.messages = Array.isArray(parsed.messages) ? parsed.messages : [];
+    conditions.warnings = Array.isArray(parsed.warnings) ? parsed.warnings : [];
+    conditions.error = parsed.error && typeof parsed.error === 'object' ? parsed.error : null;
+  } catch {
+    // Not written (stopped, crashed) or unreadable - fall back to stderr
+  }
+  await unlink(path).catch(() => {});
+  return conditions;
+}
 
-    if (error.status === 429) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded. Please try again later.'
-      });
-    }
+// Rows of a returned data frame kept as CSV, for sharing the output with Claude
+const VALUE_DATA_ROWS = 50;
 
-    if (error.status === 529) {
-      return res.status(529).json({
-        error: 'Claude API is currently overloaded. Please wait a moment and try again.'
-      });
-    }
+/**
+ * Read (and delete) the copy of a run's last value the R code saved: the first
+ * VALUE_DATA_ROWS rows of a data frame, or a model's coefficient table
+ * @param {string} path - CSV file, whose first line is "# table <rows> <columns>" or "# coefficients"
+ * @returns {Promise<Object|null>} { kind, csv, rows?, columns? }, or null if nothing was saved
+ */
+async function readRValueData(path) {
+  let valueData = null;
+  try {
+    const [header, ...lines] = (await readFile(path, 'utf8')).split('\n');
+    const [, kind, rows, columns] = header.split(' ');
+    valueData = {
+      kind,
+      csv: lines.join('\n').trim(),
+      ...(kind === 'table' && { rows: Number(rows), columns: Number(columns) })
+    };
+  } catch {
+    // The last value wasn't a data frame or model
+  }
+  await unlink(path).catch(() => {});
+  return valueData;
+}
 
-    res.status(500).json({
-      error: error.message || 'An error occurred while processing your request'
-    });
+/**
+ * Read (and delete) the SVG pages a capture device wrote for one execution
+ * @param {string} dir - Directory the device wrote to
+ * @param {string} prefix - File name prefix shared by the execution's pages
+ * @returns {Promise<string[]>} SVG documents in page order
+ */
+async function collectPlotPages(dir, prefix) {
+  const { readdir, readFile } = await import('fs/promises');
+  const pageFiles = (await readdir(dir))
+    .filter(name => name.startsWith(prefix) && name.endsWith('.svg'))
+    .sort();
+
+  const pages = [];
+  for (const pageFile of pageFiles) {
+    const pagePath = join(dir, pageFile);
+    const svgContent = await readFile(pagePath, 'utf8');
+    // Anything this small is an empty page, not a plot
+    if (svgContent.length >= 100) {
+      pages.push(svgContent);
+    }
+    await unlink(pagePath).catch(() => {});
   }
-});
+  return pages;
+}
 
 /**
- * POST /api/execute-r
- * Execute R code and return results (output, plots, errors)
- *
- * Body:
- * - code: R code to execute
+ * Run an /api/execute-r request in the live R session and build its result
+ * (output, plots, errors, refreshed metadata)
+ * @param {Object} body - Request body, see POST /api/execute-r
+ * @param {Object} options
+ * @param {Function} [options.onOutput] - Called with (stream, text) as console output arrives
+ * @param {Function} [options.onQueue] - Called with the queue position while waiting for the session
+ * @returns {Promise<Object>} Result sent back to the client
  */
-app.post('/api/execute-r', async (req, res) => {
+async function executeRRequest(body, { onOutput, onQueue } = {}) {
   const tempDir = join(tmpdir(), '3panel-r-execution');
-  const dataDir = join(process.cwd(), 'data'); // Use project's data directory
-  const workspacePath = join(tempDir, 'workspace.RData'); // Persistent workspace
-  const timestamp = Date.now();
-  const scriptPath = join(tempDir, `script_${timestamp}.R`);
-  const svgPath = join(tempDir, `plot_${timestamp}.svg`);
-  const htmlPath = join(tempDir, `widget_${timestamp}.html`);
+  const workspacePath = getWorkspacePath(body.workspaceId); // Backs the conversation's live R session
+  // The temp folder is shared by every workspace, so runs in different sessions can overlap
+  const runId = `${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const plotPrefix = `plot_${runId}_`;
+  const plotPattern = join(tempDir, `${plotPrefix}%03d.svg`);
+  const htmlPath = join(tempDir, `widget_${runId}.html`);
+  const codePath = join(tempDir, `code_${runId}.R`);             // User code, parsed with line numbers
+  const conditionsPath = join(tempDir, `conditions_${runId}.json`); // Messages, warnings and error it raised
+  const valuePath = join(tempDir, `value_${runId}.csv`);         // Table or coefficients of its last value
 
   try {
     const {
       code,
       autoFormatTabular = true,
       refreshMetadata = false,  // Whether to refresh metadata after execution
-      activeDataset = 'data'     // Which dataset to refresh metadata for
-    } = req.body;
-
-    if (!code || typeof code !== 'string') {
-      return res.status(400).json({
-        error: 'R code is required'
-      });
+      activeDataset = 'data',    // Which dataset to refresh metadata for
+      executionId = null,        // Client-generated ID so the run can be cancelled
+      timeoutMs = null,          // Per-execution wall-clock limit
+      coalesceKey = null,        // Queued runs with the same key are replaced by the newest one
+      confirmedFunctions = []    // Policy-listed functions the user agreed to run
+    } = body;
+
+    // The execution policy caps whatever limit the client asks for
+    const requestedTimeout = Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : R_DEFAULT_TIMEOUT_MS;
+    const timeout = Math.min(requestedTimeout, rPolicy.maxTimeoutMs);
+
+    const confirmed = Array.isArray(confirmedFunctions) ? confirmedFunctions : [];
+    const policyViolation = checkRPolicy(code, confirmed);
+    if (policyViolation) {
+      console.log(`[R POLICY] Blocked execution (${policyViolation.type}): ${policyViolation.message}`);
+      return { output: '', plots: [], tables: [], error: policyViolation.message, policyViolation };
     }
 
     console.log('Auto format tabular:', autoFormatTabular);
@@ -1641,340 +4393,266 @@ app.post('/api/execute-r', async (req, res) => {
       // Directory might already exist, ignore error
     }
 
-    // Check if code contains plotting
-    const hasPlot = code.includes('plot(') ||
-                     code.includes('ggplot') ||
-                     code.includes('hist(') ||
-                     code.includes('barplot') ||
-                     code.includes('boxplot');
-
     console.log('=== R Code Execution ===');
-    console.log('Has plot:', hasPlot);
     console.log('User code:', code.substring(0, 200));
 
-    let rCode = code;
-
-    // If plotting, wrap code to capture SVG
-    if (hasPlot) {
-      rCode = `
-# Set CRAN mirror for package installation
-options(repos = c(CRAN = "https://cloud.r-project.org"))
-
-# Set working directory to data folder
-setwd("${dataDir.replace(/\\/g, '/')}")
-
-# Load previous workspace if it exists
-if (file.exists("${workspacePath.replace(/\\/g, '/')}")) {
-  load("${workspacePath.replace(/\\/g, '/')}")
-}
-
-# Load mtcars dataset
-data(mtcars)
-
-# Source Snowflake helper if it exists
-if (file.exists("snowflake_helper.R")) {
-  suppressMessages(source("snowflake_helper.R"))
-}
-
-# Auto-load commonly used packages
-suppressPackageStartupMessages({
-  library(dplyr)
-  library(ggplot2)
-  library(tidyr)
-  library(tibble)
-  library(scales)
-  if (requireNamespace("maps", quietly = TRUE)) library(maps)
-  if (requireNamespace("gt", quietly = TRUE)) library(gt)
-  if (requireNamespace("plotly", quietly = TRUE)) library(plotly)
-  if (requireNamespace("gganimate", quietly = TRUE)) library(gganimate)
-  if (requireNamespace("leaflet", quietly = TRUE)) library(leaflet)
-  if (requireNamespace("naniar", quietly = TRUE)) library(naniar)
-})
-
-# Load svglite library
-library(svglite)
+    await writeFile(codePath, code, 'utf8');
 
-# Open SVG device using svglite
-svglite("${svgPath.replace(/\\/g, '/')}", width = 7, height = 5.5)
+    // Always run with an SVG capture device open so every page drawn - base
+    // graphics, ggplot/lattice objects printed explicitly or auto-printed - is
+    // recorded as its own file (plot_<runId>_001.svg, _002.svg, ...)
+    const rCode = `
+# Workspace, working directory and packages are already set up in the live R session
 
-# Execute user code
-tryCatch({
-  ${code}
-}, error = function(e) {
-  cat("Error:", conditionMessage(e), "\\n")
-})
+# Run inside local() so the capture device handle stays out of the user's workspace
+local({
+  # Record every page drawn during this run, one SVG file per page
+  if (requireNamespace("svglite", quietly = TRUE)) {
+    svglite::svglite("${plotPattern.replace(/\\/g, '/')}", width = 7, height = 5.5)
+  } else {
+    svg("${plotPattern.replace(/\\/g, '/')}", width = 7, height = 5.5, onefile = FALSE)
+  }
+  plot_device <- dev.cur()
+
+  # Execute user code with its messages, warnings and errors collected,
+  # then check the type of its last value to decide how to display it
+  .threepanel_eval("${codePath.replace(/\\/g, '/')}", "${conditionsPath.replace(/\\/g, '/')}", function(.value, .visible) {
+    # Check if result is an htmlwidget, formattable, or gt table
+    .is_widget <- FALSE
+    .widget_obj <- NULL
+    .is_gt <- FALSE
+
+    # Keep a compact copy of a data frame or model's coefficients (before gt formatting).
+    # Values it can't be made for (e.g. list columns) are skipped - the run itself went fine
+    .value_lines <- tryCatch({
+      if (is.data.frame(.value)) {
+        c(
+          paste("# table", nrow(.value), ncol(.value)),
+          utils::capture.output(utils::write.csv(utils::head(as.data.frame(.value), ${VALUE_DATA_ROWS}), row.names = FALSE))
+        )
+      } else if (inherits(.value, c("lm", "glm", "summary.lm", "summary.glm"))) {
+        .coefs <- stats::coef(if (inherits(.value, c("lm", "glm"))) summary(.value) else .value)
+        if (is.matrix(.coefs)) c("# coefficients", utils::capture.output(utils::write.csv(signif(.coefs, 4))))
+      }
+    }, error = function(e) NULL)
+    if (!is.null(.value_lines)) {
+      try(writeLines(.value_lines, "${valuePath.replace(/\\/g, '/')}"), silent = TRUE)
+    }
 
-# Close device
-dev.off()
+    if (!is.null(.value)) {
+      # Auto-format tabular data with gt if enabled
+      ${autoFormatTabular ? `
+      if ((is.data.frame(.value) || inherits(.value, "tbl_df") || inherits(.value, "tibble")) &&
+          !inherits(.value, "gt_tbl") &&
+          !inherits(.value, "htmlwidget") &&
+          requireNamespace("gt", quietly = TRUE)) {
+        .value <- gt::gt(.value)
+        .is_gt <- TRUE
+      }
+      ` : ''}
 
-# Save workspace for next execution
-save.image("${workspacePath.replace(/\\/g, '/')}")
+      # Check if it's already an htmlwidget
+      if (inherits(.value, "htmlwidget")) {
+        .is_widget <- TRUE
+        .widget_obj <- .value
+      }
+      # Check if it's a formattable object
+      else if (inherits(.value, "formattable")) {
+        if (requireNamespace("formattable", quietly = TRUE)) {
+          .is_widget <- TRUE
+          .widget_obj <- formattable::as.htmlwidget(.value)
+        }
+      }
+      # Check if it's a gt table
+      else if (inherits(.value, "gt_tbl")) {
+        .is_gt <- TRUE
+      }
+      # Check if it has a knit_print method (other htmlwidget-like objects)
+      else if (any(c("datatables", "DT") %in% class(.value))) {
+        .is_widget <- TRUE
+        .widget_obj <- .value
+      }
+    }
 
-# Print success message
-cat("Plot generated successfully\\n")
-`;
+    # Handle gt tables, widgets, or regular output
+    if (.is_gt) {
+      # gt tables output HTML directly, not as widgets
+      if (requireNamespace("gt", quietly = TRUE)) {
+        gt::gtsave(.value, "${htmlPath.replace(/\\/g, '/')}")
+        cat("HTML_WIDGET_GENERATED\\n")
+      }
+    } else if (.is_widget && !is.null(.widget_obj)) {
+      # Save the widget and suppress automatic printing
+      if (requireNamespace("htmlwidgets", quietly = TRUE)) {
+        htmlwidgets::saveWidget(.widget_obj, "${htmlPath.replace(/\\/g, '/')}", selfcontained = FALSE)
+        cat("HTML_WIDGET_GENERATED\\n")
+      }
     } else {
-      // For non-plot code, load workspace, execute, and save
-      rCode = `
-# Set CRAN mirror for package installation
-options(repos = c(CRAN = "https://cloud.r-project.org"))
-
-# Set working directory to data folder
-setwd("${dataDir.replace(/\\/g, '/')}")
-
-# Load previous workspace if it exists
-if (file.exists("${workspacePath.replace(/\\/g, '/')}")) {
-  load("${workspacePath.replace(/\\/g, '/')}")
-}
-
-# Load mtcars dataset
-data(mtcars)
-
-# Source Snowflake helper if it exists
-if (file.exists("snowflake_helper.R")) {
-  suppressMessages(source("snowflake_helper.R"))
-}
-
-# Auto-load commonly used packages
-suppressPackageStartupMessages({
-  library(dplyr)
-  library(ggplot2)
-  library(tidyr)
-  library(tibble)
-  library(scales)
-  if (requireNamespace("maps", quietly = TRUE)) library(maps)
-  if (requireNamespace("gt", quietly = TRUE)) library(gt)
-  if (requireNamespace("plotly", quietly = TRUE)) library(plotly)
-  if (requireNamespace("gganimate", quietly = TRUE)) library(gganimate)
-  if (requireNamespace("leaflet", quietly = TRUE)) library(leaflet)
-  if (requireNamespace("naniar", quietly = TRUE)) library(naniar)
-})
-
-# Execute user code and check return value type first
-.result <- withVisible({
-  ${code}
-})
-
-.value <- .result$value
-.visible <- .result$visible
-
-# Check if result is an htmlwidget, formattable, or gt table
-.is_widget <- FALSE
-.widget_obj <- NULL
-.is_gt <- FALSE
+      # Not a widget - let it print normally if it was visible
+      if (.visible && !is.null(.value)) {
+        print(.value)
+      }
+    }
+  })
 
-if (!is.null(.value)) {
-  # Auto-format tabular data with gt if enabled
-  ${autoFormatTabular ? `
-  if ((is.data.frame(.value) || inherits(.value, "tbl_df") || inherits(.value, "tibble")) &&
-      !inherits(.value, "gt_tbl") &&
-      !inherits(.value, "htmlwidget") &&
-      requireNamespace("gt", quietly = TRUE)) {
-    .value <- gt::gt(.value)
-    .is_gt <- TRUE
+  # Close the capture device (unless the code already closed it)
+  if (plot_device %in% dev.list()) {
+    invisible(dev.off(plot_device))
   }
-  ` : ''}
+})
+`;
 
-  # Check if it's already an htmlwidget
-  if (inherits(.value, "htmlwidget")) {
-    .is_widget <- TRUE
-    .widget_obj <- .value
-  }
-  # Check if it's a formattable object
-  else if (inherits(.value, "formattable")) {
-    if (requireNamespace("formattable", quietly = TRUE)) {
-      .is_widget <- TRUE
-      .widget_obj <- formattable::as.htmlwidget(.value)
-    }
-  }
-  # Check if it's a gt table
-  else if (inherits(.value, "gt_tbl")) {
-    .is_gt <- TRUE
-  }
-  # Check if it has a knit_print method (other htmlwidget-like objects)
-  else if (any(c("datatables", "DT") %in% class(.value))) {
-    .is_widget <- TRUE
-    .widget_obj <- .value
-  }
-}
+    // Run in the workspace's live R session (resolves exec-style, never rejects)
+    const { error, stdout, stderr, cancelled, timedOut, superseded } = await runRCode(rCode, {
+      workspacePath,
+      timeout,
+      cpuLimit: rPolicy.cpuLimitSeconds,
+      confirmedFunctions: confirmed,
+      executionId,
+      onOutput,
+      onQueue,
+      coalesceKey: typeof coalesceKey === 'string' ? coalesceKey : null
+    });
 
-# Handle gt tables, widgets, or regular output
-if (.is_gt) {
-  # gt tables output HTML directly, not as widgets
-  if (requireNamespace("gt", quietly = TRUE)) {
-    gt::gtsave(.value, "${htmlPath.replace(/\\/g, '/')}")
-    cat("HTML_WIDGET_GENERATED\\n")
-  }
-} else if (.is_widget && !is.null(.widget_obj)) {
-  # Save the widget and suppress automatic printing
-  if (requireNamespace("htmlwidgets", quietly = TRUE)) {
-    htmlwidgets::saveWidget(.widget_obj, "${htmlPath.replace(/\\/g, '/')}", selfcontained = FALSE)
-    cat("HTML_WIDGET_GENERATED\\n")
-  }
-} else {
-  # Not a widget - let it print normally if it was visible
-  if (.visible && !is.null(.value)) {
-    print(.value)
-  }
-}
+    await unlink(codePath).catch(() => {});
 
-# Save workspace for next execution
-save.image("${workspacePath.replace(/\\/g, '/')}")
-`;
+    // A newer run with the same key took its place before it started - nothing ran
+    if (superseded) {
+      console.log('Execution superseded before it started:', coalesceKey);
+      return { output: '', plots: [], tables: [], error: null, superseded: true };
     }
 
-    // Write R script to temp file
-    await writeFile(scriptPath, rCode, 'utf8');
+    const conditions = await readRConditions(conditionsPath);
+    const valueData = await readRValueData(valuePath);
+    const result = {
+      output: '',
+      plots: [],
+      tables: [],
+      ...(valueData && { valueData }), // { kind: 'table' | 'coefficients', csv, rows, columns } - shared with Claude on request
+      messages: conditions.messages,  // [{ message, line }]
+      warnings: conditions.warnings,  // [{ message, call, line }]
+      errorDetails: null,             // { message, call, line, traceback: [{ call, line }] }
+      error: null
+    };
+    const stopped = cancelled || timedOut;
 
-    // Execute R script using Rscript (doesn't echo commands)
-    exec(`Rscript --vanilla "${scriptPath}"`, async (error, stdout, stderr) => {
-      const result = {
-        output: '',
-        plots: [],
-        tables: [],
-        error: null
-      };
+    try {
+      // Capture stdout/stderr (excluding "HTML_WIDGET_GENERATED" messages)
+      if (stdout) {
+        const cleanOutput = stdout
+          .replace(/HTML_WIDGET_GENERATED\n?/g, '')
+          .trim();
+        if (cleanOutput) result.output += cleanOutput;
+
+        // Keep raw stdout for debugging
+        console.log('Raw stdout:', stdout);
+      }
+      // Messages and warnings are returned separately, so stderr only holds what the code wrote there itself
+      if (stderr && stderr.trim()) {
+        result.output += '\n' + stderr;
+      }
 
-      try {
-        // Capture stdout/stderr (excluding "Plot generated successfully" and "HTML_WIDGET_GENERATED" messages)
-        if (stdout) {
-          const cleanOutput = stdout
-            .replace(/Plot generated successfully\n?/g, '')
-            .replace(/HTML_WIDGET_GENERATED\n?/g, '')
-            .trim();
-          if (cleanOutput) result.output += cleanOutput;
-
-          // Keep raw stdout for debugging
-          console.log('Raw stdout:', stdout);
+      // If there was an error, capture it - a stopped run is reported as such, not as an R error
+      if (stopped) {
+        result.error = error.message;
+        result.cancelled = !!cancelled;
+        result.timedOut = !!timedOut;
+        if (timedOut) {
+          result.policyViolation = {
+            type: 'time_limit',
+            message: error.message,
+            limitMs: timeout
+          };
         }
-        if (stderr && !stderr.includes('WARNING')) {
-          result.output += '\n' + stderr;
+        console.log(`[EXECUTE] Execution ${executionId || '(no id)'} ${cancelled ? 'cancelled' : 'timed out'}`);
+      } else if (conditions.error) {
+        const { message, call } = conditions.error;
+        result.errorDetails = conditions.error;
+        result.error = `R execution error: ${call ? `Error in ${call} : ` : 'Error: '}${message}`;
+        const limitViolation = detectRLimitViolation(message);
+        if (limitViolation) {
+          result.policyViolation = limitViolation;
         }
-
-        // If there was an error, capture it
-        if (error && error.code !== 0) {
-          result.error = `R execution error: ${stderr || error.message}`;
+      } else if (error && error.code !== 0) {
+        result.error = `R execution error: ${stderr || error.message}`;
+        const limitViolation = detectRLimitViolation(stderr);
+        if (limitViolation) {
+          result.policyViolation = limitViolation;
         }
+      }
 
-        // If plotting, read the SVG file
-        if (hasPlot) {
-          try {
-            console.log('Attempting to read SVG from:', svgPath);
-            const { readFile, stat } = await import('fs/promises');
-
-            let canReadSVG = false;
-            // Check if SVG file exists and is valid
-            try {
-              const stats = await stat(svgPath);
-              console.log('SVG file exists, size:', stats.size, 'bytes');
-
-              // If SVG is empty or very small, there was likely an error
-              if (stats.size < 100) {
-                console.error('SVG file is empty or too small, likely an error occurred');
-                result.error = stdout || 'Plot generation failed - empty output';
-                // Clean up empty SVG file
-                await unlink(svgPath).catch(() => {});
-              } else {
-                canReadSVG = true;
-              }
-            } catch (statError) {
-              console.error('SVG file does not exist:', svgPath);
-              result.error = 'Plot file was not created';
-            }
-
-            // Only read SVG if it's valid
-            if (canReadSVG) {
-              let svgContent = await readFile(svgPath, 'utf8');
-              console.log('SVG content length:', svgContent.length);
-
-              // Make SVG responsive by removing fixed width/height attributes
-              // Keep viewBox for aspect ratio, remove width/height to allow CSS scaling
-              svgContent = svgContent.replace(/<svg([^>]*)\swidth="[^"]*"/, '<svg$1');
-              svgContent = svgContent.replace(/<svg([^>]*)\sheight="[^"]*"/, '<svg$1');
-
-              // Store SVG only - PNG conversion happens on-demand in /api/chat when needed for Claude's vision
-              result.plots.push({
-                type: 'image',
-                data: svgContent
-              });
-
-              // Clean up SVG file
-              await unlink(svgPath).catch(() => {});
-            }
-          } catch (svgError) {
-            console.error('Error reading SVG:', svgError);
-            result.error = 'Plot generation failed';
+      // Collect every plot page the capture device recorded
+      try {
+        const pages = await collectPlotPages(tempDir, plotPrefix);
+        if (!stopped) {
+          for (let svgContent of pages) {
+            // Make SVG responsive by removing fixed width/height attributes
+            // Keep viewBox for aspect ratio, remove width/height to allow CSS scaling
+            svgContent = svgContent.replace(/<svg([^>]*)\swidth="[^"]*"/, '<svg$1');
+            svgContent = svgContent.replace(/<svg([^>]*)\sheight="[^"]*"/, '<svg$1');
+
+            // Store SVG only - PNG conversion happens on-demand in /api/chat when needed for Claude's vision
+            result.plots.push({
+              type: 'image',
+              data: svgContent
+            });
           }
         }
+        console.log(`Captured ${pages.length} plot page(s)`);
+      } catch (svgError) {
+        console.error('Error reading SVG:', svgError);
+        result.error = 'Plot generation failed';
+      }
+
+      // Check if HTML widget was generated
+      if (stdout && stdout.includes('HTML_WIDGET_GENERATED')) {
+        try {
+          console.log('Attempting to read HTML widget from:', htmlPath);
+          const { readFile, stat, readdir } = await import('fs/promises');
+          const { dirname, basename, join } = await import('path');
 
-        // Check if HTML widget was generated
-        if (stdout && stdout.includes('HTML_WIDGET_GENERATED')) {
+          // Check if HTML file exists
           try {
-            console.log('Attempting to read HTML widget from:', htmlPath);
-            const { readFile, stat, readdir } = await import('fs/promises');
-            const { dirname, basename, join } = await import('path');
-
-            // Check if HTML file exists
-            try {
-              const stats = await stat(htmlPath);
-              console.log('HTML file exists, size:', stats.size, 'bytes');
-            } catch (statError) {
-              console.error('HTML file does not exist:', htmlPath);
-            }
+            const stats = await stat(htmlPath);
+            console.log('HTML file exists, size:', stats.size, 'bytes');
+          } catch (statError) {
+            console.error('HTML file does not exist:', htmlPath);
+          }
 
-            // Instead of inlining, serve the HTML file via Express
-            const htmlFilename = basename(htmlPath);
-            const widgetUrl = `/widgets/${htmlFilename}`;
+          // Instead of inlining, serve the HTML file via Express
+          const htmlFilename = basename(htmlPath);
+          const widgetUrl = `/widgets/${htmlFilename}`;
 
-            console.log('Widget URL:', widgetUrl);
+          console.log('Widget URL:', widgetUrl);
 
-            result.plots.push({
-              type: 'html',
-              url: widgetUrl
-            });
+          result.plots.push({
+            type: 'html',
+            url: widgetUrl
+          });
 
-            // Don't clean up the HTML file - it needs to be served
-            // It will be cleaned up on next execution or server restart
-          } catch (htmlError) {
-            console.error('Error reading HTML widget:', htmlError);
-          }
+          // Don't clean up the HTML file - it needs to be served
+          // It will be cleaned up on next execution or server restart
+        } catch (htmlError) {
+          console.error('Error reading HTML widget:', htmlError);
         }
+      }
 
-        console.log('R execution stdout:', stdout);
-        console.log('R execution stderr:', stderr);
-        console.log('Result:', { hasPlots: result.plots.length, hasError: !!result.error });
-
-        // Refresh metadata if requested
-        if (refreshMetadata && !result.error) {
-          try {
-            console.log(`[METADATA REFRESH] Refreshing metadata for dataset: ${detectedDataset}`);
-
-              // Check if dataset exists
-              const checkCode = `exists("${detectedDataset}")`;
-            const checkScriptPath = join(tempDir, `check_${timestamp}.R`);
-            const checkWrapperCode = `
-# Set working directory to data folder
-setwd("${dataDir.replace(/\\/g, '/')}")
-
-# Load workspace if it exists
-if (file.exists("${workspacePath.replace(/\\/g, '/')}")) {
-  load("${workspacePath.replace(/\\/g, '/')}")
-}
+      console.log('R execution stdout:', stdout);
+      console.log('R execution stderr:', stderr);
+      console.log('Result:', { hasPlots: result.plots.length, hasError: !!result.error });
 
-cat(${checkCode})
-`;
+      // Refresh metadata if requested
+      if (refreshMetadata && !result.error) {
+        try {
+          console.log(`[METADATA REFRESH] Refreshing metadata for dataset: ${detectedDataset}`);
 
-            await writeFile(checkScriptPath, checkWrapperCode, 'utf8');
-            const checkResult = await new Promise((resolve) => {
-              exec(`Rscript --vanilla "${checkScriptPath}"`, (err, stdout) => {
-                resolve(stdout.trim() === 'TRUE');
-              });
-            });
-            await unlink(checkScriptPath).catch(() => {});
+          // Check if dataset exists in the live session
+          const checkResult = await runRCode(`cat(exists("${detectedDataset}"))`, { workspacePath, readOnly: true })
+            .then(({ stdout }) => stdout.trim() === 'TRUE');
 
-            if (checkResult) {
-              // Dataset exists, get updated metadata
-              const metadataCode = `
+          if (checkResult) {
+            // Dataset exists, get updated metadata
+            const metadataCode = `
 # Check if dataset exists and is valid
 if (!exists("${detectedDataset}") || is.null(${detectedDataset})) {
   list(
@@ -1990,6 +4668,7 @@ if (!exists("${detectedDataset}") || is.null(${detectedDataset})) {
   categorical_info <- list()
   numeric_cols <- c()
   numeric_info <- list()
+  date_info <- list()
 
   for (col_name in names(${detectedDataset})) {
     col_data <- ${detectedDataset}[[col_name]]
@@ -2000,6 +4679,13 @@ if (!exists("${detectedDataset}") || is.null(${detectedDataset})) {
         unique_vals <- sort(unique(na.omit(col_data)))
         categorical_info[[col_name]] <- unique_vals
       }
+    } else if (inherits(col_data, c("Date", "POSIXt"))) {
+      clean_data <- na.omit(col_data)
+      date_info[[col_name]] <- if (length(clean_data) > 0) {
+        list(min = format(as.Date(min(clean_data))), max = format(as.Date(max(clean_data))))
+      } else {
+        list()
+      }
     } else if (is.numeric(col_data)) {
       numeric_cols <- c(numeric_cols, col_name)
       # Calculate min/max for numeric columns
@@ -2020,170 +4706,281 @@ if (!exists("${detectedDataset}") || is.null(${detectedDataset})) {
     colnames = names(${detectedDataset}),
     categoricalInfo = categorical_info,
     numericCols = numeric_cols,
-    numericInfo = numeric_info
+    numericInfo = numeric_info,
+    dateInfo = date_info
   )
 }
 `;
 
-              const metadataScriptPath = join(tempDir, `metadata_${timestamp}.R`);
-              const metadataWrapperCode = `
-# Set working directory to data folder
-setwd("${dataDir.replace(/\\/g, '/')}")
-
-# Load workspace if it exists
-if (file.exists("${workspacePath.replace(/\\/g, '/')}")) {
-  load("${workspacePath.replace(/\\/g, '/')}")
-}
-
+            // Evaluate in a local scope so the helper variables don't leak into the workspace
+            const metadataWrapperCode = `
 suppressPackageStartupMessages({
   library(jsonlite)
 })
 
-result <- ${metadataCode}
-cat(toJSON(result, auto_unbox = TRUE))
+cat(toJSON(local({
+${metadataCode}
+}), auto_unbox = TRUE))
 `;
 
-              await writeFile(metadataScriptPath, metadataWrapperCode, 'utf8');
-
-              const metadataResult = await new Promise((resolve, reject) => {
-                exec(`Rscript --vanilla "${metadataScriptPath}"`, (err, stdout, stderr) => {
-                  if (err) {
-                    console.error('[METADATA REFRESH] Error:', stderr);
-                    reject(err);
-                  } else {
-                    try {
-                      // Extract JSON from stdout (may contain other output before the JSON)
-                      let jsonStr = stdout.trim();
-
-                      // Try to find JSON object boundaries
-                      const firstBrace = jsonStr.indexOf('{');
-                      const lastBrace = jsonStr.lastIndexOf('}');
-
-                      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                        jsonStr = jsonStr.substring(firstBrace, lastBrace + 1);
-                      }
-
-                      const parsed = JSON.parse(jsonStr);
-                      // Log what we got from R
-                      console.log('[METADATA REFRESH] Parsed result - numericCols:', parsed.numericCols?.length || 0, 'numericInfo keys:', Object.keys(parsed.numericInfo || {}).length);
-                      resolve(parsed);
-                    } catch (parseErr) {
-                      console.error('[METADATA REFRESH] Parse error:', parseErr);
-                      console.error('[METADATA REFRESH] Stdout was:', stdout);
-                      // Don't reject - just resolve with empty metadata
-                      resolve({
-                        ncol: 0,
-                        nrow: 0,
-                        colnames: [],
-                        categoricalInfo: {},
-                        numericCols: []
-                      });
-                    }
-                  }
-                });
-              });
-
-              await unlink(metadataScriptPath).catch(() => {});
-
-              // Check if metadata retrieval had an error
-              if (metadataResult.error) {
-                console.log(`[METADATA REFRESH] ${metadataResult.error}`);
-              } else if (metadataResult.colnames && metadataResult.colnames.length > 0) {
-                // Build columnMetadata array
-                const columnMetadata = [];
-
-                for (const colName of metadataResult.colnames) {
-                  if (metadataResult.categoricalInfo && metadataResult.categoricalInfo[colName]) {
-                    columnMetadata.push({
-                      name: colName,
-                      type: 'categorical',
-                      values: metadataResult.categoricalInfo[colName]
-                    });
-                  } else if (metadataResult.numericCols && metadataResult.numericCols.includes(colName)) {
-                    const numericMeta = {
-                      name: colName,
-                      type: 'numeric'
-                    };
-                    // Add min/max if available
-                    if (metadataResult.numericInfo && metadataResult.numericInfo[colName]) {
-                      numericMeta.min = metadataResult.numericInfo[colName].min;
-                      numericMeta.max = metadataResult.numericInfo[colName].max;
-                    }
-                    columnMetadata.push(numericMeta);
-                  } else {
-                    columnMetadata.push({
-                      name: colName,
-                      type: 'other'
-                    });
-                  }
+            const metadataResult = await runRCode(metadataWrapperCode, { workspacePath, readOnly: true }).then(({ error, stdout, stderr }) => {
+              if (error) {
+                console.error('[METADATA REFRESH] Error:', stderr);
+                throw error;
+              }
+              try {
+                // Extract JSON from stdout (may contain other output before the JSON)
+                let jsonStr = stdout.trim();
+
+                // Try to find JSON object boundaries
+                const firstBrace = jsonStr.indexOf('{');
+                const lastBrace = jsonStr.lastIndexOf('}');
+
+                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+                  jsonStr = jsonStr.substring(firstBrace, lastBrace + 1);
                 }
 
-                // Add metadata to result
-                // Check if this is a tidy dataset that should become the new active dataset
-                const isTidyDataset = detectedDataset.endsWith('_tidy');
-
-                result.updatedMetadata = {
-                  datasetName: detectedDataset,
-                  columnMetadata: columnMetadata,
-                  shouldBecomeActive: isTidyDataset,  // Auto-switch to tidy datasets
-                  hash: JSON.stringify({
-                    ncol: metadataResult.ncol,
-                    nrow: metadataResult.nrow,
-                    columns: metadataResult.colnames
-                  })
+                const parsed = JSON.parse(jsonStr);
+                // Log what we got from R
+                console.log('[METADATA REFRESH] Parsed result - numericCols:', parsed.numericCols?.length || 0, 'numericInfo keys:', Object.keys(parsed.numericInfo || {}).length);
+                return parsed;
+              } catch (parseErr) {
+                console.error('[METADATA REFRESH] Parse error:', parseErr);
+                console.error('[METADATA REFRESH] Stdout was:', stdout);
+                // Don't reject - just resolve with empty metadata
+                return {
+                  ncol: 0,
+                  nrow: 0,
+                  colnames: [],
+                  categoricalInfo: {},
+                  numericCols: []
                 };
+              }
+            });
+
+            // Check if metadata retrieval had an error
+            if (metadataResult.error) {
+              console.log(`[METADATA REFRESH] ${metadataResult.error}`);
+            } else if (metadataResult.colnames && metadataResult.colnames.length > 0) {
+              // Build columnMetadata array
+              const columnMetadata = [];
+
+              for (const colName of metadataResult.colnames) {
+                if (metadataResult.categoricalInfo && metadataResult.categoricalInfo[colName]) {
+                  columnMetadata.push({
+                    name: colName,
+                    type: 'categorical',
+                    values: metadataResult.categoricalInfo[colName]
+                  });
+                } else if (metadataResult.numericCols && metadataResult.numericCols.includes(colName)) {
+                  const numericMeta = {
+                    name: colName,
+                    type: 'numeric'
+                  };
+                  // Add min/max if available
+                  if (metadataResult.numericInfo && metadataResult.numericInfo[colName]) {
+                    numericMeta.min = metadataResult.numericInfo[colName].min;
+                    numericMeta.max = metadataResult.numericInfo[colName].max;
+                  }
+                  columnMetadata.push(numericMeta);
+                } else if (metadataResult.dateInfo && metadataResult.dateInfo[colName]) {
+                  // Dates as YYYY-MM-DD strings, which compare in date order
+                  columnMetadata.push({
+                    name: colName,
+                    type: 'date',
+                    ...metadataResult.dateInfo[colName]
+                  });
+                } else {
+                  columnMetadata.push({
+                    name: colName,
+                    type: 'other'
+                  });
+                }
+              }
+
+              // Add metadata to result
+              // Check if this is a tidy dataset that should become the new active dataset
+              const isTidyDataset = detectedDataset.endsWith('_tidy');
+
+              result.updatedMetadata = {
+                datasetName: detectedDataset,
+                columnMetadata: columnMetadata,
+                shouldBecomeActive: isTidyDataset,  // Auto-switch to tidy datasets
+                hash: JSON.stringify({
+                  ncol: metadataResult.ncol,
+                  nrow: metadataResult.nrow,
+                  columns: metadataResult.colnames
+                })
+              };
+
+              if (isTidyDataset) {
+                console.log(`[METADATA REFRESH] Detected tidy dataset '${detectedDataset}' - will become active dataset`);
+              }
+
+              console.log(`[METADATA REFRESH] Successfully refreshed metadata for '${detectedDataset}'`);
+              console.log(`[METADATA REFRESH] Columns: ${columnMetadata.length}, Categorical: ${columnMetadata.filter(c => c.type === 'categorical').length}, Numeric: ${columnMetadata.filter(c => c.type === 'numeric').length}`);
+
+              // Log numeric columns with their ranges
+              const numericWithRanges = columnMetadata.filter(c => c.type === 'numeric' && c.min !== undefined && c.max !== undefined);
+              if (numericWithRanges.length > 0) {
+                console.log(`[METADATA REFRESH] Numeric columns with ranges:`);
+                numericWithRanges.forEach(col => {
+                  console.log(`  - ${col.name}: ${col.min} to ${col.max}`);
+                });
+              }
+            }
+          } else {
+            console.log(`[METADATA REFRESH] Dataset '${detectedDataset}' does not exist in workspace`);
+          }
+        } catch (metadataError) {
+          console.error('[METADATA REFRESH] Failed to refresh metadata:', metadataError);
+          // Don't fail the whole request, just skip metadata
+        }
+      }
+
+    } catch (cleanupError) {
+      console.error('Error in cleanup:', cleanupError);
+    }
+
+    return result;
+  } catch (error) {
+    // Clean up any plot pages and run files that were written
+    await collectPlotPages(tempDir, plotPrefix).catch(() => {});
+    await unlink(codePath).catch(() => {});
+    await unlink(conditionsPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * POST /api/execute-r
+ * Execute R code and return results (output, plots, errors)
+ * Messages and warnings come back as typed arrays (messages, warnings), and an R error
+ * as errorDetails { message, call, line, traceback } next to the error string.
+ *
+ * Body:
+ * - code: R code to execute
+ * - workspaceId: Conversation's workspace ID (omit to use the shared default workspace)
+ * - executionId: Optional ID used to cancel this run via /api/cancel-execution
+ * - timeoutMs: Optional wall-clock limit for this run (defaults to R_DEFAULT_TIMEOUT_MS)
+ * - coalesceKey: Optional key; a queued run is dropped (superseded: true) when a newer run
+ *   with the same key arrives for the workspace before it starts
+ * - confirmedFunctions: Functions from the execution policy's confirm list the user agreed to run
+ *
+ * Code that breaks the execution policy (see R EXECUTION POLICY) doesn't run or is stopped;
+ * the result then carries policyViolation: { type, message, ...details } where type is one of
+ * confirmation_required, write_outside_allowed, cpu_limit, memory_limit, time_limit.
+ *
+ * Runs for the same workspace execute one at a time, in the order they arrive.
+ */
+app.post('/api/execute-r', async (req, res) => {
+  const { code, workspaceId } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({
+      error: 'R code is required'
+    });
+  }
+
+  if (!getWorkspacePath(workspaceId)) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
+
+  try {
+    res.json(await executeRRequest(req.body));
+  } catch (error) {
+    console.error('Error executing R code:', error);
+    res.status(500).json({
+      output: '',
+      plots: [],
+      tables: [],
+      error: error.message || 'An error occurred while executing R code'
+    });
+  }
+});
+
+/**
+ * POST /api/execute-r/stream
+ * Same as /api/execute-r, but streams console output while the code runs.
+ * The response is a text/event-stream of:
+ * - event: queued  data: { position } - sent while waiting behind other runs (1 = next, 0 = started)
+ * - event: output  data: { stream: 'stdout' | 'stderr', text }
+ * - event: result  data: the same JSON /api/execute-r returns
+ *
+ * Body: same as /api/execute-r
+ */
+app.post('/api/execute-r/stream', async (req, res) => {
+  const { code, workspaceId } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({
+      error: 'R code is required'
+    });
+  }
 
-                if (isTidyDataset) {
-                  console.log(`[METADATA REFRESH] Detected tidy dataset '${detectedDataset}' - will become active dataset`);
-                }
+  if (!getWorkspacePath(workspaceId)) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
 
-                console.log(`[METADATA REFRESH] Successfully refreshed metadata for '${detectedDataset}'`);
-                console.log(`[METADATA REFRESH] Columns: ${columnMetadata.length}, Categorical: ${columnMetadata.filter(c => c.type === 'categorical').length}, Numeric: ${columnMetadata.filter(c => c.type === 'numeric').length}`);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
 
-                // Log numeric columns with their ranges
-                const numericWithRanges = columnMetadata.filter(c => c.type === 'numeric' && c.min !== undefined && c.max !== undefined);
-                if (numericWithRanges.length > 0) {
-                  console.log(`[METADATA REFRESH] Numeric columns with ranges:`);
-                  numericWithRanges.forEach(col => {
-                    console.log(`  - ${col.name}: ${col.min} to ${col.max}`);
-                  });
-                }
-              }
-            } else {
-              console.log(`[METADATA REFRESH] Dataset '${detectedDataset}' does not exist in workspace`);
-            }
-          } catch (metadataError) {
-            console.error('[METADATA REFRESH] Failed to refresh metadata:', metadataError);
-            // Don't fail the whole request, just skip metadata
-          }
-        }
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-        // Clean up script file
-        await unlink(scriptPath).catch(() => {});
+  // Stop the run if the client goes away before it finishes
+  let finished = false;
+  res.on('close', () => {
+    if (!finished && req.body.executionId) {
+      cancelRExecution(req.body.executionId);
+    }
+  });
 
-        res.json(result);
-      } catch (cleanupError) {
-        console.error('Error in cleanup:', cleanupError);
-        res.json(result);
-      }
+  try {
+    const result = await executeRRequest(req.body, {
+      onOutput: (stream, text) => sendEvent('output', { stream, text }),
+      onQueue: (position) => sendEvent('queued', { position })
     });
-
+    sendEvent('result', result);
   } catch (error) {
-    console.error('Error executing R code:', error);
-
-    // Clean up files
-    try {
-      await unlink(scriptPath).catch(() => {});
-      await unlink(svgPath).catch(() => {});
-    } catch {}
-
-    res.status(500).json({
+    console.error('Error executing R code (stream):', error);
+    sendEvent('result', {
       output: '',
       plots: [],
       tables: [],
       error: error.message || 'An error occurred while executing R code'
     });
   }
+  finished = true;
+  res.end();
+});
+
+/**
+ * POST /api/cancel-execution
+ * Stop a running or queued R execution
+ *
+ * Body:
+ * - executionId: ID that was sent with /api/execute-r
+ */
+app.post('/api/cancel-execution', (req, res) => {
+  const { executionId } = req.body;
+
+  if (!executionId) {
+    return res.status(400).json({ error: 'executionId is required' });
+  }
+
+  const state = cancelRExecution(executionId);
+  if (!state) {
+    // Already finished (or never existed) - nothing to stop
+    return res.status(404).json({ error: 'Execution not found', executionId });
+  }
+
+  console.log(`[CANCEL] Execution ${executionId} cancelled while ${state}`);
+  res.json({ success: true, executionId, state });
 });
 
 /**
@@ -2193,7 +4990,10 @@ cat(toJSON(result, auto_unbox = TRUE))
 app.get('/api/check-file/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
-    const filePath = join(DATA_FOLDER, filename);
+    const filePath = dataFilePath(filename);
+    if (!filePath) {
+      return res.status(400).json({ error: `Invalid file name: ${filename}` });
+    }
 
     const { access } = await import('fs/promises');
     await access(filePath);
@@ -2204,9 +5004,149 @@ app.get('/api/check-file/:filename', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/data-file-info/:filename?workspaceId=...&version=...
+ * How a file in the data folder will be read: its format, the import options sniffed
+ * from delimited text and, for Excel workbooks, the sheets to choose from
+ *
+ * Query:
+ * - version: Hash of the version to describe (the working copy if not given)
+ *
+ * Response: { filename, format, label, version, versions, importOptions, columns, sheets }
+ * - version: Hash of the version described; versions: see listDataFileVersions
+ * - importOptions, columns: delimited text only - see sniffDelimitedOptions
+ * - sheets: Excel only
+ */
+app.get('/api/data-file-info/:filename', async (req, res) => {
+  const { filename } = req.params;
+  const workingCopyPath = dataFilePath(filename);
+  if (!workingCopyPath || !existsSync(workingCopyPath)) {
+    return res.status(404).json({ error: `${filename} is not in the data folder` });
+  }
+
+  const workspacePath = getWorkspacePath(req.query.workspaceId);
+  if (!workspacePath) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
+
+  try {
+    const { current, versions } = await listDataFileVersions(filename);
+    const version = req.query.version || current;
+    const located = versions.some(({ hash }) => hash === version) && await locateDataFileVersion(filename, version);
+    if (!located) {
+      return res.status(404).json({ error: `${filename} has no version ${version}` });
+    }
+    const filePath = located.path;
+
+    const format = await detectDataFileFormat(filePath);
+    const info = { filename, format, label: DATA_FILE_FORMATS[format].label, version, versions };
+
+    if (DATA_FILE_FORMATS[format].delimited) {
+      const { options, columns } = await sniffDataFileOptions(filePath, format);
+      info.importOptions = options;
+      info.columns = columns;
+    } else if (format === 'excel') {
+      const result = await runRCode(
+        `cat(jsonlite::toJSON(readxl::excel_sheets(${JSON.stringify(located.source)})))`,
+        { workspacePath, timeout: 30000, readOnly: true }
+      );
+      if (result.error) {
+        throw new Error(`Could not read the sheets: ${result.stderr || result.error.message}`);
+      }
+      info.sheets = JSON.parse(result.stdout.trim());
+    }
+
+    res.json(info);
+  } catch (error) {
+    console.error('[DATA] Error reading file info:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/data-file-preview
+ * The first rows of a data file as R reads them with the given options,
+ * and the code that reads it
+ *
+ * Body:
+ * - filename: File in the data folder
+ * - version: Hash of the version to read (the working copy if not given)
+ * - workspaceId: Conversation's workspace - the preview runs in its R session
+ * - sheet: Excel only - the sheet to read
+ * - importOptions: Delimited text only - see DEFAULT_IMPORT_OPTIONS (sniffed if not given)
+ *
+ * Response: { code, columns: [{ name, type }], rows: [[...]], error }
+ * - type is the R class of the column; values are formatted as R prints them
+ * - error: why R could not read the file with these options (columns and rows are then empty)
+ */
+app.post('/api/data-file-preview', async (req, res) => {
+  const { filename, version, workspaceId, sheet } = req.body;
+  const located = filename && version ? await locateDataFileVersion(filename, version) : null;
+  const filePath = filename && (version ? located?.path : dataFilePath(filename));
+  if (!filePath || !existsSync(filePath)) {
+    return res.status(404).json({ error: `${filename}${version ? ` version ${version}` : ''} is not in the data folder` });
+  }
+
+  const workspacePath = getWorkspacePath(workspaceId);
+  if (!workspacePath) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
+
+  const normalized = normalizeImportOptions(req.body.importOptions);
+  if (normalized.error) {
+    return res.status(400).json({ error: normalized.error });
+  }
+
+  try {
+    // Read as loading would read it - with the sniffed options when none are given
+    const format = await detectDataFileFormat(filePath);
+    const importOptions = DATA_FILE_FORMATS[format].delimited
+      ? normalized.options || (await sniffDataFileOptions(filePath, format)).options
+      : null;
+    const code = buildReadDataCode(filename, { format, sheet, importOptions });
+    const previewCode = buildReadDataCode(version ? located.source : filename, {
+      format,
+      sheet,
+      importOptions,
+      ...(DATA_FILE_FORMATS[format].delimited && { nrows: PREVIEW_READ_ROWS })
+    });
+
+    // Evaluated locally so nothing is added to the workspace
+    const result = await runRCode(`local({
+  .preview <- ${previewCode}
+  .shown <- utils::head(.preview, ${PREVIEW_ROWS})
+  cat(jsonlite::toJSON(list(
+    columns = names(.preview),
+    types = unname(vapply(.preview, function(x) class(x)[1], character(1))),
+    rows = unname(as.matrix(format(.shown)))
+  )))
+})`, { workspacePath, timeout: 30000, readOnly: true });
+
+    if (result.error) {
+      // Wrong options usually make R fail - show why instead of a preview
+      return res.json({ code, error: (result.stderr || result.error.message).trim(), columns: [], rows: [] });
+    }
+
+    const preview = JSON.parse(result.stdout.trim());
+    res.json({
+      code,
+      columns: preview.columns.map((name, index) => ({ name, type: preview.types[index] })),
+      rows: preview.rows
+    });
+  } catch (error) {
+    console.error('[DATA] Error previewing file:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/upload-data
- * Upload a data file to the data folder
+ * Upload a data file to the data folder, as a version of the file with its name
+ * (see DATA FILE VERSIONS)
+ *
+ * Response: { success, filename, hash, status, message, versions }
+ * - status: new, same, new-version or previous-version - see addDataFileUpload
+ * - versions: Every version of the file - see listDataFileVersions
  */
 app.post('/api/upload-data', upload.single('file'), async (req, res) => {
   try {
@@ -2214,97 +5154,417 @@ app.post('/api/upload-data', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    console.log(`File uploaded: ${req.file.filename}`);
+    const filename = dataUploadName(req.file.originalname);
+    if (!filename) {
+      await unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: `${req.file.originalname} is not a valid file name` });
+    }
+
+    const { hash, status, message, versions } = await addDataFileUpload(filename, req.file.path);
+    console.log(`[DATA] Uploaded ${filename}: ${status} (sha256 ${hash.slice(0, 12)})`);
     res.json({
       success: true,
-      filename: req.file.filename,
-      path: req.file.path
+      filename,
+      hash,
+      status,
+      message,
+      versions
     });
   } catch (error) {
     console.error('Error uploading file:', error);
+    if (req.file) await unlink(req.file.path).catch(() => {});
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data-files
+ * The files in the data folder, for the data folder browser
+ *
+ * Response: { files: [{ name, size, modified, format, label, versions }] }
+ * - format, label: How the file would be loaded (see DATA_FILE_FORMATS) - null if it isn't a data file
+ * - versions: How many versions of the file are stored (see DATA FILE VERSIONS)
+ */
+app.get('/api/data-files', async (req, res) => {
+  try {
+    const entries = await readdir(DATA_FOLDER, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const filePath = join(DATA_FOLDER, entry.name);
+      const { size, mtimeMs } = await stat(filePath);
+      // Files without a data extension are only sniffed if they could be plain text data
+      const extension = dataFileExtension(entry.name);
+      const format = formatForExtension(extension) ||
+        (['', 'txt', 'dat'].includes(extension) ? await detectDataFileFormat(filePath) : null);
+      files.push({
+        name: entry.name,
+        size,
+        modified: Math.round(mtimeMs),
+        format,
+        label: format ? DATA_FILE_FORMATS[format].label : null,
+        versions: (dataVersionIndex[entry.name] || []).length
+      });
+    }
+
+    files.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ files });
+  } catch (error) {
+    console.error('[DATA] Error listing data files:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/data-files/:filename/rename
+ * Rename a file in the data folder, with its stored versions
+ *
+ * Body: { newName }
+ * Response: { success, filename } - filename is the new name
+ */
+app.post('/api/data-files/:filename/rename', async (req, res) => {
+  const { filename } = req.params;
+  const filePath = dataUploadName(filename) && dataFilePath(filename);
+  if (!filePath || !existsSync(filePath)) {
+    return res.status(404).json({ error: `${filename} is not in the data folder` });
+  }
+
+  const newName = dataUploadName(req.body.newName);
+  if (!newName || newName !== req.body.newName) {
+    return res.status(400).json({ error: `${req.body.newName} is not a valid file name` });
+  }
+  if (existsSync(dataFilePath(newName))) {
+    return res.status(409).json({ error: `${newName} is already in the data folder` });
+  }
+
+  try {
+    await rename(filePath, dataFilePath(newName));
+    await renameDataFileVersions(filename, newName);
+    console.log(`[DATA] Renamed ${filename} to ${newName}`);
+    res.json({ success: true, filename: newName });
+  } catch (error) {
+    console.error('[DATA] Error renaming file:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/data-files/:filename
+ * Delete a file from the data folder. Its stored versions are kept (the working copy is
+ * stored first), so datasets loaded from it can still be restored from the exact version
+ *
+ * Response: { success, filename, versions } - versions is how many versions stay stored
+ */
+app.delete('/api/data-files/:filename', async (req, res) => {
+  const { filename } = req.params;
+  const filePath = dataUploadName(filename) && dataFilePath(filename);
+  if (!filePath || !existsSync(filePath)) {
+    return res.status(404).json({ error: `${filename} is not in the data folder` });
+  }
+
+  try {
+    await storeDataWorkingCopy(filename);
+    await unlink(filePath);
+    const versions = (dataVersionIndex[filename] || []).length;
+    console.log(`[DATA] Deleted ${filename} (${versions} stored versions kept)`);
+    res.json({ success: true, filename, versions });
+  } catch (error) {
+    console.error('[DATA] Error deleting file:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/list-dataframes
+ * All data.frame and tbl_df objects in a workspace's R session
+ * @param {string} workspacePath - Workspace to look in (see getWorkspacePath)
+ * @returns {Promise<Array<{name: string, rows: number, cols: number}>>}
+ */
+async function listWorkspaceDataFrames(workspacePath) {
+  // R code to list all data frames with their dimensions (evaluated locally
+  // so nothing is added to the live workspace)
+  const rCode = `
+local({
+  # Get all objects in workspace
+  objects_list <- ls(globalenv())
+
+  # Extract info about data frames and tibbles
+  df_info <- lapply(objects_list, function(name) {
+    obj <- tryCatch(get(name, envir = globalenv()), error = function(e) NULL)
+    if (!is.null(obj) && (is.data.frame(obj) || inherits(obj, "tbl_df"))) {
+      dims <- dim(obj)
+      list(name = name, rows = dims[1], cols = dims[2])
+    }
+  })
+
+  # Remove NULL entries
+  df_info <- Filter(Negate(is.null), df_info)
+
+  # Convert to JSON
+  cat(jsonlite::toJSON(df_info, auto_unbox = TRUE))
+})
+`;
+
+  // Execute R code in the live session
+  const result = await runRCode(rCode, { workspacePath, readOnly: true });
+  if (result.error) {
+    throw new Error(`R session error: ${result.stderr || result.error.message}`);
+  }
+
+  // Parse the JSON output from R
+  let dataframes = [];
+  try {
+    dataframes = JSON.parse(result.stdout.trim());
+  } catch (e) {
+    console.error('Error parsing R output:', e);
+  }
+  return dataframes;
+}
+
+/**
+ * GET /api/list-dataframes?workspaceId=...
  * List all data.frame and tbl_df objects currently in the R workspace
  */
 app.get('/api/list-dataframes', async (req, res) => {
-  const tempDir = join(tmpdir(), '3panel-r-execution');
-  const workspacePath = join(tempDir, 'workspace.RData');
+  const workspacePath = getWorkspacePath(req.query.workspaceId);
+
+  if (!workspacePath) {
+    return res.status(400).json({ error: 'Invalid workspaceId', dataframes: [] });
+  }
 
   try {
-    // R code to list all data frames with their dimensions
-    const rCode = `
-# Load workspace if it exists
-if (file.exists("${workspacePath.replace(/\\/g, '\\\\')}")) {
-  load("${workspacePath.replace(/\\/g, '\\\\')}")
+    const dataframes = await listWorkspaceDataFrames(workspacePath);
+    res.json({ dataframes });
+  } catch (error) {
+    console.error('Error listing data frames:', error);
+    res.status(500).json({ error: error.message, dataframes: [] });
+  }
+});
+
+// ==================== SESSION RESTORE ====================
+
+/**
+ * Whether R code assigns to a variable - `name <- ...`, `name = ...`, `... -> name`,
+ * `name$col <- ...`, `name[...] <- ...` or `assign("name", ...)`
+ * @param {string} code - R code
+ * @param {string} name - Variable name
+ * @returns {boolean}
+ */
+function codeAssignsVariable(code, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const withoutComments = code.replace(/#[^\n]*/g, '');
+  return [
+    new RegExp(`^\\s*${escaped}\\s*(\\$[^\\n]*?|\\[[^\\n]*?)?(<<-|<-|=(?!=))`, 'm'),
+    new RegExp(`(->>|->)\\s*${escaped}(?![\\w.])`),
+    new RegExp(`assign\\(\\s*["']${escaped}["']`)
+  ].some(pattern => pattern.test(withoutComments));
+}
+
+/**
+ * Whether a code card loads a dataset from its source - the card made when it was loaded
+ * (or a later version of it was), or Claude's load_dataset - rather than working on it
+ * @param {string} code - Code card's R code
+ * @param {string} name - Dataset (R variable) name
+ * @param {Object} dataset - Its dataset registry entry
+ * @returns {boolean}
+ */
+function codeLoadsDataset(code, name, dataset) {
+  if (!codeAssignsVariable(code, name)) return false;
+  if (dataset.source === 'snowflake') {
+    return typeof dataset.fullTableName === 'string' && code.includes(dataset.fullTableName);
+  }
+  if (typeof dataset.filename !== 'string' || dataUploadName(dataset.filename) !== dataset.filename) return false;
+  const sources = [dataset.filename, ...(dataVersionIndex[dataset.filename] || []).map(({ hash }) => dataVersionSource(dataset.filename, hash))];
+  return sources.some(source => code.includes(JSON.stringify(source)));
 }
 
-# Get all objects in workspace
-objects_list <- ls()
+// Snowflake table name, each part unquoted (MY_TABLE) or double-quoted ("My Table")
+const SNOWFLAKE_TABLE_NAME = /^(?:[A-Za-z_][\w$]*|"(?:[^"]|"")+")(?:\.(?:[A-Za-z_][\w$]*|"(?:[^"]|"")+")){0,2}$/;
 
-# Extract info about data frames and tibbles
-df_info <- lapply(objects_list, function(name) {
-  obj <- tryCatch(get(name), error = function(e) NULL)
-  if (!is.null(obj) && (is.data.frame(obj) || inherits(obj, "tbl_df"))) {
-    dims <- dim(obj)
-    list(name = name, rows = dims[1], cols = dims[2])
+/**
+ * R code that reloads a dataset from its source: its data file, read the way it was
+ * loaded (from the exact version that was loaded, while that is still stored), or its
+ * Snowflake table. The registry comes from the client, so only a file in the data folder
+ * or a well-formed table name is reloaded.
+ * @param {string} name - Dataset (R variable) name, already checked against R_IDENTIFIER
+ * @param {Object} dataset - Its dataset registry entry
+ * @returns {{code: string, description: string}|null} null if the registry doesn't say where it came from
+ */
+function buildDatasetSourceCode(name, dataset) {
+  if ((dataset.source === 'file' || dataset.source === 'csv') && typeof dataset.filename === 'string' &&
+      dataUploadName(dataset.filename) === dataset.filename) {
+    const format = Object.hasOwn(DATA_FILE_FORMATS, dataset.format) ? dataset.format : 'csv';
+    const sheet = typeof dataset.sheet === 'string' ? dataset.sheet : undefined;
+    const { options: importOptions } = normalizeImportOptions(dataset.importOptions);
+    const versionPath = dataset.contentHash && dataVersionPath(dataset.filename, dataset.contentHash);
+    const source = versionPath && existsSync(versionPath) ? dataVersionSource(dataset.filename, dataset.contentHash) : dataset.filename;
+    return {
+      code: `${name} <- ${buildReadDataCode(source, { format, sheet, importOptions })}`,
+      description: source === dataset.filename
+        ? `Reloaded ${dataset.filename}${dataset.contentHash ? ' (the version that was loaded is no longer stored)' : ''}`
+        : `Reloaded ${dataset.filename} (version ${dataset.contentHash.slice(0, 12)})`
+    };
   }
-})
+  if (dataset.source === 'snowflake' && typeof dataset.fullTableName === 'string' && SNOWFLAKE_TABLE_NAME.test(dataset.fullTableName)) {
+    return {
+      code: `${name} <- sf_query(${JSON.stringify(`SELECT * FROM ${dataset.fullTableName} LIMIT 1000`)})`,
+      description: `Reloaded Snowflake table ${dataset.fullTableName}`
+    };
+  }
+  return null;
+}
 
-# Remove NULL entries
-df_info <- Filter(Negate(is.null), df_info)
+/**
+ * POST /api/restore-datasets
+ * Bring back the datasets of a restored conversation that are missing from its R workspace:
+ * datasets with a source are reloaded from it, then the code cards up to the last one that
+ * changed or derived a missing dataset (e.g. _tidy) are replayed in conversation order, so
+ * helper objects the later ones use are there too. Cards that load a dataset are not
+ * replayed (the reload took their place), nor are changes a later load replaced
+ *
+ * Replayed cards run under the execution policy like any other card: one calling a function
+ * from its confirm list stops the replay until the user confirms and restores again.
+ *
+ * Body:
+ * - workspaceId: Conversation's workspace ID
+ * - datasetRegistry: The conversation's dataset registry
+ * - codeCards: The conversation's code cards, in order ([{ id, code, summary }])
+ * - confirmedFunctions: Functions from the execution policy's confirm list the user agreed to run
+ *
+ * Response: { results: [{ name, status, steps, error, functions }] }
+ * - status: present (was not missing), restored, failed, or confirmation_required
+ * - steps: What was done for the dataset, in order
+ * - error: Why it could not be restored
+ * - functions: confirmation_required only - what the replay needs the user to confirm
+ */
+app.post('/api/restore-datasets', async (req, res) => {
+  const { workspaceId, datasetRegistry, codeCards = [], confirmedFunctions = [] } = req.body;
+  const workspacePath = getWorkspacePath(workspaceId);
+  if (!workspacePath) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
+  if (!datasetRegistry?.datasets || !Array.isArray(codeCards)) {
+    return res.status(400).json({ error: 'datasetRegistry and codeCards are required' });
+  }
 
-# Convert to JSON
-cat(jsonlite::toJSON(df_info, auto_unbox = TRUE))
-`;
+  try {
+    const present = new Set((await listWorkspaceDataFrames(workspacePath)).map(dataframe => dataframe.name));
+    const results = Object.fromEntries(Object.keys(datasetRegistry.datasets).map(name => [
+      name,
+      { name, status: present.has(name) ? 'present' : 'restored', steps: [], error: null }
+    ]));
+    const fail = (name, error) => {
+      results[name].status = 'failed';
+      results[name].error = results[name].error || error;
+    };
 
-    // Execute R code
-    const result = await new Promise((resolve, reject) => {
-      const rProcess = spawn('R', ['--vanilla', '--slave'], {
-        cwd: tempDir
-      });
+    // Registry names end up in R code - only restore ones that are plain R names
+    const absent = Object.keys(datasetRegistry.datasets).filter(name => !present.has(name));
+    absent.filter(name => !R_IDENTIFIER.test(name)).forEach(name => fail(name, 'It is not a valid R variable name'));
+    const missing = absent.filter(name => R_IDENTIFIER.test(name));
+    console.log(`[RESTORE] Missing from workspace ${workspaceId}: ${absent.join(', ') || 'nothing'}`);
+
+    // 1. Reload datasets with a source
+    const cards = codeCards.filter(card => typeof card.code === 'string');
+    const reloaded = [];
+    for (const name of missing) {
+      const dataset = datasetRegistry.datasets[name];
+      const sourceCode = buildDatasetSourceCode(name, dataset);
+
+      if (sourceCode) {
+        const result = await runRCode(sourceCode.code, { workspacePath, timeout: 60000 });
+        if (result.error) {
+          fail(name, (result.stderr || result.error.message).trim());
+          continue;
+        }
+        results[name].steps.push(sourceCode.description);
+        reloaded.push(name);
+      } else if (!cards.some(card => codeAssignsVariable(card.code, name))) {
+        fail(name, 'Its source is unknown and no code card creates it');
+      }
+    }
 
-      let stdout = '';
-      let stderr = '';
+    // 2. Replay the cards up to the last one that changed or derived a missing dataset, in conversation order.
+    // Load cards are skipped, and so are cards whose changes to a reloaded dataset a later load replaced
+    const datasets = Object.entries(datasetRegistry.datasets);
+    const lastLoad = Object.fromEntries(reloaded.map(name => [
+      name,
+      cards.findLastIndex(card => codeLoadsDataset(card.code, name, datasetRegistry.datasets[name]))
+    ]));
+    const lastIndex = cards.findLastIndex(card => missing.some(name => codeAssignsVariable(card.code, name)));
+    const replayCards = cards.slice(0, lastIndex + 1).filter((card, index) => {
+      if (datasets.some(([name, dataset]) => codeLoadsDataset(card.code, name, dataset))) return false;
+      const assigned = missing.filter(name => codeAssignsVariable(card.code, name));
+      const replaced = (name) => index < (lastLoad[name] ?? -1);
+      return assigned.length === 0 || !assigned.every(replaced);
+    });
+    if (replayCards.length > 0) {
+      const libraries = collectRequiredLibraries(replayCards);
+      await runRCode(`suppressPackageStartupMessages({\n${libraries.map(lib => `  library(${lib})`).join('\n')}\n})`, { workspacePath, timeout: 60000 });
+    }
+    let confirmation = null;  // Policy violation that stopped the replay
+    for (const card of replayCards) {
+      const assigned = missing.filter(name => codeAssignsVariable(card.code, name));
+      const label = `Replayed "${card.summary || 'code card'}"`;
+
+      // Later cards may build on this one, so they wait for it too
+      if (confirmation) {
+        assigned.forEach(name => {
+          results[name].status = 'confirmation_required';
+          results[name].error = results[name].error || 'Waiting for an earlier step to be confirmed';
+          results[name].functions = confirmation.functions;
+        });
+        continue;
+      }
 
-      rProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+      // Replaying would also overwrite data frames that survived - report it rather than replace them
+      const overwrites = [...present].filter(name => codeAssignsVariable(card.code, name));
+      if (overwrites.length > 0) {
+        assigned.forEach(name => fail(name,
+          `Replaying "${card.summary || 'code card'}" would overwrite ${overwrites.join(', ')}, which ${overwrites.length === 1 ? 'is' : 'are'} still in the workspace`));
+        continue;
+      }
 
-      rProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
+      const result = await executeRRequest({
+        code: card.code,
+        workspaceId,
+        autoFormatTabular: false,
+        confirmedFunctions
       });
-
-      rProcess.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`R process exited with code ${code}: ${stderr}`));
+      if (result.policyViolation?.type === 'confirmation_required') {
+        confirmation = result.policyViolation;
+        assigned.forEach(name => {
+          results[name].status = 'confirmation_required';
+          results[name].error = `Replaying "${card.summary || 'code card'}" needs confirmation: ${confirmation.message}`;
+          results[name].functions = confirmation.functions;
+        });
+        continue;
+      }
+      assigned.forEach(name => {
+        if (result.error) {
+          fail(name, `${label} failed: ${result.error.trim()}`);
         } else {
-          resolve({ stdout, stderr });
+          results[name].steps.push(label);
         }
       });
-
-      rProcess.stdin.write(rCode);
-      rProcess.stdin.end();
-    });
-
-    // Parse the JSON output from R
-    let dataframes = [];
-    try {
-      dataframes = JSON.parse(result.stdout.trim());
-    } catch (e) {
-      console.error('Error parsing R output:', e);
     }
 
-    res.json({ dataframes });
+    // 3. Check every missing dataset is back
+    const restored = new Set((await listWorkspaceDataFrames(workspacePath)).map(dataframe => dataframe.name));
+    missing
+      .filter(name => results[name].status === 'restored' && !restored.has(name))
+      .forEach(name => fail(name, 'It is still missing from the R workspace'));
+
+    absent.forEach(name => console.log(`[RESTORE] ${name}: ${results[name].status}${results[name].error ? ` - ${results[name].error}` : ''}`));
+    res.json({ results: Object.values(results) });
   } catch (error) {
-    console.error('Error listing data frames:', error);
-    res.status(500).json({ error: error.message, dataframes: [] });
+    console.error('[RESTORE] Error restoring datasets:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
+// ==================== END SESSION RESTORE ====================
+
 /**
  * POST /api/load-and-report-data
  * Two-phase dataset loading with accurate reporting:
@@ -2313,33 +5573,69 @@ cat(jsonlite::toJSON(df_info, auto_unbox = TRUE))
  *
  * Body:
  * - filename: Name of the file to load
- * - apiKey: Anthropic API key
+ * - version: Hash of the version to load, read from the version store (the working copy if not given)
+ * - sheet: Excel only - the sheet to load (the first if not given)
+ * - importOptions: Delimited text only - how to read it (see DEFAULT_IMPORT_OPTIONS; sniffed if not given)
+ * - apiKey: Anthropic API key (required when reports use the anthropic provider)
+ * - llm: Model Settings for dataset reports ({ provider, model, maxTokens, temperature, baseUrl, apiKey })
  * - suggestionsEnabled: Whether suggestions are enabled
+ * - workspaceId: Conversation's workspace ID to load the dataset into
  */
 app.post('/api/load-and-report-data', async (req, res) => {
   const tempDir = join(tmpdir(), '3panel-r-execution');
-  const dataDir = join(process.cwd(), 'data');
-  const workspacePath = join(tempDir, 'workspace.RData');
 
   try {
-    const { filename, apiKey, suggestionsEnabled } = req.body;
+    const { filename, version, sheet, apiKey, suggestionsEnabled, workspaceId, llm } = req.body;
+    const llmSettings = resolveLlmSettings('report', llm, apiKey);
 
-    if (!filename || !apiKey) {
+    if (!filename || (!apiKey && llmSettings.provider === 'anthropic')) {
       return res.status(400).json({ error: 'Filename and API key are required' });
     }
 
+    const filePath = dataFilePath(filename);
+    if (!filePath || !existsSync(filePath)) {
+      return res.status(400).json({ error: `${filename} is not in the data folder` });
+    }
+
+    const normalized = normalizeImportOptions(req.body.importOptions);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const workspacePath = getWorkspacePath(workspaceId);
+    if (!workspacePath) {
+      return res.status(400).json({ error: 'Invalid workspaceId' });
+    }
+
+    // Read the chosen version where it is stored (data/<name> stays as it is for other
+    // conversations), and record which content was loaded so exports are tied to it.
+    // The working copy is stored so that content can be read again later
+    const current = await storeDataWorkingCopy(filename);
+    const contentHash = version || current;
+    const located = await locateDataFileVersion(filename, contentHash);
+    if (!located) {
+      return res.status(400).json({ error: `${filename} has no version ${version}` });
+    }
+    const versionPath = located.path;
+
     // Ensure temp directory exists
     await mkdir(tempDir, { recursive: true });
 
-    // Initialize Anthropic client
-    const anthropic = new Anthropic({ apiKey });
+    // Model provider for the report (Anthropic with the user's API key by default)
+    const provider = createLlmProvider(llmSettings, workspaceId);
 
     // ==== PHASE 1: Use explicit diagnostic R code ====
-    // Create a valid R variable name from the filename
-    // Remove .csv extension and sanitize for R (replace invalid chars with underscores)
-    let baseFilename = filename.replace(/\.csv$/i, ''); // Remove .csv extension
-    baseFilename = baseFilename.replace(/[^a-zA-Z0-9_]/g, '_'); // Replace invalid chars
-    baseFilename = baseFilename.replace(/^(\d)/, '_$1'); // Ensure it doesn't start with a number
+    // Create a valid R variable name from the filename (without its extension)
+    const baseFilename = dataVariableName(filename);
+
+    // Pick the reader from the extension, or the content when the extension doesn't say.
+    // Delimited text is read with the options chosen in the import dialog, or else sniffed ones
+    const format = await detectDataFileFormat(versionPath);
+    const importOptions = DATA_FILE_FORMATS[format].delimited
+      ? normalized.options || (await sniffDataFileOptions(versionPath, format)).options
+      : null;
+    const readerCode = buildReadDataCode(located.source, { format, sheet, importOptions });
+    console.log(`[DATA] Loading ${filename} (sha256 ${contentHash.slice(0, 12)}) as ${DATA_FILE_FORMATS[format].label}${sheet ? ` (sheet ${sheet})` : ''}`);
 
     // Generate explicit diagnostic code instead of asking Claude
     const diagnosticCode = `# Suppress package startup messages
@@ -2348,14 +5644,8 @@ suppressPackageStartupMessages({
   library(tidyr)
 })
 
-# Load CSV - try with comment.char="#" which auto-skips comment lines
-${baseFilename} <- tryCatch({
-  read.csv("${filename}", comment.char="#")
-}, error = function(e) {
-  # If that fails, try skipping first line
-  cat("First attempt failed, trying with skip=1\\n")
-  read.csv("${filename}", skip=1, comment.char="")
-})
+# Load ${DATA_FILE_FORMATS[format].label} file
+${baseFilename} <- ${readerCode}
 
 # Dimensions
 cat("Dimensions:\\n")
@@ -2440,45 +5730,11 @@ for (col_name in names(${baseFilename})) {
 cat("\\n")`;
 
     // ==== Execute the diagnostic R code ====
-    const timestamp = Date.now();
-    const scriptPath = join(tempDir, `diagnostic_${timestamp}.R`);
-
-    // Prepare R script with workspace loading and data directory
-    const fullScript = `
-# Set working directory to data folder
-setwd("${dataDir.replace(/\\/g, '/')}")
-
-# Load workspace if it exists
-workspace_path <- "${workspacePath.replace(/\\/g, '/')}"
-if (file.exists(workspace_path)) {
-  load(workspace_path)
-}
-
-# Execute diagnostic code
-${diagnosticCode}
-
-# Save workspace
-save.image(workspace_path)
-`;
-
-    await writeFile(scriptPath, fullScript);
-
-    // Execute R script
-    const rOutput = await new Promise((resolve, reject) => {
-      exec(`Rscript "${scriptPath}"`, {
-        maxBuffer: 10 * 1024 * 1024,
-        timeout: 30000
-      }, (error, stdout, stderr) => {
-        if (error && !stdout) {
-          reject(new Error(stderr || error.message));
-        } else {
-          resolve({ stdout, stderr });
-        }
-      });
-    });
-
-    // Clean up script file
-    await unlink(scriptPath).catch(() => {});
+    // Execute in the live R session (data folder is already the working directory)
+    const rOutput = await runRCode(diagnosticCode, { workspacePath, timeout: 30000 });
+    if (rOutput.error && !rOutput.stdout) {
+      throw new Error(rOutput.stderr || rOutput.error.message);
+    }
 
     // Validate that we got output
     if (!rOutput.stdout || rOutput.stdout.trim().length === 0) {
@@ -2500,11 +5756,12 @@ save.image(workspace_path)
         const colMatches = structureText.matchAll(/\$ (\w+)\s*:\s*(\w+)/g);
         for (const match of colMatches) {
           const [, colName, colType] = match;
-          // Categorize as numeric or categorical
+          // Categorize as numeric, date or categorical
           const isNumeric = ['num', 'int', 'dbl', 'numeric', 'integer'].includes(colType.toLowerCase());
+          const isDate = ['date', 'posixct'].includes(colType.toLowerCase());
           columnMetadata.push({
             name: colName,
-            type: isNumeric ? 'numeric' : 'categorical',
+            type: isNumeric ? 'numeric' : (isDate ? 'date' : 'categorical'),
             values: []  // Will populate from categorical values section
           });
         }
@@ -2699,14 +5956,12 @@ ${rOutput.stderr ? `\nWarnings/Messages:\n${rOutput.stderr}\n` : ''}
 
 Write your comprehensive report in JSON format based on this actual output.`;
 
-    const phase2Response = await anthropic.messages.create({
-      model: 'claude-opus-4-5-20251101',
-      max_tokens: 2048,
+    const phase2Response = await provider.createMessage({
       system: reportSystemPrompt,
       messages: [{ role: 'user', content: reportPrompt }]
     });
 
-    const reportText = phase2Response.content[0].text;
+    const reportText = phase2Response.content.filter(block => block.type === 'text').map(block => block.text).join('');
 
     // Parse JSON report
     let reportSections = {};
@@ -2951,6 +6206,10 @@ Write your comprehensive report in JSON format based on this actual output.`;
       error: filteredError,
       suggestions: suggestions,
       filename: filename,
+      contentHash: contentHash,  // SHA-256 of the version loaded - see DATA FILE VERSIONS
+      format: format,  // Reader used - see DATA_FILE_FORMATS
+      ...(format === 'excel' && sheet && { sheet }),
+      ...(importOptions && { importOptions }),  // How the file was read, so exports read it the same way
       datasetName: baseFilename,  // Add the sanitized R variable name (fixed from variableName)
       columnMetadata: columnMetadata  // Include schema for future chat requests
     });
@@ -2958,7 +6217,7 @@ Write your comprehensive report in JSON format based on this actual output.`;
   } catch (error) {
     console.error('Error in load-and-report-data:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
+    res.status(error.status === 402 ? 402 : 500).json({
       error: error.message || 'Failed to load and report on data',
       details: error.stack
     });
@@ -2975,25 +6234,32 @@ Write your comprehensive report in JSON format based on this actual output.`;
  * - schema: Snowflake schema name
  * - tableName: Snowflake table/view name
  * - varName: R variable name to use
- * - apiKey: Anthropic API key
+ * - apiKey: Anthropic API key (required when reports use the anthropic provider)
+ * - llm: Model Settings for dataset reports ({ provider, model, maxTokens, temperature, baseUrl, apiKey })
  * - suggestionsEnabled: Whether suggestions are enabled
+ * - workspaceId: Conversation's workspace ID to load the table into
  */
 app.post('/api/load-and-report-snowflake', async (req, res) => {
   const tempDir = join(tmpdir(), '3panel-r-execution');
-  const workspacePath = join(tempDir, 'workspace.RData');
 
   try {
-    const { database, schema, tableName, varName, apiKey, suggestionsEnabled } = req.body;
+    const { database, schema, tableName, varName, apiKey, suggestionsEnabled, workspaceId, llm } = req.body;
+    const llmSettings = resolveLlmSettings('report', llm, apiKey);
 
-    if (!database || !schema || !tableName || !varName || !apiKey) {
+    if (!database || !schema || !tableName || !varName || (!apiKey && llmSettings.provider === 'anthropic')) {
       return res.status(400).json({ error: 'Database, schema, table name, variable name, and API key are required' });
     }
 
+    const workspacePath = getWorkspacePath(workspaceId);
+    if (!workspacePath) {
+      return res.status(400).json({ error: 'Invalid workspaceId' });
+    }
+
     // Ensure temp directory exists
     await mkdir(tempDir, { recursive: true });
 
-    // Initialize Anthropic client
-    const anthropic = new Anthropic({ apiKey });
+    // Model provider for the report (Anthropic with the user's API key by default)
+    const provider = createLlmProvider(llmSettings, workspaceId);
 
     // ==== PHASE 1: Generate explicit diagnostic R code ====
     const diagnosticCode = `# Suppress package startup messages
@@ -3088,42 +6354,11 @@ for (col_name in names(${varName})) {
 cat("\\n")`;
 
     // ==== Execute the diagnostic R code ====
-    const timestamp = Date.now();
-    const scriptPath = join(tempDir, `diagnostic_snowflake_${timestamp}.R`);
-
-    // Prepare R script with workspace loading
-    const fullScript = `
-# Load workspace if it exists
-workspace_path <- "${workspacePath.replace(/\\/g, '/')}"
-if (file.exists(workspace_path)) {
-  load(workspace_path)
-}
-
-# Execute diagnostic code
-${diagnosticCode}
-
-# Save workspace
-save.image(workspace_path)
-`;
-
-    await writeFile(scriptPath, fullScript);
-
-    // Execute R script
-    const rOutput = await new Promise((resolve, reject) => {
-      exec(`Rscript "${scriptPath}"`, {
-        maxBuffer: 10 * 1024 * 1024,
-        timeout: 60000
-      }, (error, stdout, stderr) => {
-        if (error && !stdout) {
-          reject(new Error(stderr || error.message));
-        } else {
-          resolve({ stdout, stderr });
-        }
-      });
-    });
-
-    // Clean up script file
-    await unlink(scriptPath).catch(() => {});
+    // Execute in the live R session
+    const rOutput = await runRCode(diagnosticCode, { workspacePath, timeout: 60000 });
+    if (rOutput.error && !rOutput.stdout) {
+      throw new Error(rOutput.stderr || rOutput.error.message);
+    }
 
     // Validate that we got output
     if (!rOutput.stdout || rOutput.stdout.trim().length === 0) {
@@ -3145,11 +6380,12 @@ save.image(workspace_path)
         const colMatches = structureText.matchAll(/\$ (\w+)\s*:\s*(\w+)/g);
         for (const match of colMatches) {
           const [, colName, colType] = match;
-          // Categorize as numeric or categorical
+          // Categorize as numeric, date or categorical
           const isNumeric = ['num', 'int', 'dbl', 'numeric', 'integer'].includes(colType.toLowerCase());
+          const isDate = ['date', 'posixct'].includes(colType.toLowerCase());
           columnMetadata.push({
             name: colName,
-            type: isNumeric ? 'numeric' : 'categorical',
+            type: isNumeric ? 'numeric' : (isDate ? 'date' : 'categorical'),
             values: []  // Will populate from categorical values section
           });
         }
@@ -3344,14 +6580,12 @@ ${rOutput.stderr ? `\nWarnings/Messages:\n${rOutput.stderr}\n` : ''}
 
 Write your comprehensive report in JSON format based on this actual output.`;
 
-    const phase2Response = await anthropic.messages.create({
-      model: 'claude-opus-4-5-20251101',
-      max_tokens: 2048,
+    const phase2Response = await provider.createMessage({
       system: reportSystemPrompt,
       messages: [{ role: 'user', content: reportPrompt }]
     });
 
-    const reportText = phase2Response.content[0].text;
+    const reportText = phase2Response.content.filter(block => block.type === 'text').map(block => block.text).join('');
     console.log('=== SNOWFLAKE REPORT GENERATION ===');
     console.log('Raw Claude response length:', reportText.length);
     console.log('First 500 chars:', reportText.substring(0, 500));
@@ -3612,7 +6846,7 @@ Write your comprehensive report in JSON format based on this actual output.`;
   } catch (error) {
     console.error('Error in load-and-report-snowflake:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
+    res.status(error.status === 402 ? 402 : 500).json({
       error: error.message || 'Failed to load and report on Snowflake table',
       details: error.stack
     });
@@ -3621,17 +6855,29 @@ Write your comprehensive report in JSON format based on this actual output.`;
 
 /**
  * POST /api/clear-workspace
- * Clear the R workspace (for new conversations)
+ * Clear a conversation's R workspace (when the conversation is discarded)
+ *
+ * Body:
+ * - workspaceId: Workspace to clear (omit for the shared default workspace)
  */
 app.post('/api/clear-workspace', async (req, res) => {
+  const workspacePath = getWorkspacePath(req.body?.workspaceId);
+
+  if (!workspacePath) {
+    return res.status(400).json({ error: 'Invalid workspaceId' });
+  }
+
   try {
+    // Stop the live session so the next run starts from an empty workspace
+    await stopRSession(workspacePath);
+
     // Delete temp workspace file if it exists
-    await unlink(TEMP_WORKSPACE).catch(() => {});
+    await unlink(workspacePath).catch(() => {});
 
     // Delete persistent workspace file if it exists
-    await unlink(PERSISTENT_WORKSPACE).catch(() => {});
+    await unlink(join(PERSISTENT_WORKSPACES_DIR, basename(workspacePath))).catch(() => {});
 
-    console.log('R workspace cleared (temp + persistent)');
+    console.log(`R workspace cleared (temp + persistent): ${basename(workspacePath, '.RData')}`);
     res.json({ success: true });
   } catch (error) {
     console.error('Error clearing workspace:', error);
@@ -3675,9 +6921,15 @@ function generateDatasetLoadCode(datasets) {
   const loadCode = [];
 
   for (const [name, dataset] of Object.entries(datasets)) {
-    if (dataset.source === 'csv' && dataset.filename) {
-      loadCode.push(`# Load CSV file (ensure ${dataset.filename} is in working directory)`);
-      loadCode.push(`${name} <- read.csv("${dataset.filename}")`);
+    if ((dataset.source === 'file' || dataset.source === 'csv') && dataset.filename) {
+      // Same reader the dataset was loaded with (datasets saved before formats were recorded are CSV)
+      const format = dataset.format || 'csv';
+      loadCode.push(`# Load ${DATA_FILE_FORMATS[format]?.label || 'data'} file (ensure ${dataset.filename} is in working directory)`);
+      if (dataset.contentHash) {
+        loadCode.push(`# Version analysed: SHA-256 ${dataset.contentHash}`);
+      }
+      const { options: importOptions } = normalizeImportOptions(dataset.importOptions);
+      loadCode.push(`${name} <- ${buildReadDataCode(dataset.filename, { format, sheet: dataset.sheet, importOptions })}`);
       loadCode.push('');
     } else if (dataset.source === 'snowflake' && dataset.fullTableName) {
       loadCode.push(`# Load Snowflake table: ${dataset.fullTableName}`);
@@ -3736,9 +6988,9 @@ function stripRedundantLibraryCalls(code, setupLibraries) {
  * Helper: Validate export data for potential issues
  * @param {Array} codeCards - All code cards
  * @param {Object} datasetRegistry - Dataset registry
- * @returns {Object} Object with errors and warnings arrays
+ * @returns {Promise<Object>} Object with errors and warnings arrays
  */
-function validateExportData(codeCards, datasetRegistry) {
+async function validateExportData(codeCards, datasetRegistry) {
   const errors = [];
   const warnings = [];
 
@@ -3766,6 +7018,14 @@ function validateExportData(codeCards, datasetRegistry) {
     }
   });
 
+  // Check the data files still hold the versions that were analysed
+  for (const [name, dataset] of Object.entries(datasetRegistry.datasets || {})) {
+    const filePath = dataset.contentHash && dataFilePath(dataset.filename);
+    if (filePath && existsSync(filePath) && await hashFile(filePath) !== dataset.contentHash) {
+      warnings.push(`${dataset.filename} has changed since '${name}' was loaded from it (version ${dataset.contentHash.slice(0, 12)})`);
+    }
+  }
+
   return { errors, warnings };
 }
 
@@ -4691,7 +7951,7 @@ app.post('/api/export-quarto', async (req, res) => {
     }
 
     // Validate export data for potential issues
-    const validation = validateExportData(codeCards, datasetRegistry);
+    const validation = await validateExportData(codeCards, datasetRegistry);
     if (validation.warnings.length > 0) {
       console.warn('[Quarto Export Validation] Warnings detected:');
       validation.warnings.forEach(warning => console.warn(`  - ${warning}`));
@@ -4738,7 +7998,7 @@ app.post('/api/export-jupyter', async (req, res) => {
     }
 
     // Validate export data for potential issues
-    const validation = validateExportData(codeCards, datasetRegistry);
+    const validation = await validateExportData(codeCards, datasetRegistry);
     if (validation.warnings.length > 0) {
       console.warn('[Jupyter Export Validation] Warnings detected:');
       validation.warnings.forEach(warning => console.warn(`  - ${warning}`));
@@ -4933,7 +8193,7 @@ app.post('/api/export-latex', async (req, res) => {
     }
 
     // Validate export data and log warnings
-    const validation = validateExportData(codeCards, datasetRegistry);
+    const validation = await validateExportData(codeCards, datasetRegistry);
     if (validation.warnings.length > 0) {
       console.warn('[LaTeX Export Validation] Warnings detected:');
       validation.warnings.forEach(warning => console.warn(`  - ${warning}`));
@@ -5099,20 +8359,26 @@ app.use('/reports', express.static(join(__dirname, 'reports')));
 // ==================== WORKSPACE PERSISTENCE ====================
 
 /**
- * Save R workspace to persistent storage on shutdown
+ * Save every R workspace to persistent storage on shutdown
  */
 async function saveWorkspaceOnShutdown() {
-  console.log('\n💾 Saving R workspace...');
+  console.log('\n💾 Saving R workspaces...');
   try {
-    // Ensure temp directory exists
-    await mkdir(TEMP_DIR, { recursive: true });
-
-    // Check if temp workspace exists
-    if (existsSync(TEMP_WORKSPACE)) {
-      // Copy temp workspace to persistent location
-      const copyCode = `file.copy("${TEMP_WORKSPACE.replace(/\\/g, '/')}", "${PERSISTENT_WORKSPACE.replace(/\\/g, '/')}", overwrite = TRUE)`;
-      await executeRWorkspaceOperation(copyCode);
-      console.log('✓ R workspace saved to persistent storage');
+    // Ensure workspace directories exist
+    await mkdir(TEMP_WORKSPACES_DIR, { recursive: true });
+    await mkdir(PERSISTENT_WORKSPACES_DIR, { recursive: true });
+
+    // Flush live sessions to their checkpoint files first
+    await checkpointRSessionsForShutdown();
+
+    // Copy each conversation's checkpoint to the persistent location
+    const workspaceFiles = (await readdir(TEMP_WORKSPACES_DIR)).filter(name => name.endsWith('.RData'));
+    for (const workspaceFile of workspaceFiles) {
+      await copyFile(join(TEMP_WORKSPACES_DIR, workspaceFile), join(PERSISTENT_WORKSPACES_DIR, workspaceFile));
+    }
+
+    if (workspaceFiles.length > 0) {
+      console.log(`✓ ${workspaceFiles.length} R workspace(s) saved to persistent storage`);
     } else {
       console.log('No workspace to save (session was empty)');
     }
@@ -5122,20 +8388,29 @@ async function saveWorkspaceOnShutdown() {
 }
 
 /**
- * Load R workspace from persistent storage on startup
+ * Load R workspaces from persistent storage on startup
  */
 async function loadWorkspaceOnStartup() {
   try {
-    // Ensure temp directory exists
-    await mkdir(TEMP_DIR, { recursive: true });
-
-    // Check if persistent workspace exists
-    if (existsSync(PERSISTENT_WORKSPACE)) {
-      console.log('📂 Restoring R workspace from previous session...');
-      // Copy persistent workspace to temp location
-      const copyCode = `file.copy("${PERSISTENT_WORKSPACE.replace(/\\/g, '/')}", "${TEMP_WORKSPACE.replace(/\\/g, '/')}", overwrite = TRUE)`;
-      await executeRWorkspaceOperation(copyCode);
-      console.log('✓ R workspace restored');
+    // Ensure workspace directories exist
+    await mkdir(TEMP_WORKSPACES_DIR, { recursive: true });
+    await mkdir(PERSISTENT_WORKSPACES_DIR, { recursive: true });
+
+    // The old single workspace becomes the default workspace (used by conversations saved without an ID)
+    const defaultPersistent = join(PERSISTENT_WORKSPACES_DIR, `${DEFAULT_WORKSPACE_ID}.RData`);
+    if (existsSync(LEGACY_PERSISTENT_WORKSPACE) && !existsSync(defaultPersistent)) {
+      await rename(LEGACY_PERSISTENT_WORKSPACE, defaultPersistent);
+      console.log('Migrated .r-workspace.RData to the default workspace');
+    }
+
+    // Copy persistent workspaces to the temp location the sessions load from
+    const workspaceFiles = (await readdir(PERSISTENT_WORKSPACES_DIR)).filter(name => name.endsWith('.RData'));
+    if (workspaceFiles.length > 0) {
+      console.log(`📂 Restoring ${workspaceFiles.length} R workspace(s) from previous session...`);
+      for (const workspaceFile of workspaceFiles) {
+        await copyFile(join(PERSISTENT_WORKSPACES_DIR, workspaceFile), join(TEMP_WORKSPACES_DIR, workspaceFile));
+      }
+      console.log('✓ R workspaces restored');
     } else {
       console.log('No previous workspace found (fresh start)');
     }
@@ -5165,7 +8440,11 @@ app.listen(PORT, async () => {
   console.log(`📡 Ready to proxy requests to Anthropic API`);
   console.log(`🔧 R code execution endpoint available\n`);
 
-  // Restore workspace from previous session if it exists
+  await loadRPolicy();
+  await loadUsage();
+  await loadDataVersions();
+
+  // Restore workspaces from previous session if they exist
   await loadWorkspaceOnStartup();
   console.log('');
 });
@@ -8,14 +8,22 @@ import ApiKeyModal from './components/ApiKeyModal';
 import CodeCard from './components/CodeCard';
 import DatasetReport from './components/DatasetReport';
 import SnowflakeBrowserModal from './components/SnowflakeBrowserModal';
+import DataFolderModal from './components/DataFolderModal';
 import StorageWarningModal from './components/StorageWarningModal';
+import ExecutionPolicyModal from './components/ExecutionPolicyModal';
+import ModelSettingsModal from './components/ModelSettingsModal';
+import ContextMeter from './components/ContextMeter';
+import UsageModal from './components/UsageModal';
+import PromptTemplatesModal from './components/PromptTemplatesModal';
+import ImportOptionsModal from './components/ImportOptionsModal';
 import DatasetRestorationBanner from './components/DatasetRestorationBanner';
 import InteractiveSuggestion from './components/InteractiveSuggestion';
 import ReactiveComponent from './components/ReactiveComponent';
 import ReportRewriteModal from './components/ReportRewriteModal';
 import ExportReportModal from './components/ExportReportModal';
-import { sendMessageToClaude } from './utils/claudeApi';
-import { executeRCode } from './utils/rExecutor';
+import { sendMessageToClaude, requestCodeFix, buildContextAttachment } from './utils/claudeApi';
+import { loadModelSettings, saveModelSettings, getLlmOptions, needsAnthropicKey } from './utils/modelSettings';
+import { executeRCode, createExecutionId, createWorkspaceId, cancelExecution, appendConsoleOutput } from './utils/rExecutor';
 import {
   PERSISTENCE_CONFIG,
   getStorageSize,
@@ -44,6 +52,20 @@ function App() {
   const [apiKey, setApiKey] = useState('');
   const [showApiKeyModal, setShowApiKeyModal] = useState(false);
 
+  // Model Settings: provider, model, max tokens and temperature per purpose
+  const [modelSettings, setModelSettings] = useState(loadModelSettings);
+  const [showModelSettings, setShowModelSettings] = useState(false);
+
+  // Usage & Budget: what model calls cost, and limits on it
+  const [showUsageModal, setShowUsageModal] = useState(false);
+  const [usageWarnings, setUsageWarnings] = useState([]); // Budget warning limits passed, from the last chat response
+
+  // Prompt Templates: the chat instructions and project custom instructions
+  const [showPromptTemplates, setShowPromptTemplates] = useState(false);
+
+  // Import Options: how to read a data file before it is loaded (delimiter, encoding, sheet...)
+  const [importFileInfo, setImportFileInfo] = useState(null); // /api/data-file-info result for the file waiting to load
+
   // Chat state
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
@@ -51,21 +73,34 @@ function App() {
 
   // Enhanced loading state - tracks current operation
   const [loadingOperation, setLoadingOperation] = useState(null);
-  // loadingOperation structure: { operation: string, substep: string|null, details: object|null }
+  // loadingOperation structure: { operation: string, substep: string|null, details: object|null, executionId?: string }
+  // executionId is set while R code is running so the Stop button can cancel it
 
   // Code cards state
   const [codeCards, setCodeCards] = useState([]);
   const [selectedCardId, setSelectedCardId] = useState(null);
+  const [runningCardId, setRunningCardId] = useState(null);  // Card from a chat response whose code is running
 
   // R execution state
+  const [workspaceId, setWorkspaceId] = useState(() => createWorkspaceId()); // This conversation's R workspace on the backend
   const [currentOutput, setCurrentOutput] = useState(null);
+  const [plotPage, setPlotPage] = useState(0); // Which plot is shown when an output has several
   const [currentCode, setCurrentCode] = useState('');
 
+  // Chat context state
+  const [contextMemory, setContextMemory] = useState(null); // { summary, summarizedCount } - replaces older messages in chat requests
+  const [contextUsage, setContextUsage] = useState(null); // How much of the context budget the last message used
+  const [shareOutputsPolicy, setShareOutputsPolicy] = useState('selected'); // Card output sent with each message: 'manual', 'selected' or 'last'
+  const [shareOverrides, setShareOverrides] = useState({}); // cardId -> true/false - the user's choices for the next message
+
   // UI state
   const [viewMode, setViewMode] = useState('explore'); // 'explore' or 'report'
   const [dataFrames, setDataFrames] = useState([]);
   const [suggestionsEnabled, setSuggestionsEnabled] = useState(true);
   const [autoFormatTabular, setAutoFormatTabular] = useState(true);
+  const [executionTimeLimit, setExecutionTimeLimit] = useState(600); // Wall-clock limit per R execution, in seconds
+  const [autoFixEnabled, setAutoFixEnabled] = useState(false); // Ask Claude to repair R code that fails
+  const [autoFixMaxAttempts, setAutoFixMaxAttempts] = useState(2); // Repair attempts per failure before giving up
   const [columnMetadata, setColumnMetadata] = useState(null); // Dataset schema for Claude (DEPRECATED: use datasetRegistry)
   const [showConversationsMenu, setShowConversationsMenu] = useState(false);
 
@@ -103,8 +138,16 @@ function App() {
   const [isRecording, setIsRecording] = useState(false);
   const [showSlashMenu, setShowSlashMenu] = useState(false);
   const [showSnowflakeModal, setShowSnowflakeModal] = useState(false);
+  const [showDataFolderModal, setShowDataFolderModal] = useState(false);
   const [showStorageWarning, setShowStorageWarning] = useState(false);
+  const [policyConfirmation, setPolicyConfirmation] = useState(null); // { code, functions, confirmedFunctions, rerun, cancel } while waiting for the user
+  const policyConfirmationRef = useRef(null); // The same request, for callbacks created before it was shown
   const [showDatasetWarning, setShowDatasetWarning] = useState(false);
+  const [missingDatasets, setMissingDatasets] = useState([]); // Registry datasets not in the R workspace after a conversation is restored
+  const [restoreResults, setRestoreResults] = useState(null); // /api/restore-datasets results, per dataset
+  const [isRestoringSession, setIsRestoringSession] = useState(false);
+
+  const chatAbortRef = useRef(null); // Aborts the streaming Claude response
 
   // Refs for resizable panels
   const splitInstanceRef = useRef(null);
@@ -153,7 +196,9 @@ function App() {
           viewMode,
           selectedCardId,
           expandedSuggestions,
-          reportFontStyle
+          reportFontStyle,
+          workspaceId,
+          contextMemory
         })
       };
 
@@ -208,7 +253,9 @@ function App() {
       datasetRegistry,
       viewMode,
       selectedCardId,
-      reportFontStyle
+      reportFontStyle,
+      workspaceId,
+      contextMemory
     };
 
     const currentHash = hashObject(currentState);
@@ -279,13 +326,15 @@ function App() {
       setSelectedCardId(state.selectedCardId || null);
       setExpandedSuggestions(state.expandedSuggestions instanceof Set ? state.expandedSuggestions : new Set());
       setReportFontStyle(typeof state.reportFontStyle === 'string' ? state.reportFontStyle : 'sans-serif');
-
-      // NOTE: Dataset restoration warning disabled - R workspace persistence handles this automatically
-      // Datasets are restored from .r-workspace.RData on server startup, so no manual reload needed
-      // if (state.datasetRegistry?.datasets && Object.keys(state.datasetRegistry.datasets).length > 0) {
-      //   console.log('[PERSIST] Datasets found in saved state, showing restoration warning');
-      //   setShowDatasetWarning(true);
-      // }
+      // Conversations saved before per-conversation workspaces used the shared default workspace
+      setWorkspaceId(typeof state.workspaceId === 'string' ? state.workspaceId : 'default');
+      setContextMemory(state.contextMemory && typeof state.contextMemory === 'object' ? state.contextMemory : null);
+
+      // Each conversation's workspace is normally restored from .r-workspaces/ on server startup,
+      // but it can be lost - offer to restore any datasets missing from it
+      if (state.datasetRegistry?.datasets && Object.keys(state.datasetRegistry.datasets).length > 0) {
+        checkRestoredDatasets(state.datasetRegistry, typeof state.workspaceId === 'string' ? state.workspaceId : 'default');
+      }
 
       console.log('[PERSIST] ✓ State loaded successfully');
       return true;
@@ -355,7 +404,7 @@ function App() {
     const storedKey = localStorage.getItem('anthropic_api_key');
     if (storedKey) {
       setApiKey(storedKey);
-    } else {
+    } else if (needsAnthropicKey(loadModelSettings())) {
       setShowApiKeyModal(true);
     }
 
@@ -365,6 +414,28 @@ function App() {
       setAutoFormatTabular(storedAutoFormat === 'true');
     }
 
+    // Load R execution time limit setting
+    const storedTimeLimit = localStorage.getItem('execution_time_limit');
+    if (parseInt(storedTimeLimit, 10) > 0) {
+      setExecutionTimeLimit(parseInt(storedTimeLimit, 10));
+    }
+
+    // Load which code card outputs are shared with Claude
+    const storedSharePolicy = localStorage.getItem('share_outputs_policy');
+    if (storedSharePolicy !== null) {
+      setShareOutputsPolicy(storedSharePolicy);
+    }
+
+    // Load auto-fix settings
+    const storedAutoFix = localStorage.getItem('auto_fix_enabled');
+    if (storedAutoFix !== null) {
+      setAutoFixEnabled(storedAutoFix === 'true');
+    }
+    const storedAutoFixAttempts = localStorage.getItem('auto_fix_max_attempts');
+    if (storedAutoFixAttempts !== null) {
+      setAutoFixMaxAttempts(parseInt(storedAutoFixAttempts, 10) || 1);
+    }
+
     // Load conversation state
     const loaded = loadConversationState();
     if (loaded) {
@@ -381,6 +452,11 @@ function App() {
     }
   }, [inputValue]);
 
+  // Start at the first plot whenever a different output is shown
+  useEffect(() => {
+    setPlotPage(0);
+  }, [currentOutput]);
+
   // Auto-scroll to bottom when messages change
   useEffect(() => {
     if (messagesContainerRef.current) {
@@ -563,7 +639,7 @@ function App() {
   //   if (viewMode === 'data') {
   //     const fetchDataFrames = async () => {
   //       try {
-  //         const response = await fetch('/api/list-dataframes');
+  //         const response = await fetch(`/api/list-dataframes?workspaceId=${workspaceId}`);
   //         if (response.ok) {
   //           const data = await response.json();
   //           setDataFrames(data.dataframes || []);
@@ -597,7 +673,9 @@ function App() {
     datasetRegistry,
     viewMode,
     selectedCardId,
-    reportFontStyle
+    reportFontStyle,
+    workspaceId,
+    contextMemory
   ]);
 
   // Immediate save on beforeunload
@@ -633,6 +711,13 @@ function App() {
     setShowApiKeyModal(false);
   };
 
+  // Handle Model Settings save
+  const handleSaveModelSettings = (settings) => {
+    setModelSettings(settings);
+    saveModelSettings(settings);
+    setShowModelSettings(false);
+  };
+
   // Handle Quarto report creation
   const handleExportReport = async (format) => {
     console.log('=== REPORT EXPORT START ===', format);
@@ -704,7 +789,11 @@ Please respond with a JSON object in this format:
 }`;
 
         console.log('Sending prompt to Claude API...');
-        const claudeResponse = await sendMessageToClaude(apiKey, descriptionsPrompt, [], false, [], null);
+        const claudeResponse = await sendMessageToClaude(apiKey, descriptionsPrompt, [], false, [], null, null, {
+          purpose: 'descriptions',
+          llm: getLlmOptions(modelSettings, 'descriptions'),
+          conversationId: workspaceId
+        });
         console.log('Claude API response received:', claudeResponse.text.substring(0, 200));
 
         const jsonMatch = claudeResponse.text.match(/\{[\s\S]*"descriptions"[\s\S]*\}/);
@@ -995,193 +1084,213 @@ Please respond with a JSON object in this format:
     };
   };
 
-  // Handle file selection for load data
-  const handleFileSelect = async (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      try {
-        let filename = file.name;
+  // Load a file from the data folder as a dataset, with a diagnostic report
+  // (version is the hash of the version to load - the current one if not given;
+  // sheet picks the sheet of an Excel workbook - the first if not given;
+  // importOptions say how to read delimited text - sniffed by the server if not given;
+  // uploadMessage says how an upload compared with the versions already stored)
+  const loadDataFile = async (filename, { version, sheet, importOptions, uploadMessage } = {}) => {
+    // Use the new two-phase load-and-report endpoint for accurate reporting
+    // Sanitize the filename to get the R variable name (same logic as server)
+    let sanitizedVarName = filename.replace(/\.[^.]+$/, ''); // Remove the extension
+    sanitizedVarName = sanitizedVarName.replace(/[^a-zA-Z0-9_]/g, '_'); // Replace invalid chars
+    sanitizedVarName = sanitizedVarName.replace(/^(\d)/, '_$1'); // Ensure it doesn't start with a number
+
+    const loadMessage = `${uploadMessage ? `${uploadMessage}. ` : ''}Loaded ${filename}${sheet ? `, sheet ${sheet}` : ''} (dataset variable name: ${sanitizedVarName})`;
+    setIsLoading(true);
 
-        // Check if file already exists in data folder
-        const checkResponse = await fetch(`/api/check-file/${encodeURIComponent(filename)}`);
-        const checkResult = await checkResponse.json();
+    // Set enhanced loading operation
+    setLoadingOperation({
+      operation: 'Loading dataset',
+      substep: 'Uploading file',
+      details: null
+    });
 
-        if (!checkResult.exists) {
-          // File doesn't exist, upload it
-          const formData = new FormData();
-          formData.append('file', file);
+    // Add user message to chat
+    const newUserMessage = {
+      id: Date.now(),
+      role: 'user',
+      content: loadMessage
+    };
+    setMessages(prev => [...prev, newUserMessage]);
 
-          const uploadResponse = await fetch('/api/upload-data', {
-            method: 'POST',
-            body: formData
-          });
+    try {
+      // Update substep for analysis phase
+      setLoadingOperation(prev => prev ? {
+        ...prev,
+        substep: 'Analyzing structure'
+      } : null);
 
-          if (!uploadResponse.ok) {
-            throw new Error('File upload failed');
-          }
+      // Call the new two-phase load-and-report endpoint
+      const response = await fetch('/api/load-and-report-data', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          filename: filename,
+          version: version,
+          sheet: sheet,
+          importOptions: importOptions,
+          apiKey: apiKey,
+          llm: getLlmOptions(modelSettings, 'report'),
+          suggestionsEnabled: suggestionsEnabled,
+          workspaceId: workspaceId
+        })
+      });
 
-          const uploadResult = await uploadResponse.json();
-          console.log('File uploaded:', uploadResult.filename);
-        } else {
-          console.log('File already exists in data folder:', filename);
-        }
+      if (!response.ok) {
+        // A reached budget limit explains itself; other failures keep the general message
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(response.status === 402 ? errorData.error : 'Failed to load and analyze data');
+      }
+
+      // Update substep for generating report sections
+      setLoadingOperation(prev => prev ? {
+        ...prev,
+        substep: 'Generating analysis'
+      } : null);
+
+      const result = await response.json();
 
-        // Use the new two-phase load-and-report endpoint for accurate reporting
-        // Sanitize the filename to get the R variable name (same logic as server)
-        let sanitizedVarName = filename.replace(/\.csv$/i, ''); // Remove .csv extension
-        sanitizedVarName = sanitizedVarName.replace(/[^a-zA-Z0-9_]/g, '_'); // Replace invalid chars
-        sanitizedVarName = sanitizedVarName.replace(/^(\d)/, '_$1'); // Ensure it doesn't start with a number
+      // Debug: Log the result to see what we got back
+      console.log('Load-and-report result:', result);
+      console.log('reportSections:', result.reportSections);
+      console.log('filename:', result.filename);
+
+      // Extract report title and description from response
+      if (result.reportTitle) {
+        setReportTitle(result.reportTitle);
+      } else if (result.filename) {
+        // Fallback: use filename
+        setReportTitle(`Dataset: ${result.filename}`);
+      }
 
-        const loadMessage = `Loaded ${filename} (dataset variable name: ${sanitizedVarName})`;
-        setIsLoading(true);
+      if (result.reportSections && result.reportSections.subject) {
+        setReportDescription(result.reportSections.subject);
+      } else {
+        setReportDescription('');
+      }
 
-        // Set enhanced loading operation
-        setLoadingOperation({
-          operation: 'Loading dataset',
-          substep: 'Uploading file',
-          details: null
+      // Store column metadata in dataset registry
+      if (result.columnMetadata) {
+        const datasetName = result.datasetName || 'data';  // Default to 'data'
+        const metadataHash = JSON.stringify({
+          ncol: result.columnMetadata.length,
+          columns: result.columnMetadata.map(c => c.name)
         });
 
-        // Add user message to chat
-        const newUserMessage = {
-          id: Date.now(),
-          role: 'user',
-          content: loadMessage
-        };
-        setMessages(prev => [...prev, newUserMessage]);
-
-        try {
-          // Update substep for analysis phase
-          setLoadingOperation(prev => prev ? {
-            ...prev,
-            substep: 'Analyzing structure'
-          } : null);
-
-          // Call the new two-phase load-and-report endpoint
-          const response = await fetch('/api/load-and-report-data', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
+        // Update dataset registry - MERGE with existing datasets, don't replace
+        setDatasetRegistry(prev => ({
+          activeDataset: datasetName,
+          datasets: {
+            ...prev.datasets,  // Preserve existing datasets
+            [datasetName]: {
+              columnMetadata: result.columnMetadata,
+              lastModified: Date.now(),
+              hash: metadataHash,
+              source: 'file',
               filename: filename,
-              apiKey: apiKey,
-              suggestionsEnabled: suggestionsEnabled
-            })
-          });
-
-          if (!response.ok) {
-            throw new Error('Failed to load and analyze data');
+              contentHash: result.contentHash,  // Version loaded, so analyses and exports are tied to this exact data
+              format: result.format,  // Reader the server used, so exports load it the same way
+              ...(result.sheet && { sheet: result.sheet }),
+              ...(result.importOptions && { importOptions: result.importOptions })
+            }
           }
+        }));
 
-          // Update substep for generating report sections
-          setLoadingOperation(prev => prev ? {
-            ...prev,
-            substep: 'Generating analysis'
-          } : null);
-
-          const result = await response.json();
-
-          // Debug: Log the result to see what we got back
-          console.log('Load-and-report result:', result);
-          console.log('reportSections:', result.reportSections);
-          console.log('filename:', result.filename);
-
-          // Extract report title and description from response
-          if (result.reportTitle) {
-            setReportTitle(result.reportTitle);
-          } else if (result.filename) {
-            // Fallback: use filename
-            setReportTitle(`Dataset: ${result.filename}`);
-          }
+        // Also update legacy columnMetadata for backward compatibility
+        setColumnMetadata(result.columnMetadata);
+        console.log(`Dataset registry updated for '${datasetName}':`, result.columnMetadata);
+      }
 
-          if (result.reportSections && result.reportSections.subject) {
-            setReportDescription(result.reportSections.subject);
-          } else {
-            setReportDescription('');
-          }
+      // Create a code card for the diagnostic code
+      const diagnosticCard = {
+        id: `card-${Date.now()}`,
+        code: result.code,
+        summary: `Dataset Diagnostics: ${filename}`,
+        description: 'Comprehensive dataset analysis including structure, missing data, and tidy format assessment',
+        output: {
+          text: result.output,
+          error: result.error,
+          plots: []
+        }
+      };
 
-          // Store column metadata in dataset registry
-          if (result.columnMetadata) {
-            const datasetName = result.datasetName || 'data';  // Default to 'data'
-            const metadataHash = JSON.stringify({
-              ncol: result.columnMetadata.length,
-              columns: result.columnMetadata.map(c => c.name)
-            });
+      // Add assistant response with the tabbed report
+      const assistantMessage = {
+        id: Date.now() + 1,
+        role: 'assistant',
+        content: '',  // Empty content since we'll use DatasetReport component
+        displayContent: '',
+        codeCards: [diagnosticCard],
+        suggestions: result.suggestions || [],
+        reportSections: result.reportSections,
+        filename: result.filename
+      };
+      console.log('Assistant message created:', assistantMessage);
+      setMessages(prev => [...prev, assistantMessage]);
 
-            // Update dataset registry - MERGE with existing datasets, don't replace
-            setDatasetRegistry(prev => ({
-              activeDataset: datasetName,
-              datasets: {
-                ...prev.datasets,  // Preserve existing datasets
-                [datasetName]: {
-                  columnMetadata: result.columnMetadata,
-                  lastModified: Date.now(),
-                  hash: metadataHash,
-                  source: 'csv',
-                  filename: filename
-                }
-              }
-            }));
+      // Add the diagnostic card to global cards array
+      setCodeCards(prev => [...prev, diagnosticCard]);
 
-            // Also update legacy columnMetadata for backward compatibility
-            setColumnMetadata(result.columnMetadata);
-            console.log(`Dataset registry updated for '${datasetName}':`, result.columnMetadata);
-          }
+      // Auto-select the diagnostic card
+      setSelectedCardId(diagnosticCard.id);
+      setCurrentCode(diagnosticCard.code);
 
-          // Create a code card for the diagnostic code
-          const diagnosticCard = {
-            id: `card-${Date.now()}`,
-            code: result.code,
-            summary: `Dataset Diagnostics: ${filename}`,
-            description: 'Comprehensive dataset analysis including structure, missing data, and tidy format assessment',
-            output: {
-              text: result.output,
-              error: result.error,
-              plots: []
-            }
-          };
+      // Set the output (already executed on backend)
+      setCurrentOutput({
+        text: result.output,
+        error: result.error,
+        plots: []
+      });
 
-          // Add assistant response with the tabbed report
-          const assistantMessage = {
-            id: Date.now() + 1,
-            role: 'assistant',
-            content: '',  // Empty content since we'll use DatasetReport component
-            displayContent: '',
-            codeCards: [diagnosticCard],
-            suggestions: result.suggestions || [],
-            reportSections: result.reportSections,
-            filename: result.filename
-          };
-          console.log('Assistant message created:', assistantMessage);
-          setMessages(prev => [...prev, assistantMessage]);
+    } catch (error) {
+      console.error('Error loading and reporting data:', error);
+      const errorMessage = {
+        id: Date.now() + 1,
+        role: 'assistant',
+        content: `Error: ${error.message}. Please check your API key and try again.`
+      };
+      setMessages(prev => [...prev, errorMessage]);
+    } finally {
+      setIsLoading(false);
+      // Clear loading operation
+      setLoadingOperation(null);
+    }
+  };
 
-          // Add the diagnostic card to global cards array
-          setCodeCards(prev => [...prev, diagnosticCard]);
+  // Handle file selection for load data
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      try {
+        // Always upload - the server stores the content as a version of the file with
+        // this name and says whether it is new or the same as one already stored
+        const formData = new FormData();
+        formData.append('file', file);
 
-          // Auto-select the diagnostic card
-          setSelectedCardId(diagnosticCard.id);
-          setCurrentCode(diagnosticCard.code);
+        const uploadResponse = await fetch('/api/upload-data', {
+          method: 'POST',
+          body: formData
+        });
 
-          // Set the output (already executed on backend)
-          setCurrentOutput({
-            text: result.output,
-            error: result.error,
-            plots: []
-          });
+        if (!uploadResponse.ok) {
+          throw new Error('File upload failed');
+        }
 
-        } catch (error) {
-          console.error('Error loading and reporting data:', error);
-          const errorMessage = {
-            id: Date.now() + 1,
-            role: 'assistant',
-            content: `Error: ${error.message}. Please check your API key and try again.`
-          };
-          setMessages(prev => [...prev, errorMessage]);
-        } finally {
-          setIsLoading(false);
-          // Clear loading operation
-          setLoadingOperation(null);
+        const uploadResult = await uploadResponse.json();
+        const { filename, hash } = uploadResult;
+        console.log(`File uploaded: ${filename} (${uploadResult.status})`);
+
+        // Delimited text, workbooks with several sheets and files with several versions
+        // are checked in the import dialog first
+        const infoResponse = await fetch(`/api/data-file-info/${encodeURIComponent(filename)}?workspaceId=${encodeURIComponent(workspaceId)}&version=${hash}`);
+        const fileInfo = await infoResponse.json();
+        if (infoResponse.ok && (fileInfo.importOptions || fileInfo.sheets?.length > 1 || fileInfo.versions?.length > 1)) {
+          setImportFileInfo({ ...fileInfo, uploadMessage: uploadResult.message });
+        } else {
+          await loadDataFile(filename, { version: hash, uploadMessage: uploadResult.message });
         }
       } catch (error) {
         console.error('Error uploading file:', error);
@@ -1251,12 +1360,15 @@ Please respond with a JSON object in this format:
             tableName: item.name,
             varName: varName,
             apiKey: apiKey,
-            suggestionsEnabled: suggestionsEnabled
+            llm: getLlmOptions(modelSettings, 'report'),
+            suggestionsEnabled: suggestionsEnabled,
+            workspaceId: workspaceId
           })
         });
 
         if (!response.ok) {
-          throw new Error('Failed to load and analyze Snowflake table');
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(response.status === 402 ? errorData.error : 'Failed to load and analyze Snowflake table');
         }
 
         // Update substep for generating report sections
@@ -1393,16 +1505,28 @@ Please respond with a JSON object in this format:
     setPersistedCustomStyle('');
     setPersistedObjective('');
 
+    // Clear chat context memory and this conversation's budget warnings
+    setContextMemory(null);
+    setContextUsage(null);
+    setUsageWarnings([]);
+
+    // The old conversation's missing datasets no longer matter
+    setShowDatasetWarning(false);
+    setRestoreResults(null);
+
     // Clear persisted state from localStorage
     clearConversationState();
 
-    // Clear R workspace
+    // Switch to a fresh R workspace and discard the old conversation's one
+    const previousWorkspaceId = workspaceId;
+    setWorkspaceId(createWorkspaceId());
     try {
       await fetch('/api/clear-workspace', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-        }
+        },
+        body: JSON.stringify({ workspaceId: previousWorkspaceId })
       });
       console.log('R workspace cleared');
     } catch (error) {
@@ -1420,8 +1544,96 @@ Please respond with a JSON object in this format:
     setShowStorageWarning(false);
   };
 
+  // Ask the user to confirm the functions a run needs (from any place that runs R code)
+  // rerun is called with the confirmed functions, cancel (if given) when the user declines
+  // A request that arrives while another is open is declined so its caller isn't left waiting
+  const requestPolicyConfirmation = ({ code, functions, confirmedFunctions = [], rerun, cancel }) => {
+    if (policyConfirmationRef.current) {
+      cancel?.();
+      return;
+    }
+    policyConfirmationRef.current = { code, functions, confirmedFunctions, rerun, cancel };
+    setPolicyConfirmation(policyConfirmationRef.current);
+  };
+
+  const closePolicyConfirmation = () => {
+    const pending = policyConfirmationRef.current;
+    policyConfirmationRef.current = null;
+    setPolicyConfirmation(null);
+    return pending;
+  };
+
+  // Handle execution policy confirmation
+  const handleConfirmPolicy = () => {
+    const { functions, confirmedFunctions, rerun } = closePolicyConfirmation();
+    rerun([...confirmedFunctions, ...functions]);
+  };
+
+  const handleCancelPolicy = () => {
+    closePolicyConfirmation().cancel?.();
+  };
+
+  // Confirm and re-run the code card whose run is waiting for confirmation
+  const confirmCardRun = (code, cardId, policyViolation, confirmedFunctions = []) => {
+    requestPolicyConfirmation({
+      code,
+      functions: policyViolation.functions,
+      confirmedFunctions,
+      rerun: (confirmed) => executeSelectedCode(code, cardId, { confirmedFunctions: confirmed })
+    });
+  };
+
   const handleDismissDatasetWarning = () => {
     setShowDatasetWarning(false);
+    setRestoreResults(null);
+  };
+
+  // Show the restoration banner if datasets of a restored conversation are missing from its R workspace
+  const checkRestoredDatasets = async (registry, restoredWorkspaceId) => {
+    try {
+      const response = await fetch(`/api/list-dataframes?workspaceId=${encodeURIComponent(restoredWorkspaceId)}`);
+      if (!response.ok) return;
+      const { dataframes } = await response.json();
+      const present = new Set(dataframes.map(dataframe => dataframe.name));
+      const missing = Object.keys(registry.datasets).filter(name => !present.has(name));
+      if (missing.length > 0) {
+        console.log('[PERSIST] Datasets missing from the R workspace:', missing);
+        setMissingDatasets(missing);
+        setRestoreResults(null);
+        setShowDatasetWarning(true);
+      }
+    } catch (error) {
+      console.error('[PERSIST] Could not check the R workspace:', error);
+    }
+  };
+
+  // Reload missing datasets from their sources and replay the cards that derived them
+  // (confirmedFunctions: functions from the execution policy the user agreed to run)
+  const handleRestoreSession = async (confirmedFunctions = []) => {
+    setIsRestoringSession(true);
+    try {
+      const response = await fetch('/api/restore-datasets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          workspaceId,
+          datasetRegistry,
+          codeCards: codeCards.map(({ id, code, summary }) => ({ id, code, summary })),
+          confirmedFunctions
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not restore the datasets');
+      }
+      setRestoreResults(Object.fromEntries(result.results.map(entry => [entry.name, entry])));
+      setMissingDatasets(result.results.filter(entry => entry.status !== 'present' && entry.status !== 'restored').map(entry => entry.name));
+    } catch (error) {
+      console.error('[PERSIST] Error restoring datasets:', error);
+      alert(`Failed to restore the session: ${error.message}`);
+    } finally {
+      setIsRestoringSession(false);
+    }
   };
 
   // Toggle conversations menu
@@ -1602,6 +1814,101 @@ Please respond with a JSON object in this format:
 
 
   // Handle sending a message to Claude
+  // Active dataset's column metadata, trimmed to plain serializable fields for the API
+  const getCleanColumnMetadata = () => {
+    // Get active dataset metadata from registry
+    const activeDatasetMetadata = datasetRegistry.activeDataset && datasetRegistry.datasets[datasetRegistry.activeDataset]
+      ? datasetRegistry.datasets[datasetRegistry.activeDataset].columnMetadata
+      : columnMetadata;  // Fall back to legacy metadata
+
+    // Ensure columnMetadata is serializable (no DOM elements or circular refs)
+    // Create a clean copy with only the fields we need
+    return activeDatasetMetadata ? activeDatasetMetadata.map(col => ({
+      name: col.name,
+      type: col.type,
+      ...(col.values && { values: Array.isArray(col.values) ? col.values : [] }),
+      ...(col.min !== undefined && { min: col.min }),
+      ...(col.max !== undefined && { max: col.max })
+    })) : null;
+  };
+
+  // Code card for R code Claude ran with a tool call (run_r_code or load_dataset)
+  const toCodeCard = (toolCard) => ({
+    id: `card-${toolCard.id}`,
+    code: toolCard.code,
+    summary: toolCard.summary,
+    description: toolCard.description,
+    output: toolCard.result,
+    ...(toolCard.skipped && { skipped: true }),
+    ...(toolCard.revisions && { revisions: toolCard.revisions })
+  });
+
+  // Code cards whose output goes with the next message: the selected or last card
+  // (per the Share Outputs setting) plus any the user shared, minus any they unshared
+  const getSharedCards = () => {
+    const autoCardId = shareOutputsPolicy === 'selected'
+      ? selectedCardId
+      : (shareOutputsPolicy === 'last' ? codeCards[codeCards.length - 1]?.id : null);
+    return codeCards.filter(card =>
+      (shareOverrides[card.id] ?? card.id === autoCardId) && buildContextAttachment(card)
+    );
+  };
+
+  const handleToggleShare = (cardId) => {
+    const isShared = getSharedCards().some(card => card.id === cardId);
+    setShareOverrides(prev => ({ ...prev, [cardId]: !isShared }));
+  };
+
+  // Run status of a chat code card, shown on the card in the conversation
+  const getCardStatus = (card) => {
+    if (card.id === runningCardId) return 'running';
+    if (card.skipped) return 'skipped';
+    if (!card.output) return 'pending';
+    if (card.output.cancelled || card.output.timedOut) return 'stopped';
+    return card.output.error ? 'error' : 'done';
+  };
+
+  // Run chat code cards one after another, stopping at the first that fails
+  // The cards after a failure are marked skipped; returns true if every card succeeded
+  const runCardsInOrder = async (cards) => {
+    for (let i = 0; i < cards.length; i++) {
+      const card = cards[i];
+      setSelectedCardId(card.id);
+      setCurrentCode(card.code);
+      setRunningCardId(card.id);
+      const result = await executeSelectedCode(card.code, card.id);
+      setRunningCardId(null);
+
+      if (!result || result.error) {
+        const skippedIds = cards.slice(i + 1).map(c => c.id);
+        if (skippedIds.length > 0) {
+          console.log(`[runCardsInOrder] ${card.id} failed, skipping ${skippedIds.length} remaining card(s)`);
+          setCodeCards(prev => prev.map(c => skippedIds.includes(c.id) ? { ...c, skipped: true } : c));
+        }
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Show the result of R code Claude ran the same way as a run started here
+  const showToolCardResult = (card) => {
+    setCurrentOutput(card.output);
+
+    if (card.output.policyViolation?.type === 'confirmation_required') {
+      confirmCardRun(card.code, card.id, card.output.policyViolation);
+    }
+
+    if (card.output.updatedMetadata) {
+      applyUpdatedMetadata(card.output.updatedMetadata);
+    }
+  };
+
+  // Cancel the Claude response that is streaming in
+  const handleStopChat = () => {
+    chatAbortRef.current?.abort();
+  };
+
   const handleSendMessage = async (messageOverride = null) => {
     // SAFETY: Ensure message is always a string, never an object or DOM element
     const rawMessage = messageOverride || inputValue;
@@ -1621,11 +1928,12 @@ Please respond with a JSON object in this format:
     setInputValue('');
     setIsLoading(true);
 
-    // Set enhanced loading operation
+    // Set enhanced loading operation (streaming: the Stop button cancels the response)
     setLoadingOperation({
       operation: 'Calling Claude API',
       substep: null,
-      details: null
+      details: null,
+      streaming: true
     });
 
     // Add user message to chat
@@ -1636,6 +1944,64 @@ Please respond with a JSON object in this format:
     };
     setMessages(prev => [...prev, newUserMessage]);
 
+    // The reply is streamed into this message; code cards appear as Claude runs code
+    const assistantMessageId = Date.now() + 1;
+    const streamedCards = [];
+    let streamedText = '';
+    const abortController = new AbortController();
+    chatAbortRef.current = abortController;
+
+    setMessages(prev => [...prev, {
+      id: assistantMessageId,
+      role: 'assistant',
+      content: '',
+      displayContent: '',
+      codeCards: [],
+      streaming: true
+    }]);
+
+    const handleStreamText = (delta, textSoFar) => {
+      if (!streamedText) {
+        setLoadingOperation(prev => prev?.streaming ? { ...prev, substep: 'Receiving response' } : prev);
+      }
+      streamedText = textSoFar;
+
+      setMessages(prev => prev.map(m =>
+        m.id === assistantMessageId ? { ...m, displayContent: textSoFar.trim() } : m
+      ));
+    };
+
+    // A code card arrives when Claude starts running R code, and again with its output
+    // (or with a fix for it, which keeps the card and records the failed revision)
+    const handleStreamCard = (toolCard) => {
+      const card = toCodeCard(toolCard);
+      const index = streamedCards.findIndex(c => c.id === card.id);
+      if (index === -1) {
+        streamedCards.push(card);
+        setCodeCards(prev => [...prev, card]);
+      } else {
+        streamedCards[index] = card;
+        setCodeCards(prev => prev.map(c => c.id === card.id ? { ...c, ...card } : c));
+      }
+
+      setMessages(prev => prev.map(m =>
+        m.id === assistantMessageId ? { ...m, codeCards: [...streamedCards] } : m
+      ));
+      setSelectedCardId(card.id);
+      setCurrentCode(card.code);
+      setRunningCardId(card.output || card.skipped ? null : card.id);
+
+      if (card.output) {
+        showToolCardResult(card);
+      } else {
+        setCurrentOutput(null);
+      }
+      setLoadingOperation(prev => prev?.streaming ? {
+        ...prev,
+        substep: card.output ? 'Reviewing output' : `Running R code: ${card.summary}`
+      } : prev);
+    };
+
     try {
       // Collect recent plot images from code cards (last 3 plots for context)
       // SAFETY: Create clean objects to avoid circular references or DOM elements
@@ -1653,20 +2019,11 @@ Please respond with a JSON object in this format:
         }
       }
 
-      // Get active dataset metadata from registry
-      const activeDatasetMetadata = datasetRegistry.activeDataset && datasetRegistry.datasets[datasetRegistry.activeDataset]
-        ? datasetRegistry.datasets[datasetRegistry.activeDataset].columnMetadata
-        : columnMetadata;  // Fall back to legacy metadata
+      const cleanColumnMetadata = getCleanColumnMetadata();
 
-      // Ensure columnMetadata is serializable (no DOM elements or circular refs)
-      // Create a clean copy with only the fields we need
-      const cleanColumnMetadata = activeDatasetMetadata ? activeDatasetMetadata.map(col => ({
-        name: col.name,
-        type: col.type,
-        ...(col.values && { values: Array.isArray(col.values) ? col.values : [] }),
-        ...(col.min !== undefined && { min: col.min }),
-        ...(col.max !== undefined && { max: col.max })
-      })) : null;
+      // Text and table output of the shared cards (the choices only apply to this message)
+      const contextAttachments = getSharedCards().map(buildContextAttachment);
+      setShareOverrides({});
 
       // Send to Claude API with plot images and column metadata
       const response = await sendMessageToClaude(
@@ -1676,84 +2033,113 @@ Please respond with a JSON object in this format:
         suggestionsEnabled,
         recentPlots,  // Pass recent plots for Claude to see
         cleanColumnMetadata,  // Pass dataset schema so Claude knows column names
-        datasetRegistry.activeDataset  // Pass active dataset name
+        datasetRegistry.activeDataset,  // Pass active dataset name
+        {
+          workspaceId,  // Claude's R code runs in this conversation's session
+          autoFormatTabular,
+          llm: getLlmOptions(modelSettings, 'chat'),
+          contextMemory,  // Older messages are sent as this summary
+          contextAttachments,  // Card outputs shared with this message
+          onText: handleStreamText,
+          onCard: handleStreamCard,
+          signal: abortController.signal
+        }
       );
 
-      // Update substep for response parsing
+      // Update substep for response parsing - too late to cancel now
       setLoadingOperation(prev => prev ? {
         ...prev,
-        substep: 'Parsing response'
+        substep: 'Parsing response',
+        streaming: false
       } : null);
 
-      // Create code cards for any R code blocks
-      const newCards = response.rCodeBlocks.length > 0
-        ? response.rCodeBlocks.map((block, index) => ({
-            id: `card-${Date.now()}-${index}`,
-            code: block.code,
-            summary: block.summary,
-            description: block.description,
-            output: null
-          }))
-        : [];
+      // Code cards from Claude's tool calls, in their final state
+      const newCards = response.codeCards.map(toCodeCard);
 
-      // Strip R code blocks from the displayed message text
-      // Matches both ```r and ```R with optional whitespace and content
-      let displayText = response.text.replace(/```[rR]\s*[\s\S]*?```/g, '').trim();
-
-      // Strip reactive component JSON blocks from displayed text
-      // These will be rendered as interactive components instead
-      if (response.reactiveComponents && response.reactiveComponents.length > 0) {
-        displayText = displayText.replace(/```json\s*[\s\S]*?```/g, '').trim();
+      // Keep the memory of older messages for the next request
+      if (response.context) {
+        setContextMemory(response.context.memory);
+        setContextUsage(response.context.usage);
       }
+      setUsageWarnings(response.usage?.warnings || []);
 
-      // If we have structured suggestions, also strip the textual suggestions section
-      if (response.suggestions && response.suggestions.length > 0) {
-        // Strip "Suggestions for further analysis:" section and everything after it
-        displayText = displayText.replace(/\*\*Suggestions for further analysis:\*\*[\s\S]*$/g, '').trim();
+      // Show which outputs went with the message (after the server's size limits)
+      if (response.attachments.length > 0) {
+        setMessages(prev => prev.map(m =>
+          m.id === newUserMessage.id ? { ...m, attachments: response.attachments } : m
+        ));
       }
 
       // Debug: Log if suggestions are enabled and what the message contains
       console.log('Suggestions enabled:', suggestionsEnabled);
-      console.log('Message text after stripping code:', displayText);
-      console.log('Reactive components found:', response.reactiveComponents?.length || 0);
+      console.log('Message text:', response.text);
+      console.log('Reactive components found:', response.reactiveComponents.length);
 
       // Add assistant response to chat with embedded code cards and reactive components
-      // Store both original text (for API) and display text (for rendering)
+      // Store the transcript, which includes the code Claude ran (for API), and the text alone (for rendering)
       const assistantMessage = {
-        id: Date.now() + 1,
+        id: assistantMessageId,
         role: 'assistant',
-        content: response.text,  // Keep original for API
-        displayContent: displayText,  // Stripped version for display
+        content: response.transcript,  // Text plus code, for the conversation history
+        displayContent: response.text,  // Text only - the code is in the cards
         codeCards: newCards,  // Attach code cards to this message
         suggestions: response.suggestions || undefined,  // Add suggestions if available
-        reactiveComponents: response.reactiveComponents || undefined  // Add reactive components if available
+        reactiveComponents: response.reactiveComponents.length > 0 ? response.reactiveComponents : undefined
       };
 
       console.log('[handleSendMessage] Assistant message with suggestions:', assistantMessage.suggestions);
       console.log('[handleSendMessage] Assistant message with reactive components:', assistantMessage.reactiveComponents);
-      setMessages(prev => [...prev, assistantMessage]);
+      setMessages(prev => prev.map(m => m.id === assistantMessageId ? assistantMessage : m));
 
-      // Add cards to global cards array
+      // Add cards to global cards array (those that arrived while streaming are already there)
       if (newCards.length > 0) {
-        setCodeCards(prev => [...prev, ...newCards]);
-
-        // Auto-select the first new card
-        const firstNewCard = newCards[0];
-        setSelectedCardId(firstNewCard.id);
-        setCurrentCode(firstNewCard.code);
+        const unstreamedCards = newCards.filter(card => !streamedCards.some(c => c.id === card.id));
+        if (unstreamedCards.length > 0) {
+          setCodeCards(prev => [...prev, ...unstreamedCards]);
+        }
 
-        // Execute the R code (await so loading spinner stays visible)
-        await executeSelectedCode(firstNewCard.code, firstNewCard.id);
+        const unrunCards = newCards.filter(card => !card.output && !card.skipped);
+        if (unrunCards.length > 0) {
+          // Not run during the response - execute them now, in order, stopping at the first failure
+          // (await so loading spinner stays visible)
+          await runCardsInOrder(unrunCards);
+        } else {
+          // Select the step that failed, or else the last card - the code Claude settled on
+          const shownCard = newCards.find(card => card.output?.error) || newCards[newCards.length - 1];
+          setSelectedCardId(shownCard.id);
+          setCurrentCode(shownCard.code);
+          if (unstreamedCards.includes(shownCard) || shownCard !== streamedCards[streamedCards.length - 1]) {
+            showToolCardResult(shownCard);
+          }
+        }
       }
     } catch (error) {
-      console.error('Error sending message:', error);
-      const errorMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: `Error: ${error.message}. Please check your API key and try again.`
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      if (error.name === 'AbortError') {
+        // Cancelled by the user - keep what arrived so far
+        console.log('[handleSendMessage] Response cancelled');
+        setMessages(prev => prev.map(m =>
+          m.id === assistantMessageId
+            ? {
+                ...m,
+                content: streamedText,
+                displayContent: `${streamedText.trim()}\n\n*Response cancelled.*`.trim(),
+                streaming: false
+              }
+            : m
+        ));
+      } else {
+        console.error('Error sending message:', error);
+        const errorMessage = {
+          id: assistantMessageId,
+          role: 'assistant',
+          content: `Error: ${error.message}. Please check your API key and try again.`,
+          codeCards: streamedCards.length > 0 ? [...streamedCards] : undefined  // Code Claude ran before the failure
+        };
+        setMessages(prev => prev.map(m => m.id === assistantMessageId ? errorMessage : m));
+      }
     } finally {
+      chatAbortRef.current = null;
+      setRunningCardId(null);
       setIsLoading(false);
       setIsSubmitAnimating(false);
       // Clear loading operation if not already cleared by executeSelectedCode
@@ -1836,6 +2222,9 @@ Keep it professional and suitable for a data analysis report.`;
         body: JSON.stringify({
           apiKey: apiKey,
           messages: [{ role: 'user', content: prompt }],
+          purpose: 'descriptions',
+          llm: getLlmOptions(modelSettings, 'descriptions'),
+          conversationId: workspaceId,
           suggestionsEnabled: false
         })
       });
@@ -2192,6 +2581,9 @@ Respond with ONLY a JSON code block in this format:
             role: 'user',
             content: buildRewritePrompt(payload)
           }],
+          purpose: 'rewrite',
+          llm: getLlmOptions(modelSettings, 'rewrite'),
+          conversationId: workspaceId,
           suggestionsEnabled: false
         })
       });
@@ -2254,14 +2646,64 @@ Respond with ONLY a JSON code block in this format:
 
   // ===== End Report Rewrite Functions =====
 
+  // Update dataset registry with metadata refreshed after an execution
+  const applyUpdatedMetadata = ({ datasetName, columnMetadata, hash, shouldBecomeActive }) => {
+    console.log(`[EXECUTE] Updating registry for dataset '${datasetName}' with refreshed metadata`);
+
+    if (shouldBecomeActive) {
+      console.log(`[EXECUTE] Auto-switching active dataset to '${datasetName}' (tidy dataset)`);
+    }
+
+    setDatasetRegistry(prev => ({
+      ...prev,
+      // Only update active dataset if shouldBecomeActive is true, otherwise keep current
+      activeDataset: shouldBecomeActive ? datasetName : prev.activeDataset,
+      datasets: {
+        ...prev.datasets,
+        [datasetName]: {
+          ...prev.datasets[datasetName],  // Keep where it came from, so it can be reloaded
+          columnMetadata: columnMetadata,
+          lastModified: Date.now(),
+          hash: hash
+        }
+      }
+    }));
+
+    // Also update legacy columnMetadata for backward compatibility
+    // Only if this became the active dataset
+    if (shouldBecomeActive) {
+      setColumnMetadata(columnMetadata);
+    }
+  };
+
   // Execute R code and update output
-  const executeSelectedCode = async (code, cardId) => {
+  // options.confirmedFunctions: functions from the execution policy the user agreed to run
+  // options.allowAutoFix: false for runs that are themselves auto-fix attempts
+  // Returns the final result (after any auto-fix attempts)
+  const executeSelectedCode = async (code, cardId, options = {}) => {
+    const { confirmedFunctions = [], allowAutoFix = true } = options;
+    const executionId = createExecutionId();
+    let result = null;
+
     // Set loading operation state
     setLoadingOperation({
       operation: 'Executing R code',
       substep: null,
-      details: null
+      details: null,
+      executionId
+    });
+
+    // Show console output live while the code runs
+    let liveOutput = '';
+    const liveResult = () => ({
+      output: liveOutput,
+      plots: [],
+      tables: [],
+      error: null,
+      running: true,
+      executionId
     });
+    setCurrentOutput(liveResult());
 
     try {
       // Determine if this code might modify the dataset structure
@@ -2275,15 +2717,38 @@ Respond with ONLY a JSON code block in this format:
                                   code.includes('=');     // Assignment
 
       // Execute the code via backend, requesting metadata refresh if needed
-      const result = await executeRCode(
+      result = await executeRCode(
         code,
         autoFormatTabular,
         mightModifyDataset,  // refreshMetadata
-        datasetRegistry.activeDataset || 'data'  // activeDataset
+        datasetRegistry.activeDataset || 'data',  // activeDataset
+        {
+          workspaceId,
+          executionId,
+          timeoutMs: executionTimeLimit * 1000,
+          confirmedFunctions,
+          onOutput: (stream, text) => {
+            liveOutput = appendConsoleOutput(liveOutput, text);
+            // Don't overwrite the panel if the user has moved on to another card's output
+            setCurrentOutput(prev => prev?.executionId === executionId ? liveResult() : prev);
+          },
+          // Other runs in this conversation's R session are ahead of this one
+          onQueue: (position) => {
+            setLoadingOperation(prev => prev?.executionId === executionId ? {
+              ...prev,
+              substep: position > 0 ? `Queued (position ${position})` : null
+            } : prev);
+          }
+        }
       );
 
       setCurrentOutput(result);
 
+      // Code calls functions the execution policy wants confirmed - ask before running it
+      if (result.policyViolation?.type === 'confirmation_required') {
+        confirmCardRun(code, cardId, result.policyViolation, confirmedFunctions);
+      }
+
       // Update dataset registry if metadata was refreshed
       if (result.updatedMetadata) {
         // Update substep to show metadata refresh
@@ -2291,32 +2756,7 @@ Respond with ONLY a JSON code block in this format:
           ...prev,
           substep: 'Refreshing metadata'
         } : null);
-        const { datasetName, columnMetadata, hash, shouldBecomeActive } = result.updatedMetadata;
-        console.log(`[EXECUTE] Updating registry for dataset '${datasetName}' with refreshed metadata`);
-
-        if (shouldBecomeActive) {
-          console.log(`[EXECUTE] Auto-switching active dataset to '${datasetName}' (tidy dataset)`);
-        }
-
-        setDatasetRegistry(prev => ({
-          ...prev,
-          // Only update active dataset if shouldBecomeActive is true, otherwise keep current
-          activeDataset: shouldBecomeActive ? datasetName : prev.activeDataset,
-          datasets: {
-            ...prev.datasets,
-            [datasetName]: {
-              columnMetadata: columnMetadata,
-              lastModified: Date.now(),
-              hash: hash
-            }
-          }
-        }));
-
-        // Also update legacy columnMetadata for backward compatibility
-        // Only if this became the active dataset
-        if (shouldBecomeActive) {
-          setColumnMetadata(columnMetadata);
-        }
+        applyUpdatedMetadata(result.updatedMetadata);
       }
 
       // Store output with the card using the provided cardId
@@ -2339,6 +2779,90 @@ Respond with ONLY a JSON code block in this format:
       // Clear loading operation
       setLoadingOperation(null);
     }
+
+    // Opt-in: have Claude repair the code and run the fix as a new revision of the card
+    if (allowAutoFix && autoFixEnabled && (apiKey || !needsAnthropicKey(modelSettings)) && isFixableFailure(result)) {
+      return autoFixCard(cardId, code, result);
+    }
+    return result;
+  };
+
+  // Errors in the code itself - not runs the user stopped or the execution policy blocked
+  const isFixableFailure = (result) =>
+    !!result?.error && !result.cancelled && !result.timedOut && !result.superseded && !result.policyViolation;
+
+  // Send failing code back to Claude, replace the card's code with each fix and
+  // re-run it, keeping the failed versions as the card's revision history
+  const autoFixCard = async (cardId, failedCode, failedResult) => {
+    let code = failedCode;
+    let result = failedResult;
+    const previousAttempts = [];
+
+    for (let attempt = 1; attempt <= autoFixMaxAttempts; attempt++) {
+      setLoadingOperation({
+        operation: 'Auto-fixing R code',
+        substep: `Attempt ${attempt} of ${autoFixMaxAttempts}`,
+        details: null
+      });
+
+      let fix;
+      try {
+        fix = await requestCodeFix(
+          apiKey,
+          { code, error: result.error, errorDetails: result.errorDetails, previousAttempts },
+          getCleanColumnMetadata(),
+          datasetRegistry.activeDataset,
+          getLlmOptions(modelSettings, 'chat'),
+          workspaceId
+        );
+      } catch (error) {
+        console.error('[AUTO-FIX] Fix request failed:', error);
+        break;
+      }
+
+      if (!fix.code || fix.code === code) {
+        console.log('[AUTO-FIX] No new code returned, giving up');
+        break;
+      }
+
+      console.log(`[AUTO-FIX] Attempt ${attempt}: ${fix.explanation}`);
+      previousAttempts.push({ code, error: result.error });
+      const revision = {
+        code,
+        error: result.error,
+        fixExplanation: fix.explanation,
+        timestamp: Date.now()
+      };
+      setCodeCards(prev =>
+        prev.map(card =>
+          card.id === cardId
+            ? { ...card, code: fix.code, revisions: [...(card.revisions || []), revision] }
+            : card
+        )
+      );
+      setCurrentCode(fix.code);
+
+      code = fix.code;
+      result = await executeSelectedCode(code, cardId, { allowAutoFix: false });
+      if (!isFixableFailure(result)) break;
+    }
+
+    setLoadingOperation(null);
+    return result;
+  };
+
+  // Stop the R execution shown in the loading indicator
+  const handleStopExecution = async () => {
+    const executionId = loadingOperation?.executionId;
+    if (!executionId) return;
+
+    setLoadingOperation(prev => prev ? {
+      ...prev,
+      substep: 'Stopping...'
+    } : null);
+
+    // executeSelectedCode clears the indicator once the backend reports the run as cancelled
+    await cancelExecution(executionId);
   };
 
   // Handle Enter key in input
@@ -2434,6 +2958,15 @@ Respond with ONLY a JSON code block in this format:
           </div>
         )}
 
+        {/* Card outputs shared with Claude along with this message */}
+        {message.attachments && message.attachments.length > 0 && (
+          <div className="text-right text-gray-500 mt-1" style={{ fontSize: '9pt' }}>
+            Shared with Claude: {message.attachments.map(attachment =>
+              `${attachment.summary} (${attachment.parts.join(', ')}${attachment.truncated ? ', truncated' : ''})`
+            ).join('; ')}
+          </div>
+        )}
+
         {/* Dataset report with tabs (if available) */}
         {message.reportSections && message.filename && (
           <div className="max-w-[80%]" style={{ marginTop: '7px' }}>
@@ -2447,18 +2980,26 @@ Respond with ONLY a JSON code block in this format:
         {/* Code cards inline (if any) */}
         {message.codeCards && message.codeCards.length > 0 && (
           <div className="space-y-2 max-w-[80%] mt-1">
-            {message.codeCards.map(card => (
-              <CodeCard
-                key={card.id}
-                ref={el => cardRefsRef.current[card.id] = el}
-                id={card.id}
-                summary={card.summary}
-                description={card.description}
-                code={card.code}
-                isSelected={card.id === selectedCardId}
-                onClick={handleCardSelect}
-              />
-            ))}
+            {message.codeCards.map(messageCard => {
+              // The message keeps the card as first generated; auto-fix revises the copy in codeCards
+              const card = codeCards.find(c => c.id === messageCard.id) || messageCard;
+              return (
+                <CodeCard
+                  key={card.id}
+                  ref={el => cardRefsRef.current[card.id] = el}
+                  id={card.id}
+                  summary={card.summary}
+                  description={card.description}
+                  code={card.code}
+                  revisions={card.revisions}
+                  status={getCardStatus(card)}
+                  isSelected={card.id === selectedCardId}
+                  onClick={handleCardSelect}
+                  isShared={sharedCards.some(c => c.id === card.id)}
+                  onToggleShare={buildContextAttachment(card) ? handleToggleShare : null}
+                />
+              );
+            })}
           </div>
         )}
 
@@ -2469,6 +3010,8 @@ Respond with ONLY a JSON code block in this format:
               <ReactiveComponent
                 key={index}
                 spec={spec}
+                workspaceId={workspaceId}
+                onPolicyConfirmation={requestPolicyConfirmation}
                 onError={(error) => {
                   console.error('Reactive component error:', error);
                 }}
@@ -2521,6 +3064,32 @@ Respond with ONLY a JSON code block in this format:
   };
 
   // Render output panel content
+  // Warnings and messages R raised while running the code, shown apart from its output
+  const renderConditions = (className) => {
+    const warnings = currentOutput.warnings || [];
+    const messages = currentOutput.messages || [];
+    if (warnings.length === 0 && messages.length === 0) return null;
+
+    const lineLabel = (line) => line ? <span className="text-gray-400 mr-2">line {line}</span> : null;
+
+    return (
+      <div className={`space-y-1 ${className}`} style={{ fontSize: '10pt' }}>
+        {warnings.map((warning, index) => (
+          <div key={`warning-${index}`} className="bg-yellow-50 border-l-4 border-yellow-400 text-yellow-900 px-3 py-1 rounded-r">
+            {lineLabel(warning.line)}
+            <strong>Warning{warning.call ? ` in ${warning.call}` : ''}:</strong> {warning.message}
+          </div>
+        ))}
+        {messages.map((message, index) => (
+          <div key={`message-${index}`} className="bg-blue-50 border-l-4 border-blue-300 text-gray-700 px-3 py-1 rounded-r whitespace-pre-wrap">
+            {lineLabel(message.line)}
+            {message.message}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderOutput = () => {
     if (!currentOutput) {
       return (
@@ -2535,6 +3104,8 @@ Respond with ONLY a JSON code block in this format:
 
     const isFavorited = selectedCardId && favoritedCardIds.has(selectedCardId);
     const hasPlots = currentOutput.plots && currentOutput.plots.length > 0;
+    const plotCount = hasPlots ? currentOutput.plots.length : 0;
+    const visiblePlotIndex = Math.min(plotPage, Math.max(plotCount - 1, 0));
 
     return (
       <div className="absolute inset-0 overflow-hidden p-1">
@@ -2542,16 +3113,50 @@ Respond with ONLY a JSON code block in this format:
         <div className={`absolute inset-1 border-4 rounded-lg pointer-events-none transition-all duration-500 ${isFavorited ? 'border-[#72ccb6]' : 'border-transparent'}`} style={{ zIndex: 10 }}></div>
 
         {/* Error display - absolutely positioned at top */}
-        {currentOutput.error && (
+        {currentOutput.error && (currentOutput.cancelled || currentOutput.timedOut || currentOutput.policyViolation ? (
+          <div className="absolute top-2 left-2 right-2 bg-amber-50 border border-amber-300 text-amber-800 px-4 py-3 rounded z-20">
+            <strong>
+              {currentOutput.cancelled ? 'Stopped:'
+                : currentOutput.timedOut ? 'Time limit reached:'
+                : currentOutput.policyViolation.type === 'confirmation_required' ? 'Confirmation needed:'
+                : 'Blocked by execution policy:'}
+            </strong> {currentOutput.error}
+            {/* The confirmation may have been dismissed, or arrived while another one was open */}
+            {currentOutput.policyViolation?.type === 'confirmation_required' && selectedCardId && !policyConfirmation && (
+              <button
+                onClick={() => confirmCardRun(currentCode, selectedCardId, currentOutput.policyViolation)}
+                className="ml-2 underline font-medium hover:text-amber-900"
+              >
+                Review and run
+              </button>
+            )}
+          </div>
+        ) : (
           <div className="absolute top-2 left-2 right-2 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded z-20">
-            <strong>Error:</strong> {currentOutput.error}
+            <strong>Error{currentOutput.errorDetails?.line ? ` (line ${currentOutput.errorDetails.line})` : ''}:</strong> {currentOutput.error}
+            {currentOutput.errorDetails?.traceback?.length > 0 && (
+              <details className="mt-2 text-xs">
+                <summary className="cursor-pointer select-none">Traceback</summary>
+                <pre className="mt-1 overflow-x-auto whitespace-pre-wrap">
+                  {currentOutput.errorDetails.traceback.map((frame, index) =>
+                    `${index + 1}: ${frame.call}${frame.line ? ` at line ${frame.line}` : ''}`
+                  ).join('\n')}
+                </pre>
+              </details>
+            )}
           </div>
-        )}
+        ))}
+
+        {/* Warnings and messages - over the plot, or inline with text output below */}
+        {hasPlots && renderConditions('absolute bottom-12 left-2 right-2 max-h-32 overflow-auto z-20')}
 
         {/* Plots - fill entire space with absolute positioning */}
         {hasPlots && (
           <div className="absolute inset-1">
             {currentOutput.plots.map((plot, index) => {
+              // Only the current page is shown; the pager below switches between them
+              if (index !== visiblePlotIndex) return null;
+
               // Handle HTML widgets differently from SVG plots
               if (plot.type === 'html') {
                 return (
@@ -2578,6 +3183,36 @@ Respond with ONLY a JSON code block in this format:
           </div>
         )}
 
+        {/* Pager for executions that produced more than one plot */}
+        {plotCount > 1 && (
+          <div className="absolute bottom-3 left-1/2 -translate-x-1/2 flex items-center gap-2 bg-white bg-opacity-90 border border-gray-300 rounded-full px-3 py-1 text-sm text-gray-600 shadow-sm z-20">
+            <button
+              onClick={() => setPlotPage(Math.max(visiblePlotIndex - 1, 0))}
+              disabled={visiblePlotIndex === 0}
+              className="px-1 hover:text-gray-900 disabled:opacity-30"
+              title="Previous plot"
+            >
+              ‹
+            </button>
+            <span>Plot {visiblePlotIndex + 1} of {plotCount}</span>
+            <button
+              onClick={() => setPlotPage(Math.min(visiblePlotIndex + 1, plotCount - 1))}
+              disabled={visiblePlotIndex === plotCount - 1}
+              className="px-1 hover:text-gray-900 disabled:opacity-30"
+              title="Next plot"
+            >
+              ›
+            </button>
+          </div>
+        )}
+
+        {/* Live indicator while streamed output is still arriving */}
+        {currentOutput.running && (
+          <div className="absolute bottom-3 right-4 text-xs text-gray-400 z-20 animate-pulse">
+            Running...
+          </div>
+        )}
+
         {/* Other content - wrapped with padding when no plots */}
         {!hasPlots && (
           <div className="h-full p-4 overflow-auto">
@@ -2588,6 +3223,8 @@ Respond with ONLY a JSON code block in this format:
               </pre>
             )}
 
+            {renderConditions('mb-4')}
+
             {/* Tables */}
             {currentOutput.tables && currentOutput.tables.length > 0 && (
               <div className="space-y-4" style={{ fontSize: '11pt' }}>
@@ -2631,6 +3268,9 @@ Respond with ONLY a JSON code block in this format:
     );
   };
 
+  // Outputs that will go with the next message, shown on their cards and above the input
+  const sharedCards = getSharedCards();
+
   return (
     <div className="h-screen flex flex-col bg-gray-100">
       {/* Header */}
@@ -2700,6 +3340,13 @@ Respond with ONLY a JSON code block in this format:
               onClick={handleOpenSnowflake}
               title="Browse Snowflake databases"
             />
+            <img
+              src="/local-files.svg"
+              alt="Browse data folder"
+              className="h-4 cursor-pointer"
+              onClick={() => setShowDataFolderModal(true)}
+              title="Browse the data folder"
+            />
             <img src="/separator.png" alt="" className="h-4" />
             <img
               src="/new-conversation.png"
@@ -2750,6 +3397,33 @@ Respond with ONLY a JSON code block in this format:
                   >
                     Update API Key...
                   </button>
+                  <button
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
+                    onClick={() => {
+                      setShowOptionsMenu(false);
+                      setShowModelSettings(true);
+                    }}
+                  >
+                    Model Settings...
+                  </button>
+                  <button
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
+                    onClick={() => {
+                      setShowOptionsMenu(false);
+                      setShowUsageModal(true);
+                    }}
+                  >
+                    Usage & Budget...
+                  </button>
+                  <button
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
+                    onClick={() => {
+                      setShowOptionsMenu(false);
+                      setShowPromptTemplates(true);
+                    }}
+                  >
+                    Prompt Templates...
+                  </button>
                   <div className="border-t border-gray-300 my-1"></div>
                   <button
                     className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
@@ -2791,6 +3465,70 @@ Respond with ONLY a JSON code block in this format:
                     <span>Auto Format Tabular Data</span>
                     <span className="ml-2">{autoFormatTabular ? '✓' : ''}</span>
                   </button>
+                  <button
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors flex items-center justify-between"
+                    onClick={() => {
+                      const newValue = !autoFixEnabled;
+                      setAutoFixEnabled(newValue);
+                      localStorage.setItem('auto_fix_enabled', newValue.toString());
+                    }}
+                  >
+                    <span>Auto-Fix R Errors</span>
+                    <span className="ml-2">{autoFixEnabled ? '✓' : ''}</span>
+                  </button>
+                  {autoFixEnabled && (
+                    <div className="w-full px-4 py-2 text-sm flex items-center justify-between">
+                      <span>Auto-Fix Attempts</span>
+                      <select
+                        value={autoFixMaxAttempts}
+                        onChange={(e) => {
+                          const newValue = parseInt(e.target.value, 10);
+                          setAutoFixMaxAttempts(newValue);
+                          localStorage.setItem('auto_fix_max_attempts', newValue.toString());
+                        }}
+                        className="ml-2 text-sm border border-gray-300 rounded px-1 py-0.5"
+                      >
+                        <option value={1}>1</option>
+                        <option value={2}>2</option>
+                        <option value={3}>3</option>
+                        <option value={5}>5</option>
+                      </select>
+                    </div>
+                  )}
+                  <div className="w-full px-4 py-2 text-sm flex items-center justify-between">
+                    <span>Share Outputs</span>
+                    <select
+                      value={shareOutputsPolicy}
+                      onChange={(e) => {
+                        setShareOutputsPolicy(e.target.value);
+                        localStorage.setItem('share_outputs_policy', e.target.value);
+                      }}
+                      className="ml-2 text-sm border border-gray-300 rounded px-1 py-0.5"
+                      title="Which code card's text and table output is sent with each message"
+                    >
+                      <option value="manual">Only chosen</option>
+                      <option value="selected">Selected card</option>
+                      <option value="last">Last card</option>
+                    </select>
+                  </div>
+                  <div className="w-full px-4 py-2 text-sm flex items-center justify-between">
+                    <span>R Time Limit</span>
+                    <select
+                      value={executionTimeLimit}
+                      onChange={(e) => {
+                        const newValue = parseInt(e.target.value, 10);
+                        setExecutionTimeLimit(newValue);
+                        localStorage.setItem('execution_time_limit', newValue.toString());
+                      }}
+                      className="ml-2 text-sm border border-gray-300 rounded px-1 py-0.5"
+                    >
+                      <option value={60}>1 min</option>
+                      <option value={300}>5 min</option>
+                      <option value={600}>10 min</option>
+                      <option value={1800}>30 min</option>
+                      <option value={3600}>1 hour</option>
+                    </select>
+                  </div>
                   <div className="border-t border-gray-300 my-1"></div>
                   <button
                     className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
@@ -2921,6 +3659,10 @@ Respond with ONLY a JSON code block in this format:
           <DatasetRestorationBanner
             isVisible={showDatasetWarning}
             datasetRegistry={datasetRegistry}
+            missingDatasets={missingDatasets}
+            restoreResults={restoreResults}
+            isRestoring={isRestoringSession}
+            onRestore={handleRestoreSession}
             onDismiss={handleDismissDatasetWarning}
           />
           {/* Messages area */}
@@ -3001,12 +3743,48 @@ Respond with ONLY a JSON code block in this format:
                     <span className="text-sm text-gray-400">{loadingOperation.substep}</span>
                   )}
                 </div>
+                {loadingOperation?.executionId && (
+                  <button
+                    onClick={handleStopExecution}
+                    disabled={loadingOperation.substep === 'Stopping...'}
+                    className="ml-2 px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    title="Stop R execution"
+                  >
+                    Stop
+                  </button>
+                )}
+                {loadingOperation?.streaming && (
+                  <button
+                    onClick={handleStopChat}
+                    className="ml-2 px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+                    title="Stop Claude's response"
+                  >
+                    Stop
+                  </button>
+                )}
               </div>
             )}
           </div>
 
           {/* Input area */}
           <div className="p-4 bg-white">
+            {sharedCards.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1 mb-2 text-gray-600" style={{ fontSize: '9pt' }}>
+                <span>Sharing with Claude:</span>
+                {sharedCards.map(card => (
+                  <span key={card.id} className="inline-flex items-center gap-1 px-2 py-0.5 bg-[#f5f8f9] border border-gray-300 rounded-full">
+                    {card.summary}
+                    <button
+                      onClick={() => handleToggleShare(card.id)}
+                      className="text-gray-400 hover:text-gray-700"
+                      title="Don't share this output"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
             <div className="relative">
               <textarea
                 ref={textareaRef}
@@ -3093,6 +3871,12 @@ Respond with ONLY a JSON code block in this format:
                 <div className="square-icon absolute w-4 h-4 bg-white rounded-sm opacity-0" />
               </button>
             </div>
+            <ContextMeter usage={contextUsage} memory={contextMemory} />
+            {usageWarnings.map(warning => (
+              <div key={warning} className="mt-1 text-amber-700" style={{ fontSize: '9pt' }}>
+                {warning}
+              </div>
+            ))}
           </div>
         </div>
 
@@ -3132,6 +3916,13 @@ Respond with ONLY a JSON code block in this format:
                     margin: 0
                   }}
                   showLineNumbers={true}
+                  wrapLines={true}
+                  lineProps={(lineNumber) => (
+                    // Highlight the line the last run failed on
+                    currentOutput && !currentOutput.running && currentOutput.errorDetails?.line === lineNumber
+                      ? { style: { display: 'block', backgroundColor: '#fee2e2' } }
+                      : {}
+                  )}
                 >
                   {currentCode}
                 </SyntaxHighlighter>
@@ -3258,11 +4049,11 @@ Respond with ONLY a JSON code block in this format:
         )}
         </div>
 
-      {/* Hidden file input for load data */}
+      {/* Hidden file input for load data - the formats the server can read (DATA_FILE_FORMATS) */}
       <input
         ref={fileInputRef}
         type="file"
-        accept=".csv,.txt,.tsv"
+        accept=".csv,.txt,.tsv,.tab,.dat,.xlsx,.xls,.parquet,.pq,.feather,.arrow,.ipc,.json,.ndjson,.jsonl,.sas7bdat,.xpt,.sav,.zsav,.por,.dta,.rds"
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
@@ -3272,17 +4063,68 @@ Respond with ONLY a JSON code block in this format:
         isOpen={showApiKeyModal}
         onSave={handleSaveApiKey}
         onCancel={() => {
-          if (apiKey) {
+          if (apiKey || !needsAnthropicKey(modelSettings)) {
             setShowApiKeyModal(false);
           }
         }}
       />
 
+      {/* Model Settings Modal */}
+      <ModelSettingsModal
+        isOpen={showModelSettings}
+        settings={modelSettings}
+        onSave={handleSaveModelSettings}
+        onCancel={() => setShowModelSettings(false)}
+      />
+
+      {/* Usage & Budget Modal */}
+      <UsageModal
+        isOpen={showUsageModal}
+        conversationId={workspaceId}
+        onClose={() => setShowUsageModal(false)}
+      />
+
+      {/* Prompt Templates Modal - the preview uses what the next chat message would send */}
+      <PromptTemplatesModal
+        isOpen={showPromptTemplates}
+        previewState={showPromptTemplates ? {
+          suggestionsEnabled,
+          plotCount: codeCards.slice(-3).reduce((count, card) => count + (card.output?.plots || []).filter(plot => plot.pngBase64).length, 0),
+          columnMetadata: getCleanColumnMetadata(),
+          activeDatasetName: datasetRegistry.activeDataset,
+          contextMemory
+        } : null}
+        onClose={() => setShowPromptTemplates(false)}
+      />
+
+      {/* Import Options Modal */}
+      <ImportOptionsModal
+        isOpen={!!importFileInfo}
+        fileInfo={importFileInfo}
+        workspaceId={workspaceId}
+        onLoad={(filename, options) => {
+          setImportFileInfo(null);
+          loadDataFile(filename, options);
+        }}
+        onCancel={() => setImportFileInfo(null)}
+      />
+
+      {/* Data Folder Browser Modal */}
+      <DataFolderModal
+        isOpen={showDataFolderModal}
+        workspaceId={workspaceId}
+        datasetRegistry={datasetRegistry}
+        onClose={() => setShowDataFolderModal(false)}
+        onLoad={(filename) => loadDataFile(filename)}
+      />
+
       {/* Snowflake Browser Modal */}
       <SnowflakeBrowserModal
         isOpen={showSnowflakeModal}
         onClose={() => setShowSnowflakeModal(false)}
         onLoad={handleLoadSnowflakeTables}
+        onPolicyConfirmation={requestPolicyConfirmation}
+        workspaceId={workspaceId}
       />
 
       {/* Storage Warning Modal */}
@@ -3304,6 +4146,15 @@ Respond with ONLY a JSON code block in this format:
         onObjectiveChange={setPersistedObjective}
       />
 
+      {/* Execution Policy Confirmation Modal */}
+      <ExecutionPolicyModal
+        isOpen={!!policyConfirmation}
+        functions={policyConfirmation?.functions}
+        code={policyConfirmation?.code}
+        onConfirm={handleConfirmPolicy}
+        onCancel={handleCancelPolicy}
+      />
+
       {/* Export Report Modal */}
       <ExportReportModal
         isOpen={showExportModal}
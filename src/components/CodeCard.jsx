@@ -8,8 +8,22 @@ import React from 'react';
  * - Uses chart-cc.png for charts, dataset-cc.png for loading data, table-cc.png for tabular output, code-cc.png otherwise
  * - Blue border when selected, gray border when unselected
  * - Clicking the card triggers selection
+ * - Lists earlier revisions when auto-fix has replaced failing code
+ * - Shows whether the code is waiting, running, succeeded, failed or was skipped (status)
+ * - When the card has text output, lets the user share it with Claude along with the next message
  */
-const CodeCard = React.forwardRef(({ id, summary, description, code, isSelected, onClick }, ref) => {
+
+// Label and colour for each run status
+const STATUS_BADGES = {
+  pending: { label: 'Waiting', className: 'bg-gray-100 text-gray-600' },
+  running: { label: 'Running...', className: 'bg-blue-100 text-blue-700' },
+  done: { label: 'Done', className: 'bg-green-100 text-green-700' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-700' },
+  stopped: { label: 'Stopped', className: 'bg-amber-100 text-amber-700' },
+  skipped: { label: 'Skipped - an earlier step failed', className: 'bg-gray-100 text-gray-500' }
+};
+
+const CodeCard = React.forwardRef(({ id, summary, description, code, revisions = [], status = null, isSelected, onClick, isShared = false, onToggleShare = null }, ref) => {
   // Determine if code is for chart generation
   const isChartCode = code && (
     code.includes('plot(') ||
@@ -30,6 +44,11 @@ const CodeCard = React.forwardRef(({ id, summary, description, code, isSelected,
     code.includes('read_tsv(') ||
     code.includes('read_excel(') ||
     code.includes('read_xlsx(') ||
+    code.includes('read_parquet(') ||
+    code.includes('read_feather(') ||
+    code.includes('fromJSON(') ||
+    code.includes('stream_in(') ||
+    /haven::read_\w+\(/.test(code) ||
     code.includes('sf_query(') ||
     code.includes('readRDS(') ||
     code.includes('load(') ||
@@ -79,12 +98,60 @@ const CodeCard = React.forwardRef(({ id, summary, description, code, isSelected,
         </div>
         <div className="flex-1 min-w-0">
           <div className="flex-1">
-            <h3 className="font-bold text-gray-800 mb-1" style={{ fontSize: '11pt' }}>
-              {summary}
-            </h3>
+            <div className="flex items-start justify-between gap-2">
+              <h3 className="font-bold text-gray-800 mb-1" style={{ fontSize: '11pt' }}>
+                {summary}
+              </h3>
+              {STATUS_BADGES[status] && (
+                <span
+                  className={`flex-shrink-0 px-2 py-0.5 rounded-full ${STATUS_BADGES[status].className}`}
+                  style={{ fontSize: '8pt' }}
+                >
+                  {STATUS_BADGES[status].label}
+                </span>
+              )}
+            </div>
             <p className="text-gray-700" style={{ fontSize: '11pt' }}>
               {description}
             </p>
+            {onToggleShare && (
+              // Don't select the card when sharing its output
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleShare(id);
+                }}
+                className={`mt-2 px-2 py-0.5 rounded-full border transition-colors ${
+                  isShared
+                    ? 'bg-[#add7fd] border-[#add7fd] text-gray-800'
+                    : 'border-gray-300 text-gray-500 hover:bg-white'
+                }`}
+                style={{ fontSize: '8pt' }}
+                title={isShared ? 'This output will be sent with your next message' : 'Send this output with your next message'}
+              >
+                {isShared ? '✓ Shared with Claude' : 'Share output with Claude'}
+              </button>
+            )}
+            {revisions.length > 0 && (
+              // Don't select the card when expanding its history
+              <details className="mt-2 text-gray-600" style={{ fontSize: '9pt' }} onClick={(e) => e.stopPropagation()}>
+                <summary className="cursor-pointer select-none">
+                  Auto-fixed ({revisions.length} {revisions.length === 1 ? 'attempt' : 'attempts'})
+                </summary>
+                <ol className="mt-1 space-y-2">
+                  {revisions.map((revision, index) => (
+                    <li key={revision.timestamp || index} className="border-l-2 border-red-300 pl-2">
+                      <div className="font-semibold">Revision {index + 1} failed</div>
+                      <div className="text-red-700 break-words">{revision.error}</div>
+                      {revision.fixExplanation && (
+                        <div className="italic mt-0.5">Fix: {revision.fixExplanation}</div>
+                      )}
+                      <pre className="mt-1 bg-white border border-gray-200 rounded p-1 overflow-x-auto max-h-32">{revision.code}</pre>
+                    </li>
+                  ))}
+                </ol>
+              </details>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+/**
+ * ContextMeter Component
+ *
+ * Shows how much of the chat context budget the last message used
+ * - Bar turns amber past 75% and red past 90% of the budget
+ * - When older messages have been summarized, says how many and lets the
+ *   user read the "analysis so far" memory that replaced them
+ */
+const ContextMeter = ({ usage, memory }) => {
+  const [showMemory, setShowMemory] = useState(false);
+
+  if (!usage) return null;
+
+  const percent = Math.min(100, Math.round((usage.usedTokens / usage.budgetTokens) * 100));
+  const barColor = percent > 90 ? 'bg-red-500' : (percent > 75 ? 'bg-amber-500' : 'bg-[#3a7aaf]');
+  const formatTokens = (tokens) => tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+
+  return (
+    <div className="mt-2 text-gray-500" style={{ fontSize: '9pt' }}>
+      <div className="flex items-center gap-2">
+        <div
+          className="w-24 h-1.5 bg-gray-200 rounded-full overflow-hidden"
+          title={`About ${usage.usedTokens.toLocaleString()} of ${usage.budgetTokens.toLocaleString()} tokens`}
+        >
+          <div className={`h-full ${barColor}`} style={{ width: `${percent}%` }} />
+        </div>
+        <span>
+          Context: ~{formatTokens(usage.usedTokens)} / {formatTokens(usage.budgetTokens)} tokens
+        </span>
+        {usage.summarizedMessages > 0 && (
+          <button
+            onClick={() => setShowMemory(prev => !prev)}
+            className="text-[#3a7aaf] hover:underline"
+          >
+            {usage.summarizedMessages} earlier {usage.summarizedMessages === 1 ? 'message' : 'messages'} summarized
+          </button>
+        )}
+      </div>
+      {showMemory && memory?.summary && (
+        <div className="mt-2 p-2 bg-gray-50 border border-gray-200 rounded max-h-48 overflow-y-auto whitespace-pre-wrap text-gray-700">
+          {memory.summary}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContextMeter;
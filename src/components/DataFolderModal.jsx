@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * DataFolderModal Component
+ *
+ * Browser for the files in the server's data folder, alongside the Snowflake browser.
+ * Selecting a file previews its first rows as R reads them; Load loads it as a dataset
+ * straight away (with the sniffed import options). Files can be renamed (their stored
+ * versions, see DATA FILE VERSIONS on the server, go with them) or deleted (their stored
+ * versions are kept, so datasets loaded from them can still be restored).
+ */
+const DataFolderModal = ({ isOpen, workspaceId, datasetRegistry, onClose, onLoad }) => {
+  const [files, setFiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedName, setSelectedName] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [renaming, setRenaming] = useState(null);  // { name, draft } while a file name is being edited
+
+  const loadFiles = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/data-files');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not list the data folder');
+      }
+      setFiles(result.files);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // List the folder each time the browser opens
+  useEffect(() => {
+    if (isOpen) {
+      loadFiles();
+    } else {
+      setSelectedName(null);
+      setPreview(null);
+      setRenaming(null);
+      setSearchTerm('');
+    }
+  }, [isOpen]);
+
+  // Handle ESC key to close modal
+  useEffect(() => {
+    const handleEscKey = (event) => {
+      if (event.key === 'Escape' && isOpen && !renaming) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscKey);
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleEscKey);
+    };
+  }, [isOpen, onClose, renaming]);
+
+  // Preview the selected file as R reads it
+  useEffect(() => {
+    const file = files.find(candidate => candidate.name === selectedName);
+    if (!isOpen || !file?.format) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    setPreview({ isLoading: true });
+    fetch('/api/data-file-preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: file.name, workspaceId })
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (!cancelled) setPreview(data);
+      })
+      .catch(fetchError => {
+        console.error('[Data Folder] Could not preview file:', fetchError);
+        if (!cancelled) setPreview({ error: 'Could not preview the file.' });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selectedName, files, workspaceId]);
+
+  if (!isOpen) return null;
+
+  // Datasets in this conversation that were loaded from a file
+  const datasetsFrom = (name) => Object.entries(datasetRegistry?.datasets || {})
+    .filter(([, dataset]) => dataset.filename === name)
+    .map(([datasetName]) => datasetName);
+
+  const handleRename = async () => {
+    const { name, draft } = renaming;
+    const newName = draft.trim();
+    setRenaming(null);
+    if (!newName || newName === name) return;
+
+    const loadedAs = datasetsFrom(name);
+    if (loadedAs.length > 0 && !window.confirm(
+      `${name} is loaded in this conversation as ${loadedAs.join(', ')}. Code cards that read it by name won't find it after it is renamed. Rename it anyway?`
+    )) return;
+
+    try {
+      const response = await fetch(`/api/data-files/${encodeURIComponent(name)}/rename`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newName })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not rename the file');
+      }
+      if (selectedName === name) setSelectedName(result.filename);
+      await loadFiles();
+    } catch (renameError) {
+      setError(renameError.message);
+    }
+  };
+
+  const handleDelete = async (file) => {
+    const loadedAs = datasetsFrom(file.name);
+    const notes = [
+      file.versions > 1 && `Its ${file.versions} stored versions are kept.`,
+      loadedAs.length > 0 && `It is loaded in this conversation as ${loadedAs.join(', ')}, which can still be restored from the stored version - but code cards that read ${file.name} by name won't find it.`
+    ].filter(Boolean);
+    if (!window.confirm([`Delete ${file.name} from the data folder?`, ...notes].join('\n\n'))) return;
+
+    try {
+      const response = await fetch(`/api/data-files/${encodeURIComponent(file.name)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not delete the file');
+      }
+      if (selectedName === file.name) setSelectedName(null);
+      await loadFiles();
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  const handleLoad = (name) => {
+    onLoad(name);
+    onClose();
+  };
+
+  const filteredFiles = searchTerm
+    ? files.filter(file => file.name.toLowerCase().includes(searchTerm.toLowerCase()))
+    : files;
+
+  const renderFile = (file) => {
+    const isSelected = file.name === selectedName;
+    const mutedClass = isSelected ? 'text-white' : 'text-gray-500';
+    return (
+      <tr
+        key={file.name}
+        onClick={() => setSelectedName(file.name)}
+        onDoubleClick={() => file.format && handleLoad(file.name)}
+        className={`group cursor-pointer ${isSelected ? 'bg-[#3686c1] text-white' : 'hover:bg-gray-100'}`}
+        style={{ fontSize: '11pt' }}
+      >
+        <td className="py-1 px-3">
+          {renaming?.name === file.name ? (
+            <input
+              type="text"
+              value={renaming.draft}
+              onChange={(e) => setRenaming({ ...renaming, draft: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleRename();
+                if (e.key === 'Escape') setRenaming(null);
+              }}
+              onBlur={() => setRenaming(null)}
+              onClick={(e) => e.stopPropagation()}
+              className="w-full px-1 text-gray-900 border border-gray-300 rounded"
+              autoFocus
+            />
+          ) : file.name}
+        </td>
+        <td className={`py-1 px-3 ${mutedClass}`}>{file.label || '-'}</td>
+        <td className={`py-1 px-3 text-right whitespace-nowrap ${mutedClass}`}>{formatSize(file.size)}</td>
+        <td className={`py-1 px-3 whitespace-nowrap ${mutedClass}`}>{new Date(file.modified).toLocaleString()}</td>
+        <td className={`py-1 px-3 text-right ${mutedClass}`}>{file.versions > 1 ? file.versions : ''}</td>
+        <td className="py-1 px-3 whitespace-nowrap text-right">
+          <span className={`text-sm ${isSelected ? '' : 'invisible group-hover:visible'}`}>
+            {file.format && (
+              <button
+                onClick={(e) => { e.stopPropagation(); handleLoad(file.name); }}
+                className={`mr-3 hover:underline ${isSelected ? 'text-white' : 'text-[#3686c1]'}`}
+              >
+                Load
+              </button>
+            )}
+            <button
+              onClick={(e) => { e.stopPropagation(); setRenaming({ name: file.name, draft: file.name }); }}
+              className={`mr-3 hover:underline ${mutedClass}`}
+            >
+              Rename
+            </button>
+            <button
+              onClick={(e) => { e.stopPropagation(); handleDelete(file); }}
+              className={`hover:underline ${isSelected ? 'text-white' : 'text-red-600'}`}
+            >
+              Delete
+            </button>
+          </span>
+        </td>
+      </tr>
+    );
+  };
+
+  const renderPreview = () => {
+    const file = files.find(candidate => candidate.name === selectedName);
+    if (!file) {
+      return <div className="text-gray-500 text-center p-4">Select a file to preview it</div>;
+    }
+    if (!file.format) {
+      return <div className="text-gray-500 text-center p-4">{file.name} is not a data file</div>;
+    }
+    if (!preview || preview.isLoading) {
+      return <div className="text-gray-500 text-center p-4">Reading {file.name}...</div>;
+    }
+    if (preview.error) {
+      return <div className="text-red-600 p-4 text-sm whitespace-pre-wrap">R could not read the file:{'\n'}{preview.error}</div>;
+    }
+    return (
+      <table className="text-xs">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr>
+            {preview.columns.map(column => (
+              <th key={column.name} className="px-2 py-1 text-left font-medium text-gray-700 whitespace-nowrap">
+                {column.name}
+                <div className="font-normal text-gray-500">{column.type}</div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {preview.rows.map((row, rowIndex) => (
+            <tr key={rowIndex} className="border-t border-gray-100">
+              {row.map((value, columnIndex) => (
+                <td key={columnIndex} className="px-2 py-1 whitespace-nowrap text-gray-800">{value}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const selectedFile = files.find(file => file.name === selectedName);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-20 flex items-center justify-center z-50">
+      <div className="bg-[#edeff0] rounded-lg shadow-xl w-[1000px] h-[760px] flex flex-col pt-4 pb-1.5 px-4">
+        <div className="bg-white border border-gray-300 rounded-md flex-1 min-h-0 overflow-hidden flex flex-col">
+          {/* Search box */}
+          <div className="py-[3px] px-3 border-b border-gray-300 flex-shrink-0">
+            <div className="relative" style={{ width: '312px' }}>
+              <img
+                src="/search.svg"
+                alt=""
+                className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 pointer-events-none"
+              />
+              <input
+                type="text"
+                placeholder="Search the data folder"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-9 pr-9 py-1.5 text-sm focus:outline-none"
+              />
+              {searchTerm && (
+                <img
+                  src="/clear-search.svg"
+                  alt="Clear search"
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 w-5 h-5 cursor-pointer"
+                  onClick={() => setSearchTerm('')}
+                />
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <div className="px-3 py-2 text-sm text-red-600 border-b border-gray-300 flex-shrink-0">
+              Error: {error}
+            </div>
+          )}
+
+          {/* File list */}
+          <div className="flex-1 min-h-0 overflow-auto">
+            {isLoading && files.length === 0 ? (
+              <div className="text-gray-500 text-center p-4">Reading the data folder...</div>
+            ) : filteredFiles.length > 0 ? (
+              <table className="w-full">
+                <thead className="bg-gray-50 sticky top-0 text-left text-sm text-gray-600">
+                  <tr>
+                    <th className="py-1 px-3 font-medium">Name</th>
+                    <th className="py-1 px-3 font-medium">Format</th>
+                    <th className="py-1 px-3 font-medium text-right">Size</th>
+                    <th className="py-1 px-3 font-medium">Modified</th>
+                    <th className="py-1 px-3 font-medium text-right">Versions</th>
+                    <th className="py-1 px-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredFiles.map(renderFile)}
+                </tbody>
+              </table>
+            ) : (
+              <div className="text-gray-500 text-center p-4">
+                {searchTerm ? `No files match "${searchTerm}"` : 'The data folder is empty'}
+              </div>
+            )}
+          </div>
+
+          {/* Preview of the selected file */}
+          <div className="h-[260px] flex-shrink-0 border-t border-gray-300 overflow-auto">
+            {renderPreview()}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="py-4 pl-4 flex items-center justify-between flex-shrink-0">
+          <div className="text-sm text-gray-600">
+            <div>{files.length} file{files.length !== 1 ? 's' : ''} in the data folder</div>
+            <div className="text-xs text-gray-500 mt-1">
+              Double-click a file to load it
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <button
+              onClick={onClose}
+              className="w-24 h-8 px-4 bg-white border border-gray-300 rounded-md hover:bg-gray-100 flex items-center justify-center text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => handleLoad(selectedName)}
+              disabled={!selectedFile?.format}
+              className="w-24 h-8 px-4 bg-[#3686c1] text-white rounded-md hover:bg-[#2a6a9a] disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm"
+            >
+              Open
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataFolderModal;
@@ -3,18 +3,57 @@ import React from 'react';
 /**
  * DatasetRestorationBanner Component
  *
- * Warning banner shown when conversation is restored with datasets
- * Informs user that datasets need to be manually reloaded
+ * Warning banner shown when a conversation is restored with datasets missing from its R workspace.
+ * Restore Session reloads each one from its source (data file or Snowflake table) and replays
+ * the code cards that derived the others (e.g. _tidy datasets); the banner then shows
+ * what was done for each dataset, or why it could not be restored. A replayed card that calls
+ * functions from the execution policy's confirm list waits until the user confirms them.
  */
-const DatasetRestorationBanner = ({ isVisible, datasetRegistry, onDismiss }) => {
+const DatasetRestorationBanner = ({ isVisible, datasetRegistry, missingDatasets, restoreResults, isRestoring, onRestore, onDismiss }) => {
   if (!isVisible || !datasetRegistry?.datasets) return null;
 
-  const datasetNames = Object.keys(datasetRegistry.datasets);
+  // After a restore, every dataset that was missing; before, the ones missing now
+  const datasetNames = restoreResults
+    ? Object.values(restoreResults).filter(result => result.status !== 'present').map(result => result.name)
+    : missingDatasets;
   if (datasetNames.length === 0) return null;
 
-  // Separate base datasets from tidy transformations
-  const baseDatasets = datasetNames.filter(name => !name.endsWith('_tidy'));
-  const tidyDatasets = datasetNames.filter(name => name.endsWith('_tidy'));
+  const describeSource = (name) => {
+    const dataset = datasetRegistry.datasets[name];
+    if (dataset?.source === 'csv' || dataset?.source === 'file') {
+      return ` (reload ${dataset.sheet ? `sheet ${dataset.sheet} of ` : ''}${dataset.filename})`;
+    }
+    if (dataset?.source === 'snowflake') return ` (reload ${dataset.fullTableName} from Snowflake)`;
+    return ' (replay the code that created it)';
+  };
+
+  const renderResult = (name) => {
+    const result = restoreResults[name];
+    if (result.status === 'confirmation_required') {
+      return (
+        <li key={name}>
+          <span className="font-medium">{name}</span> not restored yet: {result.error}
+        </li>
+      );
+    }
+    if (result.status === 'failed') {
+      return (
+        <li key={name} className="text-red-700">
+          <span className="font-medium">{name}</span> could not be restored: {result.error}
+        </li>
+      );
+    }
+    return (
+      <li key={name} className="text-green-800">
+        <span className="font-medium">{name}</span> restored: {result.steps.join(', ')}
+      </li>
+    );
+  };
+
+  const hasFailures = missingDatasets.length > 0;
+  const functionsToConfirm = restoreResults
+    ? [...new Set(Object.values(restoreResults).flatMap(result => result.functions || []))]
+    : [];
 
   return (
     <div className="bg-amber-50 border-b border-amber-200 px-4 py-3">
@@ -29,32 +68,36 @@ const DatasetRestorationBanner = ({ isVisible, datasetRegistry, onDismiss }) =>
             Previous session restored
           </h3>
           <div className="mt-1 text-sm text-amber-800">
-            <p className="mb-2">These datasets need to be reloaded:</p>
+            {restoreResults ? (
+              <p className="mb-2">
+                {functionsToConfirm.length > 0
+                  ? `Restoring the rest replays code that calls ${functionsToConfirm.join(', ')}. Confirm to run it:`
+                  : hasFailures ? 'Some datasets could not be restored:' : 'All datasets were restored:'}
+              </p>
+            ) : (
+              <p className="mb-2">These datasets are missing from the R session:</p>
+            )}
             <ul className="list-disc list-inside space-y-1 ml-2">
-              {baseDatasets.map(name => {
-                const dataset = datasetRegistry.datasets[name];
-                const source = dataset?.source || 'unknown';
-                const filename = dataset?.filename || name;
-                return (
-                  <li key={name}>
-                    <span className="font-medium">{filename}</span>
-                    {source === 'csv' && ' (upload CSV file)'}
-                    {source === 'snowflake' && ' (reconnect to Snowflake)'}
-                  </li>
-                );
-              })}
-              {tidyDatasets.map(name => {
-                const baseName = name.replace('_tidy', '');
-                return (
-                  <li key={name} className="text-amber-700">
-                    <span className="font-medium">{name}</span> (transformation - reload <span className="font-medium">{baseName}</span> first)
-                  </li>
-                );
-              })}
+              {datasetNames.map(name => restoreResults ? renderResult(name) : (
+                <li key={name}>
+                  <span className="font-medium">{name}</span>{describeSource(name)}
+                </li>
+              ))}
             </ul>
           </div>
         </div>
-        <div className="ml-3 flex-shrink-0">
+        <div className="ml-3 flex-shrink-0 flex gap-2">
+          {hasFailures && (
+            <button
+              onClick={() => onRestore(functionsToConfirm)}
+              disabled={isRestoring}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {isRestoring
+                ? 'Restoring...'
+                : functionsToConfirm.length > 0 ? 'Confirm and Restore' : restoreResults ? 'Try Again' : 'Restore Session'}
+            </button>
+          )}
           <button
             onClick={onDismiss}
             className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-amber-900 bg-amber-100 hover:bg-amber-200 rounded-md transition-colors"
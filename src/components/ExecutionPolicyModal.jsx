@@ -0,0 +1,80 @@
+import React from 'react';
+
+/**
+ * ExecutionPolicyModal Component
+ *
+ * Modal dialog shown when R code calls functions the server's execution
+ * policy only runs after explicit confirmation (system(), unlink(), ...)
+ */
+const ExecutionPolicyModal = ({ isOpen, functions = [], code = '', onConfirm, onCancel }) => {
+  if (!isOpen) return null;
+
+  // Show the lines that mention the flagged functions so the user knows what they're approving
+  const flaggedLines = code
+    .split('\n')
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => functions.some(name => line.includes(name)));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg">
+        <div className="flex items-start mb-4">
+          <div className="flex-shrink-0">
+            <svg className="h-6 w-6 text-amber-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+            </svg>
+          </div>
+          <div className="ml-3">
+            <h2 className="text-xl font-bold text-gray-900">
+              Confirm R Code
+            </h2>
+          </div>
+        </div>
+
+        <p className="text-gray-700 mb-4 text-sm leading-relaxed">
+          This code calls functions that can change files, packages or the system outside of your analysis:
+        </p>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {functions.map(name => (
+            <code key={name} className="px-2 py-1 bg-amber-50 border border-amber-300 text-amber-800 rounded text-sm">
+              {name}()
+            </code>
+          ))}
+        </div>
+
+        {flaggedLines.length > 0 && (
+          <pre className="bg-gray-50 border border-gray-200 rounded p-3 mb-4 text-xs text-gray-800 overflow-x-auto max-h-48">
+            {flaggedLines.map(({ line, number }) => (
+              <div key={number}>
+                <span className="text-gray-400 select-none mr-3">{number}</span>
+                {line}
+              </div>
+            ))}
+          </pre>
+        )}
+
+        <p className="text-gray-700 mb-6 text-sm leading-relaxed">
+          Only run it if you trust what it does.
+        </p>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Don't Run
+          </button>
+          <button
+            onClick={onConfirm}
+            className="px-4 py-2 bg-amber-600 text-white font-medium rounded-lg hover:bg-amber-700 transition-colors"
+          >
+            Run Anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExecutionPolicyModal;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' }
+];
+
+const ENCODINGS = [
+  { value: 'UTF-8', label: 'UTF-8' },
+  { value: 'UTF-8-BOM', label: 'UTF-8 with BOM' },
+  { value: 'latin1', label: 'Latin-1 (ISO-8859-1)' },
+  { value: 'windows-1252', label: 'Windows-1252' }
+];
+
+// R column classes a column can be read as (see IMPORT_COLUMN_TYPES on the server)
+const COLUMN_TYPES = ['character', 'numeric', 'integer', 'logical', 'factor', 'Date'];
+
+// Wait for typing to pause before asking R for a new preview
+const PREVIEW_DELAY_MS = 400;
+
+const formatSize = (bytes) => bytes < 1024 * 1024
+  ? `${Math.max(Math.round(bytes / 1024), 1)} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const describeVersion = (version) => [
+  `Version ${version.number}`,
+  new Date(version.uploadedAt).toLocaleString(),
+  formatSize(version.size),
+  version.current && 'current'
+].filter(Boolean).join(' · ');
+
+/**
+ * ImportOptionsModal Component
+ *
+ * Modal dialog shown before a data file is loaded, to check how it will be read.
+ * fileInfo is the /api/data-file-info response ({ filename, format, label, version, versions,
+ * importOptions, columns, sheets }), with the upload's uploadMessage ("New version of ...").
+ * - Files with several versions: which version to load (the one just uploaded by default)
+ * - Delimited text: delimiter, encoding, header, lines to skip, decimal mark, missing
+ *   value strings and column types, starting from what the server sniffed
+ * - Excel workbooks: which sheet to load
+ * The preview shows the first rows as R reads them with the current options,
+ * and the code that will load the file.
+ */
+const ImportOptionsModal = ({ isOpen, fileInfo, workspaceId, onLoad, onCancel }) => {
+  const [info, setInfo] = useState(null);  // fileInfo, or the info of the version picked
+  const [sheet, setSheet] = useState('');
+  const [options, setOptions] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  // Start from the sniffed options (or the first sheet) for each file or version
+  const applyInfo = (nextInfo) => {
+    setInfo(nextInfo);
+    setSheet(nextInfo.sheets?.[0] || '');
+    setOptions(nextInfo.importOptions || null);
+    setPreview(null);
+  };
+
+  useEffect(() => {
+    if (isOpen && fileInfo) applyInfo(fileInfo);
+  }, [isOpen, fileInfo]);
+
+  // Preview the file as R reads it whenever an option changes
+  useEffect(() => {
+    if (!isOpen || !info) return;
+    let cancelled = false;
+    setIsPreviewing(true);
+    const timer = setTimeout(() => {
+      fetch('/api/data-file-preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: info.filename,
+          version: info.version,
+          workspaceId,
+          sheet: sheet || undefined,
+          importOptions: options || undefined
+        })
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (!cancelled) setPreview(data);
+        })
+        .catch(fetchError => {
+          console.error('[Import Options] Could not preview file:', fetchError);
+          if (!cancelled) setPreview({ error: 'Could not preview the file.', columns: [], rows: [] });
+        })
+        .finally(() => {
+          if (!cancelled) setIsPreviewing(false);
+        });
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isOpen, info, workspaceId, sheet, options]);
+
+  if (!isOpen || !info) return null;
+
+  // Versions can differ in layout, so each is read with its own sniffed options
+  const selectVersion = (version) => {
+    setPreview(null);
+    fetch(`/api/data-file-info/${encodeURIComponent(info.filename)}?workspaceId=${encodeURIComponent(workspaceId)}&version=${version}`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        applyInfo({ ...data, uploadMessage: info.uploadMessage });
+      })
+      .catch(fetchError => {
+        console.error('[Import Options] Could not read version:', fetchError);
+        setPreview({ error: 'Could not read this version of the file.', columns: [], rows: [] });
+      });
+  };
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const setColumnType = (name, type) => {
+    setOptions(prev => {
+      const columnTypes = { ...prev.columnTypes, [name]: type };
+      if (!type) delete columnTypes[name];  // Back to the type R detects
+      return { ...prev, columnTypes };
+    });
+  };
+
+  // Missing value strings are edited as a comma-separated list, with empty cells as a checkbox
+  const naText = options ? options.naStrings.filter(value => value !== '').join(', ') : '';
+  const setNaText = (text) => {
+    const values = text.split(',').map(value => value.trim()).filter(Boolean);
+    setOption('naStrings', options.naStrings.includes('') ? [...values, ''] : values);
+  };
+  const setEmptyIsMissing = (checked) => {
+    const values = options.naStrings.filter(value => value !== '');
+    setOption('naStrings', checked ? [...values, ''] : values);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onLoad(info.filename, {
+      version: info.version,
+      uploadMessage: info.uploadMessage,
+      ...(sheet && { sheet }),
+      ...(options && { importOptions: options })
+    });
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const renderDelimitedOptions = () => (
+    <div className="grid grid-cols-4 gap-3 mb-4 text-sm">
+      <label className="block">
+        <span className="text-gray-600">Delimiter</span>
+        <select value={options.delimiter} onChange={(e) => setOption('delimiter', e.target.value)} className={inputClass}>
+          {DELIMITERS.map(({ value, label }) => (
+            <option key={label} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Encoding</span>
+        <select value={options.encoding} onChange={(e) => setOption('encoding', e.target.value)} className={inputClass}>
+          {ENCODINGS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Decimal mark</span>
+        <select value={options.decimal} onChange={(e) => setOption('decimal', e.target.value)} className={inputClass}>
+          <option value=".">Point (1.5)</option>
+          <option value=",">Comma (1,5)</option>
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Lines to skip</span>
+        <input
+          type="number"
+          min="0"
+          value={options.skip}
+          onChange={(e) => setOption('skip', Math.max(parseInt(e.target.value, 10) || 0, 0))}
+          className={inputClass}
+        />
+      </label>
+      <label className="flex items-center gap-2 col-span-2">
+        <input type="checkbox" checked={options.header} onChange={(e) => setOption('header', e.target.checked)} />
+        <span className="text-gray-600">First line has column names</span>
+        {options.header && (
+          <>
+            <span className="text-gray-600 ml-2">Header lines</span>
+            <input
+              type="number"
+              min="1"
+              max="10"
+              value={options.headerLines}
+              onChange={(e) => setOption('headerLines', Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 10))}
+              className="w-14 px-2 py-1 border border-gray-300 rounded text-sm"
+              title="Lines under the column names (units, notes) are skipped"
+            />
+          </>
+        )}
+      </label>
+      <div className="col-span-2">
+        <span className="text-gray-600">Missing values</span>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            defaultValue={naText}
+            key={naText}
+            onBlur={(e) => setNaText(e.target.value)}
+            placeholder="NA, N/A, -"
+            className={inputClass}
+          />
+          <label className="flex items-center gap-1 whitespace-nowrap text-gray-600">
+            <input type="checkbox" checked={options.naStrings.includes('')} onChange={(e) => setEmptyIsMissing(e.target.checked)} />
+            Empty cells
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => {
+    if (!preview) return <div className="text-sm text-gray-500">Reading file...</div>;
+    if (preview.error) {
+      return (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700 whitespace-pre-wrap">
+          R could not read the file with these options:{'\n'}{preview.error}
+        </div>
+      );
+    }
+    return (
+      <div className={`overflow-auto max-h-[40vh] border border-gray-200 rounded ${isPreviewing ? 'opacity-50' : ''}`}>
+        <table className="text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {preview.columns.map(column => (
+                <th key={column.name} className="px-2 py-1 text-left font-medium text-gray-700 align-top">
+                  <div className="whitespace-nowrap">{column.name}</div>
+                  {options ? (
+                    <select
+                      value={options.columnTypes[column.name] || ''}
+                      onChange={(e) => setColumnType(column.name, e.target.value)}
+                      className="mt-1 text-xs border border-gray-300 rounded font-normal"
+                      title="Column type"
+                    >
+                      <option value="">{column.type} (detected)</option>
+                      {COLUMN_TYPES.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <div className="font-normal text-gray-500">{column.type}</div>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-t border-gray-100">
+                {row.map((value, columnIndex) => (
+                  <td key={columnIndex} className="px-2 py-1 whitespace-nowrap text-gray-800">{value}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">
+          Load {info.filename}
+        </h2>
+        {info.uploadMessage && (
+          <div className="mb-3 p-2 bg-blue-50 border border-blue-200 rounded text-sm text-blue-800">{info.uploadMessage}</div>
+        )}
+        <p className="text-gray-600 mb-4 text-sm">
+          {info.label} file. {options
+            ? 'These options were detected from the file - check the preview and change any that are wrong.'
+            : 'Choose the sheet to load.'}
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          {info.versions?.length > 1 && (
+            <label className="block mb-4 text-sm max-w-md">
+              <span className="text-gray-600">Version</span>
+              <select value={info.version} onChange={(e) => selectVersion(e.target.value)} className={inputClass}>
+                {[...info.versions].reverse().map(version => (
+                  <option key={version.hash} value={version.hash} title={`SHA-256 ${version.hash}`}>{describeVersion(version)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {info.sheets?.length > 0 && (
+            <label className="block mb-4 text-sm max-w-xs">
+              <span className="text-gray-600">Sheet</span>
+              <select value={sheet} onChange={(e) => setSheet(e.target.value)} className={inputClass} autoFocus>
+                {info.sheets.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {options && renderDelimitedOptions()}
+
+          <h3 className="text-lg font-semibold mb-2 text-gray-800">Preview</h3>
+          {renderPreview()}
+          {preview?.code && (
+            <pre className="mt-3 p-2 bg-gray-50 border border-gray-200 rounded text-xs whitespace-pre-wrap">{preview.code}</pre>
+          )}
+
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!preview || !!preview.error}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Load
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ImportOptionsModal;
@@ -1,64 +1,98 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 
+const LEGACY_TYPES = { '': 'category', 'slider': 'numeric', 'year-range': 'range' };
+
+// Editors shown as a slider-style panel rather than a list of options
+const PANEL_TYPES = new Set(['numeric', 'number', 'range', 'date', 'date-range']);
+
+// Starting value of each element's editor (older elements only have their text)
+const initialValue = (int, text) => {
+  switch (int.type) {
+    case 'categories': return int.values || [];
+    case 'range':
+    case 'date-range': return { min: int.minValue, max: int.maxValue };
+    default: return int.value ?? text.substring(int.start, int.end);
+  }
+};
+
+// Range text in the same form as the original, e.g. "from 1990 to 2010", "between 1990 and 2010", "1990-2010"
+const formatRange = (originalText, min, max) => {
+  if (/\bfrom\s+\S+\s+to\s+\S+/i.test(originalText)) return `from ${min} to ${max}`;
+  if (/\bbetween\s+\S+\s+and\s+\S+/i.test(originalText)) return `between ${min} and ${max}`;
+  if (/^[\d.]+\s*-\s*[\d.]+$/.test(originalText.trim())) return `${min}-${max}`;
+  return `${min} to ${max}`;
+};
+
+// List text in the same form as the original: "A, B and C", "A, B, and C" or "A or B"
+const formatList = (originalText, values) => {
+  const conjunction = /\sor\s/i.test(originalText) ? 'or' : 'and';
+  if (values.length <= 2) return values.join(` ${conjunction} `);
+  const serialComma = new RegExp(`,\\s+${conjunction}\\s`, 'i').test(originalText) ? ',' : '';
+  return `${values.slice(0, -1).join(', ')}${serialComma} ${conjunction} ${values[values.length - 1]}`;
+};
+
 /**
  * InteractiveSuggestion Component
  *
- * Renders a suggestion with an optional interactive element that shows
- * alternative values on hover. Users can swap values before submitting.
+ * Renders a suggestion with the editable spans the server declared for it
+ * (see buildSuggestionSpans in server.js), any number of them. Hovering a span
+ * opens its editor:
+ * - category / column: the other values (or columns) to swap in
+ * - categories: checkboxes to pick several values
+ * - numeric: a slider over the column's range; number: a number field
+ * - range: a two-thumb slider; date / date-range: date pickers
+ * Users can change values before submitting.
  */
 const InteractiveSuggestion = ({ suggestion, iconName, onSubmit }) => {
-  // Track current text (may differ from original if user swaps values)
-  // IMPORTANT: Ensure this is always a string
-  const initialText = typeof suggestion === 'string' ? suggestion : (suggestion.text || '');
-  const [currentText, setCurrentText] = useState(String(initialText));
-
-  // Track which element's popup is showing (null | 0 | 1)
-  const [showOptionsIndex, setShowOptionsIndex] = useState(null);
-  const [hoverTimeout, setHoverTimeout] = useState(null);
-  const [popupPosition, setPopupPosition] = useState('below'); // 'below' or 'above'
-
-  // Multiple refs (one per element)
-  const interactiveRef0 = useRef(null);
-  const interactiveRef1 = useRef(null);
-  const popupRef0 = useRef(null);
-  const popupRef1 = useRef(null);
-
   // Normalize to array format (supports both old and new formats)
   const interactives = React.useMemo(() => {
     if (typeof suggestion === 'string') return [];
 
-    // New format takes precedence
-    if (suggestion.interactives && Array.isArray(suggestion.interactives)) {
-      return suggestion.interactives;
-    }
+    // Saved conversations and dataset reports still use the old single element
+    const elements = Array.isArray(suggestion.interactives)
+      ? suggestion.interactives
+      : (suggestion.interactive ? [suggestion.interactive] : []);
 
-    // Backwards compatibility: convert old format
-    if (suggestion.interactive) {
-      return [suggestion.interactive];
-    }
-
-    return [];
+    // Older element types: options list (no type), 'slider' and 'year-range'
+    return elements.map(int => ({ ...int, type: LEGACY_TYPES[int.type || ''] || int.type }));
   }, [suggestion]);
 
-  // Track updated interactive positions for each element
-  const [interactivePositions, setInteractivePositions] = useState(() => {
-    return interactives.map(int => ({ start: int.start, end: int.end }));
-  });
+  // Current text, where each element is in it, and each element's value - kept in one
+  // state so an edit to one element shifts the others in the same update
+  // IMPORTANT: Ensure the text is always a string
+  const initialEdits = useCallback(() => {
+    const text = String(typeof suggestion === 'string' ? suggestion : (suggestion.text || ''));
+    return {
+      text,
+      positions: interactives.map(int => ({ start: int.start, end: int.end })),
+      values: interactives.map(int => initialValue(int, text))
+    };
+  }, [suggestion, interactives]);
+  const [edits, setEdits] = useState(initialEdits);
+  const { text: currentText, positions: interactivePositions, values: elementValues } = edits;
 
-  // Sync positions when suggestion changes (reset to original positions)
+  // Reset to the original text when the suggestion changes
   useEffect(() => {
-    setInteractivePositions(interactives.map(int => ({ start: int.start, end: int.end })));
-    setCurrentText(typeof suggestion === 'string' ? suggestion : (suggestion.text || ''));
-  }, [suggestion, interactives]);
+    setEdits(initialEdits());
+  }, [initialEdits]);
+
+  // Track which element's popup is showing (null or its index)
+  const [showOptionsIndex, setShowOptionsIndex] = useState(null);
+  const [hoverTimeout, setHoverTimeout] = useState(null);
+  const [popupPosition, setPopupPosition] = useState('below'); // 'below' or 'above'
+  const [popupStyle, setPopupStyle] = useState({});
+
+  // One span and one popup element per interactive, by index
+  const interactiveRefs = useRef([]);
+  const popupRefs = useRef([]);
 
   // Handle click outside to close popup
   useEffect(() => {
     if (showOptionsIndex === null) return;
 
     const handleClickOutside = (event) => {
-      // Check all interactive refs and popup refs
-      const clickedInside = [interactiveRef0, interactiveRef1, popupRef0, popupRef1]
-        .some(ref => ref.current && ref.current.contains(event.target));
+      const clickedInside = [...interactiveRefs.current, ...popupRefs.current]
+        .some(element => element && element.contains(event.target));
 
       if (!clickedInside) {
         setShowOptionsIndex(null);
@@ -75,20 +109,16 @@ const InteractiveSuggestion = ({ suggestion, iconName, onSubmit }) => {
     };
   }, [showOptionsIndex, hoverTimeout]);
 
-  // Track popup inline styles for fixed positioning (one per element)
-  const [popupStyles, setPopupStyles] = useState([{}, {}]);
-
   // Calculate popup position to avoid overflow
   useEffect(() => {
     if (showOptionsIndex === null) return;
 
-    const interactiveRef = showOptionsIndex === 0 ? interactiveRef0 : interactiveRef1;
-    const popupRef = showOptionsIndex === 0 ? popupRef0 : popupRef1;
-
-    if (!interactiveRef.current || !popupRef.current) return;
+    const interactiveElement = interactiveRefs.current[showOptionsIndex];
+    const popupElement = popupRefs.current[showOptionsIndex];
+    if (!interactiveElement || !popupElement) return;
 
-    const interactiveRect = interactiveRef.current.getBoundingClientRect();
-    const popupRect = popupRef.current.getBoundingClientRect();
+    const interactiveRect = interactiveElement.getBoundingClientRect();
+    const popupRect = popupElement.getBoundingClientRect();
     const viewportHeight = window.innerHeight;
     const viewportWidth = window.innerWidth;
 
@@ -126,167 +156,95 @@ const InteractiveSuggestion = ({ suggestion, iconName, onSubmit }) => {
     }
 
     setPopupPosition(position);
-    setPopupStyles(prev => {
-      const updated = [...prev];
-      updated[showOptionsIndex] = {
-        top: `${top}px`,
-        left: `${left}px`
-      };
-      return updated;
-    });
+    setPopupStyle({ top: `${top}px`, left: `${left}px` });
   }, [showOptionsIndex]);
 
-  // Recalculate positions when an element's text length changes
-  const recalculatePositions = useCallback((elementIndex, oldLength, newLength) => {
-    setInteractivePositions(prev => {
-      const newPositions = [...prev];
-      const lengthDiff = newLength - oldLength;
-
-      // Get the OLD end position of the changed element
-      const oldEnd = prev[elementIndex].end;
-
-      // Update current element's end position
-      newPositions[elementIndex] = {
-        start: prev[elementIndex].start,
-        end: prev[elementIndex].start + newLength
+  // Replace an element's text and value; elements after it in the TEXT (not array
+  // index) shift by the change in length. formatText gets the element's current text.
+  const updateElement = useCallback((elementIndex, newValue, formatText) => {
+    setEdits(prev => {
+      const { start, end } = prev.positions[elementIndex];
+      const newSpanText = String(formatText(prev.text.substring(start, end)));
+      const lengthDiff = newSpanText.length - (end - start);
+
+      return {
+        text: prev.text.substring(0, start) + newSpanText + prev.text.substring(end),
+        positions: prev.positions.map((position, i) => {
+          if (i === elementIndex) return { start, end: start + newSpanText.length };
+          if (position.start >= end) return { start: position.start + lengthDiff, end: position.end + lengthDiff };
+          return position;
+        }),
+        values: prev.values.map((value, i) => (i === elementIndex ? newValue : value))
       };
-
-      // Shift ALL elements that come after this one in the TEXT (not array index)
-      // Only shift elements whose start position is >= the old end position
-      for (let i = 0; i < newPositions.length; i++) {
-        if (i !== elementIndex && prev[i].start >= oldEnd) {
-          newPositions[i] = {
-            start: prev[i].start + lengthDiff,
-            end: prev[i].end + lengthDiff
-          };
-        }
-      }
-
-      return newPositions;
     });
   }, []);
 
-  // Handle option selection
-  const handleOptionSelect = useCallback((elementIndex, newValue) => {
-    if (interactives.length === 0 || !interactivePositions[elementIndex]) return;
-
-    const { start, end } = interactivePositions[elementIndex];
-    const oldLength = end - start;
-    const newLength = newValue.length;
-
-    // Rebuild text with new value
-    const newText = currentText.substring(0, start) + newValue + currentText.substring(end);
-    setCurrentText(newText);
-
-    // Recalculate positions (shifts subsequent elements if needed)
-    recalculatePositions(elementIndex, oldLength, newLength);
-
+  const closePopup = useCallback(() => {
     setShowOptionsIndex(null);
-
-    // Clear hover timeout
     if (hoverTimeout) {
       clearTimeout(hoverTimeout);
       setHoverTimeout(null);
     }
-  }, [interactives, interactivePositions, currentText, hoverTimeout, recalculatePositions]);
+  }, [hoverTimeout]);
 
-  // Handle slider value change
-  const handleSliderChange = useCallback((e, elementIndex) => {
-    e.stopPropagation(); // Prevent event from bubbling up
-    e.preventDefault();
+  // Handle option selection (category, column)
+  const handleOptionSelect = useCallback((elementIndex, newValue) => {
+    updateElement(elementIndex, newValue, () => newValue);
+    closePopup();
+  }, [updateElement, closePopup]);
 
-    if (interactives.length === 0 || !interactivePositions[elementIndex]) return;
+  // Handle a value typed or slid in (numeric, number, date)
+  const handleValueChange = useCallback((e, elementIndex) => {
+    e.stopPropagation(); // Prevent event from bubbling up
 
     const newValue = e.target.value;
-    const { start, end } = interactivePositions[elementIndex];
-    const valueStr = String(newValue);
-    const oldLength = end - start;
-    const newLength = valueStr.length;
-    const newText = currentText.substring(0, start) + valueStr + currentText.substring(end);
-
-    // Update text
-    setCurrentText(newText);
-
-    // Recalculate positions (shifts subsequent elements if needed)
-    recalculatePositions(elementIndex, oldLength, newLength);
-  }, [interactives, interactivePositions, currentText, recalculatePositions]);
-
-  // Handle year range slider changes (dual-thumb) - one per element
-  const [yearRangeValues, setYearRangeValues] = useState(() => {
-    return interactives.map(int => {
-      if (int.type === 'year-range') {
-        return { min: int.minValue, max: int.maxValue };
-      }
-      return null;
-    });
-  });
+    if (newValue === '') return; // Keep the last value while a field is being retyped
+    updateElement(elementIndex, newValue, () => newValue);
+  }, [updateElement]);
 
-  // Sync yearRangeValues when interactives changes
-  useEffect(() => {
-    setYearRangeValues(interactives.map(int => {
-      if (int.type === 'year-range') {
-        return { min: int.minValue, max: int.maxValue };
-      }
-      return null;
-    }));
-  }, [interactives]);
+  // Handle checking or unchecking one of several categories (at least one stays checked)
+  const handleCategoryToggle = useCallback((elementIndex, option) => {
+    const interactive = interactives[elementIndex];
+    const selected = elementValues[elementIndex] || [];
+    const toggled = selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : interactive.options.filter(value => value === option || selected.includes(value));
+    if (toggled.length === 0) return;
+
+    updateElement(elementIndex, toggled, (originalText) => formatList(originalText, toggled));
+  }, [interactives, elementValues, updateElement]);
 
-  const handleYearRangeChange = useCallback((e, thumb, elementIndex) => {
+  // Handle range changes (dual-thumb slider or two dates)
+  const handleRangeChange = useCallback((e, thumb, elementIndex) => {
     e.stopPropagation();
-    e.preventDefault();
 
     const interactive = interactives[elementIndex];
-    const position = interactivePositions[elementIndex];
-    if (!interactive || !position) return;
-
-    const currentValues = yearRangeValues[elementIndex] || { min: interactive.minValue, max: interactive.maxValue };
-    const newValue = parseInt(e.target.value);
-    const minGap = 1;
+    const currentValues = elementValues[elementIndex];
+    if (!interactive || !currentValues) return;
 
-    // Update the appropriate value
     let newMin = currentValues.min;
     let newMax = currentValues.max;
 
-    if (thumb === 'min') {
-      // Ensure min doesn't exceed (max - minGap)
-      newMin = Math.min(newValue, currentValues.max - minGap);
+    if (interactive.type === 'date-range') {
+      // Dates in YYYY-MM-DD form compare in date order; the ends may meet but not cross
+      const newValue = e.target.value;
+      if (!newValue) return;
+      if (thumb === 'min') newMin = newValue < newMax ? newValue : newMax;
+      else newMax = newValue > newMin ? newValue : newMin;
     } else {
-      // Ensure max doesn't go below (min + minGap)
-      newMax = Math.max(newValue, currentValues.min + minGap);
-    }
-
-    // Update year range values
-    setYearRangeValues(prev => {
-      const updated = [...prev];
-      updated[elementIndex] = { min: newMin, max: newMax };
-      return updated;
-    });
-
-    // Reconstruct the range text (e.g., "1950 to 1990")
-    const originalText = currentText.substring(position.start, position.end);
-    let rangeText;
-
-    // Detect the format used in the original text
-    if (/\bfrom\s+\d+\s+to\s+\d+\b/i.test(originalText)) {
-      rangeText = `from ${newMin} to ${newMax}`;
-    } else if (/\bbetween\s+\d+\s+and\s+\d+\b/i.test(originalText)) {
-      rangeText = `between ${newMin} and ${newMax}`;
-    } else if (/\d+\s*-\s*\d+/.test(originalText)) {
-      rangeText = `${newMin}-${newMax}`;
-    } else if (/\d+\s+to\s+\d+/i.test(originalText)) {
-      rangeText = `${newMin} to ${newMax}`;
-    } else {
-      rangeText = `${newMin} to ${newMax}`; // default
+      const newValue = parseFloat(e.target.value);
+      const minGap = interactive.step || 1;
+      if (thumb === 'min') {
+        // Ensure min doesn't exceed (max - minGap)
+        newMin = parseFloat(Math.min(newValue, currentValues.max - minGap).toFixed(10));
+      } else {
+        // Ensure max doesn't go below (min + minGap)
+        newMax = parseFloat(Math.max(newValue, currentValues.min + minGap).toFixed(10));
+      }
     }
 
-    const newText = currentText.substring(0, position.start) + rangeText + currentText.substring(position.end);
-
-    // Update text
-    setCurrentText(newText);
-
-    // Recalculate positions (shifts subsequent elements if needed)
-    recalculatePositions(elementIndex, position.end - position.start, rangeText.length);
-  }, [interactives, interactivePositions, currentText, yearRangeValues, recalculatePositions]);
+    updateElement(elementIndex, { min: newMin, max: newMax }, (originalText) => formatRange(originalText, newMin, newMax));
+  }, [interactives, elementValues, updateElement]);
 
   // Handle mouse enter on interactive element
   const handleMouseEnter = useCallback((elementIndex) => {
@@ -317,127 +275,202 @@ const InteractiveSuggestion = ({ suggestion, iconName, onSubmit }) => {
     setHoverTimeout(timeout);
   }, []);
 
-  // Helper function to render a popup for a specific interactive element
-  const renderPopup = (elementIndex, interactive, popupRef) => {
-    const { context, options, type, min, max, step, minValue, maxValue } = interactive;
-    const position = interactivePositions[elementIndex];
-    const interactiveValue = currentText.substring(position.start, position.end);
-    const isSlider = type === 'slider';
-    const isYearRange = type === 'year-range';
-
-    return (
-      <div
-        ref={popupRef}
-        className={`options-popup ${popupPosition === 'above' ? 'options-popup-above' : ''} ${isSlider || isYearRange ? 'slider-popup' : ''}`}
-        style={popupStyles[elementIndex]}
-        onClick={(e) => e.stopPropagation()}
-        onMouseDown={(e) => e.stopPropagation()}
-        onMouseUp={(e) => e.stopPropagation()}
-        onMouseEnter={() => {
-          // Keep popup visible when hovering over it
-          if (hoverTimeout) {
-            clearTimeout(hoverTimeout);
-            setHoverTimeout(null);
-          }
-          setShowOptionsIndex(elementIndex);
-        }}
-        onMouseLeave={handlePopupMouseLeave}
-      >
-        {isYearRange ? (
-          // Year Range Slider UI (dual-thumb)
-          <div
-            className="slider-container"
-            onClick={(e) => e.stopPropagation()}
-            onMouseDown={(e) => e.stopPropagation()}
-          >
+  // Keeps clicks and drags inside an editor from reaching the suggestion button
+  const stopEvent = (e) => e.stopPropagation();
+  const inputEvents = { onMouseDown: stopEvent, onMouseUp: stopEvent, onClick: stopEvent };
+
+  // Editor for one element, by type
+  const renderEditor = (elementIndex, interactive) => {
+    const { context, options, type, min, max, step } = interactive;
+    const value = elementValues[elementIndex];
+
+    switch (type) {
+      case 'range':
+        return (
+          <div className="slider-container" {...inputEvents}>
             <div className="slider-header">{context}</div>
             <div className="year-range-control">
               <div className="year-range-labels">
-                <span className="year-label">{yearRangeValues[elementIndex]?.min || minValue}</span>
-                <span className="year-label">{yearRangeValues[elementIndex]?.max || maxValue}</span>
+                <span className="year-label">{value.min}</span>
+                <span className="year-label">{value.max}</span>
               </div>
               <div className="dual-slider-container">
-                {/* Min year slider */}
+                {/* Min slider */}
                 <input
                   type="range"
-                  min={min || 1900}
-                  max={max || 2100}
+                  min={min}
+                  max={max}
                   step={step || 1}
-                  value={yearRangeValues[elementIndex]?.min || minValue}
-                  onChange={(e) => handleYearRangeChange(e, 'min', elementIndex)}
-                  onMouseDown={(e) => e.stopPropagation()}
-                  onMouseUp={(e) => e.stopPropagation()}
-                  onClick={(e) => e.stopPropagation()}
+                  value={value.min}
+                  onChange={(e) => handleRangeChange(e, 'min', elementIndex)}
+                  {...inputEvents}
                   className="slider-input range-min"
                 />
-                {/* Max year slider */}
+                {/* Max slider */}
                 <input
                   type="range"
-                  min={min || 1900}
-                  max={max || 2100}
+                  min={min}
+                  max={max}
                   step={step || 1}
-                  value={yearRangeValues[elementIndex]?.max || maxValue}
-                  onChange={(e) => handleYearRangeChange(e, 'max', elementIndex)}
-                  onMouseDown={(e) => e.stopPropagation()}
-                  onMouseUp={(e) => e.stopPropagation()}
-                  onClick={(e) => e.stopPropagation()}
+                  value={value.max}
+                  onChange={(e) => handleRangeChange(e, 'max', elementIndex)}
+                  {...inputEvents}
                   className="slider-input range-max"
                 />
               </div>
             </div>
           </div>
-        ) : isSlider ? (
-          // Single Slider UI
-          <div
-            className="slider-container"
-            onClick={(e) => e.stopPropagation()}
-            onMouseDown={(e) => e.stopPropagation()}
-          >
+        );
+
+      case 'numeric':
+        return (
+          <div className="slider-container" {...inputEvents}>
             <div className="slider-header">{context}</div>
             <div className="slider-control">
               <input
                 type="range"
-                min={min || 1}
-                max={max || 100}
+                min={min}
+                max={max}
                 step={step || 1}
-                value={parseInt(interactiveValue) || min || 1}
-                onChange={(e) => handleSliderChange(e, elementIndex)}
-                onMouseDown={(e) => e.stopPropagation()}
-                onMouseUp={(e) => e.stopPropagation()}
-                onClick={(e) => e.stopPropagation()}
+                value={value}
+                onChange={(e) => handleValueChange(e, elementIndex)}
+                {...inputEvents}
                 className="slider-input"
               />
-              <div className="slider-value">{interactiveValue}</div>
+              <div className="slider-value">{value}</div>
+            </div>
+          </div>
+        );
+
+      case 'number':
+        return (
+          <div className="slider-container" {...inputEvents}>
+            <div className="slider-header">{context}</div>
+            <input
+              type="number"
+              value={value}
+              onChange={(e) => handleValueChange(e, elementIndex)}
+              {...inputEvents}
+              className="date-input"
+            />
+          </div>
+        );
+
+      case 'date':
+        return (
+          <div className="slider-container" {...inputEvents}>
+            <div className="slider-header">{context}</div>
+            <input
+              type="date"
+              min={min}
+              max={max}
+              value={value}
+              onChange={(e) => handleValueChange(e, elementIndex)}
+              {...inputEvents}
+              className="date-input"
+            />
+          </div>
+        );
+
+      case 'date-range':
+        return (
+          <div className="slider-container" {...inputEvents}>
+            <div className="slider-header">{context}</div>
+            <div className="date-range-control">
+              <input
+                type="date"
+                min={min}
+                max={value.max}
+                value={value.min}
+                onChange={(e) => handleRangeChange(e, 'min', elementIndex)}
+                {...inputEvents}
+                className="date-input"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                min={value.min}
+                max={max}
+                value={value.max}
+                onChange={(e) => handleRangeChange(e, 'max', elementIndex)}
+                {...inputEvents}
+                className="date-input"
+              />
             </div>
           </div>
-        ) : (
-          // Options list UI
+        );
+
+      case 'categories':
+        return (
+          <>
+            <div className="options-header">{context}</div>
+            <div className="options-list">
+              {options.map(option => (
+                <label key={option} className="option-item" {...inputEvents}>
+                  <input
+                    type="checkbox"
+                    checked={value.includes(option)}
+                    onChange={() => handleCategoryToggle(elementIndex, option)}
+                    className="mr-2"
+                  />
+                  {option}
+                </label>
+              ))}
+            </div>
+          </>
+        );
+
+      default:
+        // Options list UI (category, column)
+        return (
           <>
             <div className="options-header">{context}</div>
             <div className="options-list">
               {options.map((option, idx) => (
                 <div
                   key={idx}
-                  className={`option-item ${option === interactiveValue ? 'selected' : ''}`}
+                  className={`option-item ${option === value ? 'selected' : ''}`}
                   onClick={(e) => {
                     e.stopPropagation();
                     handleOptionSelect(elementIndex, option);
                   }}
                 >
                   {option}
-                  {option === interactiveValue && <span className="checkmark">✓</span>}
+                  {option === value && <span className="checkmark">✓</span>}
                 </div>
               ))}
             </div>
           </>
-        )}
-      </div>
-    );
+        );
+    }
   };
 
-  // Render text with multiple interactive elements
+  // Helper function to render the popup for a specific interactive element
+  const renderPopup = (elementIndex, interactive) => (
+    <div
+      ref={element => { popupRefs.current[elementIndex] = element; }}
+      className={`options-popup ${popupPosition === 'above' ? 'options-popup-above' : ''} ${PANEL_TYPES.has(interactive.type) ? 'slider-popup' : ''}`}
+      style={popupStyle}
+      onClick={stopEvent}
+      onMouseDown={stopEvent}
+      onMouseUp={stopEvent}
+      onMouseEnter={() => {
+        // Keep popup visible when hovering over it
+        if (hoverTimeout) {
+          clearTimeout(hoverTimeout);
+          setHoverTimeout(null);
+        }
+        setShowOptionsIndex(elementIndex);
+      }}
+      onMouseLeave={handlePopupMouseLeave}
+    >
+      {renderEditor(elementIndex, interactive)}
+    </div>
+  );
+
+  // Render text with its interactive elements
   const renderText = () => {
-    if (interactives.length === 0) {
+    if (interactives.length === 0 || interactivePositions.length !== interactives.length) {
       return <span className="break-words">{currentText}</span>;
     }
 
@@ -463,22 +496,17 @@ const InteractiveSuggestion = ({ suggestion, iconName, onSubmit }) => {
       }
 
       // Interactive element
-      const refToUse = elementIndex === 0 ? interactiveRef0 : interactiveRef1;
-      const popupRefToUse = elementIndex === 0 ? popupRef0 : popupRef1;
-
       segments.push(
         <span
           key={`interactive-${elementIndex}`}
-          ref={refToUse}
+          ref={element => { interactiveRefs.current[elementIndex] = element; }}
           className="interactive-value"
           onMouseEnter={() => handleMouseEnter(elementIndex)}
           onMouseLeave={handleMouseLeave}
         >
           {currentText.substring(start, end)}
 
-          {showOptionsIndex === elementIndex && (
-            renderPopup(elementIndex, interactive, popupRefToUse)
-          )}
+          {showOptionsIndex === elementIndex && renderPopup(elementIndex, interactive)}
         </span>
       );
 
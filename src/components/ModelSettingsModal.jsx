@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { MODEL_PURPOSES } from '../utils/modelSettings';
+
+/**
+ * ModelSettingsModal Component
+ *
+ * Modal dialog for choosing the LLM provider, model, max tokens and temperature
+ * for each purpose (chat, dataset report, report rewrite, descriptions), and the
+ * connection details of the OpenAI-compatible and local providers
+ */
+const ModelSettingsModal = ({ isOpen, settings, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(settings);
+  const [providers, setProviders] = useState({});
+  const [defaults, setDefaults] = useState({});
+
+  // Start from the saved settings each time the dialog opens
+  useEffect(() => {
+    if (isOpen) setDraft(settings);
+  }, [isOpen, settings]);
+
+  // Provider list and server defaults (shown as placeholders)
+  useEffect(() => {
+    if (!isOpen) return;
+    fetch('/api/llm-providers')
+      .then(response => response.json())
+      .then(data => {
+        setProviders(data.providers || {});
+        setDefaults(data.defaults || {});
+      })
+      .catch(error => console.error('[Model Settings] Could not load providers:', error));
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const updatePurpose = (purpose, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      purposes: { ...prev.purposes, [purpose]: { ...prev.purposes[purpose], [field]: value } }
+    }));
+  };
+
+  const updateProvider = (provider, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      providers: { ...prev.providers, [provider]: { ...prev.providers[provider], [field]: value } }
+    }));
+  };
+
+  // Placeholder for a blank field: what the server uses for it
+  const defaultFor = (purpose, field) => {
+    const chosen = draft.purposes[purpose].provider;
+    const purposeDefaults = defaults[purpose] || {};
+    if (field === 'model' && chosen && chosen !== purposeDefaults.provider) {
+      return providers[chosen]?.defaultModel || '';
+    }
+    return purposeDefaults[field] ?? '';
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">
+          Model Settings
+        </h2>
+        <p className="text-gray-600 mb-4 text-sm">
+          Choose the model used for each task. Leave a field blank to use the default shown in grey.
+        </p>
+
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="pb-2 pr-2 font-medium">Task</th>
+              <th className="pb-2 pr-2 font-medium">Provider</th>
+              <th className="pb-2 pr-2 font-medium">Model</th>
+              <th className="pb-2 pr-2 font-medium w-24">Max Tokens</th>
+              <th className="pb-2 font-medium w-24">Temperature</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MODEL_PURPOSES.map(({ id, label }) => (
+              <tr key={id}>
+                <td className="py-1 pr-2 text-gray-800">{label}</td>
+                <td className="py-1 pr-2">
+                  <select
+                    value={draft.purposes[id].provider}
+                    onChange={(e) => updatePurpose(id, 'provider', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">Default ({providers[defaults[id]?.provider]?.label || 'Anthropic'})</option>
+                    {Object.entries(providers).map(([providerId, provider]) => (
+                      <option key={providerId} value={providerId}>{provider.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="text"
+                    value={draft.purposes[id].model}
+                    onChange={(e) => updatePurpose(id, 'model', e.target.value)}
+                    placeholder={defaultFor(id, 'model')}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.purposes[id].maxTokens}
+                    onChange={(e) => updatePurpose(id, 'maxTokens', e.target.value)}
+                    placeholder={String(defaultFor(id, 'maxTokens'))}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    value={draft.purposes[id].temperature}
+                    onChange={(e) => updatePurpose(id, 'temperature', e.target.value)}
+                    placeholder={defaultFor(id, 'temperature') === null ? 'default' : String(defaultFor(id, 'temperature'))}
+                    className={inputClass}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3 className="text-lg font-semibold mb-2 text-gray-800">
+          {providers.openai?.label || 'OpenAI-compatible'}
+        </h3>
+        <div className="grid grid-cols-2 gap-3 mb-4 text-sm">
+          <label className="block">
+            <span className="text-gray-600">Base URL</span>
+            <input
+              type="text"
+              value={draft.providers.openai.baseUrl}
+              onChange={(e) => updateProvider('openai', 'baseUrl', e.target.value)}
+              placeholder={providers.openai?.defaultBaseUrl || ''}
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">API Key</span>
+            <input
+              type="password"
+              value={draft.providers.openai.apiKey}
+              onChange={(e) => updateProvider('openai', 'apiKey', e.target.value)}
+              placeholder="sk-..."
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-2 text-gray-800">
+          {providers.local?.label || 'Local (Ollama / llama.cpp)'}
+        </h3>
+        <label className="block mb-2 text-sm">
+          <span className="text-gray-600">Base URL</span>
+          <input
+            type="text"
+            value={draft.providers.local.baseUrl}
+            onChange={(e) => updateProvider('local', 'baseUrl', e.target.value)}
+            placeholder={providers.local?.defaultBaseUrl || ''}
+            className={inputClass}
+          />
+        </label>
+        <p className="text-gray-500 mb-6 text-xs">
+          The Scripted provider needs no connection: it replies from llm-script.json in the project folder.
+        </p>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelSettingsModal;
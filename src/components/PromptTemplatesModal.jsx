@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+
+const CUSTOM_INSTRUCTIONS = 'custom-instructions';
+const PREVIEW = 'preview';
+
+/**
+ * PromptTemplatesModal Component
+ *
+ * Modal dialog for editing the templates the chat system prompt is assembled from
+ * (prompts/chat on the server) and the project's custom instructions - house style,
+ * preferred packages, functions to avoid - which are added to every chat prompt.
+ * The preview shows the prompt exactly as it would be sent for the current
+ * conversation state (suggestions setting, active dataset, plots, memory).
+ */
+const PromptTemplatesModal = ({ isOpen, previewState, onClose }) => {
+  const [sections, setSections] = useState([]);
+  const [variables, setVariables] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [saved, setSaved] = useState({});
+  const [selected, setSelected] = useState(CUSTOM_INSTRUCTIONS);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the templates from disk each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setError(null);
+    setPreview(null);
+    fetch('/api/prompt-templates')
+      .then(response => response.json())
+      .then(data => {
+        const contents = {
+          [CUSTOM_INSTRUCTIONS]: data.customInstructions,
+          ...Object.fromEntries(data.sections.map(section => [section.name, section.content]))
+        };
+        setSections(data.sections);
+        setVariables(data.variables || {});
+        setDrafts(contents);
+        setSaved(contents);
+      })
+      .catch(fetchError => {
+        console.error('[Prompt Templates] Could not load templates:', fetchError);
+        setError('Could not load the prompt templates from the server.');
+      });
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isDirty = (name) => drafts[name] !== saved[name];
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/prompt-templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: selected, content: drafts[selected] })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not save the template');
+      }
+      setSaved(prev => ({ ...prev, [selected]: drafts[selected] }));
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Assemble the prompt for the current state (from the saved templates)
+  const handleShowPreview = () => {
+    setSelected(PREVIEW);
+    setPreview(null);
+    fetch('/api/prompt-templates/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(previewState)
+    })
+      .then(response => response.json())
+      .then(setPreview)
+      .catch(fetchError => {
+        console.error('[Prompt Templates] Could not build preview:', fetchError);
+        setError('Could not build the preview.');
+      });
+  };
+
+  const handleClose = () => {
+    const unsaved = Object.keys(drafts).filter(isDirty);
+    if (unsaved.length > 0 && !window.confirm(`Discard unsaved changes to ${unsaved.join(', ')}?`)) return;
+    onClose();
+  };
+
+  const selectedSection = sections.find(section => section.name === selected);
+
+  const describeSection = (section) => [
+    section.when && `only when ${section.when} is set`,
+    section.perRequest && 'changes per request'
+  ].filter(Boolean).join(', ');
+
+  const navClass = (name) => `w-full text-left px-2 py-1 rounded text-sm transition-colors ${
+    selected === name ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+
+  const renderPreview = () => {
+    if (!preview) return <div className="text-sm text-gray-500">Assembling prompt...</div>;
+    return (
+      <>
+        <p className="text-gray-500 mb-2 text-xs">
+          ~{preview.tokens.static.toLocaleString()} tokens cached from turn to turn,
+          ~{preview.tokens.dynamic.toLocaleString()} tokens that change per request.
+          Included: {preview.sections.map(section => section.label).join(', ')}.
+        </p>
+        <pre className="p-2 mb-3 bg-gray-50 border border-gray-200 rounded text-xs whitespace-pre-wrap max-h-[45vh] overflow-y-auto">
+          {preview.staticPrompt}
+        </pre>
+        {preview.dynamicPrompt && (
+          <>
+            <h4 className="text-sm font-semibold mb-1 text-gray-700">Per request</h4>
+            <pre className="p-2 bg-amber-50 border border-amber-200 rounded text-xs whitespace-pre-wrap max-h-[25vh] overflow-y-auto">
+              {preview.dynamicPrompt}
+            </pre>
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">
+          Prompt Templates
+        </h2>
+        <p className="text-gray-600 mb-4 text-sm">
+          The chat instructions are assembled from these templates, in order. Changes apply from the next message.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="flex gap-4 flex-1 min-h-0">
+          <div className="w-56 flex-shrink-0 overflow-y-auto">
+            <button className={navClass(CUSTOM_INSTRUCTIONS)} onClick={() => setSelected(CUSTOM_INSTRUCTIONS)}>
+              Custom Instructions{isDirty(CUSTOM_INSTRUCTIONS) && ' *'}
+            </button>
+            <button className={navClass(PREVIEW)} onClick={handleShowPreview}>
+              Preview
+            </button>
+            <div className="border-t border-gray-300 my-2"></div>
+            {sections.map(section => (
+              <button key={section.name} className={navClass(section.name)} onClick={() => setSelected(section.name)}>
+                {section.label}{isDirty(section.name) && ' *'}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex-1 min-w-0 overflow-y-auto">
+            {selected === PREVIEW ? renderPreview() : (
+              <>
+                <p className="text-gray-500 mb-2 text-xs">
+                  {selected === CUSTOM_INSTRUCTIONS
+                    ? 'Project rules added to every chat prompt, e.g. a house ggplot theme, preferred packages or functions not to use. Saved in prompts/custom-instructions.md.'
+                    : `prompts/chat/${selected}.md${selectedSection && describeSection(selectedSection) ? ` - ${describeSection(selectedSection)}` : ''}`}
+                </p>
+                <textarea
+                  value={drafts[selected] ?? ''}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [selected]: e.target.value }))}
+                  placeholder={selected === CUSTOM_INSTRUCTIONS ? 'e.g. Use theme_bw() for every ggplot2 plot. Never use attach().' : ''}
+                  spellCheck={false}
+                  className="w-full h-[45vh] px-2 py-1 border border-gray-300 rounded text-xs font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {selected !== CUSTOM_INSTRUCTIONS && (
+                  <div className="mt-2 text-xs text-gray-500">
+                    Variables: {Object.entries(variables).map(([name, description]) => (
+                      <span key={name} className="mr-3" title={description}>
+                        <code>{`{{${name}}}`}</code>
+                      </span>
+                    ))}
+                    <div className="mt-1">
+                      Conditionals: <code>{'{{#if name}}...{{else}}...{{/if}}'}</code>. Other text in double braces is left as written.
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-4">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Close
+          </button>
+          {selected !== PREVIEW && (
+            <button
+              onClick={handleSave}
+              disabled={!isDirty(selected) || isSaving}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptTemplatesModal;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { executeRCode } from '../utils/rExecutor';
 
 /**
@@ -7,11 +7,18 @@ import { executeRCode } from '../utils/rExecutor';
  * Renders controls (sliders, selects, etc.) that reactively update
  * R visualizations without requiring LLM round trips.
  */
-export default function ReactiveComponent({ spec, onError }) {
+export default function ReactiveComponent({ spec, workspaceId, onError, onPolicyConfirmation }) {
   const [controlValues, setControlValues] = useState({});
   const [output, setOutput] = useState(null);
   const [isExecuting, setIsExecuting] = useState(false);
 
+  // Re-runs from this component replace each other in the server queue,
+  // and only the most recent request may update the output
+  const coalesceKeyRef = useRef(`reactive-${Math.random().toString(36).slice(2, 10)}`);
+  const latestRunRef = useRef(0);
+  // Functions the user agreed to run for this component - kept for later parameter changes
+  const confirmedFunctionsRef = useRef([]);
+
   // Initialize control values from defaults
   useEffect(() => {
     const initialValues = {};
@@ -28,6 +35,7 @@ export default function ReactiveComponent({ spec, onError }) {
   }, [controlValues]);
 
   const executeRWithParams = async () => {
+    const runId = ++latestRunRef.current;
     setIsExecuting(true);
 
     // Replace template parameters in R code
@@ -39,8 +47,29 @@ export default function ReactiveComponent({ spec, onError }) {
     });
 
     try {
-      const result = await executeRCode(rCode, spec.autoFormatTabular !== false);
+      const result = await executeRCode(rCode, spec.autoFormatTabular !== false, false, 'data', {
+        workspaceId,
+        coalesceKey: coalesceKeyRef.current,
+        confirmedFunctions: confirmedFunctionsRef.current
+      });
+      // Superseded or stale - a newer parameter set is on its way
+      if (result.superseded || runId !== latestRunRef.current) return;
+
       setOutput(result);
+
+      // The code calls functions the execution policy wants confirmed - ask, then run it again
+      if (result.policyViolation?.type === 'confirmation_required' && onPolicyConfirmation) {
+        onPolicyConfirmation({
+          code: rCode,
+          functions: result.policyViolation.functions,
+          confirmedFunctions: confirmedFunctionsRef.current,
+          rerun: (confirmed) => {
+            confirmedFunctionsRef.current = confirmed;
+            executeRWithParams();
+          }
+        });
+        return;
+      }
       if (result.error && onError) {
         onError(result.error);
       }
@@ -48,7 +77,9 @@ export default function ReactiveComponent({ spec, onError }) {
       console.error('Error executing reactive R code:', error);
       if (onError) onError(error.message);
     } finally {
-      setIsExecuting(false);
+      if (runId === latestRunRef.current) {
+        setIsExecuting(false);
+      }
     }
   };
 
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-const SnowflakeBrowserModal = ({ isOpen, onClose, onLoad }) => {
+const SnowflakeBrowserModal = ({ isOpen, onClose, onLoad, onPolicyConfirmation, workspaceId }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [treeData, setTreeData] = useState([]);
   const [expandedNodes, setExpandedNodes] = useState(new Set());
@@ -41,16 +41,37 @@ const SnowflakeBrowserModal = ({ isOpen, onClose, onLoad }) => {
     };
   }, [isOpen, onClose]);
 
+  // Run the browser's R code in the conversation's session
+  // If the execution policy wants functions confirmed (the connection helpers are user code),
+  // the result is the confirmed re-run's, or the unconfirmed one if the user declines
+  const runBrowserQuery = async (code, confirmedFunctions = []) => {
+    const response = await fetch('/api/execute-r', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, autoFormatTabular: false, workspaceId, confirmedFunctions })
+    });
+    const result = await response.json();
+
+    if (result.policyViolation?.type !== 'confirmation_required' || !onPolicyConfirmation) {
+      return result;
+    }
+    return new Promise(resolve => {
+      onPolicyConfirmation({
+        code,
+        functions: result.policyViolation.functions,
+        confirmedFunctions,
+        rerun: (confirmed) => resolve(runBrowserQuery(code, confirmed)),
+        cancel: () => resolve(result)
+      });
+    });
+  };
+
   const loadDatabases = async () => {
     setIsLoading(true);
     setError(null);
 
     try {
-      const response = await fetch('/api/execute-r', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          code: `
+      const result = await runBrowserQuery(`
 library(jsonlite)
 
 # Connect if not already connected
@@ -61,12 +82,7 @@ if (!exists(".snowflake_config") || !.snowflake_config$connected) {
 # Get databases
 databases <- sf_databases()
 cat(toJSON(databases, auto_unbox = TRUE))
-`,
-          autoFormatTabular: false
-        })
-      });
-
-      const result = await response.json();
+`);
 
       if (result.error) {
         setError(result.error);
@@ -106,11 +122,7 @@ cat(toJSON(databases, auto_unbox = TRUE))
   const loadSchemas = async (database) => {
     console.log(`Loading schemas for ${database}`);
     try {
-      const response = await fetch('/api/execute-r', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          code: `
+      const result = await runBrowserQuery(`
 library(jsonlite)
 tryCatch({
   result <- sf_query("SHOW SCHEMAS IN DATABASE ${database}")
@@ -120,12 +132,7 @@ tryCatch({
   # Return empty array for permission errors
   cat("[]")
 })
-`,
-          autoFormatTabular: false
-        })
-      });
-
-      const result = await response.json();
+`);
       console.log('Schemas result for', database, ':', result);
 
       // Extract JSON from output - find the JSON array
@@ -171,11 +178,7 @@ tryCatch({
   const loadTables = async (database, schema) => {
     console.log(`Loading tables for ${database}.${schema}`);
     try {
-      const response = await fetch('/api/execute-r', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          code: `
+      const result = await runBrowserQuery(`
 library(jsonlite)
 
 all_items <- list()
@@ -434,12 +437,7 @@ if (length(all_items) > 0) {
 }
 cat("\\n")
 cat(toJSON(all_items, auto_unbox = TRUE))
-`,
-          autoFormatTabular: false
-        })
-      });
-
-      const result = await response.json();
+`);
       console.log('========================================');
       console.log(`Loading objects for ${database}.${schema}`);
       console.log('========================================');
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+
+// Limits the server enforces, in USD (see /api/usage/budget)
+const BUDGET_FIELDS = [
+  { key: 'dailySoftUsd', label: 'Daily warning limit' },
+  { key: 'dailyHardUsd', label: 'Daily hard limit' },
+  { key: 'conversationSoftUsd', label: 'Conversation warning limit' },
+  { key: 'conversationHardUsd', label: 'Conversation hard limit' }
+];
+
+const PURPOSE_LABELS = {
+  chat: 'Chat',
+  report: 'Dataset Report',
+  rewrite: 'Report Rewrite',
+  descriptions: 'Descriptions'
+};
+
+const formatCost = (totals) => {
+  const cost = `$${totals.costUsd.toFixed(totals.costUsd < 1 ? 4 : 2)}`;
+  return totals.unpricedCalls > 0 ? `${cost} + ${totals.unpricedCalls} unpriced` : cost;
+};
+
+const formatTokens = (tokens) => tokens.toLocaleString();
+
+const formatLatency = (ms) => ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * UsageModal Component
+ *
+ * Modal dialog showing what model calls have cost - today, in this conversation,
+ * by task and by day - how well the prompt cache is working, and the budget limits.
+ * Soft limits show a warning in the chat; once a hard limit is reached the server
+ * refuses further model calls.
+ */
+const UsageModal = ({ isOpen, conversationId, onClose }) => {
+  const [usage, setUsage] = useState(null);
+  const [budgetDraft, setBudgetDraft] = useState({});
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Fetch fresh totals each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setError(null);
+    fetch(`/api/usage?conversationId=${encodeURIComponent(conversationId || '')}`)
+      .then(response => response.json())
+      .then(data => {
+        setUsage(data);
+        setBudgetDraft(Object.fromEntries(BUDGET_FIELDS.map(({ key }) => [key, data.budget[key] ?? ''])));
+      })
+      .catch(fetchError => {
+        console.error('[Usage] Could not load usage:', fetchError);
+        setError('Could not load usage from the server.');
+      });
+  }, [isOpen, conversationId]);
+
+  if (!isOpen) return null;
+
+  const handleSaveBudget = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const budget = Object.fromEntries(BUDGET_FIELDS.map(({ key }) => [
+        key,
+        budgetDraft[key] === '' ? null : Number(budgetDraft[key])
+      ]));
+      const response = await fetch('/api/usage/budget', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(budget)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not save the budget');
+      }
+      setUsage(prev => ({ ...prev, budget: result.budget }));
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderTotals = (label, totals) => (
+    <div className="flex-1 p-3 bg-gray-50 rounded-lg">
+      <div className="text-sm text-gray-600">{label}</div>
+      <div className="text-2xl font-bold text-gray-800">{totals ? formatCost(totals) : '-'}</div>
+      {totals && (
+        <div className="text-xs text-gray-500 mt-1">
+          {totals.calls} {totals.calls === 1 ? 'call' : 'calls'} · {formatTokens(totals.inputTokens)} in · {formatTokens(totals.outputTokens)} out
+          {(totals.cacheWriteTokens > 0 || totals.cacheReadTokens > 0) &&
+            ` · cache ${formatTokens(totals.cacheWriteTokens)} written / ${formatTokens(totals.cacheReadTokens)} read`}
+        </div>
+      )}
+    </div>
+  );
+
+  // Prompt cache statistics for the conversation (or today, outside one)
+  const renderCacheStats = (totals) => {
+    const cachedCalls = totals.cacheHits + totals.cacheMisses;
+    if (cachedCalls === 0) return null;
+    return (
+      <>
+        <h3 className="text-lg font-semibold mb-2 text-gray-800">Prompt cache</h3>
+        <div className="grid grid-cols-4 gap-3 mb-6 text-sm">
+          <div>
+            <div className="text-gray-600">Hits / misses</div>
+            <div className="font-semibold text-gray-800">
+              {totals.cacheHits} / {totals.cacheMisses} ({Math.round((totals.cacheHits / cachedCalls) * 100)}% hits)
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-600">Tokens from cache</div>
+            <div className="font-semibold text-gray-800">{formatTokens(totals.cacheReadTokens)}</div>
+          </div>
+          <div>
+            <div className="text-gray-600">Saved</div>
+            <div className="font-semibold text-gray-800">${totals.cacheSavingsUsd.toFixed(4)}</div>
+          </div>
+          <div>
+            <div className="text-gray-600">Avg time, hit / miss</div>
+            <div className="font-semibold text-gray-800">
+              {formatLatency(totals.avgHitLatencyMs)} / {formatLatency(totals.avgMissLatencyMs)}
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">
+          Usage & Budget
+        </h2>
+        <p className="text-gray-600 mb-4 text-sm">
+          Tokens and estimated cost of every model call, from the providers' reported usage.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+        )}
+
+        {usage && (
+          <>
+            {[...usage.warnings, ...(usage.blocked ? [usage.blocked] : [])].map(warning => (
+              <div key={warning} className="mb-2 p-2 bg-amber-50 border border-amber-200 rounded text-sm text-amber-800">
+                {warning}
+              </div>
+            ))}
+
+            <div className="flex gap-3 mb-6">
+              {renderTotals('Today', usage.today)}
+              {renderTotals('This conversation', usage.conversation)}
+            </div>
+
+            {renderCacheStats(usage.conversation || usage.today)}
+
+            {Object.keys(usage.byPurpose).length > 0 && (
+              <>
+                <h3 className="text-lg font-semibold mb-2 text-gray-800">This conversation by task</h3>
+                <table className="w-full text-sm mb-6">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="pb-1 pr-2 font-medium">Task</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Calls</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Input</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Output</th>
+                      <th className="pb-1 font-medium text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(usage.byPurpose).map(([purpose, totals]) => (
+                      <tr key={purpose} className="border-t border-gray-100">
+                        <td className="py-1 pr-2 text-gray-800">{PURPOSE_LABELS[purpose] || purpose}</td>
+                        <td className="py-1 pr-2 text-right">{totals.calls}</td>
+                        <td className="py-1 pr-2 text-right">{formatTokens(totals.inputTokens + totals.cacheWriteTokens + totals.cacheReadTokens)}</td>
+                        <td className="py-1 pr-2 text-right">{formatTokens(totals.outputTokens)}</td>
+                        <td className="py-1 text-right">{formatCost(totals)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            {usage.days.length > 0 && (
+              <>
+                <h3 className="text-lg font-semibold mb-2 text-gray-800">By day</h3>
+                <table className="w-full text-sm mb-6">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="pb-1 pr-2 font-medium">Date</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Calls</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Input</th>
+                      <th className="pb-1 pr-2 font-medium text-right">Output</th>
+                      <th className="pb-1 font-medium text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {usage.days.map(day => (
+                      <tr key={day.date} className="border-t border-gray-100">
+                        <td className="py-1 pr-2 text-gray-800">{day.date}</td>
+                        <td className="py-1 pr-2 text-right">{day.calls}</td>
+                        <td className="py-1 pr-2 text-right">{formatTokens(day.inputTokens + day.cacheWriteTokens + day.cacheReadTokens)}</td>
+                        <td className="py-1 pr-2 text-right">{formatTokens(day.outputTokens)}</td>
+                        <td className="py-1 text-right">{formatCost(day)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            <h3 className="text-lg font-semibold mb-2 text-gray-800">Budget (USD)</h3>
+            <p className="text-gray-500 mb-2 text-xs">
+              Leave a limit blank for none. Past a warning limit the chat shows a warning; at a hard limit model calls are refused.
+            </p>
+            <div className="grid grid-cols-2 gap-3 mb-6 text-sm">
+              {BUDGET_FIELDS.map(({ key, label }) => (
+                <label key={key} className="block">
+                  <span className="text-gray-600">{label}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={budgetDraft[key] ?? ''}
+                    onChange={(e) => setBudgetDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                    placeholder="No limit"
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSaveBudget}
+            disabled={!usage || isSaving}
+            className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save Budget'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsageModal;
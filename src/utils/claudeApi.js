@@ -5,6 +5,39 @@
  */
 
 const PROXY_API_URL = '/api/chat';
+const PROXY_STREAM_URL = '/api/chat/stream';
+
+/**
+ * Plain copy of a code card's output to share with a chat message - console text,
+ * error and the table or model coefficients its last value produced.
+ * The server cuts these to its size limits.
+ * @param {Object} card - Code card with its output (an /api/execute-r result)
+ * @returns {Object|null} { cardId, summary, output, error, valueData }, or null if the card has no text output to share
+ */
+export function buildContextAttachment(card) {
+  const result = card?.output;
+  if (!result) return null;
+
+  const output = String(result.output || result.text || '');
+  const error = result.error ? String(result.error) : '';
+  const valueData = result.valueData?.csv
+    ? {
+        kind: String(result.valueData.kind),
+        csv: String(result.valueData.csv),
+        rows: result.valueData.rows,
+        columns: result.valueData.columns
+      }
+    : null;
+  if (!output.trim() && !error && !valueData) return null;
+
+  return {
+    cardId: card.id,
+    summary: String(card.summary || ''),
+    output,
+    error,
+    valueData
+  };
+}
 
 /**
  * Send a message to Claude and get a response
@@ -15,17 +48,37 @@ const PROXY_API_URL = '/api/chat';
  * @param {Array} recentPlots - Recent plot images for Claude's vision
  * @param {Array} columnMetadata - Column schema information from current dataset
  * @param {string} activeDatasetName - Name of the currently active dataset
- * @returns {Promise<Object>} Response containing text and any R code blocks
+ * @param {Object} options - Model, tool and streaming options
+ * @param {string} options.purpose - chat (default), rewrite or descriptions - picks the server's default model settings
+ * @param {Object} options.llm - Model Settings for the purpose (from getLlmOptions)
+ * @param {string} options.workspaceId - Conversation's workspace; R code Claude calls run_r_code with runs there (without it, code cards come back unrun)
+ * @param {boolean} options.autoFormatTabular - Whether data frames from tool calls are shown as gt tables
+ * @param {Object} options.contextMemory - { summary, summarizedCount } from the previous response's context - replaces older messages
+ * @param {Array} options.contextAttachments - Code card outputs shared with this message (from buildContextAttachment)
+ * @param {string} options.conversationId - Conversation the call's usage is counted against (defaults to workspaceId on the server)
+ * @param {Function} options.onText - If given, the response is streamed and this is called with (delta, textSoFar) as text arrives
+ * @param {Function} options.onCard - While streaming, called with each code card from a tool call when it starts running and again with its result
+ * @param {AbortSignal} options.signal - Aborts the request (the promise rejects with an AbortError)
+ * @returns {Promise<Object>} { text, transcript, codeCards, reactiveComponents, suggestions, context, attachments, usage, fullResponse }
  */
-export async function sendMessageToClaude(apiKey, userMessage, conversationHistory = [], suggestionsEnabled = false, recentPlots = [], columnMetadata = null, activeDatasetName = null) {
+export async function sendMessageToClaude(apiKey, userMessage, conversationHistory = [], suggestionsEnabled = false, recentPlots = [], columnMetadata = null, activeDatasetName = null, options = {}) {
+  const { purpose = 'chat', llm = null, workspaceId = null, conversationId = null, autoFormatTabular = true, contextMemory = null, contextAttachments = [], onText, onCard, signal } = options;
+
   try {
     // Create payload - ensure we only serialize plain data, not DOM elements or React refs
     const payload = {
       apiKey: apiKey,
+      purpose: purpose,
+      llm: llm,  // Provider and model chosen in Model Settings
       suggestionsEnabled: suggestionsEnabled,
       recentPlots: recentPlots,  // Include plot images for Claude's vision
       columnMetadata: columnMetadata,  // Include dataset schema
       activeDatasetName: activeDatasetName,  // Include active dataset name
+      workspaceId: workspaceId,  // R session tool calls run in
+      conversationId: conversationId,  // Usage is counted against this conversation
+      autoFormatTabular: autoFormatTabular,
+      contextMemory: contextMemory,  // Summary of older messages, from the previous response
+      contextAttachments: contextAttachments,  // Code outputs the user shared with this message
       messages: [
         ...conversationHistory,
         {
@@ -52,35 +105,19 @@ export async function sendMessageToClaude(apiKey, userMessage, conversationHisto
     }
 
     // Call the proxy server instead of Anthropic API directly
-    const response = await fetch(PROXY_API_URL, {
+    const response = await fetch(onText ? PROXY_STREAM_URL : PROXY_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: bodyString
+      body: bodyString,
+      signal
     });
 
-    // Get response text first
-    const responseText = await response.text();
-
-    // Check if response is empty
-    if (!responseText) {
-      throw new Error('Empty response from server. The backend may not be running properly.');
-    }
-
-    // Try to parse JSON
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse response:', responseText);
-      throw new Error(`Server returned invalid JSON. Response: ${responseText.substring(0, 200)}`);
-    }
-
-    // Handle error responses
-    if (!response.ok) {
-      throw new Error(result.error || `API request failed: ${response.status}`);
-    }
+    // Streamed responses arrive as events once the request has been accepted
+    const result = onText && response.ok
+      ? await readChatStream(response, onText, onCard)
+      : await readChatResponse(response);
 
     // Validate response structure
     if (!result.success || !result.data) {
@@ -90,26 +127,20 @@ export async function sendMessageToClaude(apiKey, userMessage, conversationHisto
     const data = result.data;
 
     // Validate Claude API response structure
-    if (!data.content || !Array.isArray(data.content) || data.content.length === 0) {
+    if (!data.content || !Array.isArray(data.content)) {
       throw new Error('Invalid response format from Claude API');
     }
 
-    const assistantMessage = data.content[0].text;
-
-    // Extract R code blocks from the response
-    const rCodeBlocks = extractRCodeBlocks(assistantMessage);
-
-    // Extract reactive component specs from the response
-    const reactiveComponents = extractReactiveComponents(assistantMessage);
-
-    // Get suggestions from response if available (from server parsing)
-    const suggestions = result.suggestions || null;
-
+    // Code cards, reactive components and suggestions come from Claude's tool calls
     return {
-      text: assistantMessage,
-      rCodeBlocks,
-      reactiveComponents,
-      suggestions,
+      text: result.text || '',
+      transcript: result.transcript || result.text || '',  // Text plus the code it ran, for the conversation history
+      codeCards: result.codeCards || [],
+      reactiveComponents: result.reactiveComponents || [],
+      suggestions: result.suggestions || null,
+      context: result.context || null,  // { memory, usage } - memory goes back with the next message
+      attachments: result.attachments || [],  // Shared outputs that were sent, after the size limits
+      usage: result.usage || null,  // Spending today and in this conversation, with budget warnings
       fullResponse: data
     };
   } catch (error) {
@@ -125,125 +156,125 @@ export async function sendMessageToClaude(apiKey, userMessage, conversationHisto
 }
 
 /**
- * Extract R code blocks from markdown text
- * @param {string} text - The markdown text containing code blocks
- * @returns {Array} Array of objects with code and summary
+ * Read a complete JSON response from /api/chat
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Parsed body ({ success, data, suggestions })
  */
-function extractRCodeBlocks(text) {
-  // Match code blocks with 'r' or 'R' language identifier
-  // Handles both ```r and ```R with optional whitespace
-  const rCodeRegex = /```[rR]\s*\n([\s\S]*?)```/g;
-  const blocks = [];
-  let match;
-
-  while ((match = rCodeRegex.exec(text)) !== null) {
-    const code = match[1].trim();
-    if (code.length > 0) {  // Only add non-empty code blocks
-      const { summary, description } = generateCodeSummary(code);
-      blocks.push({ code, summary, description });
-    }
+async function readChatResponse(response) {
+  // Get response text first
+  const responseText = await response.text();
+
+  // Check if response is empty
+  if (!responseText) {
+    throw new Error('Empty response from server. The backend may not be running properly.');
   }
 
-  return blocks;
+  // Try to parse JSON
+  let result;
+  try {
+    result = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('Failed to parse response:', responseText);
+    throw new Error(`Server returned invalid JSON. Response: ${responseText.substring(0, 200)}`);
+  }
+
+  // Handle error responses
+  if (!response.ok) {
+    throw new Error(result.error || `API request failed: ${response.status}`);
+  }
+
+  return result;
 }
 
 /**
- * Generate a brief summary and description of R code
- * @param {string} code - The R code
- * @returns {Object} Object with summary (title) and description
+ * Read the event stream from /api/chat/stream
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onText - Called with (delta, textSoFar) for each delta event
+ * @param {Function} onCard - Called with the card of each card event
+ * @returns {Promise<Object>} The final body, same shape as /api/chat's JSON
  */
-function generateCodeSummary(code) {
-  const lines = code.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+async function readChatStream(response, onText, onCard) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let result = null;
 
-  if (lines.length === 0) {
-    return {
-      summary: 'R code snippet',
-      description: 'Execute R code'
-    };
-  }
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const eventMatch = rawEvent.match(/^event: (.+)$/m);
+      const dataMatch = rawEvent.match(/^data: (.*)$/m);
+      if (!eventMatch || !dataMatch) continue;
 
-  // Extract key functions used
-  const functions = [];
-  if (code.includes('ggplot')) functions.push('ggplot');
-  if (code.includes('geom_')) {
-    const geoms = code.match(/geom_\w+/g);
-    if (geoms) functions.push(...geoms.slice(0, 2));
+      const data = JSON.parse(dataMatch[1]);
+      if (eventMatch[1] === 'delta') {
+        text += data.text;
+        onText(data.text, text);
+      } else if (eventMatch[1] === 'card') {
+        onCard?.(data.card);
+      } else if (eventMatch[1] === 'done') {
+        result = data;
+      } else if (eventMatch[1] === 'error') {
+        throw new Error(data.error || 'Claude API stream failed');
+      }
+    }
   }
-  if (code.includes('plot(')) functions.push('plot()');
-  if (code.includes('hist(')) functions.push('hist()');
-  if (code.includes('barplot(')) functions.push('barplot()');
-  if (code.includes('boxplot(')) functions.push('boxplot()');
-  if (code.includes('lm(')) functions.push('lm()');
-  if (code.includes('glm(')) functions.push('glm()');
-  if (code.includes('read.csv')) functions.push('read.csv()');
-  if (code.includes('read.table')) functions.push('read.table()');
-
-  // Look for key functions to describe the code
-  if (code.includes('ggplot') || code.includes('plot(')) {
-    return {
-      summary: 'Create visualization/plot',
-      description: functions.length > 0
-        ? `Using ${functions.slice(0, 3).join(', ')}`
-        : 'Generate data visualization'
-    };
-  } else if (code.includes('read.csv') || code.includes('read.table')) {
-    return {
-      summary: 'Load and process data file',
-      description: `Read data from file${functions.length > 1 ? ' using ' + functions.join(', ') : ''}`
-    };
-  } else if (code.includes('lm(') || code.includes('glm(')) {
-    return {
-      summary: 'Perform statistical modeling',
-      description: functions.length > 0
-        ? `Linear regression with ${functions.join(', ')}`
-        : 'Build statistical model'
-    };
-  } else if (code.includes('summary(') || code.includes('str(')) {
-    return {
-      summary: 'Analyze data summary statistics',
-      description: 'Compute descriptive statistics'
-    };
-  } else if (code.includes('merge') || code.includes('join')) {
-    return {
-      summary: 'Merge/join datasets',
-      description: 'Combine multiple data sources'
-    };
-  } else {
-    // Default: use first significant line as description
-    const firstLine = lines[0].substring(0, 60);
-    return {
-      summary: 'R code execution',
-      description: firstLine.length < 60 ? firstLine : firstLine + '...'
-    };
+
+  if (!result) {
+    throw new Error('Claude response stream ended before the response was complete');
   }
+  return result;
 }
 
 /**
- * Extract reactive component specs from markdown text
- * Looks for JSON code blocks marked with special comment
- * @param {string} text - The markdown text containing code blocks
- * @returns {Array} Array of reactive component spec objects
+ * Ask Claude to repair R code that failed, going through the same /api/chat endpoint
+ * The request stands alone - it is not added to the conversation history
+ * @param {string} apiKey - The Anthropic API key
+ * @param {Object} failure - What went wrong
+ * @param {string} failure.code - The R code that failed
+ * @param {string} failure.error - Error text from the execution result
+ * @param {Object} failure.errorDetails - Structured error from the execution result (line, call), if any
+ * @param {Array} failure.previousAttempts - Earlier failed revisions ({ code, error }) so they aren't repeated
+ * @param {Array} columnMetadata - Column schema information from current dataset
+ * @param {string} activeDatasetName - Name of the currently active dataset
+ * @param {Object} llm - Model Settings for chat (from getLlmOptions)
+ * @param {string} conversationId - Conversation the call's usage is counted against
+ * @returns {Promise<Object>} { code, explanation } - code is null if Claude didn't call run_r_code
  */
-function extractReactiveComponents(text) {
-  // Match JSON code blocks that contain reactive component specs
-  // Looking for: ```json followed by a block containing "type": "reactive-component"
-  const jsonCodeRegex = /```json\s*\n([\s\S]*?)```/g;
-  const components = [];
-  let match;
-
-  while ((match = jsonCodeRegex.exec(text)) !== null) {
-    const jsonText = match[1].trim();
-    try {
-      const parsed = JSON.parse(jsonText);
-      // Check if this is a reactive component spec
-      if (parsed.type === 'reactive-component') {
-        components.push(parsed);
-      }
-    } catch (e) {
-      // Not valid JSON or not a reactive component, skip
-      console.log('Skipped non-reactive JSON block');
-    }
+export async function requestCodeFix(apiKey, { code, error, errorDetails = null, previousAttempts = [] }, columnMetadata = null, activeDatasetName = null, llm = null, conversationId = null) {
+  const failingLine = errorDetails?.line ? code.split('\n')[errorDetails.line - 1] : null;
+
+  let prompt = `The following R code failed when it ran:\n\n\`\`\`r\n${code}\n\`\`\`\n\n` +
+    `Error:\n${error}\n`;
+  if (failingLine) {
+    prompt += `\nThe error was raised on line ${errorDetails.line}: \`${failingLine.trim()}\`\n`;
+  }
+  if (previousAttempts.length > 0) {
+    prompt += '\nThese earlier versions also failed - do not repeat them:\n' +
+      previousAttempts.map((attempt, index) =>
+        `\nVersion ${index + 1}:\n\`\`\`r\n${attempt.code}\n\`\`\`\nError: ${attempt.error}\n`
+      ).join('');
   }
+  prompt += '\nFix the code so it does what it was meant to do. Check column names against the dataset schema, ' +
+    'and prefer installed packages over new ones. Reply with one short sentence explaining the fix, ' +
+    'then call run_r_code once with the complete corrected code. It will not be run until the user\'s app runs it.';
+
+  // No workspace: the fix comes back as an unrun code card
+  const response = await sendMessageToClaude(apiKey, prompt, [], false, [], columnMetadata, activeDatasetName, { llm, conversationId });
+  const card = response.codeCards[0];
 
-  return components;
+  return {
+    code: card ? card.code : null,
+    explanation: response.text.trim()
+  };
 }
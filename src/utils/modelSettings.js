@@ -0,0 +1,87 @@
+// Model Settings: which LLM provider and model each purpose uses
+// Stored in localStorage and sent to the server as `llm` with each request
+
+const STORAGE_KEY = 'model_settings';
+
+/**
+ * Purposes that can each have their own provider, model, max_tokens and temperature
+ */
+export const MODEL_PURPOSES = [
+  { id: 'chat', label: 'Chat' },
+  { id: 'report', label: 'Dataset Report' },
+  { id: 'rewrite', label: 'Report Rewrite' },
+  { id: 'descriptions', label: 'Descriptions' }
+];
+
+/**
+ * Empty settings - every field left blank uses the server's default
+ * providers holds connection details shared by all purposes using that provider
+ */
+export const EMPTY_MODEL_SETTINGS = {
+  providers: {
+    openai: { baseUrl: '', apiKey: '' },
+    local: { baseUrl: '' }
+  },
+  purposes: Object.fromEntries(
+    MODEL_PURPOSES.map(({ id }) => [id, { provider: '', model: '', maxTokens: '', temperature: '' }])
+  )
+};
+
+/**
+ * Load Model Settings from localStorage
+ * @returns {Object} Settings in the shape of EMPTY_MODEL_SETTINGS
+ */
+export function loadModelSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      providers: {
+        openai: { ...EMPTY_MODEL_SETTINGS.providers.openai, ...stored.providers?.openai },
+        local: { ...EMPTY_MODEL_SETTINGS.providers.local, ...stored.providers?.local }
+      },
+      purposes: Object.fromEntries(
+        MODEL_PURPOSES.map(({ id }) => [id, { ...EMPTY_MODEL_SETTINGS.purposes[id], ...stored.purposes?.[id] }])
+      )
+    };
+  } catch (error) {
+    console.error('[Model Settings] Could not read stored settings:', error);
+    return EMPTY_MODEL_SETTINGS;
+  }
+}
+
+/**
+ * Save Model Settings to localStorage
+ * @param {Object} settings - Settings in the shape of EMPTY_MODEL_SETTINGS
+ */
+export function saveModelSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Build the `llm` request field for one purpose, leaving out blank fields
+ * @param {Object} settings - Model Settings
+ * @param {string} purpose - chat, report, rewrite or descriptions
+ * @returns {Object} { provider, model, maxTokens, temperature, baseUrl, apiKey } - only the fields that are set
+ */
+export function getLlmOptions(settings, purpose) {
+  const { provider, model, maxTokens, temperature } = settings.purposes[purpose] || {};
+  const connection = settings.providers[provider] || {};
+  const options = {
+    provider,
+    model,
+    maxTokens: maxTokens === '' ? undefined : Number(maxTokens),
+    temperature: temperature === '' ? undefined : Number(temperature),
+    baseUrl: connection.baseUrl,
+    apiKey: connection.apiKey
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== '' && value !== undefined));
+}
+
+/**
+ * Whether any purpose uses Anthropic (the default), so an Anthropic API key is needed
+ * @param {Object} settings - Model Settings
+ * @returns {boolean}
+ */
+export function needsAnthropicKey(settings) {
+  return MODEL_PURPOSES.some(({ id }) => ['', 'anthropic'].includes(settings.purposes[id].provider));
+}
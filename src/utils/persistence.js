@@ -130,6 +130,8 @@ export function validateState(state) {
   if (state.datasetRegistry !== undefined && typeof state.datasetRegistry !== 'object') return false;
   if (state.viewMode !== undefined && typeof state.viewMode !== 'string') return false;
   if (state.expandedSuggestions !== undefined && !Array.isArray(state.expandedSuggestions)) return false;
+  if (state.workspaceId !== undefined && typeof state.workspaceId !== 'string') return false;
+  if (state.contextMemory !== undefined && state.contextMemory !== null && typeof state.contextMemory !== 'object') return false;
 
   return true;
 }
@@ -155,6 +157,8 @@ export function getDefaultState() {
     datasetRegistry: { activeDataset: null, datasets: {} },
     viewMode: 'explore',
     selectedCardId: null,
-    expandedSuggestions: new Set()
+    expandedSuggestions: new Set(),
+    workspaceId: null,
+    contextMemory: null
   };
 }
@@ -6,6 +6,25 @@
  */
 
 const R_API_URL = '/api/execute-r';
+const R_STREAM_URL = '/api/execute-r/stream';
+const R_CANCEL_URL = '/api/cancel-execution';
+
+/**
+ * Create a workspace ID for a new conversation
+ * Each workspace ID gets its own R session and saved workspace on the backend
+ * @returns {string} Workspace ID
+ */
+export function createWorkspaceId() {
+  return `ws-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a unique ID for an execution so it can be cancelled while running
+ * @returns {string} Execution ID
+ */
+export function createExecutionId() {
+  return `exec-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
 /**
  * Execute R code via backend and return the output
@@ -13,27 +32,42 @@ const R_API_URL = '/api/execute-r';
  * @param {boolean} autoFormatTabular - Whether to auto-format tabular data with gt
  * @param {boolean} refreshMetadata - Whether to refresh metadata after execution
  * @param {string} activeDataset - Name of the active dataset to refresh metadata for
+ * @param {Object} options - Additional execution options
+ * @param {string} options.workspaceId - Conversation's workspace ID (shared default workspace if omitted)
+ * @param {string} options.executionId - ID to pass to cancelExecution() while the run is in progress
+ * @param {number} options.timeoutMs - Wall-clock limit for this run (server default if omitted)
+ * @param {Function} options.onOutput - If given, console output is streamed and passed as (stream, text) while R runs
+ * @param {Function} options.onQueue - If given, called with the queue position while the run waits behind earlier runs
+ * @param {string} options.coalesceKey - Runs sharing a key replace each other while queued, so only the latest one executes
+ * @param {string[]} options.confirmedFunctions - Functions from the server's execution policy the user agreed to run
  * @returns {Promise<Object>} Result containing output, plots, and any errors
+ *   (cancelled/timedOut are set when the run was stopped, superseded when a newer run with the same coalesceKey replaced it,
+ *   policyViolation when the execution policy blocked or stopped it)
  */
-export async function executeRCode(code, autoFormatTabular = true, refreshMetadata = false, activeDataset = 'data') {
+export async function executeRCode(code, autoFormatTabular = true, refreshMetadata = false, activeDataset = 'data', options = {}) {
+  const { workspaceId, executionId, timeoutMs, onOutput, onQueue, coalesceKey, confirmedFunctions } = options;
+  const streaming = Boolean(onOutput || onQueue);
+
   try {
     console.log('Executing R code via backend:', code.substring(0, 100) + '...');
     console.log('Auto format tabular:', autoFormatTabular);
     console.log('Refresh metadata:', refreshMetadata, 'for dataset:', activeDataset);
 
-    const response = await fetch(R_API_URL, {
+    const response = await fetch(streaming ? R_STREAM_URL : R_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ code, autoFormatTabular, refreshMetadata, activeDataset }),
+      body: JSON.stringify({ code, autoFormatTabular, refreshMetadata, activeDataset, workspaceId, executionId, timeoutMs, coalesceKey, confirmedFunctions }),
     });
 
     if (!response.ok) {
       throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
     }
 
-    const result = await response.json();
+    const result = streaming
+      ? await readExecutionStream(response, { onOutput, onQueue })
+      : await response.json();
     console.log('R execution result:', result);
 
     return result;
@@ -48,6 +82,91 @@ export async function executeRCode(code, autoFormatTabular = true, refreshMetada
   }
 }
 
+/**
+ * Read the event stream from /api/execute-r/stream
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Object} listeners
+ * @param {Function} [listeners.onOutput] - Called with (stream, text) for each output event
+ * @param {Function} [listeners.onQueue] - Called with the queue position for each queued event
+ * @returns {Promise<Object>} The final execution result
+ */
+async function readExecutionStream(response, { onOutput, onQueue }) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const eventMatch = rawEvent.match(/^event: (.+)$/m);
+      const dataMatch = rawEvent.match(/^data: (.*)$/m);
+      if (!eventMatch || !dataMatch) continue;
+
+      const data = JSON.parse(dataMatch[1]);
+      if (eventMatch[1] === 'output') {
+        onOutput?.(data.stream, data.text);
+      } else if (eventMatch[1] === 'queued') {
+        onQueue?.(data.position);
+      } else if (eventMatch[1] === 'result') {
+        result = data;
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('R execution stream ended without a result');
+  }
+  return result;
+}
+
+/**
+ * Append streamed console text to what has been shown so far.
+ * Carriage returns overwrite the current line so progress bars update in place.
+ * @param {string} current - Output shown so far
+ * @param {string} text - Newly received text
+ * @returns {string} Updated output
+ */
+export function appendConsoleOutput(current, text) {
+  const parts = text.replace(/\r\n/g, '\n').split('\r');
+  let output = current + parts[0];
+  for (const part of parts.slice(1)) {
+    output = output.slice(0, output.lastIndexOf('\n') + 1) + part;
+  }
+  return output;
+}
+
+/**
+ * Ask the backend to stop a running (or queued) execution
+ * The pending executeRCode() call resolves with cancelled: true once R has stopped
+ * @param {string} executionId - ID passed to executeRCode()
+ * @returns {Promise<boolean>} True if the backend found the execution
+ */
+export async function cancelExecution(executionId) {
+  try {
+    const response = await fetch(R_CANCEL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ executionId }),
+    });
+    return response.ok;
+  } catch (error) {
+    console.error('Error cancelling R execution:', error);
+    return false;
+  }
+}
+
 /**
  * No initialization needed for backend execution
  * This function exists for compatibility with App.jsx